@@ -0,0 +1,221 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * API Version Detector
+ *
+ * Resolves PEGA_API_VERSION=auto (or apiVersion "auto" in session credentials and environment
+ * profiles) by probing the instance with the session's token:
+ * - GET /prweb/api/application/v2/casetypes (Constellation DX API)
+ * - GET /prweb/api/v1/casetypes (Traditional DX API)
+ *
+ * Each probe records whether the API exists and whether the token has the privileges to use it:
+ *   2xx  available     - API exists and the token may use it
+ *   403  forbidden     - API exists but the operator's access group lacks the privileges
+ *   404  not_found     - API not installed or not enabled on the instance
+ *   401  unauthorized  - token rejected (detection is retried)
+ *   -    error         - network error or unexpected status (detection is retried)
+ *
+ * V2 is preferred over V1: the first available API wins, then the first forbidden one (so tools
+ * report a privilege error instead of a 404). When neither responds usefully, V2 is used.
+ *
+ * Results are cached per base URL and credentials (the OAuth2Client shared token key), so every
+ * tool sharing a session probes once. Conclusive results are kept for an hour, inconclusive ones
+ * for a minute.
+ */
+
+/**
+ * Probe order, most capable API first
+ */
+const PROBES = [
+  { apiVersion: 'v2', name: 'Constellation DX API (V2)', path: '/prweb/api/application/v2/casetypes' },
+  { apiVersion: 'v1', name: 'Traditional DX API (V1)', path: '/prweb/api/v1/casetypes' }
+];
+
+const DEFAULT_API_VERSION = 'v2';
+
+const DETECTION_TTL = 60 * 60 * 1000;
+const RETRY_TTL = 60 * 1000;
+
+export class ApiVersionDetector {
+  constructor() {
+    // Map<cacheKey, { result, expiresAt }>
+    this.results = new Map();
+
+    // Map<cacheKey, Promise<Object>> - probes in flight, shared by concurrent callers
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the cache key of a configuration
+   * @param {Object} config - Session or environment configuration
+   * @param {Object} oauth2Client - OAuth2Client of the configuration
+   * @returns {string} Cache key
+   */
+  getCacheKey(config, oauth2Client) {
+    return `${config.pega.baseUrl}|${oauth2Client.sharedTokenKey}`;
+  }
+
+  /**
+   * Get a cached detection result
+   * @param {Object} config - Session or environment configuration
+   * @param {Object} oauth2Client - OAuth2Client of the configuration
+   * @returns {Object|null} Detection result, null if not detected yet or expired
+   */
+  getCached(config, oauth2Client) {
+    const key = this.getCacheKey(config, oauth2Client);
+    const entry = this.results.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.results.delete(key);
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  /**
+   * Detect the API version to use for a configuration, probing the instance if not cached
+   * @param {Object} config - Session or environment configuration
+   * @param {Object} oauth2Client - OAuth2Client used to authenticate the probes
+   * @returns {Promise<Object>} { apiVersion, detected, reason, detectedAt, apis: { v2, v1 } }
+   */
+  async detect(config, oauth2Client) {
+    const cached = this.getCached(config, oauth2Client);
+    if (cached) {
+      return cached;
+    }
+
+    const key = this.getCacheKey(config, oauth2Client);
+    let pending = this.pending.get(key);
+    if (!pending) {
+      pending = this.probe(config, oauth2Client).finally(() => {
+        this.pending.delete(key);
+      });
+      this.pending.set(key, pending);
+    }
+
+    const result = await pending;
+    this.results.set(key, {
+      result,
+      expiresAt: Date.now() + (result.conclusive ? DETECTION_TTL : RETRY_TTL)
+    });
+    return result;
+  }
+
+  /**
+   * Forget cached detection results
+   * @param {Object} [config] - Configuration to forget, all results if omitted
+   * @param {Object} [oauth2Client] - OAuth2Client of the configuration
+   */
+  clear(config = null, oauth2Client = null) {
+    if (config && oauth2Client) {
+      this.results.delete(this.getCacheKey(config, oauth2Client));
+    } else {
+      this.results.clear();
+    }
+  }
+
+  /**
+   * Probe the instance and choose an API version
+   * @param {Object} config - Session or environment configuration
+   * @param {Object} oauth2Client - OAuth2Client used to authenticate the probes
+   * @returns {Promise<Object>} Detection result
+   */
+  async probe(config, oauth2Client) {
+    const { baseUrl } = config.pega;
+    const detectedAt = new Date().toISOString();
+
+    let token;
+    try {
+      token = await oauth2Client.getAccessToken();
+    } catch (error) {
+      logger.warn(`⚠️ API version detection for ${baseUrl} could not authenticate: ${error.message}`);
+      return {
+        apiVersion: DEFAULT_API_VERSION,
+        detected: false,
+        conclusive: false,
+        reason: `Authentication failed (${error.message}); using V2 until detection succeeds`,
+        detectedAt,
+        apis: {}
+      };
+    }
+
+    const apis = {};
+    for (const probe of PROBES) {
+      apis[probe.apiVersion] = await this.probeApi(config, probe, token);
+    }
+
+    const available = PROBES.find(probe => apis[probe.apiVersion].status === 'available');
+    const forbidden = PROBES.find(probe => apis[probe.apiVersion].status === 'forbidden');
+    const conclusive = Object.values(apis).every(api => ['available', 'forbidden', 'not_found'].includes(api.status));
+
+    let result;
+    if (available) {
+      result = { apiVersion: available.apiVersion, detected: true, reason: `${available.name} is available` };
+    } else if (forbidden) {
+      result = {
+        apiVersion: forbidden.apiVersion,
+        detected: true,
+        reason: `${forbidden.name} exists but the token lacks the privileges to use it`
+      };
+    } else {
+      result = {
+        apiVersion: DEFAULT_API_VERSION,
+        detected: false,
+        reason: 'No DX API responded to the probes; using V2'
+      };
+    }
+
+    logger.info(`🔍 API version for ${baseUrl}: ${result.apiVersion.toUpperCase()} (${result.reason})`);
+    return { ...result, conclusive, detectedAt, apis };
+  }
+
+  /**
+   * Probe one DX API
+   * @param {Object} config - Session or environment configuration
+   * @param {Object} probe - Entry of PROBES
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} { status, httpStatus, endpoint, message }
+   */
+  async probeApi(config, probe, token) {
+    const endpoint = `${config.pega.baseUrl}${probe.path}`;
+
+    try {
+      // Probes are shared by every tool call of the session, so they only time out
+      const response = await fetch(endpoint, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(config.pega.requestTimeout || 30000)
+      });
+
+      const httpStatus = response.status;
+      if (response.ok) {
+        return { status: 'available', httpStatus, endpoint, message: 'API available' };
+      }
+
+      switch (httpStatus) {
+        case 401:
+          return { status: 'unauthorized', httpStatus, endpoint, message: 'Token rejected' };
+        case 403:
+          return { status: 'forbidden', httpStatus, endpoint, message: 'API exists, but the access group lacks the privileges to use it' };
+        case 404:
+          return { status: 'not_found', httpStatus, endpoint, message: 'API not available on this instance' };
+        default:
+          return { status: 'error', httpStatus, endpoint, message: `Unexpected HTTP ${httpStatus}` };
+      }
+    } catch (error) {
+      return { status: 'error', httpStatus: null, endpoint, message: error.message };
+    }
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const apiVersionDetector = new ApiVersionDetector();
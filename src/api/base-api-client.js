@@ -1,4 +1,30 @@
 import { OAuth2Client } from '../auth/oauth2-client.js';
+import { loadRetryConfig } from '../config/retry-config.js';
+import { getRequestContext } from '../utils/request-context.js';
+import { sessionContextStore } from '../session/context-store.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Methods that are retried on retryable HTTP statuses and any connection failure
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * HTTP statuses retried for safe methods
+ */
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Connection errors raised before any request bytes were sent (safe to retry for every method)
+ */
+const PRE_SEND_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
 
 /**
  * Base API client providing shared functionality for V1 and V2 clients
@@ -8,6 +34,7 @@ import { OAuth2Client } from '../auth/oauth2-client.js';
  * - HTTP request handling with proper headers
  * - URL encoding for safe parameter passing
  * - Session-aware configuration
+ * - Recording case and assignment eTags in the session context store
  *
  * @abstract
  */
@@ -24,6 +51,8 @@ export class BaseApiClient {
 
     // Store base URL for convenience
     this.baseUrl = this.config.pega.apiBaseUrl;
+
+    this.retryConfig = loadRetryConfig();
   }
 
   /**
@@ -58,7 +87,8 @@ export class BaseApiClient {
    * @param {Object} options.headers - Additional headers
    * @param {string} options.body - Request body (pre-stringified)
    * @param {number} options.timeout - Request timeout in milliseconds
-   * @returns {Promise<Object>} Structured response with success/error information
+   * @returns {Promise<Object>} Structured response with success/error information and retry count (retries);
+   *   `raw` is the body as received (parsed JSON, text or null), `data` may wrap a text body
    *
    * @example
    * const response = await this.makeRequest(url, {
@@ -67,32 +97,33 @@ export class BaseApiClient {
    * });
    */
   async makeRequest(url, options = {}) {
-    try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
+    let retries = 0;
 
-      // Prepare headers
+    try {
+      // Prepare headers (Authorization is added per attempt by sendRequest)
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json',
         ...options.headers
       };
 
-      // Make request with timeout
-      const response = await fetch(url, {
+      // Make request with timeout and retries
+      const sent = await this.sendRequest(url, {
         ...options,
-        headers,
-        timeout: options.timeout || this.config.pega.requestTimeout || 30000
+        headers
       });
+      const { response } = sent;
+      retries = sent.retries;
 
       // Handle non-2xx responses using version-specific error handler
       if (!response.ok) {
-        return await this.handleErrorResponse(response);
+        getRequestContext().rejectedRequests?.push({ url, method: options.method || 'GET', status: response.status });
+        return { ...(await this.handleErrorResponse(response)), retries };
       }
 
       // Parse successful response - handle both JSON and empty/text responses
       let data;
+      let raw = null;
       const contentType = response.headers.get('content-type');
       const contentLength = response.headers.get('content-length');
 
@@ -101,11 +132,17 @@ export class BaseApiClient {
         // Handle empty response or non-JSON response (common for DELETE operations)
         const textResponse = await response.text();
         data = textResponse ? { message: textResponse } : { message: 'Operation completed successfully' };
+        raw = textResponse || null;
       } else {
         // Handle JSON response
         try {
           data = await response.json();
+          raw = data;
         } catch (jsonError) {
+          // A timeout or cancellation while reading the body is a failure, not an empty response
+          if (this.getAbortType(jsonError)) {
+            throw jsonError;
+          }
           // Can't read body twice - use generic success message
           data = { message: 'Operation completed successfully' };
         }
@@ -114,26 +151,240 @@ export class BaseApiClient {
       // Extract eTag if present (V2 uses this for optimistic locking)
       const eTag = response.headers.get('etag');
 
+      // Remember the latest eTag and the current case/assignment of the session
+      sessionContextStore.recordResponse(this.config, url, options.method || 'GET', { data, eTag });
+
       return {
         success: true,
         data,
+        raw,
         eTag,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
-      // Handle network and other errors
+      // Handle timeouts, cancellation, network and other errors
+      const type = this.getAbortType(error) || 'CONNECTION_ERROR';
+      const messages = {
+        TIMEOUT: 'Pega API request timed out',
+        CANCELLED: 'Pega API request was cancelled',
+        CONNECTION_ERROR: 'Failed to connect to Pega API'
+      };
+
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
-          message: 'Failed to connect to Pega API',
-          details: error.message,
+          type,
+          message: messages[type],
+          details: error?.message || String(error),
           originalError: error
+        },
+        retries: error?.retries || retries
+      };
+    }
+  }
+
+  /**
+   * Send an authenticated HTTP request, retrying transient failures
+   *
+   * Safe methods (GET, HEAD, OPTIONS) are retried on 429/502/503/504 and on any connection
+   * failure. Other methods are only retried when the connection failed before the request
+   * was sent (e.g. connection refused, DNS failure), so a write is never applied twice.
+   * Delays use jittered exponential backoff; a Retry-After header is honored, and a
+   * Retry-After longer than the maximum delay ends retrying.
+   *
+   * A 401 response (token revoked or expired early) clears the cached OAuth token, and the
+   * request is replayed once with a new token, for every method: Pega did not process it.
+   *
+   * Every attempt is aborted after the request timeout, and immediately when the MCP request
+   * that triggered it is cancelled. The timeout is taken from init.timeout, then from the tool
+   * category (request context), then from the client configuration. The signal stays active
+   * while the caller reads the response body.
+   *
+   * @param {string} url - Full API URL
+   * @param {Object} init - fetch options (Authorization header is added per attempt)
+   * @param {number} [init.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object>} { response, retries }
+   * @throws {Error} Last connection error (type TIMEOUT/CANCELLED when aborted), with error.retries set
+   */
+  async sendRequest(url, init = {}) {
+    const { timeout: requestTimeout, ...fetchOptions } = init;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const isSafe = SAFE_METHODS.includes(method);
+    const { maxRetries } = this.retryConfig;
+    const context = getRequestContext();
+    const timeout = requestTimeout || context.timeout || this.config.pega.requestTimeout || 30000;
+    let retries = 0;
+    let tokenRefreshed = false;
+
+    while (true) {
+      if (context.signal?.aborted) {
+        throw this.createAbortError('CANCELLED', 'Request cancelled by the client', retries);
+      }
+
+      const token = await this.oauth2Client.getAccessToken();
+      const headers = {
+        'Authorization': `Bearer ${token}`,
+        ...fetchOptions.headers
+      };
+
+      const timeoutSignal = AbortSignal.timeout(timeout);
+      const signal = context.signal ? AbortSignal.any([timeoutSignal, context.signal]) : timeoutSignal;
+
+      let response;
+      try {
+        response = await fetch(url, { ...fetchOptions, headers, signal });
+      } catch (error) {
+        if (context.signal?.aborted) {
+          throw this.createAbortError('CANCELLED', 'Request cancelled by the client', retries);
+        }
+        if (timeoutSignal.aborted) {
+          throw this.createAbortError('TIMEOUT', `No response from ${method} ${url} within ${timeout}ms`, retries);
+        }
+
+        if (retries < maxRetries && this.isRetryableError(error, isSafe)) {
+          retries++;
+          const delay = this.getRetryDelay(retries);
+          logger.warn(`🔁 ${method} ${url} failed (${this.getErrorCode(error) || error.message}) - retry ${retries}/${maxRetries} in ${delay}ms`);
+          await this.waitForRetry(delay, context.signal, retries);
+          continue;
+        }
+
+        error.retries = retries;
+        throw error;
+      }
+
+      if (response.status === 401 && !tokenRefreshed && this.oauth2Client.canRefreshToken()) {
+        tokenRefreshed = true;
+        logger.info(`🔐 ${method} ${url} returned HTTP 401 - refreshing access token and replaying once`);
+        if (response.body) {
+          await response.body.cancel().catch(() => {});
+        }
+        this.oauth2Client.clearTokenCache(token);
+        continue;
+      }
+
+      if (isSafe && retries < maxRetries && RETRYABLE_STATUSES.includes(response.status)) {
+        const delay = this.getRetryDelay(retries + 1, response.headers.get('retry-after'));
+        if (delay !== null) {
+          retries++;
+          logger.warn(`🔁 ${method} ${url} returned HTTP ${response.status} - retry ${retries}/${maxRetries} in ${delay}ms`);
+          // Discard the body so the connection can be reused
+          if (response.body) {
+            await response.body.cancel().catch(() => {});
+          }
+          await this.waitForRetry(delay, context.signal, retries);
+          continue;
         }
+      }
+
+      return { response, retries };
+    }
+  }
+
+  /**
+   * Wait before the next retry, ending early when the request is cancelled
+   * @param {number} delay - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @param {number} retries - Retries so far (reported on cancellation)
+   * @returns {Promise<void>}
+   */
+  waitForRetry(delay, signal, retries) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError('CANCELLED', 'Request cancelled by the client', retries));
       };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Create the error thrown for timed out or cancelled requests
+   * @param {string} type - TIMEOUT or CANCELLED
+   * @param {string} message - Error message
+   * @param {number} retries - Retries so far
+   * @returns {Error} Error with type and retries
+   */
+  createAbortError(type, message, retries) {
+    const error = new Error(message);
+    error.name = type === 'TIMEOUT' ? 'TimeoutError' : 'AbortError';
+    error.type = type;
+    error.retries = retries;
+    return error;
+  }
+
+  /**
+   * Classify a failure caused by a timeout or cancellation
+   * Covers errors from sendRequest and aborts while reading a response body.
+   * @param {*} error - Thrown value (abort reasons are not always Error objects)
+   * @returns {string|null} TIMEOUT, CANCELLED or null for other failures
+   */
+  getAbortType(error) {
+    if (error?.type === 'TIMEOUT' || error?.type === 'CANCELLED') {
+      return error.type;
+    }
+    if (getRequestContext().signal?.aborted) {
+      return 'CANCELLED';
     }
+    if (error?.name === 'TimeoutError') {
+      return 'TIMEOUT';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a failed fetch may be retried
+   * @param {Error} error - Error thrown by fetch
+   * @param {boolean} isSafe - Whether the request method is safe to repeat
+   * @returns {boolean} True if the request should be retried
+   */
+  isRetryableError(error, isSafe) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      return false;
+    }
+
+    return isSafe || PRE_SEND_ERROR_CODES.includes(this.getErrorCode(error));
+  }
+
+  /**
+   * Get the system error code of a fetch failure (undici wraps it in error.cause)
+   * @param {Error} error - Error thrown by fetch
+   * @returns {string|undefined} Error code (e.g. ECONNREFUSED)
+   */
+  getErrorCode(error) {
+    return error.cause?.code || error.code;
+  }
+
+  /**
+   * Calculate the delay before the next retry
+   * @param {number} retry - Retry number (1-based)
+   * @param {string|null} [retryAfter] - Retry-After header value (seconds or HTTP date)
+   * @returns {number|null} Delay in milliseconds, or null if Retry-After exceeds the maximum delay
+   */
+  getRetryDelay(retry, retryAfter = null) {
+    const { baseDelay, maxDelay } = this.retryConfig;
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const retryAfterMs = Number.isFinite(seconds)
+        ? seconds * 1000
+        : Date.parse(retryAfter) - Date.now();
+
+      if (!Number.isNaN(retryAfterMs)) {
+        const delay = Math.max(0, Math.round(retryAfterMs));
+        return delay <= maxDelay ? delay : null;
+      }
+    }
+
+    const delay = Math.min(baseDelay * Math.pow(2, retry - 1), maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
   }
 
   /**
@@ -0,0 +1,189 @@
+import { logger } from '../utils/logger.js';
+import { runWithoutContextRecording } from '../utils/request-context.js';
+
+/**
+ * Case ID Resolution
+ *
+ * Pega identifies a case by its full handle ("MYORG-APP-WORK C-1001"), while users refer to it
+ * by the short ID shown in the UI ("C-1001"). A short ID is expanded with the class prefixes of
+ * the application's case types:
+ *
+ *   MyOrg-App-Work-Claim  ->  MYORG-APP-WORK C-1001 (work pool), MYORG-APP-WORK-CLAIM C-1001
+ *
+ * The work pool handles are looked up first and the class handles only if none exists; exactly
+ * one must exist. The handles of a tier are looked up in parallel and the lookups do not change
+ * the session context. Resolved handles and the prefixes are cached per Pega server, since case
+ * IDs are unique per instance.
+ */
+
+// Short case ID as shown in the UI: prefix, dash, number ("C-1001", "WO-12")
+const SHORT_CASE_ID = /^[A-Za-z][A-Za-z0-9]*-\d+$/;
+
+// Assignment ID with a short case ID ("ASSIGN-WORKLIST C-1001!APPROVAL_FLOW")
+const SHORT_ASSIGNMENT_ID = /^(ASSIGN-\S+) ([A-Za-z][A-Za-z0-9]*-\d+)(!.+)$/;
+
+// Resolved handles kept, oldest dropped first
+const MAX_RESOLVED = 500;
+
+/**
+ * Check whether a case ID is a short ID
+ * @param {string} caseID - Case ID
+ * @returns {boolean} Whether the ID has no class prefix
+ */
+export function isShortCaseID(caseID) {
+  return typeof caseID === 'string' && SHORT_CASE_ID.test(caseID.trim());
+}
+
+/**
+ * Split an assignment ID with a short case ID
+ * @param {string} assignmentID - Assignment ID
+ * @returns {Object|null} { prefix, caseID, suffix }, null if the case ID is not short
+ */
+export function parseShortAssignmentID(assignmentID) {
+  const match = typeof assignmentID === 'string' ? SHORT_ASSIGNMENT_ID.exec(assignmentID.trim()) : null;
+  return match ? { prefix: match[1], caseID: match[2], suffix: match[3] } : null;
+}
+
+/**
+ * Get the handle prefixes of a case type
+ * Cases are usually keyed by their work pool (class up to "-Work"), otherwise by their class.
+ * @param {string} caseTypeID - Case type class ("MyOrg-App-Work-Claim")
+ * @returns {Object} { workPool, caseClass }, workPool undefined outside a work pool
+ */
+export function getHandlePrefixes(caseTypeID) {
+  const segments = String(caseTypeID || '').toUpperCase().split('-');
+  const workIndex = segments.indexOf('WORK');
+
+  return {
+    workPool: workIndex > 0 ? segments.slice(0, workIndex + 1).join('-') : undefined,
+    caseClass: segments.length > 1 ? segments.join('-') : undefined
+  };
+}
+
+export class CaseIdResolver {
+  constructor() {
+    // Map<baseUrl, [workPools, classes]> - handle prefixes of the case types
+    this.prefixes = new Map();
+    // Map<baseUrl|shortID, string> - resolved handles
+    this.resolved = new Map();
+  }
+
+  /**
+   * Resolve a short case ID to the full case handle
+   * @param {Object} pegaClient - PegaClient of the session
+   * @param {string} shortID - Short case ID ("C-1001")
+   * @returns {Promise<Object>} { success, caseID } or { success: false, error: { type, message, details, candidates } }
+   */
+  async resolveCaseID(pegaClient, shortID) {
+    const baseUrl = pegaClient.config.pega.baseUrl;
+    const id = shortID.trim().toUpperCase();
+    const key = `${baseUrl}|${id}`;
+
+    if (this.resolved.has(key)) {
+      return { success: true, caseID: this.resolved.get(key) };
+    }
+
+    const prefixResult = await this.getPrefixes(pegaClient);
+    if (!prefixResult.success) {
+      return {
+        success: false,
+        error: {
+          type: 'RESOLUTION_FAILED',
+          message: `Could not expand the short case ID ${id}`,
+          details: `The case types could not be read: ${prefixResult.error?.message || 'Unknown error'}`,
+          candidates: []
+        }
+      };
+    }
+
+    const candidates = [];
+    const matches = [];
+    let lookupError = null;
+
+    for (const prefixes of prefixResult.tiers) {
+      const tier = prefixes.map(prefix => `${prefix} ${id}`);
+      candidates.push(...tier);
+
+      const lookups = await runWithoutContextRecording(() =>
+        Promise.all(tier.map(candidate => pegaClient.getCase(candidate, { viewType: 'none' })))
+      );
+      lookups.forEach((lookup, index) => {
+        if (lookup.success) {
+          matches.push(tier[index]);
+        } else if (lookup.error?.type !== 'NOT_FOUND') {
+          lookupError = lookup.error;
+        }
+      });
+
+      if (matches.length > 0) {
+        break;
+      }
+    }
+
+    if (matches.length === 1) {
+      logger.debug(`🔎 Resolved case ID ${id} to ${matches[0]}`);
+      this.resolved.set(key, matches[0]);
+      if (this.resolved.size > MAX_RESOLVED) {
+        this.resolved.delete(this.resolved.keys().next().value);
+      }
+      return { success: true, caseID: matches[0] };
+    }
+
+    if (matches.length > 1) {
+      return {
+        success: false,
+        error: {
+          type: 'AMBIGUOUS_CASE_ID',
+          message: `The short case ID ${id} matches ${matches.length} cases`,
+          details: 'Pass the full case ID of the intended case',
+          candidates: matches
+        }
+      };
+    }
+
+    return {
+      success: false,
+      error: {
+        type: lookupError ? 'RESOLUTION_FAILED' : 'NOT_FOUND',
+        message: lookupError
+          ? `Could not confirm the short case ID ${id}`
+          : `No case found for the short case ID ${id}`,
+        details: lookupError
+          ? `A lookup failed: ${lookupError.message}`
+          : `None of the case types of the application has a case ${id}`,
+        candidates
+      }
+    };
+  }
+
+  /**
+   * Get the handle prefixes of the application's case types, cached per server
+   * @param {Object} pegaClient - PegaClient of the session
+   * @returns {Promise<Object>} { success, tiers: [workPools, classes] } or { success: false, error }
+   */
+  async getPrefixes(pegaClient) {
+    const baseUrl = pegaClient.config.pega.baseUrl;
+    if (this.prefixes.has(baseUrl)) {
+      return { success: true, tiers: this.prefixes.get(baseUrl) };
+    }
+
+    const result = await pegaClient.getCaseTypes();
+    if (!result.success) {
+      return result;
+    }
+
+    const prefixes = (result.normalized?.caseTypes || []).map(caseType => getHandlePrefixes(caseType.ID));
+    const workPools = [...new Set(prefixes.map(prefix => prefix.workPool).filter(Boolean))];
+    const classes = [...new Set(prefixes.map(prefix => prefix.caseClass).filter(Boolean))]
+      .filter(caseClass => !workPools.includes(caseClass));
+    const tiers = [workPools, classes];
+
+    // An application without case types is not cached, it may not be deployed yet
+    if (workPools.length > 0 || classes.length > 0) {
+      this.prefixes.set(baseUrl, tiers);
+    }
+    return { success: true, tiers };
+  }
+}
+
+export const caseIdResolver = new CaseIdResolver();
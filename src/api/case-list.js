@@ -0,0 +1,213 @@
+/**
+ * Case List Queries
+ *
+ * get_cases lists cases with the same filters, sorting, pagination and case shape on both
+ * API versions:
+ * - V1 filters, sorts and pages the result of GET /cases (max 500 cases) in the MCP server
+ * - V2 queries list data views (POST /data_views/{ID}) with a filter, sortBy and paging
+ *
+ * Cases have the shape of the V1 GET /cases response:
+ *   { ID, parentCaseID, caseTypeID, name, stage, status, urgency, createTime, createdBy,
+ *     lastUpdateTime, lastUpdatedBy }
+ */
+
+/**
+ * Case properties get_cases sorts by, and the data view field of each
+ */
+export const CASE_SORT_FIELDS = {
+  createTime: 'pxCreateDateTime',
+  lastUpdateTime: 'pxUpdateDateTime',
+  urgency: 'pxUrgencyWork',
+  status: 'pyStatusWork',
+  ID: 'pyID'
+};
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 500;
+
+// Maximum rows a data view query returns (paging.pageSize / maxResultsToFetch)
+export const MAX_DATA_VIEW_RESULTS = 5000;
+
+/**
+ * Apply defaults to get_cases options
+ * @param {Object} options - get_cases options
+ * @returns {Object} Options with sortBy, sortOrder, pageNumber and pageSize set
+ */
+export function withCaseListDefaults(options = {}) {
+  return {
+    ...options,
+    sortBy: options.sortBy || 'createTime',
+    sortOrder: options.sortOrder === 'DESC' ? 'DESC' : 'ASC',
+    pageNumber: options.pageNumber || 1,
+    pageSize: options.pageSize || DEFAULT_PAGE_SIZE
+  };
+}
+
+/**
+ * Parse a Pega date-time (ISO or "20250101T120000.000 GMT")
+ * @param {string} value - Date-time
+ * @returns {number|null} Milliseconds since epoch, null if not a date-time
+ */
+export function parsePegaDateTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const pega = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\.\d+)? GMT$/.exec(value);
+  const time = pega
+    ? Date.parse(`${pega[1]}-${pega[2]}-${pega[3]}T${pega[4]}:${pega[5]}:${pega[6]}${pega[7] || ''}Z`)
+    : Date.parse(value);
+
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Get the created date-time range of the filters
+ * A date without time in createdBefore includes the whole day.
+ * @param {Object} options - get_cases options
+ * @returns {Object} { after, before } in milliseconds since epoch, null when not filtered
+ */
+export function getCreatedRange(options) {
+  let before = parsePegaDateTime(options.createdBefore);
+  if (before !== null && /^\d{4}-\d{2}-\d{2}$/.test(options.createdBefore)) {
+    before += 24 * 60 * 60 * 1000 - 1;
+  }
+
+  return { after: parsePegaDateTime(options.createdAfter), before };
+}
+
+/**
+ * Map a row of a case list data view to a case
+ * @param {Object} row - Data view row
+ * @returns {Object} Case
+ */
+export function fromDataViewRow(row) {
+  return {
+    ID: row.pzInsKey || row.pyID,
+    parentCaseID: row.pxCoverInsKey || undefined,
+    caseTypeID: row.pxObjClass,
+    name: row.pyLabel,
+    stage: row.pxCurrentStageLabel || row.pxCurrentStage,
+    status: row.pyStatusWork,
+    urgency: parseInt(row.pxUrgencyWork) || 0,
+    createTime: row.pxCreateDateTime,
+    createdBy: row.pxCreateOperator || row.pxCreateOpName,
+    lastUpdateTime: row.pxUpdateDateTime,
+    lastUpdatedBy: row.pxUpdateOperator || row.pxUpdateOpName
+  };
+}
+
+/**
+ * Build the query of a case list data view
+ * @param {Object} options - get_cases options (with defaults)
+ * @param {boolean} filterCaseType - Filter on the case type (data views that are not specific to it)
+ * @returns {Object} query with filter (when filtering) and sortBy
+ */
+export function buildCaseListQuery(options, filterCaseType) {
+  const conditions = [];
+
+  if (filterCaseType && options.caseTypeID) {
+    conditions.push({ lhs: { field: 'pxObjClass' }, comparator: 'EQ', rhs: { value: options.caseTypeID } });
+  }
+  if (options.status) {
+    conditions.push({ ignoreCase: true, lhs: { field: 'pyStatusWork' }, comparator: 'EQ', rhs: { value: options.status } });
+  }
+  if (options.owner) {
+    conditions.push({ ignoreCase: true, lhs: { field: 'pxCreateOperator' }, comparator: 'EQ', rhs: { value: options.owner } });
+  }
+
+  const created = getCreatedRange(options);
+  if (created.after !== null) {
+    conditions.push({ lhs: { field: 'pxCreateDateTime' }, comparator: 'GTE', rhs: { value: new Date(created.after).toISOString() } });
+  }
+  if (created.before !== null) {
+    conditions.push({ lhs: { field: 'pxCreateDateTime' }, comparator: 'LTE', rhs: { value: new Date(created.before).toISOString() } });
+  }
+
+  const query = {
+    sortBy: [{ field: CASE_SORT_FIELDS[options.sortBy], type: options.sortOrder }]
+  };
+
+  if (conditions.length > 0) {
+    const filterConditions = {};
+    conditions.forEach((condition, index) => {
+      filterConditions[`F${index + 1}`] = condition;
+    });
+
+    query.filter = {
+      filterConditions,
+      logic: Object.keys(filterConditions).join(' AND ')
+    };
+  }
+
+  return query;
+}
+
+/**
+ * Check whether a case matches the filters of get_cases (V1 client-side filtering)
+ * @param {Object} caseObj - Case
+ * @param {Object} options - get_cases options
+ * @returns {boolean} Whether the case matches
+ */
+export function matchesCaseFilters(caseObj, options) {
+  const equalsIgnoreCase = (value, expected) => String(value || '').toLowerCase() === String(expected).toLowerCase();
+
+  if (options.caseTypeID && caseObj.caseTypeID !== options.caseTypeID) {
+    return false;
+  }
+  if (options.status && !equalsIgnoreCase(caseObj.status, options.status)) {
+    return false;
+  }
+  if (options.owner && !equalsIgnoreCase(caseObj.createdBy, options.owner)) {
+    return false;
+  }
+
+  const range = getCreatedRange(options);
+  const created = parsePegaDateTime(caseObj.createTime);
+  if (range.after !== null && (created === null || created < range.after)) {
+    return false;
+  }
+  if (range.before !== null && (created === null || created > range.before)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Compare two cases by a sort property
+ * @param {Object} a - Case
+ * @param {Object} b - Case
+ * @param {string} sortBy - Key of CASE_SORT_FIELDS
+ * @param {string} sortOrder - 'ASC' or 'DESC'
+ * @returns {number} Comparison result
+ */
+export function compareCases(a, b, sortBy, sortOrder) {
+  let result;
+
+  if (sortBy === 'createTime' || sortBy === 'lastUpdateTime') {
+    result = (parsePegaDateTime(a[sortBy]) ?? 0) - (parsePegaDateTime(b[sortBy]) ?? 0);
+  } else if (sortBy === 'urgency') {
+    result = (a.urgency || 0) - (b.urgency || 0);
+  } else {
+    result = String(a[sortBy] || '').localeCompare(String(b[sortBy] || ''), undefined, { numeric: true });
+  }
+
+  return sortOrder === 'DESC' ? -result : result;
+}
+
+/**
+ * Get one page of a sorted case list
+ * @param {Array} cases - All matching cases, sorted
+ * @param {Object} options - get_cases options (with defaults)
+ * @returns {Object} { cases, hasMoreResults }
+ */
+export function getCasePage(cases, options) {
+  const start = (options.pageNumber - 1) * options.pageSize;
+  const end = start + options.pageSize;
+
+  return {
+    cases: cases.slice(start, end),
+    hasMoreResults: cases.length > end
+  };
+}
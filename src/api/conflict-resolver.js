@@ -0,0 +1,245 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * eTag Conflict Resolution
+ *
+ * When an action is submitted with an eTag that is no longer current (HTTP 409/412 because
+ * someone else updated the case), the `merge` conflict strategy resubmits it with the current
+ * eTag as long as the submitted changes do not overlap with the other update:
+ *
+ *   original  case content at the submitted eTag (snapshot recorded when the case was read)
+ *   current   case content at the current eTag (the whole case, read again after the conflict)
+ *   changes   content the action submits
+ *
+ * A field is in conflict when the other update changed it (original !== current) to something
+ * other than the submitted value. Embedded pages are compared field by field.
+ *
+ * Snapshots are scoped by server and credentials, so content one user read is never compared
+ * with (or reported in) the conflict of another.
+ */
+
+export const CONFLICT_STRATEGIES = ['fail', 'merge'];
+
+// Error types of a stale eTag (409 Conflict, 412 Precondition Failed)
+const CONFLICT_ERROR_TYPES = ['CONFLICT', 'PRECONDITION_FAILED'];
+
+// Snapshots kept, oldest dropped first
+const MAX_SNAPSHOTS = 500;
+
+const snapshots = new Map();
+
+/**
+ * Build the key of a content snapshot
+ * @param {string} scope - Pega base URL and credentials key (see PegaClient.getCacheScope)
+ * @param {string} caseID - Case ID
+ * @param {string} eTag - eTag of the content
+ * @returns {string} Snapshot key
+ */
+function snapshotKey(scope, caseID, eTag) {
+  return `${scope}|${caseID}|${eTag}`;
+}
+
+/**
+ * Record the case content read at an eTag, the original of a later conflict
+ * @param {string} scope - Pega base URL and credentials key
+ * @param {string} caseID - Case ID
+ * @param {string} eTag - eTag of the response
+ * @param {Object} content - Case content
+ */
+export function recordContentSnapshot(scope, caseID, eTag, content) {
+  if (!caseID || !eTag || !content || typeof content !== 'object') {
+    return;
+  }
+
+  const key = snapshotKey(scope, caseID, eTag);
+  const previous = snapshots.get(key);
+  snapshots.delete(key);
+  // Form responses only contain the fields of the form, so reads at the same eTag add up
+  snapshots.set(key, { ...previous, ...content });
+
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+}
+
+/**
+ * Get the case content recorded at an eTag
+ * @param {string} scope - Pega base URL and credentials key
+ * @param {string} caseID - Case ID
+ * @param {string} eTag - eTag
+ * @returns {Object|null} Case content, null if the case was not read at this eTag with these credentials
+ */
+export function getContentSnapshot(scope, caseID, eTag) {
+  return snapshots.get(snapshotKey(scope, caseID, eTag)) || null;
+}
+
+/**
+ * Check whether a failed result is a stale eTag conflict
+ * @param {Object} result - API client result
+ * @returns {boolean} Whether the result is a 409/412 conflict
+ */
+export function isETagConflict(result) {
+  return !result.success && CONFLICT_ERROR_TYPES.includes(result.error?.type);
+}
+
+/**
+ * Check whether a value is a plain object (embedded page)
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is an embedded page
+ */
+function isPage(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two property values
+ * Pega returns scalars as strings, so 5 and "5" are the same value.
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} Whether the values are equal
+ */
+function sameValue(a, b) {
+  if (isPage(a) || Array.isArray(a) || isPage(b) || Array.isArray(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * Three-way merge of submitted changes with the other update of the case
+ * @param {Object} original - Content at the submitted eTag
+ * @param {Object} current - Content at the current eTag
+ * @param {Object} changes - Submitted content
+ * @param {string} [prefix] - Path of the embedded page being merged
+ * @returns {Object} { conflicts: [{ field, original, current, submitted }], changedByOthers: [field] }
+ */
+export function mergeChanges(original = {}, current = {}, changes = {}, prefix = '') {
+  const conflicts = [];
+  const changedByOthers = [];
+
+  for (const [key, submitted] of Object.entries(changes || {})) {
+    const path = `${prefix}${key}`;
+    const originalValue = original?.[key];
+    const currentValue = current?.[key];
+
+    if (isPage(submitted) && isPage(currentValue)) {
+      const page = mergeChanges(isPage(originalValue) ? originalValue : {}, currentValue, submitted, `${path}.`);
+      conflicts.push(...page.conflicts);
+      changedByOthers.push(...page.changedByOthers);
+    } else if (!sameValue(originalValue, currentValue)) {
+      if (sameValue(currentValue, submitted)) {
+        changedByOthers.push(path);
+      } else {
+        conflicts.push({ field: path, original: originalValue, current: currentValue, submitted });
+      }
+    }
+  }
+
+  // Fields the other update changed that the action does not touch are kept
+  if (!prefix) {
+    for (const key of Object.keys(current || {})) {
+      if (!(key in (changes || {})) && key in (original || {}) && !sameValue(original[key], current[key])) {
+        changedByOthers.push(key);
+      }
+    }
+  }
+
+  return { conflicts, changedByOthers };
+}
+
+/**
+ * Check page instructions against the other update
+ * Page instructions replace or edit whole embedded pages, so a page the other update changed
+ * is a conflict.
+ * @param {Object} original - Content at the submitted eTag
+ * @param {Object} current - Content at the current eTag
+ * @param {Array} pageInstructions - Submitted page instructions
+ * @returns {Array} Conflicts
+ */
+function checkPageInstructions(original = {}, current = {}, pageInstructions = []) {
+  const conflicts = [];
+
+  for (const { instruction, target } of pageInstructions) {
+    const page = String(target || '').replace(/^\./, '').split(/[.(]/)[0];
+    if (page && !sameValue(original[page], current[page])) {
+      conflicts.push({ field: page, original: original[page], current: current[page], submitted: `${instruction} page instruction` });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Resubmit an action that failed with a stale eTag when its changes do not overlap with the
+ * other update of the case
+ * @param {Object} result - Failed result of the submission
+ * @param {Object} submission - What was submitted
+ * @param {string} submission.scope - Pega base URL and credentials key of the snapshots
+ * @param {string} submission.eTag - Submitted eTag
+ * @param {Object} [submission.content] - Submitted content
+ * @param {Array} [submission.pageInstructions] - Submitted page instructions
+ * @param {Function} submission.refetch - Reads the whole case again; resolves to a normalized case result
+ * @param {Function} submission.resubmit - Submits again with (eTag); resolves to an API client result
+ * @returns {Promise<Object>} Result of the resubmission with `conflictResolution`, or a MERGE_CONFLICT error
+ */
+export async function resubmitOnConflict(result, submission) {
+  const { scope, eTag, content = {}, pageInstructions = [], refetch, resubmit } = submission;
+
+  const fresh = await refetch();
+  if (!fresh.success || !fresh.eTag || fresh.eTag === eTag) {
+    // Not a stale eTag (e.g. an invalid action) or the case cannot be read: keep the original error
+    return result;
+  }
+
+  const caseModel = fresh.normalized || {};
+  const caseID = caseModel.ID;
+  const current = caseModel.content || {};
+  const original = getContentSnapshot(scope, caseID, eTag);
+
+  const mergeError = (message, details, conflicts = []) => ({
+    success: false,
+    error: {
+      type: 'MERGE_CONFLICT',
+      message,
+      details,
+      status: result.error.status,
+      conflicts,
+      originalETag: eTag,
+      currentETag: fresh.eTag,
+      originalError: result.error
+    }
+  });
+
+  if (!original) {
+    return mergeError(
+      'The case was updated by someone else and the changes cannot be merged',
+      `The case content at eTag ${eTag} is not known to this server, so other changes cannot be told apart from yours. Read the case again and resubmit with the current eTag.`
+    );
+  }
+
+  const merge = mergeChanges(original, current, content);
+  const conflicts = [...merge.conflicts, ...checkPageInstructions(original, current, pageInstructions)];
+
+  if (conflicts.length > 0) {
+    return mergeError(
+      'The case was updated by someone else and the changes overlap',
+      `${conflicts.length} field(s) were changed by the other update: ${conflicts.map(conflict => conflict.field).join(', ')}`,
+      conflicts
+    );
+  }
+
+  logger.info(`🔀 eTag conflict on ${caseID}: changes do not overlap, resubmitting with eTag ${fresh.eTag}`);
+  const retried = await resubmit(fresh.eTag);
+
+  if (!retried.success) {
+    return retried;
+  }
+
+  retried.conflictResolution = {
+    originalETag: eTag,
+    mergedETag: fresh.eTag,
+    submittedFields: Object.keys(content),
+    changedByOthers: merge.changedByOthers
+  };
+  return retried;
+}
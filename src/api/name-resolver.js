@@ -0,0 +1,224 @@
+import { logger } from '../utils/logger.js';
+import { runWithoutContextRecording } from '../utils/request-context.js';
+import { sessionContextStore } from '../session/context-store.js';
+
+/**
+ * Action and Case Type Name Resolution
+ *
+ * Pega expects IDs ("pyUpdateCaseDetails", "MyOrg-App-Work-Claim"), which are case-sensitive
+ * and often differ from the display names users see ("Edit details", "Claim"). A value is
+ * matched against the known options:
+ *
+ *   1. Exact ID                          - used as is
+ *   2. ID ignoring case, or display name - rewritten to the ID
+ *
+ * Any other value is passed to Pega unchanged, so IDs Pega accepts but does not list (e.g.
+ * hidden actions) keep working. Only when Pega rejects it are the closest options by fuzzy
+ * score suggested; a value is never rewritten on a guess.
+ *
+ * The actions of a case are taken from the case reads of the session (see recordActions) and
+ * read again only when the case has changed since.
+ */
+
+// Score below which an option is not suggested
+const SUGGESTION_SCORE = 0.4;
+
+// Suggestions listed for a rejected value
+const MAX_SUGGESTIONS = 3;
+
+// Cases whose actions are kept, least recently read dropped first
+const MAX_CASES = 500;
+
+/**
+ * Normalize a value for comparison: lowercase letters and digits, without the "py" prefix
+ * @param {string} value - ID or name
+ * @returns {string} Normalized value
+ */
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '').replace(/^py(?=[a-z])/, '');
+}
+
+/**
+ * Similarity of two strings from their edit distance
+ * @param {string} a - Normalized value
+ * @param {string} b - Normalized value
+ * @returns {number} Score from 0 (unrelated) to 1 (equal)
+ */
+export function similarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  const score = 1 - previous[b.length] / Math.max(a.length, b.length);
+
+  // "approve" in "pyApproveClaim": a value contained in an option is closer than its distance says
+  const contained = a.length >= 4 && b.length >= 4 && (a.includes(b) || b.includes(a));
+  return contained ? Math.max(score, 0.5 + 0.5 * Math.min(a.length, b.length) / Math.max(a.length, b.length)) : score;
+}
+
+/**
+ * Match a value against options
+ * @param {string} value - ID or display name given by the user
+ * @param {Array<Object>} options - { ID, name } options
+ * @returns {Object} { status: 'exact'|'resolved'|'unknown', ID, match: 'ID'|'name' }
+ */
+export function matchName(value, options) {
+  const candidates = (options || []).filter(option => option && option.ID);
+  const text = String(value || '').trim();
+
+  if (candidates.some(option => option.ID === text)) {
+    return { status: 'exact', ID: text };
+  }
+
+  const lower = text.toLowerCase();
+  const byID = candidates.filter(option => option.ID.toLowerCase() === lower);
+  if (byID.length === 1) {
+    return { status: 'resolved', ID: byID[0].ID, match: 'ID' };
+  }
+
+  const byName = candidates.filter(option => option.name && option.name.trim().toLowerCase() === lower);
+  if (byName.length === 1) {
+    return { status: 'resolved', ID: byName[0].ID, match: 'name' };
+  }
+
+  return { status: 'unknown' };
+}
+
+/**
+ * Get the options closest to a value, for a value Pega rejected
+ * @param {string} value - ID or display name given by the user
+ * @param {Array<Object>} options - { ID, name } options
+ * @returns {Array<Object>} Up to MAX_SUGGESTIONS { ID, name, score }, best first
+ */
+export function suggestNames(value, options) {
+  const normalized = normalizeName(value);
+
+  return (options || [])
+    .filter(option => option && option.ID)
+    .map(option => ({
+      ID: option.ID,
+      name: option.name,
+      score: Math.max(similarity(normalized, normalizeName(option.ID)), similarity(normalized, normalizeName(option.name)))
+    }))
+    .filter(option => option.score >= SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+export class NameResolver {
+  constructor() {
+    // Map<scope|caseID, { sessionETag, availableActions, assignments }> - actions of the cases read
+    this.actions = new Map();
+    // Map<baseUrl, Array<{ID, name}>> - case types of the application
+    this.caseTypes = new Map();
+  }
+
+  /**
+   * Remember the actions of a case read by PegaClient.getCase
+   * @param {string} scope - Server and credentials (PegaClient.getCacheScope), actions depend on the user
+   * @param {Object} caseModel - Normalized case
+   */
+  recordActions(scope, caseModel) {
+    if (!caseModel?.ID) {
+      return;
+    }
+
+    const key = `${scope}|${caseModel.ID}`;
+    this.actions.delete(key);
+    this.actions.set(key, {
+      // Latest eTag of the case the session had seen when it was read
+      sessionETag: caseModel.eTag || null,
+      availableActions: caseModel.availableActions || [],
+      assignments: caseModel.assignments || []
+    });
+
+    if (this.actions.size > MAX_CASES) {
+      this.actions.delete(this.actions.keys().next().value);
+    }
+  }
+
+  /**
+   * Resolve an action ID against the actions of a case
+   * Case-wide actions come from availableActions, assignment actions from the assignment's actions.
+   * The case is read (without changing the session context) only when its actions are not known,
+   * the assignment is not among them or the session has seen a newer eTag of the case.
+   * @param {Object} pegaClient - PegaClient of the session
+   * @param {string} actionID - Action ID or display name
+   * @param {Object} target - { caseID, assignmentID }
+   * @returns {Promise<Object>} matchName result with `options` (empty if the case cannot be read)
+   */
+  async resolveActionID(pegaClient, actionID, { caseID, assignmentID }) {
+    const key = `${pegaClient.getCacheScope()}|${caseID}`;
+    const latestETag = sessionContextStore.getETag(pegaClient.config, { caseID });
+
+    let known = this.actions.get(key);
+    const stale = !known ||
+      (assignmentID && !known.assignments.some(assignment => assignment.ID === assignmentID)) ||
+      (latestETag && latestETag !== known.sessionETag);
+
+    if (stale) {
+      const result = await runWithoutContextRecording(() => pegaClient.getCase(caseID, { viewType: 'none' }));
+      if (!result.success) {
+        logger.debug(`Action ID ${actionID} not checked: case ${caseID} could not be read`);
+        return { status: 'unknown', options: [] };
+      }
+      known = this.actions.get(key);
+      if (known) {
+        // The read is not recorded in the session context, whose eTag stays the reference
+        known.sessionETag = latestETag || result.eTag || null;
+      }
+    }
+
+    const assignments = (known?.assignments || []).filter(assignment => !assignmentID || assignment.ID === assignmentID);
+    const options = [
+      ...assignments.flatMap(assignment => assignment.actions || []),
+      ...(assignmentID ? [] : known?.availableActions || [])
+    ];
+
+    return { ...matchName(actionID, options), options };
+  }
+
+  /**
+   * Resolve a case type ID against the case types of the application
+   * @param {Object} pegaClient - PegaClient of the session
+   * @param {string} caseTypeID - Case type ID or display name
+   * @returns {Promise<Object>} matchName result with `options` (empty if the case types cannot be read)
+   */
+  async resolveCaseTypeID(pegaClient, caseTypeID) {
+    const baseUrl = pegaClient.config.pega.baseUrl;
+
+    if (!this.caseTypes.has(baseUrl)) {
+      const result = await pegaClient.getCaseTypes();
+      if (!result.success) {
+        logger.debug(`Case type ID ${caseTypeID} not checked: case types could not be read`);
+        return { status: 'unknown', options: [] };
+      }
+      this.caseTypes.set(baseUrl, (result.normalized?.caseTypes || []).map(({ ID, name }) => ({ ID, name })));
+    }
+
+    const options = this.caseTypes.get(baseUrl);
+    const match = matchName(caseTypeID, options);
+
+    // A case type added since the list was read is looked up again once
+    if (match.status === 'unknown') {
+      this.caseTypes.delete(baseUrl);
+    }
+
+    return { ...match, options };
+  }
+}
+
+export const nameResolver = new NameResolver();
@@ -1,5 +1,16 @@
 import { PegaV1Client } from './v1/client-v1.js';
 import { PegaV2Client } from './v2/client-v2.js';
+import { apiVersionDetector } from './api-version-detector.js';
+import {
+  normalizeCase,
+  normalizeAssignment,
+  normalizeAction,
+  normalizeActionResult,
+  normalizeCaseTypes
+} from './response-normalizer.js';
+import { recordContentSnapshot, isETagConflict, resubmitOnConflict } from './conflict-resolver.js';
+import { nameResolver } from './name-resolver.js';
+import { getCaseIDFromAssignmentID } from '../session/context-store.js';
 import { config } from '../config.js';
 
 /**
@@ -12,6 +23,18 @@ import { config } from '../config.js';
  * - Determined by PEGA_API_VERSION environment variable
  * - Supports session-based configuration override
  * - Default: v2 (Constellation DX API)
+ * - auto: probes the instance before the first request (see ApiVersionDetector) and routes
+ *   to the detected version; V2 is used until detection has run
+ *
+ * Response Model:
+ * - Case, assignment, action and case type methods add `normalized` (the version-agnostic model
+ *   of response-normalizer.js) and `raw` (the payload as received) to successful results;
+ *   `data` keeps the version-specific payload
+ *
+ * Conflict Strategy:
+ * - performCaseAction and performAssignmentAction accept `conflictStrategy` (default:
+ *   PEGA_CONFLICT_STRATEGY or 'fail'). With 'merge', a 409/412 stale eTag conflict is resolved
+ *   by a three-way merge (see conflict-resolver.js) and the action resubmitted with the current eTag
  *
  * Supported Versions:
  * - v1: Traditional DX API (Base URL: /api/v1/)
@@ -20,7 +43,7 @@ import { config } from '../config.js';
  *
  * - v2: Constellation DX API (Base URL: /api/application/v2/)
  *   - Features: Full feature set with eTag, participants, followers, tags, etc.
- *   - Limitations: No getAllCases (use Data Views), no direct updateCase (use actions)
+ *   - Limitations: No getAllCases (getCases queries Data Views), updateCase runs a case-wide edit action
  *
  * @example
  * // Use default environment configuration
@@ -43,31 +66,82 @@ export class PegaClient {
    */
   constructor(sessionConfig = null) {
     // Use session config if provided, otherwise use environment config
-    const clientConfig = sessionConfig || config;
+    this.config = sessionConfig || config;
 
     // Get API version from config
-    const apiVersion = clientConfig.pega?.apiVersion || 'v2';
-
-    // Create version-specific client
-    if (apiVersion === 'v1') {
-      this.client = new PegaV1Client(clientConfig);
-      this.apiVersion = 'v1';
-    } else if (apiVersion === 'v2') {
-      this.client = new PegaV2Client(clientConfig);
-      this.apiVersion = 'v2';
+    const apiVersion = this.config.pega?.apiVersion || 'v2';
+
+    // Auto mode starts on V2 and switches once the detected version is known
+    this.autoDetect = apiVersion === 'auto';
+    this.detection = null;
+
+    if (this.autoDetect) {
+      this.useApiVersion('v2');
+      this.detection = apiVersionDetector.getCached(this.config, this.client.oauth2Client);
+      if (this.detection) {
+        this.useApiVersion(this.detection.apiVersion);
+      }
+    } else if (apiVersion === 'v1' || apiVersion === 'v2') {
+      this.useApiVersion(apiVersion);
     } else {
-      throw new Error(`Unsupported API version: ${apiVersion}. Supported versions: v1, v2`);
+      throw new Error(`Unsupported API version: ${apiVersion}. Supported versions: v1, v2, auto`);
+    }
+  }
+
+  /**
+   * Create the version-specific client
+   * @private
+   * @param {string} apiVersion - 'v1' or 'v2'
+   */
+  useApiVersion(apiVersion) {
+    if (this.client && this.apiVersion === apiVersion) {
+      return;
+    }
+
+    this.client = apiVersion === 'v1'
+      ? new PegaV1Client(this.config)
+      : new PegaV2Client(this.config);
+    this.apiVersion = apiVersion;
+  }
+
+  /**
+   * Resolve the API version, probing the instance in auto mode
+   * Called before every API method; detection results are cached per session credentials.
+   * @returns {Promise<string>} API version ('v1' or 'v2')
+   */
+  async resolveApiVersion() {
+    if (this.autoDetect) {
+      this.detection = await apiVersionDetector.detect(this.config, this.client.oauth2Client);
+      this.useApiVersion(this.detection.apiVersion);
     }
+    return this.apiVersion;
+  }
+
+  /**
+   * Get the API version detection result
+   * @returns {Object|null} Result of ApiVersionDetector.detect(), null if not in auto mode or not detected yet
+   */
+  getApiVersionDetection() {
+    return this.detection;
   }
 
   /**
    * Get current API version
+   * In auto mode this is V2 until resolveApiVersion() has run.
    * @returns {string} API version ('v1' or 'v2')
    */
   getApiVersion() {
     return this.apiVersion;
   }
 
+  /**
+   * Check whether rejected requests are retried with a new access token
+   * @returns {boolean} True in OAuth mode, false for direct access tokens
+   */
+  canRefreshToken() {
+    return this.client.oauth2Client.canRefreshToken();
+  }
+
   /**
    * Check if a feature is available in the current API version
    * @param {string} feature - Feature name to check
@@ -77,7 +151,6 @@ export class PegaClient {
     // V1-only features (not available in V2)
     const v1OnlyFeatures = [
       'getAllCases',      // V1: GET /cases, V2: Use Data Views
-      'updateCase',       // V1: PUT /cases/{ID}, V2: Use case actions
       'getAllAssignments' // V1: GET /assignments, V2: Use Data Views
     ];
 
@@ -103,6 +176,62 @@ export class PegaClient {
     }
   }
 
+  /**
+   * Add the canonical response model to a successful result
+   * @private
+   * @param {Object} result - Result of a version-specific client method
+   * @param {Function} normalizer - Function of response-normalizer.js
+   * @param {...*} args - Extra normalizer arguments (requested IDs)
+   * @returns {Object} The result with `normalized` and `raw`
+   */
+  normalize(result, normalizer, ...args) {
+    if (!result?.success || !result.data) {
+      return result;
+    }
+
+    // Body as received; V1 methods pass it along next to their transformed `data`
+    result.raw = result.raw ?? null;
+    result.normalized = {
+      ...normalizer(result.data, result.eTag ?? null, ...args),
+      apiVersion: this.apiVersion
+    };
+
+    // Remember the content read at this eTag as the original of a later conflict
+    const caseModel = result.normalized.case || result.normalized;
+    recordContentSnapshot(
+      this.getCacheScope(),
+      result.normalized.caseID || caseModel.ID,
+      result.eTag,
+      caseModel.content
+    );
+    return result;
+  }
+
+  /**
+   * Apply the conflict strategy to the result of submitting an action
+   * @private
+   * @param {Object} result - Result of the submission
+   * @param {string} [strategy] - 'fail' or 'merge' (default: configured conflictStrategy)
+   * @param {Object} submission - eTag, content, pageInstructions, refetch and resubmit (see resubmitOnConflict)
+   * @returns {Promise<Object>} The result, or the result of the merged resubmission
+   */
+  async applyConflictStrategy(result, strategy, submission) {
+    if ((strategy || this.config.pega.conflictStrategy) !== 'merge' || !submission.eTag || !isETagConflict(result)) {
+      return result;
+    }
+
+    return resubmitOnConflict(result, { ...submission, scope: this.getCacheScope() });
+  }
+
+  /**
+   * Get the scope of cached user-specific content (content snapshots, case actions):
+   * the server and the credentials reading it
+   * @returns {string} Cache scope
+   */
+  getCacheScope() {
+    return `${this.config.pega.baseUrl}|${this.client.oauth2Client.sharedTokenKey}`;
+  }
+
   /**
    * Throw error for unsupported features
    * @private
@@ -153,13 +282,23 @@ export class PegaClient {
     return this.client.getAllCases();
   }
 
+  /**
+   * List cases with filters, sorting and pagination
+   * V1 filters the result of GET /cases, V2 queries case list data views (see case-list.js)
+   * @param {Object} options - Filter, sort and paging options
+   * @returns {Promise<Object>} Cases array and paging metadata
+   */
+  async getCases(options = {}) {
+    return this.client.getCases(options);
+  }
+
   /**
    * Create a new case
    * @param {Object} options - Case creation options
    * @returns {Promise<Object>} Created case information
    */
   async createCase(options) {
-    return this.client.createCase(options);
+    return this.normalize(await this.client.createCase(options), normalizeActionResult);
   }
 
   /**
@@ -169,21 +308,24 @@ export class PegaClient {
    * @returns {Promise<Object>} Case details
    */
   async getCase(caseID, options = {}) {
-    return this.client.getCase(caseID, options);
+    const result = this.normalize(await this.client.getCase(caseID, options), normalizeCase);
+
+    // The actions of the case resolve action names without reading the case again
+    if (result.success) {
+      nameResolver.recordActions(this.getCacheScope(), result.normalized);
+    }
+    return result;
   }
 
   /**
    * Update case
-   * V1 EXCLUSIVE - Use case actions in V2
+   * V1: PUT /cases/{ID}, V2: case-wide edit action limited to the fields of its form
    * @param {string} caseID - Case ID
-   * @param {Object} content - Updated content
-   * @returns {Promise<Object>} Updated case details
+   * @param {Object} options - Update options (content, actionID, eTag, pageInstructions, attachments)
+   * @returns {Promise<Object>} Update result with metadata (V2: acceptedFields, rejectedFields)
    */
-  async updateCase(caseID, content) {
-    if (!this.isFeatureAvailable('updateCase')) {
-      this.throwUnsupportedFeatureError('updateCase', 'updateCase');
-    }
-    return this.client.updateCase(caseID, content);
+  async updateCase(caseID, options = {}) {
+    return this.client.updateCase(caseID, options);
   }
 
   /**
@@ -240,7 +382,7 @@ export class PegaClient {
    * @returns {Promise<Object>} Action details
    */
   async getCaseAction(caseID, actionID, options = {}) {
-    return this.client.getCaseAction(caseID, actionID, options);
+    return this.normalize(await this.client.getCaseAction(caseID, actionID, options), normalizeAction, { actionID });
   }
 
   /**
@@ -248,10 +390,23 @@ export class PegaClient {
    * @param {string} caseID - Case ID
    * @param {string} actionID - Action ID
    * @param {Object} options - Optional parameters
-   * @returns {Promise<Object>} Action result
+   * @param {string} [options.conflictStrategy] - 'fail' or 'merge' on a stale eTag
+   * @returns {Promise<Object>} Action result (with conflictResolution after a merged resubmission)
    */
   async performCaseAction(caseID, actionID, options = {}) {
-    return this.client.performCaseAction(caseID, actionID, options);
+    const { conflictStrategy, ...actionOptions } = options;
+    const result = await this.applyConflictStrategy(
+      await this.client.performCaseAction(caseID, actionID, actionOptions),
+      conflictStrategy,
+      {
+        eTag: actionOptions.eTag,
+        content: actionOptions.content,
+        pageInstructions: actionOptions.pageInstructions,
+        refetch: () => this.getCase(caseID, { viewType: 'none' }),
+        resubmit: eTag => this.client.performCaseAction(caseID, actionID, { ...actionOptions, eTag })
+      }
+    );
+    return this.normalize(result, normalizeActionResult);
   }
 
   /**
@@ -367,7 +522,7 @@ export class PegaClient {
    * @returns {Promise<Object>} Case types list
    */
   async getCaseTypes() {
-    return this.client.getCaseTypes();
+    return this.normalize(await this.client.getCaseTypes(), normalizeCaseTypes);
   }
 
   /**
@@ -416,7 +571,7 @@ export class PegaClient {
    * @returns {Promise<Object>} Next assignment details
    */
   async getNextAssignment(options = {}) {
-    return this.client.getNextAssignment(options);
+    return this.normalize(await this.client.getNextAssignment(options), normalizeAssignment);
   }
 
   /**
@@ -426,7 +581,7 @@ export class PegaClient {
    * @returns {Promise<Object>} Assignment details
    */
   async getAssignment(assignmentID, options = {}) {
-    return this.client.getAssignment(assignmentID, options);
+    return this.normalize(await this.client.getAssignment(assignmentID, options), normalizeAssignment, assignmentID);
   }
 
   /**
@@ -437,7 +592,11 @@ export class PegaClient {
    * @returns {Promise<Object>} Action details
    */
   async getAssignmentAction(assignmentID, actionID, options = {}) {
-    return this.client.getAssignmentAction(assignmentID, actionID, options);
+    return this.normalize(
+      await this.client.getAssignmentAction(assignmentID, actionID, options),
+      normalizeAction,
+      { actionID, assignmentID }
+    );
   }
 
   /**
@@ -446,10 +605,23 @@ export class PegaClient {
    * @param {string} actionID - Action ID
    * @param {string} eTag - ETag for optimistic locking (V2 only)
    * @param {Object} options - Optional parameters
-   * @returns {Promise<Object>} Action result
+   * @param {string} [options.conflictStrategy] - 'fail' or 'merge' on a stale eTag
+   * @returns {Promise<Object>} Action result (with conflictResolution after a merged resubmission)
    */
   async performAssignmentAction(assignmentID, actionID, eTag, options = {}) {
-    return this.client.performAssignmentAction(assignmentID, actionID, eTag, options);
+    const { conflictStrategy, ...actionOptions } = options;
+    const result = await this.applyConflictStrategy(
+      await this.client.performAssignmentAction(assignmentID, actionID, eTag, actionOptions),
+      conflictStrategy,
+      {
+        eTag,
+        content: actionOptions.content,
+        pageInstructions: actionOptions.pageInstructions,
+        refetch: () => this.getCase(getCaseIDFromAssignmentID(assignmentID), { viewType: 'none' }),
+        resubmit: freshETag => this.client.performAssignmentAction(assignmentID, actionID, freshETag, actionOptions)
+      }
+    );
+    return this.normalize(result, normalizeActionResult);
   }
 
   /**
@@ -460,7 +632,11 @@ export class PegaClient {
    * @returns {Promise<Object>} Refresh results
    */
   async refreshAssignmentAction(assignmentID, actionID, options = {}) {
-    return this.client.refreshAssignmentAction(assignmentID, actionID, options);
+    return this.normalize(
+      await this.client.refreshAssignmentAction(assignmentID, actionID, options),
+      normalizeAction,
+      { actionID, assignmentID }
+    );
   }
 
   /**
@@ -971,3 +1147,17 @@ export class PegaClient {
     return this.client.deleteRelatedCase(caseID, relatedCaseID);
   }
 }
+
+// In auto mode every API method must see the detected version, including its feature checks,
+// so each async router method resolves the version before it runs
+for (const method of Object.getOwnPropertyNames(PegaClient.prototype)) {
+  const original = PegaClient.prototype[method];
+  if (method === 'resolveApiVersion' || original?.constructor?.name !== 'AsyncFunction') {
+    continue;
+  }
+
+  PegaClient.prototype[method] = async function (...args) {
+    await this.resolveApiVersion();
+    return original.apply(this, args);
+  };
+}
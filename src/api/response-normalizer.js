@@ -0,0 +1,219 @@
+import { extractFieldsForCurrentView } from '../utils/field-extractor.js';
+import { getCaseInfo, compact } from '../utils/output-schema.js';
+
+/**
+ * Canonical Response Model
+ *
+ * Maps the payloads of the Traditional (V1) and Constellation (V2) DX API clients onto one
+ * shape per resource, so tools and structured outputs do not depend on the API version.
+ * PegaClient adds the result as `normalized` to successful results; `data` keeps the
+ * version-specific payload and `raw` the payload as received from Pega.
+ *
+ *   Case          { ID, caseTypeID, caseTypeName, name, status, stage, stageID, urgency, parentCaseID,
+ *                   createTime, createdBy, lastUpdateTime, lastUpdatedBy, content, assignments,
+ *                   availableActions, eTag }
+ *   Assignment    { ID, caseID, name, instructions, assignedTo, urgency, actions, fields, case, eTag }
+ *   Action        { ID, name, assignmentID, caseID, fields, case, eTag }
+ *   ActionResult  { caseID, case, nextAssignment, confirmationNote, eTag }
+ *   CaseTypes     { caseTypes: [{ ID, name, canCreate, startingProcesses }] }
+ *
+ * References (assignments, actions, nextAssignment) are { ID, name, type, ... } objects and
+ * fields are { name, label, type, required, readOnly, value }. Properties a version does not
+ * provide are left out rather than set to null.
+ */
+
+/**
+ * Convert an urgency ("10" in V2, 10 in V1) to a number
+ * @param {string|number} urgency - Urgency
+ * @returns {number|undefined} Urgency, undefined if missing
+ */
+function toUrgency(urgency) {
+  if (urgency === undefined || urgency === null || urgency === '') {
+    return undefined;
+  }
+  const value = Number(urgency);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Map actions to references
+ * @param {Array} actions - V1 or V2 actions
+ * @returns {Array} Action references
+ */
+function toActions(actions) {
+  return (actions || [])
+    .filter(action => action && action.ID)
+    .map(action => compact({ ID: action.ID, name: action.name, type: action.type }));
+}
+
+/**
+ * Map a V1 or V2 assignment entry to a reference
+ * @param {Object} assignment - Assignment from caseInfo.assignments
+ * @returns {Object} Assignment reference
+ */
+function toAssignmentReference(assignment) {
+  return compact({
+    ID: assignment.ID,
+    name: assignment.name,
+    instructions: assignment.instructions,
+    assignedTo: assignment.assigneeInfo?.name || assignment.assigneeInfo?.ID || assignment.assignedTo || assignment.routedTo,
+    urgency: toUrgency(assignment.urgency),
+    canPerform: assignment.canPerform === undefined ? undefined : String(assignment.canPerform) === 'true',
+    actions: toActions(assignment.actions)
+  });
+}
+
+/**
+ * Get the form fields of a payload: uiResources (V2) or flattened view fields (V1)
+ * @param {Object} payload - Response payload
+ * @returns {Array} Fields
+ */
+function toFields(payload) {
+  if (Array.isArray(payload?.data?.fields)) {
+    return payload.data.fields.map(field => compact({ ...field }));
+  }
+
+  return extractFieldsForCurrentView(payload?.uiResources)
+    .map(field => compact({ name: field.name, label: field.label, type: field.type, readOnly: field.readOnly }));
+}
+
+/**
+ * Normalize a case
+ * @param {Object} payload - getCase payload (or any payload with caseInfo)
+ * @param {string|null} [eTag] - eTag of the response
+ * @returns {Object|null} Canonical case, null if the payload has no caseInfo
+ */
+export function normalizeCase(payload, eTag = null) {
+  const caseInfo = getCaseInfo(payload);
+  if (!caseInfo) {
+    return null;
+  }
+
+  return compact({
+    ID: caseInfo.ID,
+    caseTypeID: caseInfo.caseTypeID,
+    caseTypeName: caseInfo.caseTypeName,
+    name: caseInfo.name,
+    status: caseInfo.status,
+    stage: caseInfo.stageLabel || caseInfo.stage || caseInfo.stageID,
+    stageID: caseInfo.stageID,
+    urgency: toUrgency(caseInfo.urgency),
+    parentCaseID: caseInfo.parentCaseID,
+    createTime: caseInfo.createTime,
+    createdBy: caseInfo.createdBy,
+    lastUpdateTime: caseInfo.lastUpdateTime,
+    lastUpdatedBy: caseInfo.lastUpdatedBy,
+    content: caseInfo.content,
+    assignments: (caseInfo.assignments || []).map(toAssignmentReference),
+    availableActions: toActions(caseInfo.availableActions),
+    eTag
+  });
+}
+
+/**
+ * Normalize an assignment
+ * @param {Object} payload - getAssignment / getNextAssignment payload
+ * @param {string|null} [eTag] - eTag of the response
+ * @param {string} [assignmentID] - Requested assignment ID (picks the assignment from caseInfo.assignments)
+ * @returns {Object} Canonical assignment
+ */
+export function normalizeAssignment(payload, eTag = null, assignmentID = undefined) {
+  const caseInfo = getCaseInfo(payload) || {};
+  const assignments = caseInfo.assignments || [];
+  const assignment = assignments.find(item => item.ID === assignmentID) || assignments[0] || {};
+  const assignmentInfo = payload?.assignmentInfo || payload?.data?.assignmentInfo || {};
+  const reference = toAssignmentReference({ ...assignment, ...compact(assignmentInfo) });
+
+  const actions = payload?.actions?.length > 0 ? toActions(payload.actions) : reference.actions;
+  const fields = toFields(payload);
+
+  return compact({
+    ...reference,
+    ID: reference.ID || assignmentID,
+    caseID: assignmentInfo.caseID || caseInfo.ID,
+    actions,
+    fields: fields.length > 0 ? fields : undefined,
+    case: normalizeCase(payload),
+    eTag
+  });
+}
+
+/**
+ * Normalize an assignment or case action (form) payload
+ * @param {Object} payload - getAssignmentAction / refreshAssignmentAction / getCaseAction payload
+ * @param {string|null} [eTag] - eTag of the response
+ * @param {Object} [ids] - Requested IDs
+ * @param {string} [ids.actionID] - Action ID
+ * @param {string} [ids.assignmentID] - Assignment ID (assignment actions)
+ * @returns {Object} Canonical action
+ */
+export function normalizeAction(payload, eTag = null, { actionID, assignmentID } = {}) {
+  const caseInfo = getCaseInfo(payload) || {};
+  const actionInfo = payload?.data?.actionInfo || {};
+  const knownActions = [
+    ...(caseInfo.assignments || []).flatMap(assignment => assignment.actions || []),
+    ...(caseInfo.availableActions || [])
+  ];
+  const known = knownActions.find(action => action.ID === (actionInfo.ID || actionID)) || {};
+  const fields = toFields(payload);
+
+  return compact({
+    ID: actionInfo.ID || actionID,
+    name: actionInfo.name || known.name || payload?.uiResources?.root?.config?.name,
+    assignmentID,
+    caseID: caseInfo.ID,
+    fields,
+    case: normalizeCase(payload),
+    eTag
+  });
+}
+
+/**
+ * Normalize the result of creating a case or performing an action
+ * @param {Object} payload - createCase / performAssignmentAction / performCaseAction payload
+ * @param {string|null} [eTag] - eTag of the response
+ * @returns {Object} Canonical action result
+ */
+export function normalizeActionResult(payload, eTag = null) {
+  const caseInfo = getCaseInfo(payload) || {};
+  const next = payload?.nextAssignmentInfo;
+
+  let nextAssignment;
+  if (next?.ID) {
+    nextAssignment = compact({ ID: next.ID, name: next.name, type: next.type, actions: next.actions });
+  } else if (caseInfo.nextAssignmentID) {
+    nextAssignment = { ID: caseInfo.nextAssignmentID };
+  }
+
+  return compact({
+    caseID: payload?.ID || caseInfo.ID,
+    case: normalizeCase(payload, eTag),
+    nextAssignment,
+    confirmationNote: payload?.confirmationNote,
+    eTag
+  });
+}
+
+/**
+ * Normalize the list of case types
+ * @param {Object} payload - getCaseTypes payload
+ * @returns {Object} { caseTypes }
+ */
+export function normalizeCaseTypes(payload) {
+  const caseTypes = payload?.caseTypes || payload?.applicationCaseTypes || [];
+
+  return {
+    caseTypes: caseTypes.map(caseType => compact({
+      ID: caseType.ID,
+      name: caseType.name,
+      canCreate: caseType.CanCreate === undefined ? undefined : String(caseType.CanCreate) === 'true',
+      startingProcesses: caseType.startingProcesses?.map(process => compact({
+        ID: process.ID,
+        name: process.name,
+        requiresFieldsToCreate: process.requiresFieldsToCreate === undefined
+          ? undefined
+          : String(process.requiresFieldsToCreate) === 'true'
+      }))
+    }))
+  };
+}
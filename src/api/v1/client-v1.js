@@ -1,4 +1,7 @@
 import { BaseApiClient } from '../base-api-client.js';
+import { logger } from '../../utils/logger.js';
+import { withCaseListDefaults, matchesCaseFilters, compareCases, getCasePage } from '../case-list.js';
+import { getCaseIDFromAssignmentID } from '../../session/context-store.js';
 
 /**
  * Traditional DX API (V1) Client
@@ -157,8 +160,12 @@ export class PegaV1Client extends BaseApiClient {
                          'parentCaseID', 'createTime', 'lastUpdateTime',
                          'createdBy', 'lastUpdatedBy', 'name'];
 
+    // Properties mapped to caseInfo below rather than into content
+    const structuralProps = ['content', 'assignments', 'actions'];
+
     const caseInfo = {};
-    const content = {};
+    // GET /cases/{ID} nests the case data in content; other responses are flat
+    const content = v1Case.content && typeof v1Case.content === 'object' ? { ...v1Case.content } : {};
 
     // Separate system properties from content
     for (const [key, value] of Object.entries(v1Case)) {
@@ -168,7 +175,7 @@ export class PegaV1Client extends BaseApiClient {
         if (key === 'urgency' && typeof value === 'string') {
           caseInfo[key] = parseInt(value) || 0;
         }
-      } else if (!this.isSystemProperty(key)) {
+      } else if (!structuralProps.includes(key) && !this.isSystemProperty(key)) {
         // Only include non-system properties in content
         content[key] = value;
       }
@@ -197,6 +204,9 @@ export class PegaV1Client extends BaseApiClient {
   /**
    * Transform V1 assignment response to V2-like structure
    *
+   * The assignment is also listed in caseInfo.assignments, where tools look up the
+   * available actions of a V2 assignment.
+   *
    * @param {Object} v1Assignment - V1 assignment response
    * @returns {Object} V2-like assignment response
    */
@@ -206,27 +216,96 @@ export class PegaV1Client extends BaseApiClient {
       name: v1Assignment.name,
       type: v1Assignment.type,
       caseID: v1Assignment.caseID,
-      instructions: v1Assignment.instructions
+      instructions: v1Assignment.instructions,
+      assignedTo: v1Assignment.routedTo,
+      urgency: parseInt(v1Assignment.urgency) || 0
     };
 
-    // Add actions if present
-    if (v1Assignment.actions) {
-      assignmentInfo.actions = v1Assignment.actions;
-    }
+    const actions = v1Assignment.actions || [];
 
     return {
       data: {
         assignmentInfo,
-        caseInfo: v1Assignment.case ? {
-          ID: v1Assignment.case.ID,
-          status: v1Assignment.case.status
-        } : null
+        caseInfo: {
+          ID: v1Assignment.caseID || getCaseIDFromAssignmentID(v1Assignment.ID),
+          assignments: [{
+            ID: v1Assignment.ID,
+            name: v1Assignment.name,
+            instructions: v1Assignment.instructions,
+            urgency: assignmentInfo.urgency,
+            assigneeInfo: v1Assignment.routedTo ? { ID: v1Assignment.routedTo, name: v1Assignment.routedTo } : undefined,
+            actions
+          }]
+        }
+      },
+      actions,
+      eTag: null,
+      uiResources: null
+    };
+  }
+
+  /**
+   * Transform V1 assignment action (form view) response to V2-like structure
+   *
+   * V1 returns the form as a nested view of groups; its fields are flattened into
+   * data.fields (reference, label, type, required, readOnly) since there are no uiResources.
+   *
+   * @param {Object} v1Action - V1 action response ({ actionID, name, view })
+   * @param {string} assignmentID - Assignment ID
+   * @param {string} actionID - Action ID
+   * @returns {Object} V2-like assignment action response
+   */
+  transformAssignmentActionResponse(v1Action, assignmentID, actionID) {
+    const view = v1Action.view || null;
+
+    return {
+      data: {
+        caseInfo: {
+          ID: v1Action.caseID || getCaseIDFromAssignmentID(assignmentID)
+        },
+        actionInfo: {
+          ID: v1Action.actionID || actionID,
+          name: v1Action.name || view?.name
+        },
+        fields: view ? this.extractViewFields(view.groups) : [],
+        validationMessages: view?.validationMessages,
+        view
       },
       eTag: null,
       uiResources: null
     };
   }
 
+  /**
+   * Flatten the fields of a V1 view
+   * @private
+   * @param {Array} groups - View groups (fields, layouts, views, paragraphs)
+   * @param {Array} [fields=[]] - Fields collected so far
+   * @returns {Array} Fields ({ name, label, type, required, readOnly, value })
+   */
+  extractViewFields(groups, fields = []) {
+    for (const group of groups || []) {
+      if (group.field) {
+        const { field } = group;
+        fields.push({
+          name: field.reference || field.fieldID,
+          label: field.label,
+          type: field.control?.type || field.type,
+          required: !!field.required,
+          readOnly: !!field.readOnly || !!field.disabled,
+          value: field.value
+        });
+      }
+      if (group.layout) {
+        this.extractViewFields(group.layout.groups || group.layout.rows?.flatMap(row => row.groups || []), fields);
+      }
+      if (group.view) {
+        this.extractViewFields(group.view.groups, fields);
+      }
+    }
+    return fields;
+  }
+
   // ========================================
   // CASES ENDPOINTS
   // ========================================
@@ -284,6 +363,54 @@ export class PegaV1Client extends BaseApiClient {
     };
   }
 
+  /**
+   * List cases with filters, sorting and pagination (see case-list.js)
+   * GET /cases has no query options, so the cases it returns (max 500) are filtered,
+   * sorted and paged here.
+   *
+   * @param {Object} options - Filter, sort and paging options
+   * @param {string} [options.caseTypeID] - Case type ID
+   * @param {string} [options.status] - Case status (case-insensitive)
+   * @param {string} [options.owner] - Operator ID that created the case (case-insensitive)
+   * @param {string} [options.createdAfter] - Earliest create date-time (inclusive)
+   * @param {string} [options.createdBefore] - Latest create date-time (inclusive)
+   * @param {string} [options.sortBy='createTime'] - createTime, lastUpdateTime, urgency, status or ID
+   * @param {string} [options.sortOrder='ASC'] - ASC or DESC
+   * @param {number} [options.pageNumber=1] - Page number (1-based)
+   * @param {number} [options.pageSize=100] - Cases per page
+   * @returns {Promise<Object>} Response with cases array and paging metadata
+   */
+  async getCases(options = {}) {
+    const query = withCaseListDefaults(options);
+
+    const result = await this.getAllCases();
+    if (!result.success) {
+      return result;
+    }
+
+    const matching = result.data.cases
+      .filter(caseObj => matchesCaseFilters(caseObj, query))
+      .sort((a, b) => compareCases(a, b, query.sortBy, query.sortOrder));
+    const page = getCasePage(matching, query);
+
+    return {
+      success: true,
+      data: {
+        cases: page.cases
+      },
+      metadata: {
+        count: page.cases.length,
+        totalCount: matching.length,
+        pageNumber: query.pageNumber,
+        pageSize: query.pageSize,
+        hasMoreResults: page.hasMoreResults,
+        retrievedCount: result.metadata.count,
+        maxRecords: result.metadata.maxRecords,
+        apiVersion: 'v1'
+      }
+    };
+  }
+
   /**
    * Create a new case
    *
@@ -350,6 +477,7 @@ export class PegaV1Client extends BaseApiClient {
           nextAssignmentID: response.data.nextAssignmentID
         }
       },
+      raw: response.data,
       metadata: {
         apiVersion: 'v1'
       }
@@ -387,22 +515,23 @@ export class PegaV1Client extends BaseApiClient {
     return {
       success: true,
       ...transformed,
+      raw: response.data,
       eTag: response.eTag || null  // Preserve eTag from response header
     };
   }
 
   /**
    * Update case
-   * V1 EXCLUSIVE - V2 uses case actions instead
+   * V2 has no PUT /cases/{ID} - PegaV2Client.updateCase runs the edit action instead
    *
    * Performs case-wide local action or stage-wide local action on the case.
-   * If actionID is not specified, pyUpdateCaseDetails is performed by default.
+   * If actionID is not specified, PEGA_CASE_EDIT_ACTION or else pyUpdateCaseDetails is performed.
    * If eTag is not provided, automatically fetches latest eTag from case.
    *
    * @param {string} caseID - Case ID
    * @param {Object} options - Update options
    * @param {Object} options.content - Updated content properties
-   * @param {string} [options.actionID] - Optional action ID (defaults to pyUpdateCaseDetails)
+   * @param {string} [options.actionID] - Optional action ID (defaults to PEGA_CASE_EDIT_ACTION, then pyUpdateCaseDetails)
    * @param {string} [options.eTag] - Optional eTag for optimistic locking. If not provided, automatically fetches latest eTag.
    * @param {Array} [options.pageInstructions] - Optional page-related operations
    * @param {Array} [options.attachments] - Optional attachments to add
@@ -432,14 +561,15 @@ export class PegaV1Client extends BaseApiClient {
    * });
    */
   async updateCase(caseID, options = {}) {
-    const { content = {}, actionID, eTag, pageInstructions = [], attachments = [] } = options;
+    const { content = {}, eTag, pageInstructions = [], attachments = [] } = options;
+    const actionID = options.actionID || this.config.pega.caseEditAction;
 
     // Auto-fetch eTag if not provided (V1 API requires eTag for updates)
     let finalETag = eTag;
     let autoFetchedETag = false;
 
     if (!finalETag) {
-      console.error(`Auto-fetching latest eTag for case ${caseID}...`);
+      logger.debug(`Auto-fetching latest eTag for case ${caseID}...`);
       const caseResponse = await this.getCase(caseID);
 
       if (!caseResponse.success) {
@@ -468,7 +598,7 @@ export class PegaV1Client extends BaseApiClient {
         };
       }
 
-      console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+      logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
     }
 
     const encodedID = this.encodeParam(caseID);
@@ -534,6 +664,7 @@ export class PegaV1Client extends BaseApiClient {
     return {
       success: true,
       ...transformed,
+      raw: response.data,
       eTag: response.eTag || null,  // New eTag from response header
       metadata: {
         apiVersion: 'v1',
@@ -542,6 +673,247 @@ export class PegaV1Client extends BaseApiClient {
     };
   }
 
+  // ========================================
+  // ASSIGNMENTS ENDPOINTS
+  // ========================================
+
+  /**
+   * Get all assignments of the authenticated user (worklist)
+   * V1 EXCLUSIVE - Not available in V2 (use Data Views instead)
+   *
+   * @returns {Promise<Object>} Response with assignments array
+   */
+  async getAllAssignments() {
+    const url = `${this.getApiBaseUrl()}/assignments`;
+
+    const response = await this.makeRequest(url, {
+      method: 'GET',
+      headers: {
+        'x-origin-channel': 'Web'
+      }
+    });
+
+    if (!response.success) {
+      return response;
+    }
+
+    const assignments = response.data.assignments || [];
+
+    return {
+      success: true,
+      data: {
+        assignments: assignments.map(a => ({
+          ID: a.ID,
+          caseID: a.caseID,
+          name: a.name,
+          type: a.type,
+          assignedTo: a.routedTo,
+          urgency: parseInt(a.urgency) || 0
+        }))
+      },
+      metadata: {
+        count: assignments.length,
+        apiVersion: 'v1'
+      }
+    };
+  }
+
+  /**
+   * Get the next assignment for the authenticated user (Get Next Work)
+   *
+   * @param {Object} options - Optional parameters (viewType and pageName are V2 only and ignored)
+   * @returns {Promise<Object>} Assignment details in V2-like structure
+   */
+  async getNextAssignment(options = {}) {
+    const url = `${this.getApiBaseUrl()}/assignments/next`;
+
+    const response = await this.makeRequest(url, {
+      method: 'GET',
+      headers: {
+        'x-origin-channel': 'Web'
+      }
+    });
+
+    if (!response.success) {
+      return response;
+    }
+
+    return {
+      success: true,
+      data: this.transformAssignmentResponse(response.data),
+      raw: response.data,
+      eTag: response.eTag || null
+    };
+  }
+
+  /**
+   * Get assignment by ID, including its available actions
+   *
+   * @param {string} assignmentID - Assignment ID (e.g. "ASSIGN-WORKLIST MYCO-PAC-WORK E-26!APPROVAL_FLOW")
+   * @param {Object} options - Optional parameters (viewType and pageName are V2 only and ignored)
+   * @returns {Promise<Object>} Assignment details in V2-like structure
+   */
+  async getAssignment(assignmentID, options = {}) {
+    const encodedID = this.encodeParam(assignmentID);
+    const url = `${this.getApiBaseUrl()}/assignments/${encodedID}`;
+
+    const response = await this.makeRequest(url, {
+      method: 'GET',
+      headers: {
+        'x-origin-channel': 'Web'
+      }
+    });
+
+    if (!response.success) {
+      return response;
+    }
+
+    return {
+      success: true,
+      data: this.transformAssignmentResponse(response.data),
+      raw: response.data,
+      eTag: response.eTag || null
+    };
+  }
+
+  /**
+   * Get the form view of an assignment action
+   *
+   * @param {string} assignmentID - Assignment ID
+   * @param {string} actionID - Flow action ID
+   * @param {Object} options - Optional parameters (viewType and excludeAdditionalActions are V2 only and ignored)
+   * @returns {Promise<Object>} Action details with flattened form fields
+   */
+  async getAssignmentAction(assignmentID, actionID, options = {}) {
+    const url = `${this.getApiBaseUrl()}/assignments/${this.encodeParam(assignmentID)}/actions/${this.encodeParam(actionID)}`;
+
+    const response = await this.makeRequest(url, {
+      method: 'GET',
+      headers: {
+        'x-origin-channel': 'Web'
+      }
+    });
+
+    if (!response.success) {
+      return response;
+    }
+
+    return {
+      success: true,
+      data: this.transformAssignmentActionResponse(response.data, assignmentID, actionID),
+      raw: response.data,
+      eTag: response.eTag || null
+    };
+  }
+
+  /**
+   * Perform an assignment action (submit the assignment)
+   *
+   * @param {string} assignmentID - Assignment ID
+   * @param {string} actionID - Flow action ID
+   * @param {string} [eTag] - Optional eTag; V1 assignments do not require one
+   * @param {Object} options - Optional parameters
+   * @param {Object} [options.content] - Field values to submit
+   * @param {Array} [options.pageInstructions] - Page-related operations
+   * @param {string} [options.originChannel] - Origin channel (default: Web)
+   * @returns {Promise<Object>} Result with nextAssignmentInfo or confirmationNote in V2-like structure
+   */
+  async performAssignmentAction(assignmentID, actionID, eTag, options = {}) {
+    const { content, pageInstructions, originChannel } = options;
+
+    const url = `${this.getApiBaseUrl()}/assignments/${this.encodeParam(assignmentID)}?actionID=${encodeURIComponent(actionID)}`;
+
+    const requestBody = {};
+    if (content) {
+      requestBody.content = content;
+    }
+    if (pageInstructions) {
+      requestBody.pageInstructions = pageInstructions;
+    }
+
+    const headers = {
+      'x-origin-channel': originChannel || 'Web'
+    };
+    if (eTag) {
+      headers['if-match'] = eTag;
+    }
+
+    const response = await this.makeRequest(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.success) {
+      return response;
+    }
+
+    const result = response.data || {};
+
+    return {
+      success: true,
+      data: {
+        data: {
+          caseInfo: {
+            ID: result.caseID || getCaseIDFromAssignmentID(assignmentID)
+          }
+        },
+        nextAssignmentInfo: result.nextAssignmentID ? { ID: result.nextAssignmentID } : undefined,
+        nextPageID: result.nextPageID,
+        confirmationNote: result.confirmationNote,
+        uiResources: null
+      },
+      raw: response.data,
+      eTag: response.eTag || null,
+      metadata: {
+        apiVersion: 'v1'
+      }
+    };
+  }
+
+  /**
+   * Refresh an assignment action form with updated values
+   *
+   * @param {string} assignmentID - Assignment ID
+   * @param {string} actionID - Flow action ID
+   * @param {Object} options - Optional parameters
+   * @param {Object} [options.content] - Field values to apply before the refresh
+   * @param {Array} [options.pageInstructions] - Page-related operations
+   * @returns {Promise<Object>} Refreshed form view with flattened fields
+   */
+  async refreshAssignmentAction(assignmentID, actionID, options = {}) {
+    const { content, pageInstructions } = options;
+
+    const url = `${this.getApiBaseUrl()}/assignments/${this.encodeParam(assignmentID)}/actions/${this.encodeParam(actionID)}/refresh`;
+
+    const requestBody = {};
+    if (content && Object.keys(content).length > 0) {
+      requestBody.content = content;
+    }
+    if (pageInstructions && pageInstructions.length > 0) {
+      requestBody.pageInstructions = pageInstructions;
+    }
+
+    const response = await this.makeRequest(url, {
+      method: 'PUT',
+      headers: {
+        'x-origin-channel': 'Web'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.success) {
+      return response;
+    }
+
+    return {
+      success: true,
+      data: this.transformAssignmentActionResponse(response.data || {}, assignmentID, actionID),
+      raw: response.data,
+      eTag: response.eTag || null
+    };
+  }
+
   // ========================================
   // CASE TYPES ENDPOINTS
   // ========================================
@@ -624,6 +996,8 @@ export class PegaV1Client extends BaseApiClient {
         features: [
           'GET /cases - List all cases',
           'PUT /cases/{ID} - Direct case update',
+          'GET /assignments - List all assignments',
+          'POST /assignments/{ID} - Perform assignment action',
           'No eTag support',
           'Flat response structure'
         ],
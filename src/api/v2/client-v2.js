@@ -1,5 +1,50 @@
 import { BaseApiClient } from '../base-api-client.js';
 import FormData from 'form-data';
+import {
+  withCaseListDefaults,
+  buildCaseListQuery,
+  fromDataViewRow,
+  compareCases,
+  getCasePage,
+  MAX_DATA_VIEW_RESULTS
+} from '../case-list.js';
+import { extractFieldsForCurrentView } from '../../utils/field-extractor.js';
+
+/**
+ * Split update_case content into the fields an edit action's form lets the user edit and
+ * rejected ones. Embedded pages are checked field by field ("Address.City").
+ * @param {Object} content - Submitted content
+ * @param {Array} fields - Fields of the form (extractFieldsForCurrentView)
+ * @param {string} actionID - Edit action, for the rejection reason
+ * @param {string} [prefix] - Path of the embedded page being checked
+ * @returns {Object} { accepted, rejected: [{ field, reason }] }
+ */
+function filterEditableContent(content, fields, actionID, prefix = '') {
+  const accepted = {};
+  const rejected = [];
+
+  for (const [key, value] of Object.entries(content || {})) {
+    const path = `${prefix}${key}`;
+    const field = fields.find(item => item.name === path);
+    const isPage = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (field && !field.readOnly) {
+      accepted[key] = value;
+    } else if (field) {
+      rejected.push({ field: path, reason: `read-only in ${actionID}` });
+    } else if (isPage && fields.some(item => item.name.startsWith(`${path}.`))) {
+      const page = filterEditableContent(value, fields, actionID, `${path}.`);
+      if (Object.keys(page.accepted).length > 0) {
+        accepted[key] = page.accepted;
+      }
+      rejected.push(...page.rejected);
+    } else {
+      rejected.push({ field: path, reason: `not on the ${actionID} form` });
+    }
+  }
+
+  return { accepted, rejected };
+}
 
 /**
  * Constellation DX API (V2) Client
@@ -367,6 +412,70 @@ export class PegaV2Client extends BaseApiClient {
     });
   }
 
+  /**
+   * Update case content through a case-wide edit action
+   *
+   * V2 has no PUT /cases/{ID}. The form of the edit action is loaded, the content is limited
+   * to the fields the form lets the user edit, and the rest is submitted with performCaseAction.
+   * Without an eTag the eTag of the form response is used.
+   * @param {string} caseID - Full case handle
+   * @param {Object} options - Update options
+   * @param {Object} options.content - Case properties to update
+   * @param {string} options.actionID - Case-wide edit action (default: PEGA_CASE_EDIT_ACTION or pyUpdateCaseDetails)
+   * @param {string} options.eTag - ETag for optimistic locking (auto-fetched if not provided)
+   * @param {Array} options.pageInstructions - Page-related operations for embedded pages (submitted as given)
+   * @param {Array} options.attachments - Attachments to add to specific attachment fields
+   * @returns {Promise<Object>} performCaseAction response with metadata (actionID, acceptedFields, rejectedFields)
+   */
+  async updateCase(caseID, options = {}) {
+    const { content = {}, eTag, pageInstructions, attachments } = options;
+    const actionID = options.actionID || this.config.pega.caseEditAction || 'pyUpdateCaseDetails';
+
+    const action = await this.getCaseAction(caseID, actionID, { viewType: 'form' });
+    if (!action.success) {
+      return action;
+    }
+
+    const fields = extractFieldsForCurrentView(action.data?.uiResources);
+    const { accepted, rejected } = filterEditableContent(content, fields, actionID);
+
+    const hasInstructions = pageInstructions?.length > 0 || attachments?.length > 0;
+    if (Object.keys(accepted).length === 0 && !hasInstructions) {
+      return {
+        success: false,
+        error: {
+          type: 'FIELDS_REJECTED',
+          message: `No submitted field can be updated with the ${actionID} action`,
+          details: rejected.map(field => `${field.field}: ${field.reason}`).join('; ') || 'No content to update',
+          rejectedFields: rejected,
+          editableFields: fields.filter(field => !field.readOnly).map(field => field.name)
+        }
+      };
+    }
+
+    const result = await this.performCaseAction(caseID, actionID, {
+      content: accepted,
+      pageInstructions,
+      attachments,
+      eTag: eTag || action.eTag
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      ...result,
+      metadata: {
+        apiVersion: 'v2',
+        actionID,
+        autoFetchedETag: !eTag,
+        acceptedFields: Object.keys(accepted),
+        rejectedFields: rejected
+      }
+    };
+  }
+
   /**
    * Get next assignment details using Get Next Work functionality
    * @param {Object} options - Optional parameters
@@ -573,28 +682,23 @@ export class PegaV2Client extends BaseApiClient {
     }
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
       };
 
       // Make PATCH request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'PATCH',
         headers,
-        body: JSON.stringify(requestBody),
-        timeout: config.pega.requestTimeout || 30000
+        body: JSON.stringify(requestBody)
       });
 
       // Handle non-2xx responses with specific error handling for bulk operations
       if (!response.ok) {
-        return await this.handleBulkCasesErrorResponse(response);
+        return { ...(await this.handleBulkCasesErrorResponse(response)), retries };
       }
 
       // Parse successful response
@@ -604,7 +708,8 @@ export class PegaV2Client extends BaseApiClient {
         success: true,
         data,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -612,11 +717,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to connect to Pega API for bulk cases operation',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -922,26 +1028,21 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/attachments/${encodedAttachmentID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': '*/*', // Accept any content type since we get different types (base64, URL, HTML)
         'x-origin-channel': 'Web'
       };
 
       // Make request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'GET',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleAttachmentContentErrorResponse(response);
+        return { ...(await this.handleAttachmentContentErrorResponse(response)), retries };
       }
 
       // Get response headers for content type detection
@@ -958,7 +1059,8 @@ export class PegaV2Client extends BaseApiClient {
         data: content,
         headers: responseHeaders,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -966,11 +1068,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to retrieve attachment content from Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -986,26 +1089,21 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/attachments/${encodedAttachmentID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
       };
 
       // Make DELETE request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'DELETE',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleAttachmentDeleteErrorResponse(response);
+        return { ...(await this.handleAttachmentDeleteErrorResponse(response)), retries };
       }
 
       // Successful deletion - API returns no content (200 with empty body)
@@ -1013,7 +1111,8 @@ export class PegaV2Client extends BaseApiClient {
         success: true,
         data: {}, // Empty response body for successful deletion
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1021,11 +1120,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to delete attachment from Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -1046,12 +1146,8 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/attachments/${encodedAttachmentID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
@@ -1064,16 +1160,15 @@ export class PegaV2Client extends BaseApiClient {
       };
 
       // Make PATCH request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'PATCH',
         headers,
-        body: JSON.stringify(requestBody),
-        timeout: config.pega.requestTimeout || 30000
+        body: JSON.stringify(requestBody)
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleAttachmentUpdateErrorResponse(response);
+        return { ...(await this.handleAttachmentUpdateErrorResponse(response)), retries };
       }
 
       // Successful update - API returns success message
@@ -1083,7 +1178,8 @@ export class PegaV2Client extends BaseApiClient {
         success: true,
         data: { message: responseText }, // Wrap the success message
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1091,11 +1187,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to update attachment in Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -1130,13 +1227,9 @@ export class PegaV2Client extends BaseApiClient {
 
       const url = `${this.getApiBaseUrl()}/attachments/upload`;
 
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers for multipart form data
       // Note: Do not set Content-Type header manually - FormData will set it with boundary
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
         // Do NOT add formData.getHeaders() - web FormData doesn't have this method
@@ -1144,16 +1237,15 @@ export class PegaV2Client extends BaseApiClient {
       };
 
       // Make the multipart form data request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'POST',
         headers: headers,
-        body: formData,
-        timeout: this.config.pega.requestTimeout || 30000
+        body: formData
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleAttachmentErrorResponse(response);
+        return { ...(await this.handleAttachmentErrorResponse(response)), retries };
       }
 
       // Parse successful response
@@ -1163,7 +1255,8 @@ export class PegaV2Client extends BaseApiClient {
         success: true,
         data,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1171,11 +1264,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to upload attachment to Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -1369,6 +1463,123 @@ export class PegaV2Client extends BaseApiClient {
     });
   }
 
+  /**
+   * List cases with filters, sorting and pagination through list data views (see case-list.js)
+   *
+   * Queries options.dataViewID when given, otherwise the default list data view of the case type,
+   * or of every case type (GET /data_objects?type=case). When several data views are queried, each
+   * returns its first pageNumber x pageSize cases in the requested order and the page is taken from
+   * the merged list, so pages are the same as from a single data view.
+   *
+   * @param {Object} options - Filter, sort and paging options
+   * @param {string} [options.caseTypeID] - Case type ID
+   * @param {string} [options.status] - Case status (case-insensitive)
+   * @param {string} [options.owner] - Operator ID that created the case (case-insensitive)
+   * @param {string} [options.createdAfter] - Earliest create date-time (inclusive)
+   * @param {string} [options.createdBefore] - Latest create date-time (inclusive)
+   * @param {string} [options.sortBy='createTime'] - createTime, lastUpdateTime, urgency, status or ID
+   * @param {string} [options.sortOrder='ASC'] - ASC or DESC
+   * @param {number} [options.pageNumber=1] - Page number (1-based)
+   * @param {number} [options.pageSize=100] - Cases per page
+   * @param {string} [options.dataViewID] - Case list data view to query instead of the case type ones
+   * @returns {Promise<Object>} Response with cases array and paging metadata
+   */
+  async getCases(options = {}) {
+    const query = withCaseListDefaults(options);
+
+    let dataViews;
+    if (query.dataViewID) {
+      dataViews = [query.dataViewID];
+    } else {
+      const dataObjects = await this.getDataObjects({ type: 'case' });
+      if (!dataObjects.success) {
+        return dataObjects;
+      }
+
+      const caseTypes = (dataObjects.data?.dataObjects || []).filter(dataObject =>
+        dataObject.defaultListDataView &&
+        dataObject.isDefaultListDataViewQueryable !== false &&
+        (!query.caseTypeID || dataObject.classID === query.caseTypeID)
+      );
+
+      if (query.caseTypeID && caseTypes.length === 0) {
+        return {
+          success: false,
+          error: {
+            type: 'NOT_FOUND',
+            message: 'Case list data view not found',
+            details: `Case type ${query.caseTypeID} has no queryable list data view. Pass dataViewID to query another data view.`
+          }
+        };
+      }
+
+      dataViews = [...new Set(caseTypes.map(caseType => caseType.defaultListDataView))];
+    }
+
+    const merged = dataViews.length > 1;
+    const fetchSize = query.pageNumber * query.pageSize;
+    if (merged && fetchSize > MAX_DATA_VIEW_RESULTS) {
+      return {
+        success: false,
+        error: {
+          type: 'BAD_REQUEST',
+          message: 'Page out of range',
+          details: `Listing the cases of all case types supports pages up to ${MAX_DATA_VIEW_RESULTS} cases (pageNumber x pageSize). Pass caseTypeID to page further.`
+        }
+      };
+    }
+
+    // Data views that are not specific to the case type are filtered on its class
+    const requestBody = {
+      query: buildCaseListQuery(query, Boolean(query.dataViewID)),
+      paging: merged
+        ? { pageNumber: 1, pageSize: fetchSize }
+        : { pageNumber: query.pageNumber, pageSize: query.pageSize }
+    };
+
+    const results = await Promise.all(dataViews.map(dataViewID => this.getListDataView(dataViewID, requestBody)));
+    const failed = results
+      .map((result, index) => ({ dataViewID: dataViews[index], result }))
+      .filter(({ result }) => !result.success);
+
+    if (failed.length > 0 && failed.length === dataViews.length) {
+      return failed[0].result;
+    }
+
+    const succeeded = results.filter(result => result.success);
+    const hasMoreRows = (data, size) => data?.hasMoreResults ?? (data?.data?.length || 0) >= size;
+
+    let cases = succeeded.flatMap(result => (result.data?.data || []).map(fromDataViewRow));
+    let hasMoreResults;
+    if (merged) {
+      cases.sort((a, b) => compareCases(a, b, query.sortBy, query.sortOrder));
+      const page = getCasePage(cases, query);
+      cases = page.cases;
+      hasMoreResults = page.hasMoreResults || succeeded.some(result => hasMoreRows(result.data, fetchSize));
+    } else {
+      hasMoreResults = succeeded.length > 0 && hasMoreRows(succeeded[0].data, query.pageSize);
+    }
+
+    return {
+      success: true,
+      data: {
+        cases
+      },
+      metadata: {
+        count: cases.length,
+        pageNumber: query.pageNumber,
+        pageSize: query.pageSize,
+        hasMoreResults,
+        dataViews,
+        skippedDataViews: failed.map(({ dataViewID, result }) => ({
+          dataViewID,
+          reason: result.error?.details || result.error?.message
+        })),
+        apiVersion: 'v2'
+      }
+    };
+  }
+
   /**
    * Change case to next stage in primary stage sequence
    * @param {string} caseID - Full case handle
@@ -1529,26 +1740,21 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/documents/${encodedDocumentID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'text/plain', // Document API returns base64 content as text/plain
         'x-origin-channel': 'Web'
       };
 
       // Make request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'GET',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleDocumentErrorResponse(response);
+        return { ...(await this.handleDocumentErrorResponse(response)), retries };
       }
 
       // Get response headers for content metadata
@@ -1565,7 +1771,8 @@ export class PegaV2Client extends BaseApiClient {
         data: content,
         headers: responseHeaders,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1573,11 +1780,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to retrieve document content from Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -1595,26 +1803,21 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/cases/${encodedCaseID}/documents/${encodedDocumentID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
       };
 
       // Make DELETE request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'DELETE',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleRemoveCaseDocumentErrorResponse(response);
+        return { ...(await this.handleRemoveCaseDocumentErrorResponse(response)), retries };
       }
 
       // Get response headers (especially cache-control)
@@ -1629,7 +1832,8 @@ export class PegaV2Client extends BaseApiClient {
         data: {}, // Empty response body for successful deletion
         headers: responseHeaders,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1637,11 +1841,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to remove document from case via Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -1702,26 +1907,21 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/cases/${encodedCaseID}/followers/${encodedFollowerID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
       };
 
       // Make DELETE request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'DELETE',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleFollowerDeleteErrorResponse(response);
+        return { ...(await this.handleFollowerDeleteErrorResponse(response)), retries };
       }
 
       // Get response headers (especially cache-control)
@@ -1736,7 +1936,8 @@ export class PegaV2Client extends BaseApiClient {
         data: {}, // Empty response body for successful deletion
         headers: responseHeaders,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1744,11 +1945,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to delete follower from case via Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -1923,27 +2125,22 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/cases/${encodedCaseID}/participants/${encodedParticipantID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
         'if-match': eTag, // Required eTag header for optimistic locking
         'x-origin-channel': 'Web'
       };
 
       // Make DELETE request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'DELETE',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleParticipantDeleteErrorResponse(response);
+        return { ...(await this.handleParticipantDeleteErrorResponse(response)), retries };
       }
 
       // Get response headers (especially etag)
@@ -1959,7 +2156,8 @@ export class PegaV2Client extends BaseApiClient {
         headers: responseHeaders,
         eTag: response.headers.get('etag'), // Capture new eTag
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -1967,11 +2165,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to delete participant from case via Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -2086,26 +2285,21 @@ export class PegaV2Client extends BaseApiClient {
     const url = `${this.getApiBaseUrl()}/cases/${encodedCaseID}/tags/${encodedTagID}`;
 
     try {
-      // Get OAuth2 token
-      const token = await this.oauth2Client.getAccessToken();
-      
       // Prepare headers
       const headers = {
-        'Authorization': `Bearer ${token}`,
         'Accept': 'application/json',
         'x-origin-channel': 'Web'
       };
 
       // Make DELETE request
-      const response = await fetch(url, {
+      const { response, retries } = await this.sendRequest(url, {
         method: 'DELETE',
-        headers,
-        timeout: config.pega.requestTimeout || 30000
+        headers
       });
 
       // Handle non-2xx responses
       if (!response.ok) {
-        return await this.handleTagDeleteErrorResponse(response);
+        return { ...(await this.handleTagDeleteErrorResponse(response)), retries };
       }
 
       // Get response headers (especially cache-control)
@@ -2122,7 +2316,8 @@ export class PegaV2Client extends BaseApiClient {
         data: { message: responseText }, // Wrap the response text
         headers: responseHeaders,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        retries
       };
 
     } catch (error) {
@@ -2130,11 +2325,12 @@ export class PegaV2Client extends BaseApiClient {
       return {
         success: false,
         error: {
-          type: 'CONNECTION_ERROR',
+          type: this.getAbortType(error) || 'CONNECTION_ERROR',
           message: 'Failed to delete tag from case via Pega API',
           details: error.message,
           originalError: error
-        }
+        },
+        retries: error.retries || 0
       };
     }
   }
@@ -0,0 +1,343 @@
+import crypto from 'crypto';
+import http from 'http';
+import { spawn } from 'child_process';
+import { OAuth2Client } from './oauth2-client.js';
+import { sessionManager } from '../session/session-manager.js';
+import { getSessionConfig } from '../config/session-config.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_REDIRECT_URI = 'http://127.0.0.1:8765/callback';
+const DEFAULT_LOGIN_TIMEOUT = 5 * 60 * 1000;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+/**
+ * OAuth2 Authorization Code + PKCE login for interactive users
+ *
+ * Used when an OAuth client secret cannot be handed out. start() builds the Pega authorize URL
+ * with a PKCE challenge and listens on the loopback redirect URI. After the user signs in, the
+ * callback exchanges the code for tokens and creates a session in sessionManager that runs as
+ * that user. The session refreshes its access token with the refresh token when Pega issues one,
+ * otherwise it holds the access token until it expires.
+ *
+ * Configuration (environment variables):
+ * - PEGA_OAUTH_REDIRECT_URI   - Loopback redirect URI registered on the OAuth client
+ *                               (default: http://127.0.0.1:8765/callback)
+ * - PEGA_OAUTH_LOGIN_TIMEOUT  - Time allowed to complete a login in ms (default: 300000)
+ *
+ * The listener runs on the machine of the MCP server, so this flow is meant for servers that
+ * run next to the user's browser (stdio, or HTTP on the same workstation).
+ */
+export class AuthorizationCodeFlow {
+  constructor(options = {}) {
+    this.redirectUri = options.redirectUri || process.env.PEGA_OAUTH_REDIRECT_URI || DEFAULT_REDIRECT_URI;
+    this.loginTimeout = options.loginTimeout || parseInt(process.env.PEGA_OAUTH_LOGIN_TIMEOUT, 10) || DEFAULT_LOGIN_TIMEOUT;
+
+    // Map<loginId, login>; the loginId doubles as the OAuth state parameter
+    this.logins = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Start a login: listen for the callback and build the authorization URL
+   * @param {Object} options - Login options
+   * @param {string} options.baseUrl - Pega base URL (without /prweb)
+   * @param {string} options.clientId - OAuth client ID (public or confidential client)
+   * @param {string} [options.clientSecret] - OAuth client secret (confidential clients only)
+   * @param {string} [options.apiVersion] - API version of the new session
+   * @param {string} [options.scope] - OAuth scope
+   * @param {boolean} [options.openBrowser=true] - Try to open the system browser
+   * @param {string} [options.owner] - MCP session ID of the HTTP connection that starts the login;
+   *   the session created on the callback belongs to it
+   * @returns {Promise<Object>} { loginId, authorizationUrl, redirectUri, expiresAt, browserOpened }
+   */
+  async start({ baseUrl, clientId, clientSecret, apiVersion, scope, openBrowser = true, owner = null }) {
+    if (!baseUrl || !clientId) {
+      throw new Error('Authorization code login requires baseUrl and clientId');
+    }
+
+    await this.listen();
+
+    const loginId = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const cleanBaseUrl = baseUrl.replace(/\/prweb.*$/, '').replace(/\/$/, '');
+
+    const authorizationUrl = new URL(`${cleanBaseUrl}/prweb/PRRestService/oauth2/v1/authorize`);
+    authorizationUrl.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: this.redirectUri,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      state: loginId,
+      ...(scope ? { scope } : {})
+    }).toString();
+
+    const login = {
+      loginId,
+      baseUrl: cleanBaseUrl,
+      clientId,
+      clientSecret,
+      apiVersion,
+      scope,
+      owner,
+      codeVerifier,
+      expiresAt: Date.now() + this.loginTimeout,
+      timer: null,
+      result: null
+    };
+
+    // Settled by the callback or the timeout; wait() reads it
+    login.result = new Promise((resolve) => {
+      login.resolve = resolve;
+    });
+    login.timer = setTimeout(() => {
+      this.finish(login, { success: false, error: 'Login timed out before the browser sign-in completed' });
+    }, this.loginTimeout);
+    login.timer.unref();
+
+    this.logins.set(loginId, login);
+
+    const browserOpened = openBrowser ? this.openBrowser(authorizationUrl.toString()) : false;
+
+    logger.info(`🌐 Authorization code login started (${loginId}), waiting for callback on ${this.redirectUri}`);
+
+    return {
+      loginId,
+      authorizationUrl: authorizationUrl.toString(),
+      redirectUri: this.redirectUri,
+      expiresAt: new Date(login.expiresAt).toISOString(),
+      browserOpened
+    };
+  }
+
+  /**
+   * Wait for a login to complete
+   * @param {string} loginId - Login ID returned by start()
+   * @param {number} waitMs - Maximum time to wait in milliseconds
+   * @returns {Promise<Object>} { status: 'completed'|'pending'|'failed'|'unknown', sessionId, error }
+   */
+  async wait(loginId, waitMs) {
+    const login = this.logins.get(loginId);
+    if (!login) {
+      return { status: 'unknown', error: `Login ${loginId} not found. It may have completed earlier, timed out, or been started by another server.` };
+    }
+
+    let timer;
+    const pending = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ status: 'pending' }), waitMs);
+    });
+
+    const result = await Promise.race([login.result, pending]);
+    clearTimeout(timer);
+
+    if (result.status === 'pending') {
+      return { status: 'pending', expiresAt: new Date(login.expiresAt).toISOString() };
+    }
+
+    this.logins.delete(loginId);
+    this.closeIfIdle();
+
+    return result.success
+      ? { status: 'completed', sessionId: result.sessionId, refreshable: result.refreshable }
+      : { status: 'failed', error: result.error };
+  }
+
+  /**
+   * Start the loopback callback listener if it is not running
+   * @returns {Promise<void>}
+   */
+  async listen() {
+    if (this.server) {
+      return;
+    }
+
+    const url = new URL(this.redirectUri);
+    if (url.protocol !== 'http:' || !LOOPBACK_HOSTS.includes(url.hostname)) {
+      throw new Error(`PEGA_OAUTH_REDIRECT_URI must be an http loopback URI (e.g. ${DEFAULT_REDIRECT_URI}), got: ${this.redirectUri}`);
+    }
+
+    const server = http.createServer((req, res) => this.handleCallback(req, res, url.pathname));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(Number(url.port) || 80, url.hostname.replace(/^\[|\]$/g, ''), () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    server.unref();
+
+    this.server = server;
+  }
+
+  /**
+   * Stop the listener when no logins are pending
+   */
+  closeIfIdle() {
+    if (this.server && this.logins.size === 0) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Handle the browser redirect from the Pega authorize endpoint
+   * @param {http.IncomingMessage} req - Callback request
+   * @param {http.ServerResponse} res - Callback response
+   * @param {string} callbackPath - Path of the redirect URI
+   */
+  async handleCallback(req, res, callbackPath) {
+    const url = new URL(req.url, this.redirectUri);
+    if (url.pathname !== callbackPath) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const login = this.logins.get(url.searchParams.get('state'));
+    if (!login || login.settled || login.exchanging) {
+      this.sendPage(res, 400, 'Login not recognized', 'This sign-in link is unknown or has already been used. Start a new login from your agent.');
+      return;
+    }
+
+    const error = url.searchParams.get('error');
+    if (error) {
+      const description = url.searchParams.get('error_description') || error;
+      this.finish(login, { success: false, error: `Authorization failed: ${description}` });
+      this.sendPage(res, 400, 'Sign-in failed', description);
+      return;
+    }
+
+    login.exchanging = true;
+    try {
+      const sessionId = await this.completeLogin(login, url.searchParams.get('code'));
+      this.sendPage(res, 200, 'Signed in', 'You can close this window and return to your agent.');
+      logger.info(`✅ Authorization code login ${login.loginId} completed, session ${sessionId}`);
+    } catch (exchangeError) {
+      this.finish(login, { success: false, error: exchangeError.message });
+      this.sendPage(res, 502, 'Sign-in failed', 'The authorization code could not be exchanged for a token. Check the agent for details.');
+      logger.error(`❌ Authorization code login ${login.loginId} failed:`, exchangeError.message);
+    }
+  }
+
+  /**
+   * Exchange the authorization code and create the session
+   * With a refresh token the session uses the refresh_token grant; otherwise it holds the access
+   * token directly.
+   * @param {Object} login - Pending login
+   * @param {string} code - Authorization code
+   * @returns {Promise<string>} Session ID
+   */
+  async completeLogin(login, code) {
+    if (!code) {
+      throw new Error('Callback did not include an authorization code');
+    }
+
+    const exchangeClient = new OAuth2Client({
+      pega: {
+        baseUrl: login.baseUrl,
+        tokenUrl: `${login.baseUrl}/prweb/PRRestService/oauth2/v1/token`,
+        clientId: login.clientId,
+        clientSecret: login.clientSecret,
+        grantType: 'refresh_token'
+      }
+    });
+
+    const tokenData = await exchangeClient.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: login.codeVerifier
+    });
+
+    let sessionId;
+    if (tokenData.refresh_token) {
+      sessionId = sessionManager.createSession({
+        baseUrl: login.baseUrl,
+        apiVersion: login.apiVersion,
+        clientId: login.clientId,
+        clientSecret: login.clientSecret,
+        grantType: 'refresh_token',
+        refreshToken: tokenData.refresh_token,
+        scope: login.scope
+      }, undefined, undefined, login.owner);
+
+      // Seed the session's token cache so the first tool call does not refresh immediately
+      new OAuth2Client(getSessionConfig(sessionId)).storeTokenResponse(tokenData);
+    } else {
+      sessionId = sessionManager.createSession({
+        baseUrl: login.baseUrl,
+        apiVersion: login.apiVersion,
+        accessToken: tokenData.access_token,
+        tokenExpiry: tokenData.expires_in
+      }, undefined, undefined, login.owner);
+    }
+
+    this.finish(login, { success: true, sessionId, refreshable: !!tokenData.refresh_token });
+    return sessionId;
+  }
+
+  /**
+   * Settle a login once
+   * @param {Object} login - Pending login
+   * @param {Object} result - { success, sessionId, refreshable, error }
+   */
+  finish(login, result) {
+    if (login.settled) {
+      return;
+    }
+
+    login.settled = true;
+    clearTimeout(login.timer);
+    login.resolve(result);
+
+    // Logins nobody collects with wait() are dropped after a grace period
+    setTimeout(() => {
+      if (this.logins.get(login.loginId) === login) {
+        this.logins.delete(login.loginId);
+        this.closeIfIdle();
+      }
+    }, this.loginTimeout).unref();
+  }
+
+  /**
+   * Send a minimal HTML page to the browser
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {string} title - Page title
+   * @param {string} message - Message shown to the user
+   */
+  sendPage(res, status, title, message) {
+    const escape = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html><head><title>Pega DX MCP - ${escape(title)}</title></head><body><h1>${escape(title)}</h1><p>${escape(message)}</p></body></html>`);
+  }
+
+  /**
+   * Try to open a URL in the system browser
+   * @param {string} url - URL to open
+   * @returns {boolean} Whether a browser launch was attempted (it may still fail on headless machines)
+   */
+  openBrowser(url) {
+    // Not "cmd /c start": cmd would treat the & between query parameters as a command separator
+    const commands = {
+      darwin: ['open', [url]],
+      win32: ['rundll32', ['url.dll,FileProtocolHandler', url]]
+    };
+    const [command, args] = commands[process.platform] || ['xdg-open', [url]];
+
+    try {
+      const child = spawn(command, args, { stdio: 'ignore', detached: true });
+      child.on('error', () => {});
+      child.unref();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const authorizationCodeFlow = new AuthorizationCodeFlow();
@@ -0,0 +1,53 @@
+/**
+ * OAuth2 grant types supported by OAuth2Client
+ *
+ * - client_credentials: the OAuth client acts as itself (default)
+ * - password:           resource owner password grant, acts as the named operator
+ * - jwt_bearer:         JWT bearer assertion (RFC 7523) identifying the operator
+ * - refresh_token:      starts from a refresh token obtained elsewhere
+ *
+ * All grants authenticate the OAuth client with clientId/clientSecret. Refresh tokens returned
+ * by Pega are kept and used (and rotated) before falling back to the configured grant.
+ */
+export const GRANT_TYPES = ['client_credentials', 'password', 'jwt_bearer', 'refresh_token'];
+
+export const DEFAULT_GRANT_TYPE = 'client_credentials';
+
+/**
+ * grant_type value sent for the JWT bearer grant
+ */
+export const JWT_BEARER_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+/**
+ * Credential fields each grant type needs besides clientId/clientSecret
+ */
+const REQUIRED_FIELDS = {
+  client_credentials: [],
+  password: ['username', 'password'],
+  jwt_bearer: ['assertion'],
+  refresh_token: ['refreshToken']
+};
+
+/**
+ * Normalize a grant type name
+ * @param {string} [grantType] - Grant type as configured
+ * @returns {string|null} Normalized grant type, the default when empty, null when unknown
+ */
+export function normalizeGrantType(grantType) {
+  if (!grantType) {
+    return DEFAULT_GRANT_TYPE;
+  }
+
+  const normalized = String(grantType).trim().toLowerCase();
+  return GRANT_TYPES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Get the credential fields a grant type needs that are missing
+ * @param {string} grantType - Normalized grant type
+ * @param {Object} credentials - Credentials with username, password, assertion, refreshToken
+ * @returns {Array<string>} Missing field names
+ */
+export function getMissingGrantFields(grantType, credentials = {}) {
+  return (REQUIRED_FIELDS[grantType] || []).filter(field => !credentials[field]);
+}
@@ -1,4 +1,19 @@
+import crypto from 'crypto';
 import { config } from '../config.js';
+import { sessionManager } from '../session/session-manager.js';
+import {
+  DEFAULT_GRANT_TYPE,
+  JWT_BEARER_GRANT_TYPE,
+  getMissingGrantFields,
+  normalizeGrantType
+} from './grant-types.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * In-flight token requests, so parallel tool calls wait for one request instead of each fetching
+ * Map<sharedTokenKey, Promise<string>>
+ */
+const pendingTokenRequests = new Map();
 
 export class OAuth2Client {
   constructor(sessionConfig = null) {
@@ -15,6 +30,7 @@ export class OAuth2Client {
 
     // Session-specific token cache key (for multi-session support)
     this.cacheKey = this.generateCacheKey();
+    this.sharedTokenKey = this.generateSharedTokenKey();
 
     // Initialize token for direct token mode
     if (this.authMode === 'token') {
@@ -54,6 +70,24 @@ export class OAuth2Client {
     return 'global'; // For environment-based authentication
   }
 
+  /**
+   * Generate the key of the shared token cache
+   * Includes a fingerprint of the OAuth credentials and grant, so updated session credentials
+   * (or another operator) get a new token.
+   * @returns {string} Shared token cache key
+   */
+  generateSharedTokenKey() {
+    const { pega } = this.config;
+    const fingerprint = crypto.createHash('sha256')
+      .update([
+        pega.tokenUrl, pega.clientId, pega.clientSecret, this.getGrantType(),
+        pega.username, pega.password, pega.assertion, pega.refreshToken, pega.scope
+      ].join('\n'))
+      .digest('hex')
+      .substring(0, 16);
+    return `${this.cacheKey}:${fingerprint}`;
+  }
+
   /**
    * Initialize direct token from configuration
    */
@@ -68,7 +102,7 @@ export class OAuth2Client {
         this.tokenExpiry = pega.tokenExpiry;
       }
 
-      console.error(`🔐 Direct token initialized for ${this.cacheKey}`);
+      logger.debug(`🔐 Direct token initialized for ${this.cacheKey}`);
     }
   }
 
@@ -82,12 +116,54 @@ export class OAuth2Client {
     }
 
     // For OAuth mode, check cache and refresh if needed
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry - this.tokenExpiryBuffer) {
+    if (this.isTokenValid(this.accessToken, this.tokenExpiry)) {
+      return this.accessToken;
+    }
+
+    // Another client with the same credentials may already hold a valid token
+    // Tokens are shared through the session store by all clients with the same credentials
+    const shared = sessionManager.getTokens(this.sharedTokenKey);
+    if (shared && this.isTokenValid(shared.accessToken, shared.tokenExpiry)) {
+      this.accessToken = shared.accessToken;
+      this.tokenExpiry = shared.tokenExpiry;
       return this.accessToken;
     }
 
-    // Need to get a new token via OAuth
-    return await this.fetchAccessToken();
+    // Need to get a new token via OAuth - join a request that is already in flight
+    let pending = pendingTokenRequests.get(this.sharedTokenKey);
+    if (!pending) {
+      pending = this.fetchAccessToken().finally(() => {
+        pendingTokenRequests.delete(this.sharedTokenKey);
+      });
+      pendingTokenRequests.set(this.sharedTokenKey, pending);
+    }
+
+    const token = await pending;
+    const fetched = sessionManager.getTokens(this.sharedTokenKey);
+    if (fetched) {
+      this.accessToken = fetched.accessToken;
+      this.tokenExpiry = fetched.tokenExpiry;
+    }
+    return token;
+  }
+
+  /**
+   * Check whether a cached OAuth token can still be used
+   * @param {string} token - Cached access token
+   * @param {number} expiry - Token expiry timestamp
+   * @returns {boolean} True if the token is present and not within the expiry buffer
+   */
+  isTokenValid(token, expiry) {
+    return !!token && !!expiry && Date.now() < expiry - this.tokenExpiryBuffer;
+  }
+
+  /**
+   * Check whether a failed request can be replayed with a new token
+   * Direct tokens cannot be refreshed.
+   * @returns {boolean} True in OAuth mode
+   */
+  canRefreshToken() {
+    return this.authMode === 'oauth';
   }
 
   /**
@@ -109,7 +185,17 @@ export class OAuth2Client {
   }
 
   /**
-   * Fetch a new access token using OAuth2 Client Credentials flow
+   * Get the configured OAuth2 grant type
+   * @returns {string} Grant type (client_credentials, password, jwt_bearer or refresh_token)
+   */
+  getGrantType() {
+    return normalizeGrantType(this.config.pega.grantType) || DEFAULT_GRANT_TYPE;
+  }
+
+  /**
+   * Fetch a new access token using the configured OAuth2 grant
+   * A refresh token from an earlier response is tried first; if Pega rejects it, the
+   * configured grant is used again.
    */
   async fetchAccessToken() {
     if (this.authMode === 'token') {
@@ -118,49 +204,44 @@ export class OAuth2Client {
 
     try {
       const { pega } = this.config;
-      const tokenUrl = pega.tokenUrl;
-      const clientId = pega.clientId;
-      const clientSecret = pega.clientSecret;
+      const grantType = this.getGrantType();
 
-      if (!tokenUrl || !clientId || !clientSecret) {
+      // Public clients (no secret) can use every grant except client_credentials
+      if (!pega.tokenUrl || !pega.clientId || (!pega.clientSecret && grantType === 'client_credentials')) {
         const configSource = this.config._sessionMeta ? 'session configuration' : 'environment variables';
         throw new Error(`OAuth2 configuration incomplete in ${configSource}. Need baseUrl, clientId, and clientSecret.`);
       }
 
-      const response = await fetch(tokenUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
-        },
-        body: 'grant_type=client_credentials',
-        timeout: 30000
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OAuth2 token request failed: ${response.status} ${response.statusText} - ${errorText}`);
+      const missing = getMissingGrantFields(grantType, pega);
+      if (missing.length > 0) {
+        throw new Error(`OAuth2 ${grantType} grant requires: ${missing.join(', ')}`);
       }
 
-      const tokenData = await response.json();
-
-      if (!tokenData.access_token) {
-        throw new Error('OAuth2 response missing access_token');
+      let tokenData = null;
+      const refreshToken = sessionManager.getTokens(this.sharedTokenKey)?.refreshToken;
+      if (refreshToken) {
+        try {
+          tokenData = await this.requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+        } catch (error) {
+          sessionManager.setTokens(this.sharedTokenKey, null);
+          logger.warn(`⚠️ Refresh token rejected for ${this.cacheKey}, requesting a new token with the ${grantType} grant: ${error.message}`);
+        }
       }
 
-      // Cache the token
-      this.accessToken = tokenData.access_token;
-      
-      // Calculate expiry time (default to 1 hour if not provided)
-      const expiresIn = tokenData.expires_in || 3600;
-      this.tokenExpiry = Date.now() + (expiresIn * 1000);
+      if (!tokenData) {
+        tokenData = await this.requestToken(this.buildGrantParams(grantType));
+      }
 
-      return this.accessToken;
+      return this.storeTokenResponse(tokenData);
 
     } catch (error) {
       // Clear cached token on error
       this.clearTokenCache();
       
+      if (error.name === 'TimeoutError') {
+        throw new Error(`OAuth2 token request to ${this.config.pega.tokenUrl} timed out`);
+      }
+
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         throw new Error(`Failed to connect to OAuth2 endpoint: ${this.config.pega.tokenUrl}`);
       }
@@ -169,12 +250,187 @@ export class OAuth2Client {
     }
   }
 
+  /**
+   * Cache the tokens of a token endpoint response for all clients with the same credentials
+   * Also used to seed a session with tokens obtained by the authorization code flow.
+   * @param {Object} tokenData - Token response (access_token, expires_in, refresh_token)
+   * @returns {string} Access token
+   */
+  storeTokenResponse(tokenData) {
+    // Cache the token
+    this.accessToken = tokenData.access_token;
+
+    // Calculate expiry time (default to 1 hour if not provided)
+    const expiresIn = tokenData.expires_in || 3600;
+    this.tokenExpiry = Date.now() + (expiresIn * 1000);
+
+    // Keep the refresh token; Pega may rotate it on every refresh
+    sessionManager.setTokens(this.sharedTokenKey, {
+      accessToken: this.accessToken,
+      tokenExpiry: this.tokenExpiry,
+      refreshToken: tokenData.refresh_token || sessionManager.getTokens(this.sharedTokenKey)?.refreshToken
+    });
+
+    return this.accessToken;
+  }
+
+  /**
+   * Build the token request parameters of the configured grant
+   * @param {string} grantType - Normalized grant type
+   * @returns {Object} Form parameters
+   */
+  buildGrantParams(grantType) {
+    const { pega } = this.config;
+    const scope = pega.scope ? { scope: pega.scope } : {};
+
+    switch (grantType) {
+      case 'password':
+        return { grant_type: 'password', username: pega.username, password: pega.password, ...scope };
+      case 'jwt_bearer':
+        return { grant_type: JWT_BEARER_GRANT_TYPE, assertion: pega.assertion, ...scope };
+      case 'refresh_token':
+        return { grant_type: 'refresh_token', refresh_token: pega.refreshToken, ...scope };
+      default:
+        return { grant_type: 'client_credentials', ...scope };
+    }
+  }
+
+  /**
+   * Send a token request to the OAuth2 token endpoint
+   * @param {Object} params - Form parameters
+   * @returns {Promise<Object>} Token response (access_token, expires_in, refresh_token)
+   * @throws {Error} If the request fails or the response has no access_token
+   */
+  async requestToken(params) {
+    const response = await this.postClientRequest(this.config.pega.tokenUrl, params);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`OAuth2 token request failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const tokenData = await response.json();
+
+    if (!tokenData.access_token) {
+      throw new Error('OAuth2 response missing access_token');
+    }
+
+    return tokenData;
+  }
+
+  /**
+   * POST a form to an OAuth2 endpoint as the OAuth client
+   * Confidential clients authenticate with HTTP Basic; public clients (no secret) send client_id.
+   * @param {string} url - Endpoint URL
+   * @param {Object} params - Form parameters
+   * @returns {Promise<Response>} Fetch response
+   */
+  async postClientRequest(url, params) {
+    const { pega } = this.config;
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (pega.clientSecret) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${pega.clientId}:${pega.clientSecret}`).toString('base64')}`;
+    } else {
+      params = { ...params, client_id: pega.clientId };
+    }
+
+    // OAuth requests only time out; they are not tied to the cancellation of a single tool call
+    const timeout = pega.requestTimeout || 30000;
+    return await fetch(url, {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(timeout)
+    });
+  }
+
+  /**
+   * Get the OAuth2 token revocation endpoint (RFC 7009)
+   * @returns {string|null} Revocation URL next to the token endpoint
+   */
+  getRevocationUrl() {
+    const { tokenUrl } = this.config.pega;
+    return tokenUrl ? tokenUrl.replace(/\/token$/, '/revoke') : null;
+  }
+
+  /**
+   * Revoke the cached refresh and access tokens at the OAuth2 revocation endpoint
+   * The refresh token is revoked first, since Pega may revoke its access tokens with it.
+   * HTTP 404, 405 and 501 mean the server does not support revocation.
+   * @returns {Promise<Object>} { status: 'revoked'|'no_tokens'|'unsupported'|'skipped'|'failed', revoked, error }
+   */
+  async revokeTokens() {
+    const { pega } = this.config;
+    const cached = this.authMode === 'token'
+      ? { accessToken: this.accessToken }
+      : (sessionManager.getTokens(this.sharedTokenKey) || {});
+
+    const tokens = [
+      ['refresh_token', cached.refreshToken],
+      ['access_token', cached.accessToken]
+    ].filter(([, token]) => token);
+
+    if (tokens.length === 0) {
+      return { status: 'no_tokens', revoked: [] };
+    }
+
+    const revocationUrl = this.getRevocationUrl();
+    if (!revocationUrl || !pega.clientId) {
+      return { status: 'skipped', revoked: [], error: 'No OAuth client is configured to authenticate the revocation request' };
+    }
+
+    const revoked = [];
+    try {
+      for (const [tokenTypeHint, token] of tokens) {
+        const response = await this.postClientRequest(revocationUrl, { token, token_type_hint: tokenTypeHint });
+
+        if ([404, 405, 501].includes(response.status)) {
+          await response.body?.cancel();
+          return { status: 'unsupported', revoked };
+        }
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          return { status: 'failed', revoked, error: `${response.status} ${response.statusText} - ${errorText}` };
+        }
+
+        await response.body?.cancel();
+        revoked.push(tokenTypeHint);
+      }
+    } catch (error) {
+      const message = error.name === 'TimeoutError'
+        ? `OAuth2 revocation request to ${revocationUrl} timed out`
+        : error.message;
+      return { status: 'failed', revoked, error: message };
+    }
+
+    this.clearTokenCache();
+    if (this.authMode === 'oauth') {
+      sessionManager.setTokens(this.sharedTokenKey, null);
+    }
+
+    return { status: 'revoked', revoked };
+  }
+
   /**
    * Clear cached token (used when token becomes invalid)
+   * When the rejected token is given, the shared token is only cleared if it is still that token,
+   * so a token another request just fetched is kept. The refresh token is kept.
+   * @param {string} [rejectedToken] - Token that Pega rejected
    */
-  clearTokenCache() {
+  clearTokenCache(rejectedToken) {
     this.accessToken = null;
     this.tokenExpiry = null;
+
+    if (this.authMode === 'token') {
+      return;
+    }
+
+    const shared = sessionManager.getTokens(this.sharedTokenKey);
+    if (shared?.accessToken && (!rejectedToken || shared.accessToken === rejectedToken)) {
+      sessionManager.setTokens(this.sharedTokenKey, { refreshToken: shared.refreshToken });
+    }
   }
 
   /**
@@ -195,7 +451,7 @@ export class OAuth2Client {
       this.authMode = 'token';
     }
 
-    console.error(`🔐 Access token explicitly set for ${this.cacheKey} (expires in ${expiresInSeconds}s)`);
+    logger.info(`🔐 Access token explicitly set for ${this.cacheKey} (expires in ${expiresInSeconds}s)`);
   }
 
   /**
@@ -205,6 +461,7 @@ export class OAuth2Client {
     return {
       authMode: this.authMode,
       cacheKey: this.cacheKey,
+      grantType: this.authMode === 'oauth' ? this.getGrantType() : null,
       hasToken: !!this.accessToken,
       tokenExpiry: this.tokenExpiry,
       isExpired: this.tokenExpiry ? Date.now() > this.tokenExpiry : (this.authMode === 'token'),
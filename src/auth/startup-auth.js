@@ -1,5 +1,6 @@
 import { config } from '../config.js';
 import { PegaClient } from '../api/pega-client.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Attempt startup authentication with environment credentials
@@ -28,8 +29,8 @@ export async function attemptStartupAuthentication() {
     }
 
     // Environment credentials present - attempt authentication
-    console.error(`   🔑 Found environment credentials for ${pega.baseUrl}`);
-    console.error(`   🔄 Attempting OAuth2 authentication...`);
+    logger.info(`   🔑 Found environment credentials for ${pega.baseUrl}`);
+    logger.info(`   🔄 Attempting OAuth2 authentication...`);
 
     // Create PegaClient (uses environment config)
     const pegaClient = new PegaClient(null);
@@ -40,6 +41,9 @@ export async function attemptStartupAuthentication() {
     // Attempt to get access token (triggers OAuth flow)
     const token = await oauth2Client.getAccessToken();
 
+    // With PEGA_API_VERSION=auto, probe the instance at startup so the first tool call is routed correctly
+    const apiVersion = await pegaClient.resolveApiVersion();
+
     const duration = Date.now() - startTime;
 
     // Get token info
@@ -65,7 +69,8 @@ export async function attemptStartupAuthentication() {
       },
       configuration: {
         baseUrl: pega.baseUrl,
-        apiVersion: pegaClient.getApiVersion(),
+        apiVersion,
+        apiVersionDetection: pegaClient.getApiVersionDetection(),
         tokenUrl: oauth2Client.authMode === 'oauth' ? pega.tokenUrl : 'Direct Token'
       }
     };
@@ -105,7 +110,11 @@ export function formatAuthStatus(result) {
       output += '✅ Authentication successful\n';
       output += `   • Token acquired in ${result.duration}\n`;
       output += `   • Auth mode: ${result.mode.toUpperCase()}\n`;
-      output += `   • API version: ${result.configuration.apiVersion.toUpperCase()}\n`;
+      output += `   • API version: ${result.configuration.apiVersion.toUpperCase()}`;
+      if (result.configuration.apiVersionDetection) {
+        output += ` (auto: ${result.configuration.apiVersionDetection.reason})`;
+      }
+      output += '\n';
       if (result.tokenInfo.expiresAt) {
         output += `   • Token expires: ${result.tokenInfo.expiresAt} (in ${result.tokenInfo.expiresInMinutes} minutes)\n`;
       }
@@ -1,3 +1,6 @@
+import { DEFAULT_GRANT_TYPE, GRANT_TYPES, normalizeGrantType } from './auth/grant-types.js';
+import { logger } from './utils/logger.js';
+import { CONFLICT_STRATEGIES } from './api/conflict-resolver.js';
 
 // Lazy configuration loader - only validates when accessed
 let _config = null;
@@ -10,30 +13,66 @@ function loadConfig() {
   // Validate and clean base URL
   let baseUrl = process.env.PEGA_BASE_URL;
   if (baseUrl && baseUrl.includes('/prweb')) {
-    console.warn('⚠️  WARNING: PEGA_BASE_URL contains "/prweb" which is not needed.');
-    console.warn('   The "/prweb" path is automatically appended for API calls.');
-    console.warn('   Please update your .env file to remove "/prweb" from PEGA_BASE_URL');
+    logger.warn('⚠️  WARNING: PEGA_BASE_URL contains "/prweb" which is not needed.');
+    logger.warn('   The "/prweb" path is automatically appended for API calls.');
+    logger.warn('   Please update your .env file to remove "/prweb" from PEGA_BASE_URL');
     
     // Clean the URL by removing /prweb and anything after it
     baseUrl = baseUrl.replace(/\/prweb.*$/, '');
-    console.warn(`   Using cleaned URL: ${baseUrl}`);
+    logger.warn(`   Using cleaned URL: ${baseUrl}`);
   }
 
   // Validate and normalize API version
   let apiVersion = (process.env.PEGA_API_VERSION || 'v2').toLowerCase();
-  if (apiVersion !== 'v1' && apiVersion !== 'v2') {
-    console.warn(`⚠️  WARNING: Invalid PEGA_API_VERSION "${apiVersion}". Must be "v1" or "v2".`);
-    console.warn('   Defaulting to "v2".');
+  if (!['v1', 'v2', 'auto'].includes(apiVersion)) {
+    logger.warn(`⚠️  WARNING: Invalid PEGA_API_VERSION "${apiVersion}". Must be "v1", "v2" or "auto".`);
+    logger.warn('   Defaulting to "v2".');
     apiVersion = 'v2';
   }
 
+  // Validate OAuth2 grant type
+  let grantType = normalizeGrantType(process.env.PEGA_GRANT_TYPE);
+  if (!grantType) {
+    logger.warn(`⚠️  WARNING: Invalid PEGA_GRANT_TYPE "${process.env.PEGA_GRANT_TYPE}". Must be one of: ${GRANT_TYPES.join(', ')}.`);
+    logger.warn(`   Defaulting to "${DEFAULT_GRANT_TYPE}".`);
+    grantType = DEFAULT_GRANT_TYPE;
+  }
+
+  // Validate default request timeout
+  let requestTimeout = 30000;
+  if (process.env.PEGA_REQUEST_TIMEOUT) {
+    const parsed = parseInt(process.env.PEGA_REQUEST_TIMEOUT, 10);
+    if (Number.isInteger(parsed) && parsed > 0) {
+      requestTimeout = parsed;
+    } else {
+      logger.warn(`⚠️  WARNING: Invalid PEGA_REQUEST_TIMEOUT "${process.env.PEGA_REQUEST_TIMEOUT}". Must be a positive number of milliseconds.`);
+      logger.warn('   Defaulting to 30000.');
+    }
+  }
+
+  // Validate eTag conflict strategy of perform_case_action / perform_assignment_action
+  let conflictStrategy = (process.env.PEGA_CONFLICT_STRATEGY || 'fail').toLowerCase();
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+    logger.warn(`⚠️  WARNING: Invalid PEGA_CONFLICT_STRATEGY "${process.env.PEGA_CONFLICT_STRATEGY}". Must be one of: ${CONFLICT_STRATEGIES.join(', ')}.`);
+    logger.warn('   Defaulting to "fail".');
+    conflictStrategy = 'fail';
+  }
+
   _config = {
     pega: {
       baseUrl: baseUrl || null,
       clientId: process.env.PEGA_CLIENT_ID || null,
       clientSecret: process.env.PEGA_CLIENT_SECRET || null,
       scope: process.env.PEGA_SCOPE || '',
-      requestTimeout: 30000,
+      grantType,
+      username: process.env.PEGA_USERNAME || null,
+      password: process.env.PEGA_PASSWORD || null,
+      assertion: process.env.PEGA_JWT_ASSERTION || null,
+      refreshToken: process.env.PEGA_REFRESH_TOKEN || null,
+      requestTimeout,
+      // Case-wide action update_case uses when no actionID is given (V1 and V2 default: pyUpdateCaseDetails)
+      caseEditAction: process.env.PEGA_CASE_EDIT_ACTION || null,
+      conflictStrategy,
       _apiVersion: apiVersion,  // Store the normalized version
       // Derived URLs from base URL
       get tokenUrl() {
@@ -42,7 +81,7 @@ function loadConfig() {
       },
       get apiBaseUrl() {
         if (!this.baseUrl) return null;
-        // Version-aware API base URL
+        // Version-aware API base URL (auto uses V2 until PegaClient has detected the version)
         if (this._apiVersion === 'v1') {
           return `${this.baseUrl}/prweb/api/v1`;
         }
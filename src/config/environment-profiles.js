@@ -0,0 +1,279 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parse } from 'yaml';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Named Environment Profiles
+ *
+ * A YAML file defines the Pega environments tools can target with their `environment` argument:
+ *
+ *   environments:
+ *     dev:
+ *       baseUrl: https://dev.example.com
+ *       apiVersion: v2
+ *       auth:
+ *         clientId: mcp-dev
+ *         clientSecret: { env: PEGA_DEV_CLIENT_SECRET }
+ *     prod:
+ *       baseUrl: https://prod.example.com
+ *       auth:
+ *         clientId: mcp-prod
+ *         clientSecret: { file: ~/.pega/prod-client-secret }
+ *         grantType: password
+ *         username: ops.agent
+ *         password: { env: PEGA_PROD_PASSWORD }
+ *
+ * Every auth value can be a literal or a secret reference: { env: VARIABLE } reads an
+ * environment variable, { file: path } reads a file (relative to the profile file, trimmed).
+ * References are resolved on every use, so rotated secrets are picked up without a restart.
+ *
+ *   PEGA_ENVIRONMENTS_FILE   Profile file (default: ~/.pega-dx-mcp/environments.yaml)
+ */
+
+const DEFAULT_PROFILES_PATH = path.join(os.homedir(), '.pega-dx-mcp', 'environments.yaml');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Auth settings a profile may define, as named in sessionCredentials
+ */
+export const PROFILE_AUTH_FIELDS = [
+  'clientId', 'clientSecret', 'grantType', 'username', 'password',
+  'assertion', 'refreshToken', 'scope', 'accessToken'
+];
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string} filePath - Path
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  return filePath.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+export class EnvironmentProfiles {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object} [options.env] - Environment variables (default: process.env)
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.cache = null;
+  }
+
+  /**
+   * Get the profile file path
+   * @returns {string} Absolute path of the profile file
+   */
+  getFilePath() {
+    return path.resolve(expandHome(this.env.PEGA_ENVIRONMENTS_FILE || DEFAULT_PROFILES_PATH));
+  }
+
+  /**
+   * Load the profile file, re-reading it when it changed on disk
+   * @returns {Object} { path, exists, environments, error }
+   */
+  load() {
+    const filePath = this.getFilePath();
+
+    let stat = null;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      // A missing file means no profiles are configured
+    }
+
+    const mtime = stat ? stat.mtimeMs : null;
+    if (this.cache && this.cache.path === filePath && this.cache.mtime === mtime) {
+      return this.cache;
+    }
+
+    this.cache = { path: filePath, mtime, exists: !!stat, environments: {}, error: null };
+    if (!stat) {
+      return this.cache;
+    }
+
+    try {
+      const document = parse(fs.readFileSync(filePath, 'utf8')) || {};
+      const environments = document.environments;
+      if (!environments || typeof environments !== 'object' || Array.isArray(environments)) {
+        throw new Error('expected an "environments" mapping of names to profiles');
+      }
+
+      for (const [name, profile] of Object.entries(environments)) {
+        if (!NAME_PATTERN.test(name)) {
+          throw new Error(`invalid environment name "${name}" (use letters, digits, "-" and "_")`);
+        }
+        this.cache.environments[name] = profile || {};
+      }
+
+      logger.info(`🌍 Loaded ${Object.keys(this.cache.environments).length} environment profiles from ${filePath}`);
+    } catch (error) {
+      this.cache.error = `${filePath} could not be read: ${error.message}`;
+      logger.warn(`⚠️ Environment profiles ${this.cache.error}`);
+    }
+
+    return this.cache;
+  }
+
+  /**
+   * Get the names of all configured environments
+   * @returns {Array<string>} Environment names
+   */
+  getNames() {
+    return Object.keys(this.load().environments);
+  }
+
+  /**
+   * Resolve an environment to session credentials
+   * @param {string} name - Environment name
+   * @returns {Object} Credentials for sessionManager.createSession (baseUrl, apiVersion, clientId, ...)
+   * @throws {Error} If the environment is unknown, incomplete or a secret reference cannot be resolved
+   */
+  resolveCredentials(name) {
+    const { environments, error, path: filePath } = this.load();
+    if (error) {
+      throw new Error(`Environment profiles ${error}`);
+    }
+
+    const profile = environments[name];
+    if (!profile) {
+      const names = Object.keys(environments);
+      throw new Error(names.length > 0
+        ? `Unknown environment "${name}". Configured environments: ${names.join(', ')}`
+        : `Unknown environment "${name}". No environment profiles are configured in ${filePath} (set PEGA_ENVIRONMENTS_FILE)`);
+    }
+
+    const problems = this.validateProfile(profile);
+    if (problems.length > 0) {
+      throw new Error(`Environment "${name}" is invalid: ${problems.join('; ')}`);
+    }
+
+    const credentials = {
+      baseUrl: profile.baseUrl,
+      apiVersion: profile.apiVersion
+    };
+    for (const field of PROFILE_AUTH_FIELDS) {
+      if (profile.auth[field] != null) {
+        credentials[field] = this.resolveValue(profile.auth[field], `auth.${field}`, filePath);
+      }
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Describe every environment for diagnostics, checking secret references without exposing them
+   * @returns {Object} { path, exists, error, environments: [{ name, baseUrl, apiVersion, authMode, grantType, problems }] }
+   */
+  describe() {
+    const { path: filePath, exists, error, environments } = this.load();
+
+    return {
+      path: filePath,
+      exists,
+      error,
+      environments: Object.entries(environments).map(([name, profile]) => {
+        const problems = this.validateProfile(profile);
+        const auth = profile.auth && typeof profile.auth === 'object' ? profile.auth : {};
+
+        for (const field of PROFILE_AUTH_FIELDS) {
+          if (auth[field] != null) {
+            try {
+              this.resolveValue(auth[field], `auth.${field}`, filePath);
+            } catch (resolveError) {
+              problems.push(resolveError.message);
+            }
+          }
+        }
+
+        return {
+          name,
+          baseUrl: profile.baseUrl,
+          apiVersion: profile.apiVersion || 'v2',
+          authMode: auth.accessToken !== undefined ? 'token' : 'oauth',
+          grantType: auth.accessToken !== undefined ? null : (auth.grantType || 'client_credentials'),
+          problems
+        };
+      })
+    };
+  }
+
+  /**
+   * Check the structure of a profile
+   * Credential rules (grant fields, OAuth vs token mode) are checked by SessionManager.
+   * @param {Object} profile - Environment profile
+   * @returns {Array<string>} Problems found
+   */
+  validateProfile(profile) {
+    const problems = [];
+
+    if (!profile.baseUrl || typeof profile.baseUrl !== 'string') {
+      problems.push('baseUrl is required');
+    }
+
+    if (profile.apiVersion !== undefined && !['v1', 'v2', 'auto'].includes(String(profile.apiVersion).toLowerCase())) {
+      problems.push('apiVersion must be "v1", "v2" or "auto"');
+    }
+
+    if (!profile.auth || typeof profile.auth !== 'object' || Array.isArray(profile.auth)) {
+      problems.push('auth settings are required');
+      return problems;
+    }
+
+    const unknown = Object.keys(profile.auth).filter(field => !PROFILE_AUTH_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      problems.push(`unknown auth settings: ${unknown.join(', ')}`);
+    }
+
+    if (!profile.auth.clientId && !profile.auth.accessToken) {
+      problems.push('auth.clientId or auth.accessToken is required');
+    }
+
+    return problems;
+  }
+
+  /**
+   * Resolve a literal value or secret reference
+   * @param {string|Object} value - Literal, { env: VARIABLE } or { file: path }
+   * @param {string} field - Setting name for error messages
+   * @param {string} profilesPath - Profile file path (base for relative file references)
+   * @returns {string} Resolved value
+   * @throws {Error} If the reference cannot be resolved
+   */
+  resolveValue(value, field, profilesPath) {
+    if (value === null || typeof value !== 'object') {
+      return String(value);
+    }
+
+    if (value.env) {
+      const resolved = this.env[value.env];
+      if (!resolved) {
+        throw new Error(`${field} references environment variable ${value.env}, which is not set`);
+      }
+      return resolved;
+    }
+
+    if (value.file) {
+      const filePath = path.resolve(path.dirname(profilesPath), expandHome(value.file));
+      try {
+        const resolved = fs.readFileSync(filePath, 'utf8').trim();
+        if (!resolved) {
+          throw new Error('file is empty');
+        }
+        return resolved;
+      } catch (error) {
+        throw new Error(`${field} references file ${filePath}, which could not be read (${error.code || error.message})`);
+      }
+    }
+
+    throw new Error(`${field} must be a value, { env: VARIABLE } or { file: path }`);
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const environmentProfiles = new EnvironmentProfiles();
@@ -0,0 +1,50 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Retry Configuration
+ *
+ * Controls how BaseApiClient retries failed Pega API requests:
+ *
+ *   PEGA_MAX_RETRIES        Retries after the first attempt (default: 2, 0 disables retries)
+ *   PEGA_RETRY_BASE_DELAY   Backoff base delay in ms, doubled per retry (default: 500)
+ *   PEGA_RETRY_MAX_DELAY    Upper bound for a single delay in ms, including Retry-After (default: 10000)
+ */
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BASE_DELAY = 500;
+const DEFAULT_MAX_DELAY = 10000;
+
+/**
+ * Parse a non-negative integer, falling back to a default
+ * @param {string} value - Raw value
+ * @param {number} defaultValue - Default when missing or invalid
+ * @param {string} name - Variable name for warnings
+ * @returns {number} Parsed value
+ */
+function parseNonNegativeInt(value, defaultValue, name) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const parsed = parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    logger.warn(`⚠️  WARNING: Invalid ${name} "${value}". Defaulting to ${defaultValue}.`);
+    return defaultValue;
+  }
+  return parsed;
+}
+
+/**
+ * Load retry configuration from environment variables
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Retry configuration { maxRetries, baseDelay, maxDelay }
+ */
+export function loadRetryConfig(env = process.env) {
+  const baseDelay = parseNonNegativeInt(env.PEGA_RETRY_BASE_DELAY, DEFAULT_BASE_DELAY, 'PEGA_RETRY_BASE_DELAY');
+
+  return {
+    maxRetries: parseNonNegativeInt(env.PEGA_MAX_RETRIES, DEFAULT_MAX_RETRIES, 'PEGA_MAX_RETRIES'),
+    baseDelay,
+    maxDelay: Math.max(baseDelay, parseNonNegativeInt(env.PEGA_RETRY_MAX_DELAY, DEFAULT_MAX_DELAY, 'PEGA_RETRY_MAX_DELAY'))
+  };
+}
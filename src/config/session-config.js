@@ -1,5 +1,8 @@
+import crypto from 'crypto';
 import { config as envConfig } from '../config.js';
 import { sessionManager } from '../session/session-manager.js';
+import { environmentProfiles } from './environment-profiles.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Session-aware configuration provider
@@ -21,14 +24,14 @@ export class SessionConfig {
     const session = sessionManager.getSession(sessionId);
     if (!session) {
       // Session not found or expired, fall back to environment
-      console.warn(`⚠️ Session ${sessionId} not found, falling back to environment config`);
+      logger.warn(`⚠️ Session ${sessionId} not found, falling back to environment config`);
       return envConfig;
     }
 
     // Build session-specific configuration
     const sessionConfig = this.buildSessionConfig(session);
 
-    console.error(`🔧 Using session config for ${sessionId} (${session.authMode} mode)`);
+    logger.debug(`🔧 Using session config for ${sessionId} (${session.authMode} mode)`);
     return sessionConfig;
   }
 
@@ -43,14 +46,14 @@ export class SessionConfig {
     // Clean base URL (remove /prweb if present)
     let baseUrl = credentials.baseUrl;
     if (baseUrl && baseUrl.includes('/prweb')) {
-      console.warn('⚠️ Session baseUrl contains "/prweb" - cleaning URL');
+      logger.warn('⚠️ Session baseUrl contains "/prweb" - cleaning URL');
       baseUrl = baseUrl.replace(/\/prweb.*$/, '');
     }
 
     // Validate and normalize API version
     let apiVersion = (credentials.apiVersion || 'v2').toLowerCase();
-    if (apiVersion !== 'v1' && apiVersion !== 'v2') {
-      console.warn(`⚠️ Session API version "${apiVersion}" invalid. Must be "v1" or "v2". Defaulting to "v2".`);
+    if (!['v1', 'v2', 'auto'].includes(apiVersion)) {
+      logger.warn(`⚠️ Session API version "${apiVersion}" invalid. Must be "v1", "v2" or "auto". Defaulting to "v2".`);
       apiVersion = 'v2';
     }
 
@@ -59,13 +62,20 @@ export class SessionConfig {
       pega: {
         baseUrl: baseUrl,
         _apiVersion: apiVersion,  // Store normalized version
-        requestTimeout: 30000,
+        requestTimeout: envConfig.pega.requestTimeout,
+        caseEditAction: envConfig.pega.caseEditAction,
+        conflictStrategy: envConfig.pega.conflictStrategy,
 
         // Authentication-specific fields
         ...(session.authMode === 'oauth' ? {
           clientId: credentials.clientId,
           clientSecret: credentials.clientSecret,
-          scope: ''  // Default empty scope like env config
+          scope: credentials.scope || '',  // Default empty scope like env config
+          grantType: credentials.grantType || 'client_credentials',
+          username: credentials.username || null,
+          password: credentials.password || null,
+          assertion: credentials.assertion || null,
+          refreshToken: credentials.refreshToken || null
         } : {
           // For token mode, we'll handle the token in OAuth2Client
           accessToken: credentials.accessToken,
@@ -77,11 +87,11 @@ export class SessionConfig {
           return `${this.baseUrl}/prweb/PRRestService/oauth2/v1/token`;
         },
         get apiBaseUrl() {
-          // Version-aware API base URL
+          // Version-aware API base URL (auto uses V2 until PegaClient has detected the version)
           if (this._apiVersion === 'v1') {
             return `${this.baseUrl}/prweb/api/v1`;
           }
-          return `${this.baseUrl}/prweb/api/application/${this._apiVersion}`;
+          return `${this.baseUrl}/prweb/api/application/v2`;
         },
         get apiVersion() {
           return this._apiVersion;
@@ -117,9 +127,10 @@ export class SessionConfig {
       throw new Error('Missing required configuration: pega.baseUrl');
     }
 
-    // For OAuth mode, need client credentials
+    // For OAuth mode, need client credentials (public clients omit the secret for user grants)
     if (pega.clientId || pega.clientSecret) {
-      if (!pega.clientId || !pega.clientSecret) {
+      const isPublicClientGrant = pega.grantType && pega.grantType !== 'client_credentials';
+      if (!pega.clientId || (!pega.clientSecret && !isPublicClientGrant)) {
         throw new Error('OAuth mode requires both clientId and clientSecret');
       }
     }
@@ -188,14 +199,15 @@ export function getSessionConfig(sessionId) {
  * Create configuration from session credentials directly
  * @param {Object} sessionCredentials - Session credentials
  * @param {string} [existingSessionId] - Optional existing session ID to update
+ * @param {string} [owner] - MCP session ID of the HTTP connection a new session is created for
  * @returns {Object} Object containing sessionId and configuration
  */
-export function createSessionFromCredentials(sessionCredentials, existingSessionId = null) {
+export function createSessionFromCredentials(sessionCredentials, existingSessionId = null, owner = null) {
   let sessionId = existingSessionId;
 
   if (!sessionId || !sessionManager.getSession(sessionId)) {
     // Create new session
-    sessionId = sessionManager.createSession(sessionCredentials);
+    sessionId = sessionManager.createSession(sessionCredentials, undefined, undefined, owner);
   } else {
     // Update existing session
     sessionManager.updateSession(sessionId, sessionCredentials);
@@ -206,4 +218,37 @@ export function createSessionFromCredentials(sessionCredentials, existingSession
     sessionId,
     config: SessionConfig.createConfig(sessionId)
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Fingerprints of the credentials each environment session was last created or updated with
+ * Map<sessionId, string>
+ */
+const environmentFingerprints = new Map();
+
+/**
+ * Create configuration for a named environment profile
+ * Each environment has one session (session_env_<name>), so its tokens are cached across tool
+ * calls. The profile is resolved on every call and the session is updated when the resolved
+ * credentials changed, e.g. after a secret was rotated.
+ * @param {string} environment - Environment name from the profile file
+ * @returns {Object} Object containing sessionId and configuration
+ * @throws {Error} If the environment cannot be resolved
+ */
+export function createSessionFromEnvironment(environment) {
+  const credentials = environmentProfiles.resolveCredentials(environment);
+  const sessionId = `session_env_${environment}`;
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(credentials)).digest('hex');
+
+  if (!sessionManager.getSession(sessionId)) {
+    sessionManager.createSession(credentials, undefined, sessionId);
+  } else if (environmentFingerprints.get(sessionId) !== fingerprint) {
+    sessionManager.updateSession(sessionId, credentials);
+  }
+  environmentFingerprints.set(sessionId, fingerprint);
+
+  return {
+    sessionId,
+    config: SessionConfig.createConfig(sessionId)
+  };
+}
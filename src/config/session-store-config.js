@@ -0,0 +1,46 @@
+import os from 'os';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Session Store Configuration
+ *
+ * Selects where SessionManager keeps sessions and OAuth tokens:
+ *
+ *   PEGA_SESSION_STORE        memory (default) or file
+ *   PEGA_SESSION_STORE_PATH   Encrypted store file (default: ~/.pega-dx-mcp/sessions.enc)
+ *   PEGA_SESSION_STORE_KEY    Secret the AES-256-GCM key is derived from (required for file)
+ */
+
+export const SESSION_STORE_TYPES = ['memory', 'file'];
+
+const DEFAULT_STORE_PATH = path.join(os.homedir(), '.pega-dx-mcp', 'sessions.enc');
+
+/**
+ * Load session store configuration from environment variables
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Session store configuration { type, path, key }
+ */
+export function loadSessionStoreConfig(env = process.env) {
+  let type = String(env.PEGA_SESSION_STORE || 'memory').toLowerCase();
+  if (!SESSION_STORE_TYPES.includes(type)) {
+    logger.warn(`⚠️  WARNING: Invalid PEGA_SESSION_STORE "${env.PEGA_SESSION_STORE}". Must be one of: ${SESSION_STORE_TYPES.join(', ')}.`);
+    logger.warn('   Defaulting to "memory".');
+    type = 'memory';
+  }
+
+  if (type === 'file' && !env.PEGA_SESSION_STORE_KEY) {
+    logger.warn('⚠️  WARNING: PEGA_SESSION_STORE=file requires PEGA_SESSION_STORE_KEY to encrypt the store.');
+    logger.warn('   Defaulting to "memory"; sessions will not survive a restart.');
+    type = 'memory';
+  }
+
+  // Expand a leading ~ (not done by the shell when set in an MCP client configuration)
+  const storePath = (env.PEGA_SESSION_STORE_PATH || DEFAULT_STORE_PATH).replace(/^~(?=$|[\\/])/, os.homedir());
+
+  return {
+    type,
+    path: storePath,
+    key: type === 'file' ? env.PEGA_SESSION_STORE_KEY : null
+  };
+}
@@ -1,8 +1,21 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Tool profiles (PEGA_TOOL_PROFILE), matched against each tool's MCP annotations:
+ * - readonly: only tools with readOnlyHint
+ * - standard: read-only tools and non-destructive updates (no deletes or bulk actions)
+ * - admin:    all tools (default)
+ */
+export const TOOL_PROFILES = ['readonly', 'standard', 'admin'];
+
+const DEFAULT_TOOL_PROFILE = 'admin';
+
 /**
  * Simplified Tool Configuration Manager
  * 
  * Single source of truth using only environment variables from MCP client.
- * All tools enabled by default - set to 'false' to disable.
+ * All tools enabled by default - set to 'false' to disable. Session administration tools
+ * (PEGA_SESSION_ADMIN) are the exception and must be enabled with 'true'.
  * Environment variables are passed directly from MCP client configuration.
  */
 export class ToolConfig {
@@ -18,10 +31,56 @@ export class ToolConfig {
       'participants': 'PEGA_PARTICIPANT_TOOLS',
       'related_cases': 'PEGA_RELATED_CASE_TOOLS',
       'services': 'PEGA_SERVICE_TOOLS',
+      'sessions': 'PEGA_SESSION_ADMIN',
       'tags': 'PEGA_TAG_TOOLS'
     };
-    
-    this.logLevel = process.env.LOG_LEVEL || 'info';
+
+    // Categories that stay disabled unless their variable is set to 'true'
+    // Session administration sees and ends every client's session, so it is opt-in
+    this.optInCategories = new Set(['sessions']);
+
+    this.invalidProfileWarned = false;
+  }
+
+  /**
+   * Get the tool profile restricting which kinds of tools are loaded
+   * An unknown value falls back to the most restrictive profile.
+   * @returns {string} Tool profile (readonly, standard or admin)
+   */
+  getProfile() {
+    const value = process.env.PEGA_TOOL_PROFILE;
+    if (!value) {
+      return DEFAULT_TOOL_PROFILE;
+    }
+
+    const profile = value.trim().toLowerCase();
+    if (TOOL_PROFILES.includes(profile)) {
+      return profile;
+    }
+
+    if (!this.invalidProfileWarned) {
+      logger.warn(`⚠️  WARNING: Invalid PEGA_TOOL_PROFILE "${value}". Must be one of: ${TOOL_PROFILES.join(', ')}.`);
+      logger.warn('   Defaulting to "readonly".');
+      this.invalidProfileWarned = true;
+    }
+    return 'readonly';
+  }
+
+  /**
+   * Check if a tool is allowed by the active tool profile
+   * Tools without annotations are treated as destructive (MCP defaults) and only load in admin.
+   * @param {Object} [annotations] - MCP tool annotations from the tool definition
+   * @returns {boolean} Whether the profile allows the tool
+   */
+  isToolAllowedByProfile(annotations = {}) {
+    switch (this.getProfile()) {
+      case 'readonly':
+        return annotations.readOnlyHint === true;
+      case 'standard':
+        return annotations.readOnlyHint === true || annotations.destructiveHint === false;
+      default:
+        return true;
+    }
   }
 
   /**
@@ -32,11 +91,15 @@ export class ToolConfig {
   isCategoryEnabled(category) {
     const envVar = this.categoryMap[category];
     if (!envVar) {
-      console.warn(`⚠️  Unknown category: ${category}`);
+      logger.warn(`⚠️  Unknown category: ${category}`);
       return true; // Default to enabled for unknown categories
     }
     
     const value = process.env[envVar];
+
+    if (this.optInCategories.has(category)) {
+      return value === 'true';
+    }
     
     // Default to enabled (true) unless explicitly set to 'false'
     return value !== 'false';
@@ -59,12 +122,35 @@ export class ToolConfig {
     return this.isCategoryEnabled(category);
   }
 
+  /**
+   * Get the request timeout for a tool category
+   * Derived from the category variable, e.g. PEGA_ATTACHMENT_TOOLS -> PEGA_ATTACHMENT_TIMEOUT.
+   * Categories whose variable does not end in _TOOLS have no timeout override.
+   * @param {string} category - Category name (e.g., 'attachments')
+   * @returns {number|null} Timeout in milliseconds, null to use PEGA_REQUEST_TIMEOUT
+   */
+  getRequestTimeout(category) {
+    const categoryVar = this.categoryMap[category];
+    const envVar = categoryVar?.endsWith('_TOOLS') && categoryVar.replace(/_TOOLS$/, '_TIMEOUT');
+    const value = envVar && process.env[envVar];
+    if (!value) {
+      return null;
+    }
+
+    const timeout = parseInt(value, 10);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      logger.warn(`⚠️  WARNING: Invalid ${envVar} "${value}". Must be a positive number of milliseconds.`);
+      return null;
+    }
+    return timeout;
+  }
+
   /**
    * Get log level for the application
    * @returns {string} Log level
    */
   getLogLevel() {
-    return this.logLevel;
+    return logger.getLevel();
   }
 
   /**
@@ -86,7 +172,7 @@ export class ToolConfig {
       settings[category] = {
         envVar: envVar,
         enabled: this.isCategoryEnabled(category),
-        value: process.env[envVar] || 'not set (default: true)'
+        value: process.env[envVar] || `not set (default: ${!this.optInCategories.has(category)})`
       };
     }
     
@@ -105,6 +191,7 @@ export class ToolConfig {
     return {
       environment: this.getEnvironment(),
       logLevel: this.getLogLevel(),
+      profile: this.getProfile(),
       categories: {
         total: Object.keys(categories).length,
         enabled: enabledCount,
@@ -120,16 +207,17 @@ export class ToolConfig {
   logSummary() {
     const summary = this.getSummary();
     
-    console.error(`🔧 Simple Tool Configuration:`);
-    console.error(`   Environment: ${summary.environment}`);
-    console.error(`   Log Level: ${summary.logLevel}`);
-    console.error(`   Categories: ${summary.categories.enabled}/${summary.categories.total} enabled`);
+    logger.info(`🔧 Simple Tool Configuration:`);
+    logger.info(`   Environment: ${summary.environment}`);
+    logger.info(`   Log Level: ${summary.logLevel}`);
+    logger.info(`   Tool Profile: ${summary.profile}`);
+    logger.info(`   Categories: ${summary.categories.enabled}/${summary.categories.total} enabled`);
     
     if (summary.categories.disabled > 0) {
-      console.error(`   Disabled categories:`);
+      logger.info(`   Disabled categories:`);
       for (const [category, config] of Object.entries(summary.settings)) {
         if (!config.enabled) {
-          console.error(`     - ${category} (${config.envVar}=${config.value})`);
+          logger.info(`     - ${category} (${config.envVar}=${config.value})`);
         }
       }
     }
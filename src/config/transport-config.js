@@ -0,0 +1,85 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Transport Configuration
+ *
+ * Resolves which MCP transport the server should start with.
+ * CLI flags take precedence over environment variables:
+ *
+ *   --transport <stdio|http>   (env: MCP_TRANSPORT, default: stdio)
+ *   --http                     (shorthand for --transport http)
+ *   --port <number>            (env: MCP_HTTP_PORT, default: 3000)
+ *   --host <address>           (env: MCP_HTTP_HOST, default: 127.0.0.1)
+ *   --path <path>              (env: MCP_HTTP_PATH, default: /mcp)
+ */
+
+export const TRANSPORT_MODES = ['stdio', 'http'];
+
+const DEFAULT_HTTP_PORT = 3000;
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const DEFAULT_HTTP_PATH = '/mcp';
+
+/**
+ * Parse "--name value" and "--name=value" style flags
+ * @param {Array<string>} argv - Command line arguments (without node and script path)
+ * @returns {Object} Map of flag names to values (boolean true for bare flags)
+ */
+function parseFlags(argv) {
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split('=', 2);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Load transport configuration from CLI flags and environment variables
+ * @param {Array<string>} [argv] - Command line arguments
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Transport configuration { mode, http: { port, host, path } }
+ */
+export function loadTransportConfig(argv = process.argv.slice(2), env = process.env) {
+  const flags = parseFlags(argv);
+
+  let mode = (flags.http === true ? 'http' : (flags.transport || env.MCP_TRANSPORT || 'stdio'));
+  mode = String(mode).toLowerCase();
+  if (!TRANSPORT_MODES.includes(mode)) {
+    logger.warn(`⚠️  WARNING: Invalid transport "${mode}". Must be one of: ${TRANSPORT_MODES.join(', ')}.`);
+    logger.warn('   Defaulting to "stdio".');
+    mode = 'stdio';
+  }
+
+  let port = parseInt(flags.port || env.MCP_HTTP_PORT || DEFAULT_HTTP_PORT, 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    logger.warn(`⚠️  WARNING: Invalid HTTP port "${flags.port || env.MCP_HTTP_PORT}". Defaulting to ${DEFAULT_HTTP_PORT}.`);
+    port = DEFAULT_HTTP_PORT;
+  }
+
+  let path = flags.path || env.MCP_HTTP_PATH || DEFAULT_HTTP_PATH;
+  if (!path.startsWith('/')) {
+    path = `/${path}`;
+  }
+
+  return {
+    mode,
+    http: {
+      port,
+      host: flags.host || env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST,
+      path
+    }
+  };
+}
@@ -3,9 +3,26 @@
 import dotenv from 'dotenv';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { toolRegistry } from './registry/tool-registry.js';
+import { resourceRegistry } from './resources/resource-registry.js';
+import { subscriptionManager } from './resources/subscription-manager.js';
+import { promptRegistry } from './prompts/prompt-registry.js';
+import { sessionManager } from './session/session-manager.js';
 import { attemptStartupAuthentication, formatAuthStatus } from './auth/startup-auth.js';
+import { loadTransportConfig } from './config/transport-config.js';
+import { StreamableHttpHost, bindTransportSession } from './transport/streamable-http.js';
+import { logger } from './utils/logger.js';
 
 // Load .env file only if it exists, and don't override existing environment variables
 // This ensures MCP configuration environment variables take precedence
@@ -13,7 +30,18 @@ dotenv.config({ override: false });
 
 class PegaDXMCPServer {
   constructor() {
-    this.server = new Server(
+    this.transportConfig = loadTransportConfig();
+    this.server = null;
+    this.httpHost = null;
+  }
+
+  /**
+   * Create an MCP server with all handlers registered
+   * Stdio uses a single server; HTTP creates one per client session
+   * @returns {Server} MCP server instance
+   */
+  createServer() {
+    const server = new Server(
       {
         name: 'pega-dx-mcp',
         version: '1.0.0',
@@ -21,78 +49,150 @@ class PegaDXMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
+          prompts: {},
         },
       }
     );
 
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
-  setupHandlers() {
+  setupHandlers(server) {
     // Handle tool listing - dynamic discovery via registry
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       try {
         const definitions = toolRegistry.getAllDefinitions();
         return { tools: definitions };
       } catch (error) {
-        console.error('Error listing tools:', error);
+        logger.error('Error listing tools:', error);
         return { tools: [] };
       }
     });
 
     // Handle tool execution - dynamic routing via registry
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
-        return await toolRegistry.executeTool(name, args);
+        // HTTP sessions carry their Pega credentials across calls
+        const binding = bindTransportSession(args, extra.sessionId);
+        if (binding.error) {
+          return binding.error;
+        }
+
+        // notifications/cancelled aborts extra.signal, which cancels the tool's in-flight requests
+        return await toolRegistry.executeTool(name, binding.args, {
+          signal: extra.signal,
+          sessionId: extra.sessionId
+        });
       } catch (error) {
-        console.error(`Error executing tool ${name}:`, error);
+        logger.error(`Error executing tool ${name}:`, error);
         return {
           content: [
             {
               type: 'text',
               text: `❌ **Error executing tool ${name}**\n\nError: ${error.message}`
             }
-          ]
+          ],
+          isError: true
         };
       }
     });
 
+    // Handle resource listing - static resources and URI templates
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: resourceRegistry.listResources() };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: resourceRegistry.listResourceTemplates() };
+    });
+
+    // Handle resource reads - errors propagate to the client as JSON-RPC errors
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      return await resourceRegistry.readResource(request.params.uri, extra.sessionId);
+    });
+
+    // Handle case subscriptions - background polling with notifications/resources/updated
+    server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+      await subscriptionManager.subscribe(server, request.params.uri, extra.sessionId);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscriptionManager.unsubscribe(server, request.params.uri);
+      return {};
+    });
+
+    // Handle prompt listing and retrieval - guided workflows
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: promptRegistry.listPrompts() };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return promptRegistry.getPrompt(name, args);
+    });
+
     // Handle errors
-    this.server.onerror = (error) => {
-      console.error('[MCP Error]', error);
+    server.onerror = (error) => {
+      logger.error('[MCP Error]', error);
     };
 
-    process.on('SIGINT', async () => {
-      console.error('🛑 Shutting down Pega DX MCP server...');
+    // Release subscriptions when the client disconnects
+    server.onclose = () => {
+      subscriptionManager.unsubscribeAll(server);
+    };
+  }
+
+  async shutdown() {
+    logger.info('🛑 Shutting down Pega DX MCP server...');
+    if (this.httpHost) {
+      await this.httpHost.close();
+    }
+    if (this.server) {
       await this.server.close();
-      process.exit(0);
-    });
+    }
+    process.exit(0);
   }
 
   async run() {
     try {
       // Initialize the tool registry first
-      console.error('🚀 Starting Pega DX MCP server...');
+      logger.info('🚀 Starting Pega DX MCP server...');
       await toolRegistry.initialize();
 
       // Show registry summary
       const stats = toolRegistry.getStats();
-      console.error(`📊 Registry initialized with ${stats.totalTools} tools in ${stats.categories} categories`);
+      logger.info(`📊 Registry initialized with ${stats.totalTools} tools in ${stats.categories} categories`);
+
+      // Restore persisted sessions and tokens (file-backed session store only)
+      sessionManager.loadStore();
 
       // Attempt authentication with environment credentials
-      console.error('🔐 Attempting authentication with environment credentials...');
+      logger.info('🔐 Attempting authentication with environment credentials...');
       const authResult = await attemptStartupAuthentication();
-      console.error(formatAuthStatus(authResult));
+      logger.info(formatAuthStatus(authResult));
+
+      process.on('SIGINT', () => this.shutdown());
+      process.on('SIGTERM', () => this.shutdown());
 
-      // Start the MCP server
-      const transport = new StdioServerTransport();
-      await this.server.connect(transport);
-      console.error('✅ Pega DX MCP server running on stdio');
+      // Start the MCP server on the configured transport
+      if (this.transportConfig.mode === 'http') {
+        this.httpHost = new StreamableHttpHost(() => this.createServer(), this.transportConfig.http);
+        const { host, port, path } = await this.httpHost.start();
+        logger.info(`✅ Pega DX MCP server listening on http://${host}:${port}${path} (Streamable HTTP)`);
+      } else {
+        this.server = this.createServer();
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        logger.info('✅ Pega DX MCP server running on stdio');
+      }
 
     } catch (error) {
-      console.error('❌ Failed to start server:', error);
+      logger.error('❌ Failed to start server:', error);
       process.exit(1);
     }
   }
@@ -101,6 +201,6 @@ class PegaDXMCPServer {
 // Start the server
 const server = new PegaDXMCPServer();
 server.run().catch((error) => {
-  console.error('❌ Server startup failed:', error);
+  logger.error('❌ Server startup failed:', error);
   process.exit(1);
 });
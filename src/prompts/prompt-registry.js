@@ -0,0 +1,169 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { toolRegistry } from '../registry/tool-registry.js';
+
+/**
+ * Guided workflow prompts, based on the flows in sample-questions-v1.md / sample-questions-v2.md
+ *
+ * Each prompt lists the tools to call in order, so less experienced users can start a
+ * workflow from the client's prompt picker. A prompt is only offered when every tool it
+ * relies on is loaded (tool categories can be disabled through configuration).
+ */
+const PROMPTS = [
+  {
+    name: 'getting_started',
+    description: 'Check the connection to Pega and show what you can do: available case types and your next assignment.',
+    arguments: [],
+    tools: ['ping_pega_service', 'get_case_types', 'get_next_assignment'],
+    build: () => [
+      'I just connected to my Pega application. What can I do now?',
+      '',
+      'Please follow these steps:',
+      '1. `ping_pega_service` - verify the connection and authentication work. If it fails, explain the troubleshooting steps and stop.',
+      '2. `get_case_types` - list the case types I can create (name and ID).',
+      '3. `get_next_assignment` - check whether work is waiting for me.',
+      '',
+      'Finish with a short summary and suggest what I could do next.'
+    ]
+  },
+  {
+    name: 'create_and_complete_case',
+    description: 'Create a case of a given type and work through its assignments until the workflow completes.',
+    arguments: [
+      { name: 'caseTypeID', description: 'Case type ID or name (e.g. "Org-App-Work-RecipeCollection"). Use get_case_types to discover types.', required: true },
+      { name: 'details', description: 'Field values or a description of the data to enter (optional)', required: false }
+    ],
+    tools: ['get_case_types', 'create_case', 'get_assignment', 'perform_assignment_action'],
+    build: ({ caseTypeID, details }) => [
+      `Create a new case of type "${caseTypeID}" and complete it.`,
+      ...(details ? ['', 'Use this data where the forms ask for it:', details] : []),
+      '',
+      'Please follow these steps:',
+      `1. \`get_case_types\` - only if "${caseTypeID}" is not an exact case type ID; find the matching ID.`,
+      '2. `create_case` - create the case (start with empty content unless the data above clearly maps to fields). Note the caseID, the eTag and nextAssignmentInfo.ID.',
+      '3. `get_assignment` - open the assignment from nextAssignmentInfo with viewType "form" to see the fields and action IDs.',
+      '4. `perform_assignment_action` - submit the action with the field values, passing the latest eTag.',
+      '5. Repeat steps 3-4 for every new nextAssignmentInfo until a confirmationNote is returned.',
+      '',
+      'Ask me for any required value you cannot infer. Use action IDs exactly as returned (they are case-sensitive).'
+    ]
+  },
+  {
+    name: 'triage_next_assignment',
+    description: 'Fetch your next assignment, explain what it needs and help you complete it.',
+    arguments: [],
+    tools: ['get_next_assignment', 'get_case', 'get_assignment_action', 'perform_assignment_action'],
+    build: () => [
+      'Help me triage my next piece of work.',
+      '',
+      'Please follow these steps:',
+      '1. `get_next_assignment` - get the next assignment from my worklist.',
+      '2. `get_case` - load the case behind it to understand the context (status, stage, key data).',
+      '3. `get_assignment_action` - open the assignment\'s default action to see which fields are required.',
+      '4. Summarize what is being asked, what is already filled in and what is missing.',
+      '5. `perform_assignment_action` - only after I confirm the values, submit the action with the latest eTag.'
+    ]
+  },
+  {
+    name: 'summarize_case',
+    description: 'Summarize a case: status, stage progress, open assignments and key data.',
+    arguments: [
+      { name: 'caseID', description: 'Full case ID (e.g. "MYORG-APP-WORK C-123")', required: true }
+    ],
+    tools: ['get_case', 'get_case_stages'],
+    build: ({ caseID }) => [
+      `Summarize case "${caseID}".`,
+      '',
+      'Please follow these steps:',
+      `1. \`get_case\` - load case "${caseID}".`,
+      '2. `get_case_stages` - see where the case is in its lifecycle.',
+      '',
+      'Report: case type, status, urgency, current stage and stage progress, open assignments (with assignee and ID), available actions and the most relevant business data. Keep it short.'
+    ]
+  },
+  {
+    name: 'update_case_details',
+    description: 'Change field values on an existing case through a case action.',
+    arguments: [
+      { name: 'caseID', description: 'Full case ID (e.g. "MYORG-APP-WORK C-123")', required: true },
+      { name: 'changes', description: 'The changes to make (e.g. "set Amount to 500")', required: true }
+    ],
+    tools: ['get_case', 'get_case_action', 'perform_case_action'],
+    build: ({ caseID, changes }) => [
+      `Update case "${caseID}": ${changes}`,
+      '',
+      'Please follow these steps:',
+      `1. \`get_case\` - load case "${caseID}" and find a suitable action in availableActions (usually "pyUpdateCaseDetails" / "Edit details").`,
+      '2. `get_case_action` - open that action to see the editable fields and get the eTag.',
+      '3. `perform_case_action` - submit only the changed fields with the eTag from step 2.',
+      '',
+      'If a field I mentioned is not editable in the action, tell me instead of guessing.'
+    ]
+  }
+];
+
+/**
+ * Central prompt registry for MCP prompts
+ */
+export class PromptRegistry {
+  constructor(prompts = PROMPTS) {
+    this.prompts = new Map(prompts.map(prompt => [prompt.name, prompt]));
+  }
+
+  /**
+   * Check that every tool a prompt relies on is loaded
+   * @param {Object} prompt - Prompt definition
+   * @returns {boolean} Whether the prompt can be offered
+   */
+  isAvailable(prompt) {
+    return prompt.tools.every(toolName => toolRegistry.hasTool(toolName));
+  }
+
+  /**
+   * Get prompt definitions for MCP ListPromptsRequest
+   * @returns {Array} Array of prompt definitions
+   */
+  listPrompts() {
+    return Array.from(this.prompts.values())
+      .filter(prompt => this.isAvailable(prompt))
+      .map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+  }
+
+  /**
+   * Build prompt messages for MCP GetPromptRequest
+   * @param {string} name - Prompt name
+   * @param {Object} [args] - Prompt arguments
+   * @returns {Object} MCP GetPrompt result
+   * @throws {McpError} If the prompt is unknown or required arguments are missing
+   */
+  getPrompt(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt || !this.isAvailable(prompt)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}. Available prompts: ${this.listPrompts().map(p => p.name).join(', ')}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && (!args[arg.name] || String(args[arg.name]).trim() === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for prompt ${name}: ${missing.join(', ')}`);
+    }
+
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: prompt.build(args).join('\n')
+          }
+        }
+      ]
+    };
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const promptRegistry = new PromptRegistry();
@@ -0,0 +1,142 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { logger } from '../utils/logger.js';
+
+/**
+ * JSON Schema validation of tool arguments
+ *
+ * Each tool's inputSchema is compiled once when the registry initializes. Arguments are
+ * validated before execute() runs, including nested structures such as pageInstructions
+ * and data view query filters. Errors are reported with JSON-pointer paths into the
+ * arguments (e.g. /pageInstructions/0/instruction).
+ */
+export class ArgumentValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+    this.validators = new Map();
+  }
+
+  /**
+   * Compile and cache the input schema of a tool
+   * A schema that fails to compile is logged and the tool is executed without validation.
+   * @param {string} toolName - Name of the tool
+   * @param {Object} schema - Tool inputSchema
+   */
+  compile(toolName, schema) {
+    if (!schema) {
+      return;
+    }
+
+    try {
+      this.validators.set(toolName, this.ajv.compile(schema));
+    } catch (error) {
+      logger.warn(`⚠️ Invalid inputSchema for tool ${toolName}, arguments will not be validated: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop all compiled schemas (used on registry reload)
+   */
+  clear() {
+    this.validators.clear();
+  }
+
+  /**
+   * Validate tool arguments against the compiled input schema
+   * @param {string} toolName - Name of the tool
+   * @param {Object} params - Tool arguments
+   * @returns {Array|null} Validation errors [{ path, message }], null if valid
+   */
+  validate(toolName, params = {}) {
+    const validate = this.validators.get(toolName);
+    if (!validate) {
+      return null;
+    }
+
+    if (validate(this.prepareArguments(params))) {
+      return null;
+    }
+
+    const errors = [];
+    const seen = new Set();
+    for (const error of validate.errors) {
+      const formatted = this.formatError(error);
+      const key = `${formatted.path} ${formatted.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        errors.push(formatted);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Prepare arguments for validation without modifying the originals
+   * sessionCredentials may arrive as a JSON string; BaseTool parses it, so validate the parsed form.
+   * @param {Object} params - Tool arguments
+   * @returns {Object} Arguments to validate
+   */
+  prepareArguments(params) {
+    if (typeof params.sessionCredentials !== 'string') {
+      return params;
+    }
+
+    try {
+      return { ...params, sessionCredentials: JSON.parse(params.sessionCredentials) };
+    } catch (error) {
+      return params;
+    }
+  }
+
+  /**
+   * Convert an ajv error into a JSON-pointer path and message
+   * @param {Object} error - ajv error object
+   * @returns {Object} Error { path, message }
+   */
+  formatError(error) {
+    const { keyword, instancePath, params } = error;
+
+    switch (keyword) {
+      case 'required':
+        return { path: `${instancePath}/${params.missingProperty}`, message: 'is required' };
+      case 'additionalProperties':
+        return { path: `${instancePath}/${params.additionalProperty}`, message: 'is not allowed' };
+      case 'enum':
+        return { path: instancePath || '/', message: `must be one of: ${params.allowedValues.join(', ')}` };
+      default:
+        return { path: instancePath || '/', message: error.message };
+    }
+  }
+
+  /**
+   * Build the MCP error response for invalid arguments
+   * @param {string} toolName - Name of the tool
+   * @param {Array} errors - Validation errors from validate()
+   * @returns {Object} MCP tool response
+   */
+  formatErrorResponse(toolName, errors) {
+    let text = `## Parameter Validation Error\n\n`;
+    text += `**Tool**: ${toolName}\n\n`;
+    text += `**Errors**:\n`;
+    for (const error of errors) {
+      text += `- \`${error.path}\`: ${error.message}\n`;
+    }
+    text += `\n**Solution**: Correct the arguments listed above and try again. Paths are JSON pointers into the tool arguments.`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const argumentValidator = new ArgumentValidator();
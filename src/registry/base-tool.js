@@ -1,6 +1,12 @@
 import { PegaClient } from '../api/pega-client.js';
-import { getSessionConfig, createSessionFromCredentials } from '../config/session-config.js';
+import { getSessionConfig, createSessionFromCredentials, createSessionFromEnvironment } from '../config/session-config.js';
 import { config } from '../config.js';
+import { buildSuccessContent, buildErrorContent } from '../utils/output-schema.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/request-context.js';
+import { sessionContextStore, getCaseIDFromAssignmentID } from '../session/context-store.js';
+import { caseIdResolver, isShortCaseID, parseShortAssignmentID } from '../api/case-id-resolver.js';
+import { nameResolver, suggestNames } from '../api/name-resolver.js';
 
 /**
  * Abstract base class for all Pega DX MCP tools
@@ -31,7 +37,8 @@ export class BaseTool {
         throw new Error(
           'Missing required Pega configuration. You must either:\n' +
           '1. Set environment variables: PEGA_BASE_URL, PEGA_CLIENT_ID, PEGA_CLIENT_SECRET\n' +
-          '2. Provide sessionCredentials parameter with baseUrl, clientId, and clientSecret\n\n' +
+          '2. Provide sessionCredentials parameter with baseUrl, clientId, and clientSecret\n' +
+          '3. Pass the environment parameter with an environment from the profile file (PEGA_ENVIRONMENTS_FILE)\n\n' +
           'See documentation for configuration options.'
         );
       }
@@ -44,9 +51,13 @@ export class BaseTool {
   /**
    * Initialize session-aware configuration from tool parameters
    * @param {Object} params - Tool execution parameters
-   * @returns {Object|null} Session info if session credentials provided
+   * @returns {Object|null} Session info if an environment or session credentials were provided
    */
   initializeSessionConfig(params) {
+    if (params.environment) {
+      return this.initializeEnvironmentConfig(params);
+    }
+
     // Check if session credentials are provided
     if (!params.sessionCredentials) {
       // No session credentials, use environment config
@@ -60,19 +71,16 @@ export class BaseTool {
 
       // If it's a string, try to parse it as JSON
       if (typeof sessionCredentials === 'string') {
-        console.error(`🔧 Parsing session credentials from string: ${sessionCredentials.substring(0, 100)}...`);
         sessionCredentials = JSON.parse(sessionCredentials);
       }
 
-      console.error(`🔧 Session credentials type: ${typeof sessionCredentials}`, sessionCredentials);
-
       // DETECT SESSION REUSE: Only sessionId provided, no baseUrl
       const isSessionReuse = sessionCredentials.sessionId && !sessionCredentials.baseUrl;
 
       if (isSessionReuse) {
         // SESSION REUSE: Retrieve existing session config
         const sessionId = sessionCredentials.sessionId;
-        console.error(`🔄 Reusing existing session: ${sessionId}`);
+        logger.debug(`🔄 Reusing existing session: ${sessionId}`);
 
         const config = getSessionConfig(sessionId);
 
@@ -83,7 +91,7 @@ export class BaseTool {
         this._sessionConfig = config;
         this.resetClient();
 
-        console.error(`✅ Tool initialized with existing session ${sessionId}`);
+        logger.debug(`✅ Tool initialized with existing session ${sessionId}`);
 
         return {
           sessionId,
@@ -96,8 +104,8 @@ export class BaseTool {
       // SESSION CREATION/UPDATE: Full credentials provided
       const existingSessionId = sessionCredentials.sessionId;
 
-      // Create or update session
-      const sessionInfo = createSessionFromCredentials(sessionCredentials, existingSessionId);
+      // Create or update session, owned by the HTTP connection of the call
+      const sessionInfo = createSessionFromCredentials(sessionCredentials, existingSessionId, getRequestContext().sessionId);
 
       // Set session configuration
       this._sessionConfig = sessionInfo.config;
@@ -105,7 +113,7 @@ export class BaseTool {
       // Reset client to ensure it uses the new session config
       this.resetClient();
 
-      console.error(`🔧 Tool initialized with session ${sessionInfo.sessionId} (${existingSessionId ? 'updated' : 'created'})`);
+      logger.debug(`🔧 Tool initialized with session ${sessionInfo.sessionId} (${existingSessionId ? 'updated' : 'created'})`);
 
       return {
         sessionId: sessionInfo.sessionId,
@@ -115,13 +123,45 @@ export class BaseTool {
       };
 
     } catch (error) {
-      console.error('❌ Failed to initialize session configuration:', error.message);
+      logger.error('❌ Failed to initialize session configuration:', error.message);
       // Fall back to environment configuration
       this._sessionConfig = null;
       throw new Error(`Session configuration error: ${error.message}`);
     }
   }
 
+  /**
+   * Initialize configuration from a named environment profile
+   * @param {Object} params - Tool execution parameters with environment
+   * @returns {Object} Session info of the environment's session
+   */
+  initializeEnvironmentConfig(params) {
+    if (params.sessionCredentials) {
+      throw new Error('Provide either environment or sessionCredentials, not both');
+    }
+
+    try {
+      const sessionInfo = createSessionFromEnvironment(params.environment);
+
+      this._sessionConfig = sessionInfo.config;
+      this.resetClient();
+
+      logger.debug(`🌍 Tool initialized with environment ${params.environment} (${sessionInfo.sessionId})`);
+
+      return {
+        sessionId: sessionInfo.sessionId,
+        authMode: sessionInfo.config.getAuthMode(),
+        configSource: `profile "${params.environment}"`,
+        environment: params.environment,
+        isReuse: true
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to initialize environment ${params.environment}:`, error.message);
+      this._sessionConfig = null;
+      throw new Error(`Environment configuration error: ${error.message}`);
+    }
+  }
+
   /**
    * Reset client instance (useful when session config changes)
    */
@@ -169,7 +209,8 @@ export class BaseTool {
               type: 'text',
               text: `## Parameter Validation Error\n\n**Error**: Invalid ${param} parameter.\n\n**Details**: ${param} is required and must be a non-empty string.\n\n**Solution**: Please provide a valid ${param} value and try again.`
             }
-          ]
+          ],
+          isError: true
         };
       }
     }
@@ -192,13 +233,270 @@ export class BaseTool {
               type: 'text',
               text: `## Parameter Validation Error\n\n**Error**: Invalid ${param} parameter.\n\n**Details**: Must be one of: ${validValues.join(', ')}.\n\n**Provided**: ${params[param]}\n\n**Solution**: Please use one of the valid values and try again.`
             }
-          ]
+          ],
+          isError: true
         };
       }
     }
     return null;
   }
 
+  /**
+   * Resolve the ID arguments of a call before execute (called by the tool registry)
+   * - Short case IDs ("C-1001") in caseID and assignmentID are expanded to full handles
+   * - actionID is matched against the actions of the case, caseTypeID against the case types,
+   *   by ID ignoring case and by display name; other values are passed on unchanged, with the
+   *   closest options kept as suggestions in case Pega rejects them
+   * Arguments that need no resolution are returned as is.
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object>} { params, resolutions: [{ param, from, to, reason }], suggestions: [{ param, value, options }] },
+   *   or { error } with an MCP error response
+   */
+  async resolveArguments(params) {
+    const properties = this.constructor.getDefinition().inputSchema?.properties || {};
+    const shortCaseID = isShortCaseID(params.caseID) ? params.caseID : null;
+    const shortAssignment = parseShortAssignmentID(params.assignmentID);
+    const checkActionID = typeof params.actionID === 'string' && params.actionID.trim() !== '' &&
+      Boolean(properties.caseID || properties.assignmentID);
+    const checkCaseTypeID = typeof params.caseTypeID === 'string' && params.caseTypeID.trim() !== '';
+
+    if (!shortCaseID && !shortAssignment && !checkActionID && !checkCaseTypeID) {
+      return { params, resolutions: [], suggestions: [] };
+    }
+
+    const resolved = { ...params };
+    const resolutions = [];
+    const suggestions = [];
+    let pegaClient;
+    try {
+      const sessionInfo = this.initializeSessionConfig(params);
+
+      // Full credentials create a session; the tool updates that session instead of creating another
+      if (sessionInfo && !sessionInfo.isReuse && params.sessionCredentials) {
+        const credentials = typeof params.sessionCredentials === 'string'
+          ? JSON.parse(params.sessionCredentials)
+          : params.sessionCredentials;
+        resolved.sessionCredentials = { ...credentials, sessionId: sessionInfo.sessionId };
+      }
+      pegaClient = this.pegaClient;
+    } catch (error) {
+      // The tool reports configuration errors itself
+      return { params, resolutions, suggestions };
+    }
+
+    if (shortCaseID) {
+      const result = await caseIdResolver.resolveCaseID(pegaClient, shortCaseID);
+      if (!result.success) {
+        return { error: this.formatResolutionError('caseID', shortCaseID, result.error) };
+      }
+      resolved.caseID = result.caseID;
+      resolutions.push({ param: 'caseID', from: shortCaseID, to: result.caseID, reason: 'short case ID' });
+    }
+
+    if (shortAssignment) {
+      const result = await caseIdResolver.resolveCaseID(pegaClient, shortAssignment.caseID);
+      if (!result.success) {
+        return { error: this.formatResolutionError('assignmentID', params.assignmentID, result.error) };
+      }
+      resolved.assignmentID = `${shortAssignment.prefix} ${result.caseID}${shortAssignment.suffix}`;
+      resolutions.push({ param: 'assignmentID', from: params.assignmentID, to: resolved.assignmentID, reason: 'short case ID' });
+    }
+
+    if (checkActionID) {
+      // The case defaults from the session context like in the tool itself
+      const { params: target } = this.resolveContextParams(resolved, ['caseID', 'assignmentID'].filter(name => properties[name]));
+      const assignmentID = target.assignmentID?.trim();
+      const caseID = target.caseID?.trim() || getCaseIDFromAssignmentID(assignmentID);
+
+      if (caseID) {
+        const match = await nameResolver.resolveActionID(pegaClient, params.actionID, { caseID, assignmentID });
+        this.applyNameMatch(resolved, resolutions, suggestions, 'actionID', match);
+      }
+    }
+
+    if (checkCaseTypeID) {
+      const match = await nameResolver.resolveCaseTypeID(pegaClient, params.caseTypeID);
+      this.applyNameMatch(resolved, resolutions, suggestions, 'caseTypeID', match);
+    }
+
+    return { params: resolved, resolutions, suggestions };
+  }
+
+  /**
+   * Apply the name match of an argument
+   * A value matching no option is left unchanged; its closest options are kept for the report
+   * of a failed call.
+   * @param {Object} resolved - Parameters being resolved (updated in place)
+   * @param {Array} resolutions - Resolutions so far (updated in place)
+   * @param {Array} suggestions - Suggestions so far (updated in place)
+   * @param {string} param - Parameter name
+   * @param {Object} match - nameResolver result
+   */
+  applyNameMatch(resolved, resolutions, suggestions, param, match) {
+    if (match.status === 'resolved') {
+      const reason = match.match === 'name' ? 'display name' : 'ID ignoring case';
+      resolutions.push({ param, from: resolved[param], to: match.ID, reason });
+      resolved[param] = match.ID;
+    } else if (match.status === 'unknown') {
+      const options = suggestNames(resolved[param], match.options);
+      if (options.length > 0) {
+        suggestions.push({ param, value: resolved[param], options });
+      }
+    }
+  }
+
+  /**
+   * Format a short case ID that could not be resolved
+   * @param {string} param - Parameter name
+   * @param {string} value - Parameter value
+   * @param {Object} error - Resolver error
+   * @returns {Object} MCP error response
+   */
+  formatResolutionError(param, value, error) {
+    let text = `## Case ID Not Resolved\n\n`;
+    text += `**Error**: ${error.message}\n\n`;
+    text += `**Details**: ${error.details}\n\n`;
+    text += `**Provided**: ${param} "${value}"\n\n`;
+
+    if (error.candidates?.length > 0) {
+      text += error.type === 'AMBIGUOUS_CASE_ID' ? '**Matching Cases**:\n' : '**Case IDs Tried**:\n';
+      error.candidates.forEach(candidate => {
+        text += `- \`${candidate}\`\n`;
+      });
+      text += '\n';
+    }
+
+    text += error.type === 'AMBIGUOUS_CASE_ID'
+      ? '**Solution**: Pass one of the full case IDs above.'
+      : '**Solution**: Check the case ID, or pass the full case ID (e.g. "MYORG-APP-WORK C-1001").';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text
+        }
+      ],
+      isError: true
+    };
+  }
+
+  /**
+   * Add the arguments resolved before execute to a tool result
+   * Suggestions for a value that matched no option are added only when Pega rejected a request
+   * made with it, since Pega may accept IDs it does not list. Call inside the request context.
+   * @param {Object|string} result - Tool result
+   * @param {Array} resolutions - Resolutions of resolveArguments
+   * @param {Array} suggestions - Suggestions of resolveArguments
+   * @returns {Object|string} Tool result
+   */
+  reportResolutions(result, resolutions = [], suggestions = []) {
+    let section = '';
+
+    if (resolutions.length > 0) {
+      section += '\n\n### 🔎 Resolved Arguments\n';
+      resolutions.forEach(({ param, from, to, reason }) => {
+        section += `- **${param}**: \`${from}\` → \`${to}\` (${reason})\n`;
+      });
+    }
+
+    const rejected = suggestions.filter(suggestion => this.isRejectedValue(suggestion.param, suggestion.value));
+    if (rejected.length > 0) {
+      section += '\n\n### 💡 Did You Mean\n';
+      rejected.forEach(({ param, value, options }) => {
+        const closest = options.map(option => `\`${option.ID}\`${option.name ? ` (${option.name})` : ''}`).join(', ');
+        section += `- **${param}** \`${value}\`: ${closest} (IDs are case-sensitive)\n`;
+      });
+    }
+
+    if (!section) {
+      return result;
+    }
+
+    // Some tools return their markdown as a plain string
+    if (typeof result === 'string') {
+      return `${result}${section}`;
+    }
+
+    const text = result?.content?.[0];
+    if (text?.type !== 'text') {
+      return result;
+    }
+
+    return {
+      ...result,
+      content: [{ ...text, text: `${text.text}${section}` }, ...result.content.slice(1)]
+    };
+  }
+
+  /**
+   * Check whether Pega rejected a request made with an argument value during this tool call
+   * @param {string} param - 'actionID' or 'caseTypeID'
+   * @param {string} value - Argument value
+   * @returns {boolean} Whether a request with the value failed with an HTTP error
+   */
+  isRejectedValue(param, value) {
+    const id = String(value).trim();
+    return (getRequestContext().rejectedRequests || []).some(({ url, method }) => {
+      const { pathname, searchParams } = new URL(url);
+      const path = decodeURIComponent(pathname);
+
+      return param === 'actionID'
+        ? path.endsWith(`/actions/${id}`) || searchParams.get('actionID') === id
+        : method === 'POST' && path.endsWith('/cases');
+    });
+  }
+
+  /**
+   * Fill in missing caseID, assignmentID and eTag parameters from the session context
+   * IDs default to the session's current case and assignment, the eTag to the latest eTag
+   * seen for the (filled-in) case or assignment. Call after initializeSessionConfig.
+   * @param {Object} params - Tool parameters
+   * @param {Array<string>} names - Parameters to fill in ('caseID', 'assignmentID', 'eTag')
+   * @returns {Object} { params, contextSources } - Parameters with the filled-in values, and the
+   *   names of the parameters taken from the session context
+   */
+  resolveContextParams(params, names) {
+    const sessionConfig = this.pegaClient.config;
+    const resolved = { ...params };
+    const contextSources = [];
+
+    const fill = (name, value) => {
+      if (names.includes(name) && (resolved[name] === undefined || resolved[name] === null) && value) {
+        resolved[name] = value;
+        contextSources.push(name);
+      }
+    };
+
+    fill('caseID', sessionContextStore.getCurrentCaseID(sessionConfig));
+    fill('assignmentID', sessionContextStore.getCurrentAssignmentID(sessionConfig));
+    fill('eTag', sessionContextStore.getETag(sessionConfig, {
+      caseID: resolved.caseID?.trim(),
+      assignmentID: resolved.assignmentID?.trim()
+    }));
+
+    return { params: resolved, contextSources };
+  }
+
+  /**
+   * Format the parameters taken from the session context
+   * @param {Object} params - Resolved parameters
+   * @param {Array<string>} [contextSources] - Names of the parameters taken from the session context
+   * @returns {string} Markdown section, empty when every parameter was passed
+   */
+  formatContextSources(params, contextSources = []) {
+    if (contextSources.length === 0) {
+      return '';
+    }
+
+    let response = '\n### 📌 From Session Context\n';
+    contextSources.forEach(name => {
+      response += `- **${name}**: ${params[name]}\n`;
+    });
+    response += '- Taken from the latest responses of this session; pass the parameter to use another value\n';
+    return response;
+  }
+
   /**
    * Format successful response for display
    * @param {string} operation - Operation description
@@ -296,15 +594,35 @@ export class BaseTool {
     const guidanceMap = {
       'NOT_FOUND': '\n**Suggestion**: Verify the ID is correct and the resource exists in the system.\n',
       'FORBIDDEN': '\n**Suggestion**: Check if you have the necessary permissions to access this resource.\n',
-      'UNAUTHORIZED': '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n',
+      'UNAUTHORIZED': `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`,
       'BAD_REQUEST': '\n**Suggestion**: Check the parameters and their format.\n',
       'CONNECTION_ERROR': '\n**Suggestion**: Verify the Pega instance URL and network connectivity.\n',
+      'TIMEOUT': '\n**Suggestion**: The Pega instance did not respond in time. For slow operations, raise PEGA_REQUEST_TIMEOUT or the category timeout (e.g. PEGA_ATTACHMENT_TIMEOUT).\n',
+      'CANCELLED': '\n**Suggestion**: The request was cancelled before Pega responded. A write may still have been applied; check the case before retrying.\n',
       'INTERNAL_SERVER_ERROR': '\n**Suggestion**: The Pega Infinity server encountered an internal error. Please try again or contact support if the issue persists.\n'
     };
 
     return guidanceMap[errorType] || '\n**Suggestion**: Please check the parameters and try again.\n';
   }
 
+  /**
+   * Get the guidance for a 401 response, which depends on the auth mode
+   * OAuth requests are retried once with a new token; direct access tokens are never refreshed.
+   * @returns {string} Guidance sentence
+   */
+  getUnauthorizedGuidance() {
+    let canRefresh = true;
+    try {
+      canRefresh = this.pegaClient.canRefreshToken();
+    } catch {
+      // No session client yet: assume the OAuth default
+    }
+
+    return canRefresh
+      ? 'Pega rejected the credentials even after a fresh access token was requested. Check the client ID/secret and the access granted to the OAuth client.'
+      : 'Pega rejected the access token. Direct access tokens are not refreshed by the server; supply a new access token.';
+  }
+
   /**
    * Format data section for display
    * @param {Object} data - Data to format
@@ -443,6 +761,38 @@ export class BaseTool {
     };
   }
 
+  /**
+   * Build structuredContent for a successful operation
+   * Override in tools that declare an outputSchema to expose tool-specific properties
+   * @param {Object} data - Response data
+   * @param {Object} options - Options passed to executeWithErrorHandling (including newETag and normalized)
+   * @returns {Object} structuredContent matching the tool's outputSchema
+   */
+  buildStructuredContent(data, options = {}) {
+    return buildSuccessContent({ eTag: options.newETag }, options.sessionInfo);
+  }
+
+  /**
+   * Attach structuredContent to a response when the tool declares an outputSchema
+   * Failed operations get the common error shape and are flagged with isError.
+   * @param {Object} response - MCP tool response
+   * @param {boolean} success - Whether the operation was successful
+   * @param {Object} data - Response data or error object
+   * @param {Object} options - Additional options
+   * @returns {Object} MCP tool response
+   */
+  attachStructuredContent(response, success, data, options = {}) {
+    if (!this.constructor.getDefinition().outputSchema) {
+      return response;
+    }
+
+    if (success) {
+      return { ...response, structuredContent: this.buildStructuredContent(data, options) };
+    }
+
+    return { ...response, structuredContent: buildErrorContent(data, options.sessionInfo), isError: true };
+  }
+
   /**
    * Execute operation with standardized error handling
    * @param {string} operation - Operation description
@@ -455,11 +805,21 @@ export class BaseTool {
       const result = await apiCall();
 
       if (result.success) {
-        // Pass newETag from result to options for formatSuccessResponse
-        const optionsWithETag = { ...options, newETag: result.eTag };
-        return this.createResponse(true, operation, result.data, optionsWithETag);
+        // Pass newETag and the normalized model (see response-normalizer.js) from result to options
+        const optionsWithETag = { ...options, newETag: result.eTag, normalized: result.normalized };
+        return this.attachStructuredContent(
+          this.createResponse(true, operation, result.data, optionsWithETag),
+          true,
+          result.data,
+          optionsWithETag
+        );
       } else {
-        return this.createErrorResponse(operation, result.error, options);
+        return this.attachStructuredContent(
+          this.createErrorResponse(operation, result.error, options),
+          false,
+          result.error,
+          options
+        );
       }
     } catch (error) {
       return {
@@ -2,6 +2,7 @@ import { promises as fs } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { toolConfig } from '../config/tool-config.js';
+import { logger } from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,9 +35,10 @@ export class ConfigurableToolLoader {
       // Load configuration first
       this.config = await toolConfig.load();
       
-      console.error(`🔧 Loading tools with simplified configuration`);
-      console.error(`📋 Environment: ${toolConfig.getEnvironment()}`);
-      console.error(`⚙️  Log Level: ${toolConfig.getLogLevel()}`);
+      logger.info(`🔧 Loading tools with simplified configuration`);
+      logger.info(`📋 Environment: ${toolConfig.getEnvironment()}`);
+      logger.info(`⚙️  Log Level: ${toolConfig.getLogLevel()}`);
+      logger.info(`🛡️  Tool Profile: ${toolConfig.getProfile()}`);
       
       const categories = await this.scanCategories();
       
@@ -50,7 +52,7 @@ export class ConfigurableToolLoader {
       this.logLoadingSummary();
       return this.categories;
     } catch (error) {
-      console.error('❌ Error discovering tools:', error);
+      logger.error('❌ Error discovering tools:', error);
       throw new Error(`Failed to discover tools: ${error.message}`);
     }
   }
@@ -71,9 +73,9 @@ export class ConfigurableToolLoader {
           // Check if category should be loaded
           if (toolConfig.isCategoryEnabled(categoryName)) {
             categories.push(categoryName);
-            console.error(`✅ Category enabled: ${categoryName}`);
+            logger.info(`✅ Category enabled: ${categoryName}`);
           } else {
-            console.error(`⏭️  Category skipped: ${categoryName} (disabled in configuration)`);
+            logger.info(`⏭️  Category skipped: ${categoryName} (disabled in configuration)`);
           }
         }
       }
@@ -81,7 +83,7 @@ export class ConfigurableToolLoader {
       return categories.sort();
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.warn(`⚠️  Tools directory not found: ${this.toolsPath}`);
+        logger.warn(`⚠️  Tools directory not found: ${this.toolsPath}`);
         return [];
       }
       throw error;
@@ -102,24 +104,24 @@ export class ConfigurableToolLoader {
       const files = await fs.readdir(categoryPath);
       const jsFiles = files.filter(file => file.endsWith('.js'));
       
-      console.error(`🔍 Scanning category: ${category} (${jsFiles.length} files)`);
+      logger.debug(`🔍 Scanning category: ${category} (${jsFiles.length} files)`);
       
       for (const file of jsFiles) {
         try {
           const result = await this.loadToolFile(categoryPath, file, category);
           if (result.loaded) {
             tools.push(result.tool);
-            console.error(`   ✅ Loaded: ${result.toolName}`);
+            logger.debug(`   ✅ Loaded: ${result.toolName}`);
           } else {
             skippedInCategory.push({
               file,
               toolName: result.toolName,
               reason: result.reason
             });
-            console.error(`   ⏭️  Skipped: ${result.toolName} (${result.reason})`);
+            logger.info(`   ⏭️  Skipped: ${result.toolName} (${result.reason})`);
           }
         } catch (error) {
-          console.warn(`   ❌ Failed to load ${file}: ${error.message}`);
+          logger.warn(`   ❌ Failed to load ${file}: ${error.message}`);
           skippedInCategory.push({
             file,
             toolName: file.replace('.js', ''),
@@ -135,7 +137,7 @@ export class ConfigurableToolLoader {
       
       return tools.sort((a, b) => a.constructor.name.localeCompare(b.constructor.name));
     } catch (error) {
-      console.warn(`❌ Failed to read category directory ${category}: ${error.message}`);
+      logger.warn(`❌ Failed to read category directory ${category}: ${error.message}`);
       return [];
     }
   }
@@ -175,7 +177,8 @@ export class ConfigurableToolLoader {
       }
       
       // Get tool name from definition
-      const toolName = ToolClass.getDefinition().name;
+      const definition = ToolClass.getDefinition();
+      const toolName = definition.name;
       
       // Check if tool should be loaded based on configuration
       if (!toolConfig.isToolEnabled(toolName, category)) {
@@ -185,6 +188,15 @@ export class ConfigurableToolLoader {
           reason: 'disabled in configuration'
         };
       }
+
+      // The profile is checked after per-tool overrides so PEGA_TOOL_PROFILE=readonly cannot be bypassed
+      if (!toolConfig.isToolAllowedByProfile(definition.annotations)) {
+        return {
+          loaded: false,
+          toolName: toolName,
+          reason: `not allowed by "${toolConfig.getProfile()}" tool profile`
+        };
+      }
       
       // Create and register tool instance
       const toolInstance = new ToolClass();
@@ -284,29 +296,29 @@ export class ConfigurableToolLoader {
     const stats = this.getStats();
     const configSummary = toolConfig.getSummary();
     
-    console.error(`\n📊 Tool Loading Summary:`);
-    console.error(`   🔧 Configuration: Simplified (${configSummary.environment})`);
-    console.error(`   📂 Categories: ${stats.categories} loaded, ${this.skippedTools.size} skipped`);
-    console.error(`   🔨 Tools: ${stats.totalTools} loaded, ${stats.totalSkipped} skipped`);
+    logger.info(`\n📊 Tool Loading Summary:`);
+    logger.info(`   🔧 Configuration: Simplified (${configSummary.environment})`);
+    logger.info(`   📂 Categories: ${stats.categories} loaded, ${this.skippedTools.size} skipped`);
+    logger.info(`   🔨 Tools: ${stats.totalTools} loaded, ${stats.totalSkipped} skipped`);
     
     if (stats.totalTools > 0) {
-      console.error(`\n✅ Loaded Tools by Category:`);
+      logger.info(`\n✅ Loaded Tools by Category:`);
       for (const [category, count] of Object.entries(stats.toolsByCategory)) {
-        console.error(`   - ${category}: ${count} tools`);
+        logger.info(`   - ${category}: ${count} tools`);
       }
     }
     
     if (stats.totalSkipped > 0) {
-      console.error(`\n⏭️  Skipped Tools:`);
+      logger.info(`\n⏭️  Skipped Tools:`);
       for (const [category, skipped] of this.skippedTools) {
-        console.error(`   - ${category}:`);
+        logger.info(`   - ${category}:`);
         for (const skip of skipped) {
-          console.error(`     • ${skip.toolName}: ${skip.reason}`);
+          logger.info(`     • ${skip.toolName}: ${skip.reason}`);
         }
       }
     }
     
-    console.error('');
+    logger.info('');
   }
 
   /**
@@ -338,7 +350,7 @@ export class ConfigurableToolLoader {
         const definition = toolInfo.class.getDefinition();
         definitions.push(definition);
       } catch (error) {
-        console.warn(`⚠️  Failed to get definition for tool ${toolName}: ${error.message}`);
+        logger.warn(`⚠️  Failed to get definition for tool ${toolName}: ${error.message}`);
       }
     }
     
@@ -397,7 +409,7 @@ export class ConfigurableToolLoader {
    * @returns {Promise<Map>} Updated categories map
    */
   async reload() {
-    console.error('🔄 Reloading configurable tool loader...');
+    logger.info('🔄 Reloading configurable tool loader...');
     
     // Clear current state
     this.loadedTools.clear();
@@ -1,6 +1,7 @@
 import { promises as fs } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,7 +32,7 @@ export class ToolLoader {
       
       return this.categories;
     } catch (error) {
-      console.error('Error discovering tools:', error);
+      logger.error('Error discovering tools:', error);
       throw new Error(`Failed to discover tools: ${error.message}`);
     }
   }
@@ -54,7 +55,7 @@ export class ToolLoader {
       return categories.sort();
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.warn(`Tools directory not found: ${this.toolsPath}`);
+        logger.warn(`Tools directory not found: ${this.toolsPath}`);
         return [];
       }
       throw error;
@@ -81,14 +82,14 @@ export class ToolLoader {
             tools.push(tool);
           }
         } catch (error) {
-          console.warn(`Failed to load tool ${file} in category ${category}:`, error.message);
+          logger.warn(`Failed to load tool ${file} in category ${category}:`, error.message);
           // Continue loading other tools even if one fails
         }
       }
       
       return tools.sort((a, b) => a.constructor.name.localeCompare(b.constructor.name));
     } catch (error) {
-      console.warn(`Failed to read category directory ${category}:`, error.message);
+      logger.warn(`Failed to read category directory ${category}:`, error.message);
       return [];
     }
   }
@@ -110,7 +111,7 @@ export class ToolLoader {
       // Find the tool class in the module
       const ToolClass = this.findToolClass(module);
       if (!ToolClass) {
-        console.warn(`No valid tool class found in ${filename}`);
+        logger.warn(`No valid tool class found in ${filename}`);
         return null;
       }
       
@@ -165,34 +166,34 @@ export class ToolLoader {
     try {
       // Check for required static methods
       if (typeof ToolClass.getDefinition !== 'function') {
-        console.warn(`Tool ${filename}: Missing getDefinition() static method`);
+        logger.warn(`Tool ${filename}: Missing getDefinition() static method`);
         return false;
       }
       
       if (typeof ToolClass.getCategory === 'function') {
         const toolCategory = ToolClass.getCategory();
         if (toolCategory !== category) {
-          console.warn(`Tool ${filename}: Category mismatch. Expected '${category}', got '${toolCategory}'`);
+          logger.warn(`Tool ${filename}: Category mismatch. Expected '${category}', got '${toolCategory}'`);
           return false;
         }
       }
       
       // Check for required instance methods
       if (typeof ToolClass.prototype.execute !== 'function') {
-        console.warn(`Tool ${filename}: Missing execute() method`);
+        logger.warn(`Tool ${filename}: Missing execute() method`);
         return false;
       }
       
       // Validate tool definition
       const definition = ToolClass.getDefinition();
       if (!definition || !definition.name || !definition.description) {
-        console.warn(`Tool ${filename}: Invalid tool definition`);
+        logger.warn(`Tool ${filename}: Invalid tool definition`);
         return false;
       }
       
       return true;
     } catch (error) {
-      console.warn(`Tool ${filename}: Validation error - ${error.message}`);
+      logger.warn(`Tool ${filename}: Validation error - ${error.message}`);
       return false;
     }
   }
@@ -226,7 +227,7 @@ export class ToolLoader {
         const definition = toolInfo.class.getDefinition();
         definitions.push(definition);
       } catch (error) {
-        console.warn(`Failed to get definition for tool ${toolName}:`, error.message);
+        logger.warn(`Failed to get definition for tool ${toolName}:`, error.message);
       }
     }
     
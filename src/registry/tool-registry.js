@@ -1,4 +1,8 @@
 import { configurableToolLoader } from './configurable-tool-loader.js';
+import { argumentValidator } from './argument-validator.js';
+import { toolConfig } from '../config/tool-config.js';
+import { runWithRequestContext } from '../utils/request-context.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Central tool registry for managing MCP tools
@@ -22,24 +26,29 @@ export class ToolRegistry {
     }
 
     try {
-      console.error('🔍 Discovering tools...');
+      logger.info('🔍 Discovering tools...');
       const categories = await this.loader.discoverTools();
       
       this.categories = categories;
       this.tools = this.loader.getLoadedTools();
+
+      // Compile input schemas once so arguments can be validated before execution
+      for (const [toolName, toolInfo] of this.tools) {
+        argumentValidator.compile(toolName, toolInfo.class.getDefinition().inputSchema);
+      }
       
       const stats = this.loader.getStats();
-      console.error(`✅ Tool discovery complete:`);
-      console.error(`   - ${stats.totalTools} tools loaded`);
-      console.error(`   - ${stats.categories} categories found`);
+      logger.info(`✅ Tool discovery complete:`);
+      logger.info(`   - ${stats.totalTools} tools loaded`);
+      logger.info(`   - ${stats.categories} categories found`);
       
       for (const [category, count] of Object.entries(stats.toolsByCategory)) {
-        console.error(`   - ${category}: ${count} tools`);
+        logger.info(`   - ${category}: ${count} tools`);
       }
       
       this.initialized = true;
     } catch (error) {
-      console.error('❌ Failed to initialize tool registry:', error);
+      logger.error('❌ Failed to initialize tool registry:', error);
       throw new Error(`Tool registry initialization failed: ${error.message}`);
     }
   }
@@ -77,31 +86,52 @@ export class ToolRegistry {
    * Execute a tool by name with given parameters
    * @param {string} toolName - Name of the tool to execute
    * @param {Object} params - Parameters for the tool
+   * @param {Object} [options] - Execution options
+   * @param {AbortSignal} [options.signal] - MCP cancellation signal, aborts in-flight Pega requests
+   * @param {string} [options.sessionId] - MCP session ID (HTTP transport), scopes the session context
    * @returns {Promise<Object>} Tool execution result
    */
-  async executeTool(toolName, params = {}) {
+  async executeTool(toolName, params = {}, { signal, sessionId } = {}) {
     this.ensureInitialized();
     
-    console.error(`[REGISTRY DEBUG] Executing tool: ${toolName} with params:`, JSON.stringify(params, null, 2));
+    // Arguments are not logged: sessionCredentials and form data may hold credentials or personal data
+    logger.debug(`🔨 Executing tool: ${toolName}`);
     
     const tool = this.getToolByName(toolName);
     if (!tool) {
-      console.error(`[REGISTRY DEBUG] Tool not found: ${toolName}`);
+      logger.warn(`⚠️ Tool not found: ${toolName}`);
       return {
         error: `Unknown tool: ${toolName}. Available tools: ${Array.from(this.tools.keys()).join(', ')}`
       };
     }
 
-    console.error(`[REGISTRY DEBUG] Tool found, calling execute method...`);
+    const validationErrors = argumentValidator.validate(toolName, params);
+    if (validationErrors) {
+      logger.debug(`⚠️ Invalid arguments for ${toolName}:`, validationErrors);
+      return argumentValidator.formatErrorResponse(toolName, validationErrors);
+    }
+
     try {
-      const result = await tool.execute(params);
-      console.error(`[REGISTRY DEBUG] Tool execution completed, result type:`, typeof result);
-      return result;
+      // Pega requests made by the tool pick up the cancellation signal and category timeout
+      const context = {
+        signal,
+        sessionId,
+        timeout: toolConfig.getRequestTimeout(this.tools.get(toolName)?.category),
+        rejectedRequests: []
+      };
+      return await runWithRequestContext(context, async () => {
+        // Short case IDs and action/case type names are resolved to IDs before the tool runs
+        const resolution = await tool.resolveArguments(params);
+        if (resolution.error) {
+          return resolution.error;
+        }
+        return tool.reportResolutions(await tool.execute(resolution.params), resolution.resolutions, resolution.suggestions);
+      });
     } catch (error) {
-      console.error(`[REGISTRY DEBUG] Tool execution error:`, error);
-      console.error(`Error executing tool ${toolName}:`, error);
+      logger.error(`❌ Error executing tool ${toolName}:`, error);
       return {
-        error: `Error executing tool ${toolName}: ${error.message}`
+        error: `Error executing tool ${toolName}: ${error.message}`,
+        isError: true
       };
     }
   }
@@ -201,10 +231,11 @@ export class ToolRegistry {
    * @returns {Promise<void>}
    */
   async reload() {
-    console.error('🔄 Reloading tool registry...');
+    logger.info('🔄 Reloading tool registry...');
     this.initialized = false;
     this.tools.clear();
     this.categories.clear();
+    argumentValidator.clear();
     
     await this.loader.reload();
     await this.initialize();
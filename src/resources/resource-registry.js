@@ -0,0 +1,165 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { PegaClient } from '../api/pega-client.js';
+import { getSessionConfig } from '../config/session-config.js';
+import { sessionManager } from '../session/session-manager.js';
+import { config } from '../config.js';
+import { runWithoutContextRecording } from '../utils/request-context.js';
+
+/**
+ * Central resource registry for exposing Pega data as MCP resources
+ *
+ * Supported URIs:
+ * - pega://casetypes                     - Case types the user can create
+ * - pega://cases/{caseID}                - Case details (caseID URL-encoded, e.g. MYORG-APP-WORK%20C-1001)
+ * - pega://assignments/{assignmentID}    - Assignment details (assignmentID URL-encoded)
+ *
+ * Resources are read with the credentials of the calling MCP session when one exists
+ * (HTTP transport), otherwise with the environment configuration.
+ */
+export class ResourceRegistry {
+  constructor() {
+    this.scheme = 'pega://';
+
+    this.resources = [
+      {
+        uri: 'pega://casetypes',
+        name: 'Case Types',
+        description: 'List of case types the authenticated user can create',
+        mimeType: 'application/json'
+      }
+    ];
+
+    this.templates = [
+      {
+        uriTemplate: 'pega://cases/{caseID}',
+        name: 'Case',
+        description: 'Case details including status, stage, content, assignments and available actions. caseID is the full case handle, URL-encoded (e.g. "MYORG-APP-WORK%20C-1001").',
+        mimeType: 'application/json'
+      },
+      {
+        uriTemplate: 'pega://assignments/{assignmentID}',
+        name: 'Assignment',
+        description: 'Assignment details including instructions, available actions and the related case. assignmentID is the full assignment handle, URL-encoded.',
+        mimeType: 'application/json'
+      }
+    ];
+  }
+
+  /**
+   * Get static resources for MCP ListResourcesRequest
+   * @returns {Array} Array of resource definitions
+   */
+  listResources() {
+    return this.resources;
+  }
+
+  /**
+   * Get resource templates for MCP ListResourceTemplatesRequest
+   * @returns {Array} Array of resource template definitions
+   */
+  listResourceTemplates() {
+    return this.templates;
+  }
+
+  /**
+   * Parse a pega:// URI into resource type and ID
+   * @param {string} uri - Resource URI
+   * @returns {Object} Parsed resource { type, id }
+   * @throws {McpError} If the URI is not a supported Pega resource
+   */
+  parseUri(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(this.scheme)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}. Expected ${this.scheme}...`);
+    }
+
+    const path = uri.slice(this.scheme.length);
+    if (path === 'casetypes') {
+      return { type: 'casetypes', id: null };
+    }
+
+    const match = path.match(/^(cases|assignments)\/(.+)$/);
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}. Supported: pega://casetypes, pega://cases/{caseID}, pega://assignments/{assignmentID}`);
+    }
+
+    let id;
+    try {
+      id = decodeURIComponent(match[2]);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid encoding in resource URI: ${uri}`);
+    }
+
+    return { type: match[1], id };
+  }
+
+  /**
+   * Get a PegaClient for the calling MCP session
+   * @param {string} [sessionId] - MCP session ID (HTTP transport only)
+   * @returns {PegaClient} Configured client
+   * @throws {McpError} If no usable configuration exists
+   */
+  getClient(sessionId) {
+    if (sessionId && sessionManager.getSession(sessionId)) {
+      return new PegaClient(getSessionConfig(sessionId));
+    }
+
+    if (!config.pega.baseUrl || !config.pega.clientId || !config.pega.clientSecret) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        'Missing Pega configuration. Set PEGA_BASE_URL, PEGA_CLIENT_ID and PEGA_CLIENT_SECRET, or call a tool with sessionCredentials on this connection first.'
+      );
+    }
+
+    return new PegaClient(null);
+  }
+
+  /**
+   * Read a resource by URI
+   * Reads run outside tool calls and do not change the current case or assignment of the
+   * session context.
+   * @param {string} uri - Resource URI
+   * @param {string} [sessionId] - MCP session ID (HTTP transport only)
+   * @returns {Promise<Object>} MCP ReadResource result
+   */
+  async readResource(uri, sessionId) {
+    const { type, id } = this.parseUri(uri);
+    const pegaClient = this.getClient(sessionId);
+
+    const result = await runWithoutContextRecording(() => {
+      switch (type) {
+        case 'casetypes':
+          return pegaClient.getCaseTypes();
+        case 'cases':
+          return pegaClient.getCase(id);
+        case 'assignments':
+          return pegaClient.getAssignment(id);
+      }
+    });
+
+    if (!result.success) {
+      const { error } = result;
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to read ${uri}: ${error.type || 'ERROR'} - ${error.message}${error.details ? ` (${error.details})` : ''}`,
+        { type: error.type, status: error.status }
+      );
+    }
+
+    const body = result.eTag ? { eTag: result.eTag, ...result.data } : result.data;
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(body, null, 2)
+        }
+      ]
+    };
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const resourceRegistry = new ResourceRegistry();
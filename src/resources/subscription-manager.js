@@ -0,0 +1,251 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { resourceRegistry } from './resource-registry.js';
+import { sessionManager } from '../session/session-manager.js';
+import { logger } from '../utils/logger.js';
+import { runWithoutContextRecording } from '../utils/request-context.js';
+
+/**
+ * Case resource subscriptions
+ *
+ * Clients subscribe to pega://cases/{caseID}. Each subscription polls getCase in the background
+ * and sends notifications/resources/updated when the case status, stage or open assignments change.
+ * The eTag / lastUpdateTime of the previous poll is kept so unchanged cases are skipped cheaply.
+ *
+ * Polling configuration (environment variables):
+ * - PEGA_SUBSCRIPTION_POLL_INTERVAL - Base poll interval in ms (default: 30000)
+ * - PEGA_SUBSCRIPTION_MAX_INTERVAL  - Upper bound for error backoff in ms (default: 300000)
+ *
+ * Failed polls back off exponentially (with jitter) up to the max interval; the next successful
+ * poll resets to the base interval. Subscriptions end on unsubscribe, when the client connection
+ * closes, or when the session they were created with expires.
+ */
+export class SubscriptionManager {
+  constructor(options = {}) {
+    this.baseInterval = options.baseInterval || parseInt(process.env.PEGA_SUBSCRIPTION_POLL_INTERVAL, 10) || 30 * 1000;
+    this.maxInterval = Math.max(
+      this.baseInterval,
+      options.maxInterval || parseInt(process.env.PEGA_SUBSCRIPTION_MAX_INTERVAL, 10) || 5 * 60 * 1000
+    );
+
+    // Map<Server, Map<uri, subscription>>
+    this.subscriptions = new Map();
+
+    sessionManager.on('sessionRemoved', (sessionId, reason) => {
+      this.unsubscribeSession(sessionId, reason);
+    });
+  }
+
+  /**
+   * Subscribe a client to case updates
+   * @param {Server} server - MCP server the client is connected to
+   * @param {string} uri - Resource URI (pega://cases/{caseID})
+   * @param {string} [sessionId] - MCP session ID (HTTP transport only)
+   * @returns {Promise<void>}
+   */
+  async subscribe(server, uri, sessionId) {
+    const { type, id } = resourceRegistry.parseUri(uri);
+    if (type !== 'cases') {
+      throw new McpError(ErrorCode.InvalidParams, `Subscriptions are only supported for case resources (pega://cases/{caseID}), got: ${uri}`);
+    }
+
+    if (this.subscriptions.get(server)?.has(uri)) {
+      return;
+    }
+
+    const subscription = {
+      server,
+      uri,
+      caseID: id,
+      sessionId,
+      snapshot: null,
+      failures: 0,
+      timer: null
+    };
+
+    // Take the initial snapshot up front so an invalid case fails the subscribe request
+    const result = await this.fetchCase(subscription);
+    if (!result.success) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot subscribe to ${uri}: ${result.error?.message || 'case could not be read'}`);
+    }
+    subscription.snapshot = this.createSnapshot(result);
+
+    let serverSubscriptions = this.subscriptions.get(server);
+    if (!serverSubscriptions) {
+      serverSubscriptions = new Map();
+      this.subscriptions.set(server, serverSubscriptions);
+    }
+
+    // A concurrent subscribe for the same URI may have finished first
+    if (serverSubscriptions.has(uri)) {
+      return;
+    }
+
+    serverSubscriptions.set(uri, subscription);
+    this.schedule(subscription, this.baseInterval);
+
+    logger.info(`🔔 Subscribed to ${uri} (polling every ${Math.round(this.baseInterval / 1000)}s)`);
+  }
+
+  /**
+   * Remove a single subscription
+   * @param {Server} server - MCP server the client is connected to
+   * @param {string} uri - Resource URI
+   */
+  unsubscribe(server, uri) {
+    const serverSubscriptions = this.subscriptions.get(server);
+    const subscription = serverSubscriptions?.get(uri);
+    if (!subscription) {
+      return;
+    }
+
+    clearTimeout(subscription.timer);
+    serverSubscriptions.delete(uri);
+    if (serverSubscriptions.size === 0) {
+      this.subscriptions.delete(server);
+    }
+
+    logger.info(`🔕 Unsubscribed from ${uri}`);
+  }
+
+  /**
+   * Remove all subscriptions of a client connection
+   * @param {Server} server - MCP server the client was connected to
+   */
+  unsubscribeAll(server) {
+    const serverSubscriptions = this.subscriptions.get(server);
+    if (!serverSubscriptions) {
+      return;
+    }
+
+    for (const uri of Array.from(serverSubscriptions.keys())) {
+      this.unsubscribe(server, uri);
+    }
+  }
+
+  /**
+   * Remove all subscriptions created under a session
+   * @param {string} sessionId - Session ID that was removed
+   * @param {string} reason - Removal reason
+   */
+  unsubscribeSession(sessionId, reason) {
+    for (const serverSubscriptions of Array.from(this.subscriptions.values())) {
+      for (const subscription of Array.from(serverSubscriptions.values())) {
+        if (subscription.sessionId === sessionId) {
+          logger.info(`🔕 Session ${sessionId} ${reason} - ending subscription to ${subscription.uri}`);
+          this.unsubscribe(subscription.server, subscription.uri);
+        }
+      }
+    }
+  }
+
+  /**
+   * Schedule the next poll for a subscription
+   * @param {Object} subscription - Subscription state
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(subscription, delay) {
+    subscription.timer = setTimeout(() => this.poll(subscription), delay);
+    subscription.timer.unref();
+  }
+
+  /**
+   * Poll a case and notify the client when it changed
+   * @param {Object} subscription - Subscription state
+   */
+  async poll(subscription) {
+    if (this.subscriptions.get(subscription.server)?.get(subscription.uri) !== subscription) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.fetchCase(subscription);
+    } catch (error) {
+      result = { success: false, error: { message: error.message } };
+    }
+
+    if (!result.success) {
+      subscription.failures++;
+      const delay = this.getBackoffDelay(subscription.failures);
+      logger.warn(`⚠️ Poll failed for ${subscription.uri} (${result.error?.message}); retrying in ${Math.round(delay / 1000)}s`);
+      this.schedule(subscription, delay);
+      return;
+    }
+
+    subscription.failures = 0;
+    const snapshot = this.createSnapshot(result);
+
+    if (this.hasChanged(subscription.snapshot, snapshot)) {
+      subscription.snapshot = snapshot;
+      try {
+        await subscription.server.sendResourceUpdated({ uri: subscription.uri });
+        logger.info(`🔔 Case changed, notified subscriber: ${subscription.uri}`);
+      } catch (error) {
+        logger.error(`❌ Failed to send resource update for ${subscription.uri}:`, error.message);
+      }
+    } else {
+      subscription.snapshot.version = snapshot.version;
+    }
+
+    this.schedule(subscription, this.baseInterval);
+  }
+
+  /**
+   * Fetch the subscribed case with the subscription's credentials
+   * Background polls do not change the current case or assignment of the session context.
+   * @param {Object} subscription - Subscription state
+   * @returns {Promise<Object>} getCase result
+   */
+  async fetchCase(subscription) {
+    const pegaClient = resourceRegistry.getClient(subscription.sessionId);
+    return await runWithoutContextRecording(() => pegaClient.getCase(subscription.caseID));
+  }
+
+  /**
+   * Reduce a getCase result to the fields that trigger notifications
+   * @param {Object} result - getCase result (with the normalized case of PegaClient)
+   * @returns {Object} Snapshot { version, state }
+   */
+  createSnapshot(result) {
+    const caseModel = result.normalized || {};
+    const assignments = (caseModel.assignments || []).map(assignment => assignment.ID).sort();
+
+    return {
+      version: result.eTag || caseModel.lastUpdateTime || null,
+      state: JSON.stringify({
+        status: caseModel.status || null,
+        stage: caseModel.stageID || caseModel.stage || null,
+        assignments
+      })
+    };
+  }
+
+  /**
+   * Compare two snapshots
+   * Unchanged eTag/lastUpdateTime means the case was not saved in between.
+   * @param {Object} previous - Previous snapshot
+   * @param {Object} current - Current snapshot
+   * @returns {boolean} Whether status, stage or assignments changed
+   */
+  hasChanged(previous, current) {
+    if (previous.version && previous.version === current.version) {
+      return false;
+    }
+    return previous.state !== current.state;
+  }
+
+  /**
+   * Exponential backoff with jitter for failed polls
+   * @param {number} failures - Consecutive failures
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(failures) {
+    const delay = Math.min(this.baseInterval * Math.pow(2, failures), this.maxInterval);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const subscriptionManager = new SubscriptionManager();
@@ -0,0 +1,257 @@
+import { getRequestContext } from '../utils/request-context.js';
+import { sessionManager } from './session-manager.js';
+
+/**
+ * Session Context Store
+ *
+ * Remembers, per session, the latest eTag of every case and assignment seen in a successful
+ * Pega response (recorded by BaseApiClient) and the case and assignment the session worked on
+ * last. Tools fill in a missing caseID, assignmentID or eTag from it instead of asking the
+ * agent to pass values back or fetching the eTag again.
+ *
+ * A context is scoped by both the MCP session of the HTTP connection and the Pega session
+ * (sessionCredentials.sessionId or environment profile session), so HTTP clients sharing a
+ * profile session never see each other's cases. Environment configuration over stdio uses
+ * 'default'.
+ *
+ * An eTag from the context is the latest this session has seen; if someone else updated the
+ * case since, Pega rejects it like any stale eTag (see the merge conflict strategy).
+ */
+
+const DEFAULT_SCOPE = 'default';
+
+// Cases and assignments remembered per session, least recently seen dropped first
+const MAX_ENTRIES = 200;
+
+/**
+ * Get the resource of a Pega API URL
+ * @param {string} url - Full API URL
+ * @returns {Object} { type: 'cases'|'assignments'|null, id, subresource }
+ */
+export function parseResourcePath(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return { type: null };
+  }
+
+  const match = /\/(cases|assignments)(?:\/([^/]+))?(?:\/([^/]+))?/.exec(pathname);
+  if (!match) {
+    return { type: null };
+  }
+
+  return {
+    type: match[1],
+    id: match[2] ? decodeURIComponent(match[2]) : undefined,
+    subresource: match[3]
+  };
+}
+
+/**
+ * Get the case ID of an assignment ID ("ASSIGN-WORKLIST MYORG-APP-WORK C-1001!FLOW")
+ * @param {string} assignmentID - Assignment ID
+ * @returns {string|undefined} Case ID, undefined if the ID has another format
+ */
+export function getCaseIDFromAssignmentID(assignmentID) {
+  const match = /^ASSIGN-\S+ ([^!]+)!/.exec(assignmentID || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Set a Map entry as the most recently used one, dropping the oldest beyond MAX_ENTRIES
+ * @param {Map} map - Map
+ * @param {string} key - Key
+ * @param {Object} value - Value
+ */
+function touch(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > MAX_ENTRIES) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+export class SessionContextStore {
+  constructor() {
+    // Map<scope, { cases: Map<caseID, {eTag}>, assignments: Map<assignmentID, {caseID, eTag}>, currentCaseID, currentAssignmentID }>
+    this.contexts = new Map();
+
+    sessionManager.on('sessionRemoved', (sessionId) => {
+      this.clear(sessionId);
+    });
+  }
+
+  /**
+   * Get the scope of a client configuration
+   * @param {Object} config - Environment or session configuration
+   * @returns {string} Scope
+   */
+  getScope(config) {
+    const transportSessionId = getRequestContext().sessionId;
+    const pegaSessionId = config?.getSessionInfo?.()?.sessionId;
+
+    if (!transportSessionId && !pegaSessionId) {
+      return DEFAULT_SCOPE;
+    }
+    return `${transportSessionId || ''}|${pegaSessionId || ''}`;
+  }
+
+  /**
+   * Get the context of a scope, creating it when missing
+   * @param {string} scope - Scope
+   * @returns {Object} Context
+   */
+  getContext(scope) {
+    if (!this.contexts.has(scope)) {
+      this.contexts.set(scope, {
+        cases: new Map(),
+        assignments: new Map(),
+        currentCaseID: null,
+        currentAssignmentID: null
+      });
+    }
+    return this.contexts.get(scope);
+  }
+
+  /**
+   * Record a successful response of BaseApiClient
+   * Responses of lookups run with runWithoutContextRecording are skipped.
+   * @param {Object} config - Configuration of the client
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} result - { data, eTag } of the response
+   */
+  recordResponse(config, url, method, result) {
+    const { type, id, subresource } = parseResourcePath(url);
+    if (!type || getRequestContext().recordContext === false) {
+      return;
+    }
+
+    const context = this.getContext(this.getScope(config));
+    const body = result.data || {};
+    const caseInfo = body.data?.caseInfo;
+    const eTag = result.eTag || null;
+
+    let caseID;
+    let assignmentID;
+
+    if (type === 'cases') {
+      if (method === 'DELETE' && id && !subresource) {
+        this.forgetCase(context, id);
+        return;
+      }
+      caseID = id || caseInfo?.ID || body.ID;
+    } else {
+      // GET /assignments/next returns the assignment of the case it picked
+      assignmentID = id === 'next' ? caseInfo?.assignments?.[0]?.ID || body.ID : id;
+      caseID = caseInfo?.ID || body.caseID || getCaseIDFromAssignmentID(assignmentID);
+    }
+
+    if (caseID) {
+      const known = context.cases.get(caseID);
+      touch(context.cases, caseID, { eTag: eTag || known?.eTag || null });
+      context.currentCaseID = caseID;
+    }
+
+    // A case response lists its open assignments; the first one is current unless the current one is listed
+    if (type === 'cases' && caseID && Array.isArray(caseInfo?.assignments)) {
+      const openIDs = caseInfo.assignments.map(assignment => assignment.ID).filter(Boolean);
+      openIDs.forEach(openID => touch(context.assignments, openID, { caseID, eTag }));
+      if (openIDs.length > 0 && !openIDs.includes(context.currentAssignmentID)) {
+        context.currentAssignmentID = openIDs[0];
+      } else if (openIDs.length === 0 && context.assignments.get(context.currentAssignmentID)?.caseID === caseID) {
+        context.currentAssignmentID = null;
+      }
+    }
+
+    if (assignmentID) {
+      const known = context.assignments.get(assignmentID);
+      touch(context.assignments, assignmentID, { caseID, eTag: eTag || known?.eTag || null });
+
+      // Submitting an action moves the case on unless the assignment is still open afterwards
+      const stillOpen = method === 'GET' || caseInfo?.assignments?.some(assignment => assignment.ID === assignmentID);
+      if (stillOpen) {
+        context.currentAssignmentID = assignmentID;
+      } else if (context.currentAssignmentID === assignmentID) {
+        context.currentAssignmentID = null;
+      }
+    }
+
+    const nextAssignmentID = body.nextAssignmentInfo?.ID || caseInfo?.nextAssignmentID;
+    if (nextAssignmentID) {
+      touch(context.assignments, nextAssignmentID, { caseID, eTag });
+      context.currentAssignmentID = nextAssignmentID;
+    }
+  }
+
+  /**
+   * Drop a deleted case and its assignments from a context
+   * @param {Object} context - Context
+   * @param {string} caseID - Case ID
+   */
+  forgetCase(context, caseID) {
+    context.cases.delete(caseID);
+    for (const [assignmentID, assignment] of context.assignments) {
+      if (assignment.caseID === caseID) {
+        context.assignments.delete(assignmentID);
+      }
+    }
+    if (context.currentCaseID === caseID) {
+      context.currentCaseID = null;
+    }
+    if (context.currentAssignmentID && !context.assignments.has(context.currentAssignmentID)) {
+      context.currentAssignmentID = null;
+    }
+  }
+
+  /**
+   * Get the case the session worked on last
+   * @param {Object} config - Environment or session configuration
+   * @returns {string|null} Case ID
+   */
+  getCurrentCaseID(config) {
+    return this.contexts.get(this.getScope(config))?.currentCaseID || null;
+  }
+
+  /**
+   * Get the assignment the session worked on last
+   * @param {Object} config - Environment or session configuration
+   * @returns {string|null} Assignment ID
+   */
+  getCurrentAssignmentID(config) {
+    return this.contexts.get(this.getScope(config))?.currentAssignmentID || null;
+  }
+
+  /**
+   * Get the latest eTag of a case or assignment
+   * An assignment's eTag is its case's eTag, so the case entry is used when it is known.
+   * @param {Object} config - Environment or session configuration
+   * @param {Object} ids - { caseID } or { assignmentID }
+   * @returns {string|null} eTag
+   */
+  getETag(config, { caseID, assignmentID } = {}) {
+    const context = this.contexts.get(this.getScope(config));
+    if (!context) {
+      return null;
+    }
+
+    const assignment = assignmentID ? context.assignments.get(assignmentID) : null;
+    const caseEntry = context.cases.get(caseID || assignment?.caseID || getCaseIDFromAssignmentID(assignmentID));
+    return caseEntry?.eTag || assignment?.eTag || null;
+  }
+
+  /**
+   * Drop the contexts of an ended session
+   * @param {string} sessionId - MCP session or Pega session ID
+   */
+  clear(sessionId) {
+    for (const scope of [...this.contexts.keys()]) {
+      if (scope.split('|').includes(sessionId)) {
+        this.contexts.delete(scope);
+      }
+    }
+  }
+}
+
+export const sessionContextStore = new SessionContextStore();
@@ -1,12 +1,26 @@
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { GRANT_TYPES, getMissingGrantFields, normalizeGrantType } from '../auth/grant-types.js';
+import { loadSessionStoreConfig } from '../config/session-store-config.js';
+import { createSessionStore } from './session-store.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Session Manager for handling multi-user credential caching
  * Supports both OAuth credential-based and direct token-based authentication
+ *
+ * Emits 'sessionRemoved' (sessionId, reason) whenever a session is deleted or expires,
+ * so session-scoped state elsewhere (e.g. resource subscriptions) can be released.
+ *
+ * Sessions and the OAuth token cache live in a pluggable session store (in-memory by default,
+ * see session-store.js). The store is created from the environment on first use, after .env
+ * has been loaded, unless one is passed in options.store.
  */
-export class SessionManager {
+export class SessionManager extends EventEmitter {
   constructor(options = {}) {
-    this.sessions = new Map();
+    super();
+    this._store = options.store || null;
+    this.storeLoaded = false;
     this.defaultTTL = options.defaultTTL || 2 * 60 * 60 * 1000; // 2 hours default
     this.cleanupInterval = options.cleanupInterval || 15 * 60 * 1000; // 15 minutes
 
@@ -14,6 +28,67 @@ export class SessionManager {
     this.startCleanup();
   }
 
+  /**
+   * Session store, created and loaded on first access
+   * @returns {MemorySessionStore} Session store
+   */
+  get store() {
+    if (!this.storeLoaded) {
+      this.loadStore();
+    }
+    return this._store;
+  }
+
+  /**
+   * Sessions map of the store
+   * @returns {Map} Map<sessionId, session>
+   */
+  get sessions() {
+    return this.store.sessions;
+  }
+
+  /**
+   * Create (if needed) and load the session store, restoring persisted sessions and tokens
+   * @returns {Object} Counts of restored entries { sessions, tokens }
+   */
+  loadStore() {
+    if (this.storeLoaded) {
+      return { sessions: this._store.sessions.size, tokens: this._store.tokens.size };
+    }
+
+    this._store = this._store || createSessionStore(loadSessionStoreConfig());
+    this.storeLoaded = true;
+
+    const restored = this._store.load();
+    if (restored.sessions > 0 || restored.tokens > 0) {
+      logger.info(`📋 Restored ${restored.sessions} sessions and ${restored.tokens} cached tokens from ${this._store.describe()}`);
+    }
+    return restored;
+  }
+
+  /**
+   * Get cached OAuth tokens
+   * @param {string} key - Token cache key (see OAuth2Client.generateSharedTokenKey)
+   * @returns {Object|undefined} { accessToken, tokenExpiry, refreshToken }
+   */
+  getTokens(key) {
+    return this.store.tokens.get(key);
+  }
+
+  /**
+   * Cache OAuth tokens (persisted by file-backed stores)
+   * @param {string} key - Token cache key
+   * @param {Object|null} tokens - { accessToken, tokenExpiry, refreshToken }, null to remove
+   */
+  setTokens(key, tokens) {
+    if (tokens && (tokens.accessToken || tokens.refreshToken)) {
+      this.store.tokens.set(key, tokens);
+    } else if (!this.store.tokens.delete(key)) {
+      return;
+    }
+    this.store.save();
+  }
+
   /**
    * Create a new session with credentials
    * @param {Object} credentials - Session credentials
@@ -21,15 +96,22 @@ export class SessionManager {
    * @param {string} [credentials.apiVersion='v2'] - API version
    * @param {string} [credentials.clientId] - OAuth client ID
    * @param {string} [credentials.clientSecret] - OAuth client secret
+   * @param {string} [credentials.grantType='client_credentials'] - OAuth grant (client_credentials, password, jwt_bearer, refresh_token)
+   * @param {string} [credentials.username] - Operator ID (password grant)
+   * @param {string} [credentials.password] - Operator password (password grant)
+   * @param {string} [credentials.assertion] - Signed JWT (jwt_bearer grant)
+   * @param {string} [credentials.refreshToken] - Refresh token (refresh_token grant)
+   * @param {string} [credentials.scope] - OAuth scope
    * @param {string} [credentials.accessToken] - Direct access token
    * @param {number} [credentials.tokenExpiry] - Token expiry in seconds from now
    * @param {number} [ttl] - Session TTL in milliseconds
+   * @param {string} [sessionId] - Explicit session ID (e.g. an HTTP transport session ID)
+   * @param {string} [owner] - MCP session ID of the HTTP connection the session is created for
    * @returns {string} Session ID
    */
-  createSession(credentials, ttl = this.defaultTTL) {
+  createSession(credentials, ttl = this.defaultTTL, sessionId = this.generateSessionId(), owner = null) {
     this.validateCredentials(credentials);
 
-    const sessionId = this.generateSessionId();
     const expiresAt = Date.now() + ttl;
 
     // Determine authentication mode
@@ -43,6 +125,8 @@ export class SessionManager {
 
     const sessionData = {
       sessionId,
+      // MCP session of the HTTP connection that created the session (see bindTransportSession)
+      owner: owner || null,
       createdAt: Date.now(),
       expiresAt,
       lastAccessed: Date.now(),
@@ -50,10 +134,7 @@ export class SessionManager {
       credentials: {
         baseUrl: credentials.baseUrl,
         apiVersion: credentials.apiVersion || 'v2',
-        ...(authMode === 'oauth' ? {
-          clientId: credentials.clientId,
-          clientSecret: credentials.clientSecret
-        } : {
+        ...(authMode === 'oauth' ? this.getOAuthCredentials(credentials) : {
           accessToken: credentials.accessToken,
           tokenExpiry
         })
@@ -61,8 +142,9 @@ export class SessionManager {
     };
 
     this.sessions.set(sessionId, sessionData);
+    this.store.save();
 
-    console.error(`📋 Session created: ${sessionId} (${authMode} mode, expires in ${Math.round(ttl / (1000 * 60))} minutes)`);
+    logger.info(`📋 Session created: ${sessionId} (${authMode} mode, expires in ${Math.round(ttl / (1000 * 60))} minutes)`);
 
     return sessionId;
   }
@@ -84,16 +166,16 @@ export class SessionManager {
 
     // Check if session is expired
     if (Date.now() > session.expiresAt) {
-      this.sessions.delete(sessionId);
-      console.error(`🕒 Session expired and removed: ${sessionId}`);
+      this.removeSession(sessionId, 'expired');
+      logger.info(`🕒 Session expired and removed: ${sessionId}`);
       return null;
     }
 
     // Check if token is expired (for token mode)
     if (session.authMode === 'token' && session.credentials.tokenExpiry) {
       if (Date.now() > session.credentials.tokenExpiry) {
-        this.sessions.delete(sessionId);
-        console.error(`🔐 Token expired, session removed: ${sessionId}`);
+        this.removeSession(sessionId, 'token_expired');
+        logger.info(`🔐 Token expired, session removed: ${sessionId}`);
         return null;
       }
     }
@@ -130,16 +212,15 @@ export class SessionManager {
     session.credentials = {
       baseUrl: newCredentials.baseUrl,
       apiVersion: newCredentials.apiVersion || session.credentials.apiVersion || 'v2',
-      ...(authMode === 'oauth' ? {
-        clientId: newCredentials.clientId,
-        clientSecret: newCredentials.clientSecret
-      } : {
+      ...(authMode === 'oauth' ? this.getOAuthCredentials(newCredentials) : {
         accessToken: newCredentials.accessToken,
         tokenExpiry
       })
     };
 
-    console.error(`🔄 Session updated: ${sessionId} (${authMode} mode)`);
+    this.store.save();
+
+    logger.info(`🔄 Session updated: ${sessionId} (${authMode} mode)`);
 
     return true;
   }
@@ -150,13 +231,67 @@ export class SessionManager {
    * @returns {boolean} Success status
    */
   deleteSession(sessionId) {
+    const existed = this.removeSession(sessionId, 'deleted');
+    if (existed) {
+      logger.info(`🗑️ Session deleted: ${sessionId}`);
+    }
+    return existed;
+  }
+
+  /**
+   * Remove a session from the store and notify listeners
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Removal reason ('deleted', 'expired', 'token_expired')
+   * @returns {boolean} Whether the session existed
+   */
+  removeSession(sessionId, reason) {
     const existed = this.sessions.delete(sessionId);
     if (existed) {
-      console.error(`🗑️ Session deleted: ${sessionId}`);
+      // Drop the session's cached OAuth tokens
+      const prefix = `session_${sessionId}:`;
+      for (const key of Array.from(this.store.tokens.keys())) {
+        if (key.startsWith(prefix)) {
+          this.store.tokens.delete(key);
+        }
+      }
+      this.store.save();
+
+      this.emit('sessionRemoved', sessionId, reason);
     }
     return existed;
   }
 
+  /**
+   * List active sessions
+   * Expired sessions are removed first. Unlike getSession(), listing does not count as access.
+   * @returns {Array<Object>} Session data, oldest first
+   */
+  listSessions() {
+    this.cleanup();
+    return Array.from(this.sessions.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Extend a session's lifetime
+   * Direct token sessions still end when their access token expires.
+   * @param {string} sessionId - Session ID
+   * @param {number} [ttl] - New lifetime from now in milliseconds
+   * @returns {number|null} New expiry timestamp, or null if the session was not found/expired
+   */
+  extendSession(sessionId, ttl = this.defaultTTL) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    session.expiresAt = Date.now() + ttl;
+    this.store.save();
+
+    logger.info(`⏰ Session extended: ${sessionId} (expires in ${Math.round(ttl / (1000 * 60))} minutes)`);
+
+    return session.expiresAt;
+  }
+
   /**
    * Get session statistics
    * @returns {Object} Session statistics
@@ -186,7 +321,7 @@ export class SessionManager {
     for (const [sessionId, session] of this.sessions.entries()) {
       // Check session expiry
       if (now > session.expiresAt) {
-        this.sessions.delete(sessionId);
+        this.removeSession(sessionId, 'expired');
         cleanedUp++;
         continue;
       }
@@ -194,14 +329,14 @@ export class SessionManager {
       // Check token expiry for token-based sessions
       if (session.authMode === 'token' && session.credentials.tokenExpiry) {
         if (now > session.credentials.tokenExpiry) {
-          this.sessions.delete(sessionId);
+          this.removeSession(sessionId, 'token_expired');
           cleanedUp++;
         }
       }
     }
 
     if (cleanedUp > 0) {
-      console.error(`🧹 Cleaned up ${cleanedUp} expired sessions`);
+      logger.info(`🧹 Cleaned up ${cleanedUp} expired sessions`);
     }
 
     return cleanedUp;
@@ -209,11 +344,12 @@ export class SessionManager {
 
   /**
    * Start periodic cleanup
+   * The timer does not keep the process alive; the transport does.
    */
   startCleanup() {
     setInterval(() => {
       this.cleanup();
-    }, this.cleanupInterval);
+    }, this.cleanupInterval).unref();
   }
 
   /**
@@ -224,15 +360,31 @@ export class SessionManager {
     return `session_${crypto.randomBytes(16).toString('hex')}`;
   }
 
+  /**
+   * Pick the OAuth fields stored in a session
+   * @param {Object} credentials - Session credentials
+   * @returns {Object} OAuth client and grant credentials
+   */
+  getOAuthCredentials(credentials) {
+    return {
+      clientId: credentials.clientId,
+      clientSecret: credentials.clientSecret,
+      grantType: normalizeGrantType(credentials.grantType),
+      username: credentials.username,
+      password: credentials.password,
+      assertion: credentials.assertion,
+      refreshToken: credentials.refreshToken,
+      scope: credentials.scope
+    };
+  }
+
   /**
    * Validate credentials object
    * @param {Object} credentials - Credentials to validate
    * @throws {Error} If credentials are invalid
    */
   validateCredentials(credentials) {
-    console.error('🔍 SessionManager validateCredentials called with:', typeof credentials, credentials);
     if (!credentials || typeof credentials !== 'object') {
-      console.error('❌ Validation failed: credentials is not an object');
       throw new Error('Credentials must be an object');
     }
 
@@ -241,7 +393,9 @@ export class SessionManager {
     }
 
     // Validate authentication mode
-    const hasOAuthCreds = credentials.clientId && credentials.clientSecret;
+    // Public clients (no clientSecret) can use every grant except client_credentials
+    const isPublicClientGrant = !!credentials.grantType && normalizeGrantType(credentials.grantType) !== 'client_credentials';
+    const hasOAuthCreds = credentials.clientId && (credentials.clientSecret || isPublicClientGrant);
     const hasToken = credentials.accessToken;
 
     if (!hasOAuthCreds && !hasToken) {
@@ -255,9 +409,25 @@ export class SessionManager {
     // Validate OAuth credentials
     if (hasOAuthCreds) {
       if (typeof credentials.clientId !== 'string' ||
-          typeof credentials.clientSecret !== 'string') {
+          (credentials.clientSecret !== undefined && typeof credentials.clientSecret !== 'string')) {
         throw new Error('clientId and clientSecret must be strings');
       }
+
+      const grantType = normalizeGrantType(credentials.grantType);
+      if (!grantType) {
+        throw new Error(`grantType must be one of: ${GRANT_TYPES.join(', ')}`);
+      }
+
+      for (const field of ['username', 'password', 'assertion', 'refreshToken', 'scope']) {
+        if (credentials[field] !== undefined && typeof credentials[field] !== 'string') {
+          throw new Error(`${field} must be a string`);
+        }
+      }
+
+      const missing = getMissingGrantFields(grantType, credentials);
+      if (missing.length > 0) {
+        throw new Error(`${grantType} grant requires ${missing.join(' and ')}`);
+      }
     }
 
     // Validate token credentials
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const FILE_FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * In-memory session store (default)
+ *
+ * A session store holds two maps that SessionManager reads and writes directly:
+ * - sessions: Map<sessionId, session>
+ * - tokens:   Map<tokenKey, { accessToken, tokenExpiry, refreshToken }> (OAuth token cache)
+ *
+ * SessionManager calls save() after every change and load() once before first use. Custom
+ * stores extend this class and override both methods.
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.tokens = new Map();
+  }
+
+  /**
+   * Load persisted state into the maps
+   * @returns {Object} Counts of restored entries { sessions, tokens }
+   */
+  load() {
+    return { sessions: 0, tokens: 0 };
+  }
+
+  /**
+   * Persist the maps
+   */
+  save() {}
+
+  /**
+   * Describe the store for logs
+   * @returns {string} Description
+   */
+  describe() {
+    return 'memory';
+  }
+}
+
+/**
+ * Encrypted file-backed session store
+ *
+ * Sessions and OAuth tokens are written as one AES-256-GCM encrypted JSON document. The key is
+ * derived from a secret with scrypt and a random salt kept in the file. Writes replace the file
+ * atomically and are readable by the owner only. Expired sessions and tokens are dropped when
+ * the file is loaded.
+ */
+export class EncryptedFileSessionStore extends MemorySessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Store file path
+   * @param {string} options.key - Secret to derive the encryption key from
+   */
+  constructor({ path: filePath, key }) {
+    super();
+    this.filePath = filePath;
+    this.secret = key;
+    this.salt = null;
+    this.encryptionKey = null;
+  }
+
+  /**
+   * Load and decrypt the store file
+   * A missing file starts an empty store. A file that cannot be decrypted is left untouched
+   * until the next save replaces it.
+   * @returns {Object} Counts of restored entries { sessions, tokens }
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { sessions: 0, tokens: 0 };
+    }
+
+    let state;
+    try {
+      const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (file.version !== FILE_FORMAT_VERSION) {
+        throw new Error(`unsupported store version ${file.version}`);
+      }
+
+      this.useSalt(Buffer.from(file.salt, 'base64'));
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.encryptionKey, Buffer.from(file.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+      state = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      logger.warn(`⚠️ Session store ${this.filePath} could not be read (${error.message}); starting empty. It will be overwritten on the next change.`);
+      this.salt = null;
+      this.encryptionKey = null;
+      return { sessions: 0, tokens: 0 };
+    }
+
+    const now = Date.now();
+    for (const session of state.sessions || []) {
+      const tokenExpired = session.authMode === 'token' && session.credentials?.tokenExpiry && now > session.credentials.tokenExpiry;
+      if (now <= session.expiresAt && !tokenExpired) {
+        this.sessions.set(session.sessionId, session);
+      }
+    }
+
+    for (const [key, tokens] of state.tokens || []) {
+      // Session tokens only survive with their session; access tokens only until they expire
+      const sessionId = key.startsWith('session_') ? key.slice('session_'.length).split(':')[0] : null;
+      if (sessionId && !this.sessions.has(sessionId)) {
+        continue;
+      }
+      const entry = tokens.tokenExpiry && now < tokens.tokenExpiry
+        ? tokens
+        : { refreshToken: tokens.refreshToken };
+      if (entry.accessToken || entry.refreshToken) {
+        this.tokens.set(key, entry);
+      }
+    }
+
+    return { sessions: this.sessions.size, tokens: this.tokens.size };
+  }
+
+  /**
+   * Encrypt and write the store file
+   */
+  save() {
+    try {
+      if (!this.encryptionKey) {
+        this.useSalt(crypto.randomBytes(16));
+      }
+
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGORITHM, this.encryptionKey, iv);
+      const plaintext = JSON.stringify({
+        sessions: Array.from(this.sessions.values()),
+        tokens: Array.from(this.tokens.entries())
+      });
+      const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+      const file = {
+        version: FILE_FORMAT_VERSION,
+        algorithm: ALGORITHM,
+        salt: this.salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      };
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(file), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error(`❌ Failed to write session store ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Derive the encryption key for a salt
+   * @param {Buffer} salt - scrypt salt
+   */
+  useSalt(salt) {
+    this.salt = salt;
+    this.encryptionKey = crypto.scryptSync(this.secret, salt, 32);
+  }
+
+  /**
+   * Describe the store for logs
+   * @returns {string} Description
+   */
+  describe() {
+    return `encrypted file ${this.filePath}`;
+  }
+}
+
+/**
+ * Create the session store for a configuration
+ * @param {Object} config - Session store configuration from loadSessionStoreConfig()
+ * @returns {MemorySessionStore} Session store
+ */
+export function createSessionStore(config) {
+  if (config.type === 'file') {
+    return new EncryptedFileSessionStore(config);
+  }
+  return new MemorySessionStore();
+}
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractFieldsFromViews,
   extractValidationErrors,
@@ -22,12 +22,18 @@ export class GetAssignmentActionTool extends BaseTool {
     return {
       name: 'get_assignment_action',
       description: 'Get detailed information about a specific action that can be performed on an assignment. Retrieves assignment action defined for an assignment step in a case process, including UI metadata and preprocessing execution. If the case type uses pessimistic locking and the client uses Constellation, this request may lock the case. Get details for ONE specific action. Often optional - most workflows use: get_assignment (all actions + eTag) → perform_assignment_action. Use this when you need action-specific details.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           assignmentID: {
             type: 'string',
-            description: 'Assignment ID. Format: ASSIGN-WORKLIST {caseID}!{processID}. Example: "ASSIGN-WORKLIST MYORG-APP-WORK C-1001!PROCESS"'
+            description: 'Assignment ID. Format: ASSIGN-WORKLIST {caseID}!{processID}. Example: "ASSIGN-WORKLIST MYORG-APP-WORK C-1001!PROCESS". Defaults to the assignment this session worked on last.'
           },
           actionID: {
             type: 'string',
@@ -44,9 +50,10 @@ export class GetAssignmentActionTool extends BaseTool {
             description: 'Whether to exclude additional action information. Set true if actions already retrieved. Default: false',
             default: false
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['assignmentID', 'actionID']
+        required: ['actionID']
       }
     };
   }
@@ -55,15 +62,19 @@ export class GetAssignmentActionTool extends BaseTool {
    * Execute the get assignment action operation
    */
   async execute(params) {
-    const { assignmentID, actionID, viewType = 'page', excludeAdditionalActions = false } = params;
+    const { actionID, viewType = 'page', excludeAdditionalActions = false } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
+      // Default to the current assignment of the session
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['assignmentID']);
+      const { assignmentID } = resolvedParams;
+
       // Basic parameter validation using base class
-      const requiredValidation = this.validateRequiredParams(params, ['assignmentID', 'actionID']);
+      const requiredValidation = this.validateRequiredParams(resolvedParams, ['assignmentID', 'actionID']);
       if (requiredValidation) {
         return requiredValidation;
       }
@@ -98,7 +109,7 @@ export class GetAssignmentActionTool extends BaseTool {
         return this.formatSuccessResponse(
           `Assignment Action: ${actionID} for ${assignmentID}`,
           result.data,
-          { assignmentID, actionID, viewType, excludeAdditionalActions, sessionInfo }
+          { assignmentID, actionID, viewType, excludeAdditionalActions, contextSources, sessionInfo }
         );
       } else {
         // Check if this is an invalid action ID error
@@ -282,7 +293,7 @@ export class GetAssignmentActionTool extends BaseTool {
    * Override formatSuccessResponse to add assignment action specific formatting
    */
   formatSuccessResponse(operation, data, options = {}) {
-    const { assignmentID, actionID, viewType, excludeAdditionalActions, sessionInfo } = options;
+    const { assignmentID, actionID, viewType, excludeAdditionalActions, contextSources, sessionInfo } = options;
     const eTag = data.eTag || data.etag;
 
     let response = `## ${operation}\n\n`;
@@ -296,6 +307,11 @@ export class GetAssignmentActionTool extends BaseTool {
       response += `- **Authentication Mode**: ${sessionInfo.authMode.toUpperCase()}\n`;
       response += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
+
+    const fromContext = this.formatContextSources(options, contextSources);
+    if (fromContext) {
+      response += `${fromContext}\n`;
+    }
     
     response += `**Assignment ID**: ${assignmentID}\n`;
     response += `**Action ID**: ${actionID}\n`;
@@ -379,6 +395,16 @@ export class GetAssignmentActionTool extends BaseTool {
           response += `${index + 1}. **${user.UserName}** (${user.UserID})\n`;
         });
       }
+
+      // Display form fields of a Traditional DX API (V1) view (V1 has no uiResources)
+      if (data.data.fields && data.data.fields.length > 0) {
+        response += '\n### Form Fields\n';
+        response += '| Field | Label | Type | Required | Read Only |\n';
+        response += '|-------|-------|------|----------|-----------|\n';
+        data.data.fields.forEach(field => {
+          response += `| \`${field.name}\` | ${field.label || ''} | ${field.type || ''} | ${field.required ? 'Yes' : 'No'} | ${field.readOnly ? 'Yes' : 'No'} |\n`;
+        });
+      }
     }
 
     // Display UI resources information
@@ -526,7 +552,7 @@ export class GetAssignmentActionTool extends BaseTool {
         response += '\n**Suggestion**: Check if you have the necessary permissions to access this assignment action. The assignment might be restricted to specific users or roles, or the action might not be available in the current assignment state.\n';
         break;
       case 'UNAUTHORIZED':
-        response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
         break;
       case 'BAD_REQUEST':
         response += '\n**Suggestion**: Check the assignment ID and action ID format. Assignment IDs should follow the pattern: ASSIGN-WORKLIST O1UGTM-TESTAPP13-WORK T-36004!APPROVAL_FLOW. Action IDs should match the flow action rule names (Example: "Verify", "Approve").\n';
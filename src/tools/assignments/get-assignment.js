@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractFieldsFromViews,
   extractValidationErrors,
@@ -10,6 +10,13 @@ import {
   extractFieldsForCurrentView,
   formatCurrentStepFields
 } from '../../utils/field-extractor.js';
+import {
+  createOutputSchema,
+  REFERENCE_SCHEMA,
+  toReferences,
+  buildSuccessContent
+} from '../../utils/output-schema.js';
+import { normalizeAssignment } from '../../api/response-normalizer.js';
 
 export class GetAssignmentTool extends BaseTool {
   /**
@@ -26,12 +33,18 @@ export class GetAssignmentTool extends BaseTool {
     return {
       name: 'get_assignment',
       description: 'Get assignment details including form fields, required fields, available actions, and eTag. Used BETWEEN case creation and action performance. Returns form structure, action IDs, and eTag needed for subsequent operations. Required fields marked with "required": true in view config (uiResources.resources.views). Pessimistic locking may apply.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           assignmentID: {
             type: 'string',
-            description: 'Assignment ID from create_case (nextAssignmentInfo.ID) or perform_assignment_action. Format: ASSIGN-WORKLIST {caseID}!{processID}. Example: ASSIGN-WORKLIST PBANK-LOAN-WORK V-76003!REVIEW_FLOW'
+            description: 'Assignment ID from create_case (nextAssignmentInfo.ID) or perform_assignment_action. Format: ASSIGN-WORKLIST {caseID}!{processID}. Example: ASSIGN-WORKLIST PBANK-LOAN-WORK V-76003!REVIEW_FLOW. Defaults to the assignment this session worked on last.'
           },
           viewType: {
             type: 'string',
@@ -43,10 +56,32 @@ export class GetAssignmentTool extends BaseTool {
             type: 'string',
             description: 'If provided, returns view metadata for the pageName view (only used when viewType is "page")'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['assignmentID']
-      }
+        required: []
+      },
+      outputSchema: createOutputSchema({
+        assignmentID: { type: 'string' },
+        caseID: { type: 'string' },
+        eTag: { type: 'string', description: 'eTag to pass to perform_assignment_action' },
+        name: { type: 'string' },
+        instructions: { type: 'string' },
+        actions: { type: 'array', items: REFERENCE_SCHEMA, description: 'Available actions (IDs are case-sensitive)' },
+        fields: {
+          type: 'array',
+          description: 'Fields of the current form view',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              label: { type: 'string' },
+              type: { type: 'string' }
+            },
+            required: ['name']
+          }
+        }
+      })
     };
   }
 
@@ -54,15 +89,19 @@ export class GetAssignmentTool extends BaseTool {
    * Execute the get assignment operation
    */
   async execute(params) {
-    const { assignmentID, viewType = 'form', pageName } = params;
+    const { viewType = 'form', pageName } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
+      // Default to the current assignment of the session
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['assignmentID']);
+      const { assignmentID } = resolvedParams;
+
       // Basic parameter validation using base class
-      const requiredValidation = this.validateRequiredParams(params, ['assignmentID']);
+      const requiredValidation = this.validateRequiredParams(resolvedParams, ['assignmentID']);
       if (requiredValidation) {
         return requiredValidation;
       }
@@ -78,7 +117,8 @@ export class GetAssignmentTool extends BaseTool {
       // Validate pageName usage
       if (pageName && viewType !== 'page') {
         return {
-          error: 'pageName parameter can only be used when viewType is set to "page".'
+          error: 'pageName parameter can only be used when viewType is set to "page".',
+          isError: true
         };
       }
 
@@ -89,23 +129,41 @@ export class GetAssignmentTool extends BaseTool {
           viewType,
           pageName
         }),
-        { assignmentID, viewType, pageName, sessionInfo }
+        { assignmentID, viewType, pageName, contextSources, sessionInfo }
       );
     } catch (error) {
       return {
         content: [{
           type: 'text',
           text: `## Error: Assignment Details\n\n**Unexpected Error**: ${error.message}\n\n${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode} mode)\n` : ''}*Error occurred at: ${new Date().toISOString()}*`
-        }]
+        }],
+        isError: true
       };
     }
   }
 
+  /**
+   * Build structuredContent for assignment details from the normalized assignment
+   */
+  buildStructuredContent(data, options = {}) {
+    const assignment = options.normalized || normalizeAssignment(data, null, options.assignmentID?.trim());
+
+    return buildSuccessContent({
+      assignmentID: assignment.ID,
+      caseID: assignment.caseID,
+      eTag: options.newETag,
+      name: assignment.name,
+      instructions: assignment.instructions,
+      actions: toReferences(assignment.actions),
+      fields: assignment.fields?.map(({ name, label, type }) => ({ name, label, type }))
+    }, options.sessionInfo);
+  }
+
   /**
    * Override formatSuccessResponse to add assignment specific formatting
    */
   formatSuccessResponse(operation, data, options = {}) {
-    const { assignmentID, viewType, sessionInfo } = options;
+    const { assignmentID, viewType, contextSources, sessionInfo } = options;
 
     let response = `## ${operation}\n\n`;
 
@@ -118,6 +176,11 @@ export class GetAssignmentTool extends BaseTool {
       response += `- **Authentication Mode**: ${sessionInfo.authMode.toUpperCase()}\n`;
       response += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
+
+    const fromContext = this.formatContextSources(options, contextSources);
+    if (fromContext) {
+      response += `${fromContext}\n`;
+    }
     
     if (data.data) {
       // Display assignment information
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetNextAssignmentTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetNextAssignmentTool extends BaseTool {
     return {
       name: 'get_next_assignment',
       description: 'Get detailed information about the next assignment to be performed by the requestor. Uses Get Next Work functionality to fetch the assignment most suitable for the current user.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -29,6 +35,7 @@ export class GetNextAssignmentTool extends BaseTool {
             type: 'string',
             description: 'If provided, view metadata for specific page name will be returned (only used when viewType is "page")'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: []
@@ -118,9 +125,9 @@ export class GetNextAssignmentTool extends BaseTool {
       }
 
       // Display assignment specific information
-      if (data.assignmentInfo) {
+      if (data.assignmentInfo || data.data.assignmentInfo) {
         response += '\n### Assignment Details\n';
-        const assignmentInfo = data.assignmentInfo;
+        const assignmentInfo = data.assignmentInfo || data.data.assignmentInfo;
         response += `- **Assignment ID**: ${assignmentInfo.ID || 'N/A'}\n`;
         response += `- **Assignment Type**: ${assignmentInfo.assignmentType || 'N/A'}\n`;
         response += `- **Instructions**: ${assignmentInfo.instructions || 'N/A'}\n`;
@@ -203,7 +210,7 @@ export class GetNextAssignmentTool extends BaseTool {
           response += '\n**Suggestion**: Check if you have the necessary permissions to access assignments in this application.\n';
           break;
         case 'UNAUTHORIZED':
-          response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+          response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
           break;
         case 'BAD_REQUEST':
           response += '\n**Suggestion**: Check the viewType and pageName parameters. Ensure pageName is only used with viewType="page".\n';
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class JumpToStepTool extends BaseTool {
   /**
@@ -18,6 +19,12 @@ export class JumpToStepTool extends BaseTool {
     return {
       name: 'jump_to_step',
       description: 'Jump to the specified step within an assignment\'s navigation flow and return the details of the step based on step ID passed. Additional "navigation" node will be returned under "uiResources" to build navigation breadcrumb. This is useful for multi-step assignments, screen flows, and complex processes where you need to navigate directly to a specific step rather than progressing sequentially. To discover valid step IDs: use get_assignment to see current step context, check navigation breadcrumb information for available steps, or examine the assignment\'s process flow. Step IDs typically follow formats like "SubProcessSF1_ASSIGNMENT66" or "ProcessStep_123".',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -89,6 +96,7 @@ export class JumpToStepTool extends BaseTool {
             description: 'Type of view data to return in the response. "none" returns no UI resources (default), "form" returns form UI metadata in read-only review mode without page-specific metadata, "page" returns full page UI metadata in read-only review mode. The response will include navigation breadcrumb information under uiResources.navigation regardless of viewType to support navigation UI construction.',
             default: 'form'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['assignmentID', 'stepID']
@@ -146,7 +154,7 @@ export class JumpToStepTool extends BaseTool {
     
     if (!finalETag) {
       try {
-          console.error(`Auto-fetching latest eTag for step jump on ${assignmentID}...`);
+          logger.debug(`Auto-fetching latest eTag for step jump on ${assignmentID}...`);
         const response = await this.pegaClient.getAssignment(assignmentID.trim(), {
           viewType: 'form'  // Use form view for eTag retrieval
         });
@@ -160,7 +168,7 @@ export class JumpToStepTool extends BaseTool {
         
         finalETag = response.eTag;
         autoFetchedETag = true;
-          console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from getAssignment. This may indicate a server issue.';
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class NavigateAssignmentPreviousTool extends BaseTool {
   /**
@@ -18,6 +19,12 @@ export class NavigateAssignmentPreviousTool extends BaseTool {
     return {
       name: 'navigate_assignment_previous',
       description: 'Navigate back to the previously visited step in a screen flow or multi-step form assignment. If no finalETag.trim() is provided, automatically fetches the latest finalETag.trim() from the assignment for seamless operation. Jumps to the previously visited navigation step from the current step. For multi-step forms and screen flows, navigation path steps are determined by the Enable navigation link checkbox. Returns assignment details with navigation breadcrumb information under uiResources when viewType is not "none". This operation requires an finalETag.trim() from a previous assignment API call for optimistic locking.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -85,6 +92,7 @@ export class NavigateAssignmentPreviousTool extends BaseTool {
             description: 'UI resources to return. "none" returns no UI resources (default), "form" returns form UI metadata in read-only review mode, "page" returns full page UI metadata in read-only review mode. Navigation breadcrumb information is included under uiResources when not "none".',
             default: 'none'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['assignmentID']
@@ -142,7 +150,7 @@ export class NavigateAssignmentPreviousTool extends BaseTool {
     
     if (!finalETag) {
       try {
-          console.error(`Auto-fetching latest eTag for assignment navigation on ${assignmentID}...`);
+          logger.debug(`Auto-fetching latest eTag for assignment navigation on ${assignmentID}...`);
         const response = await this.pegaClient.getAssignment(assignmentID.trim(), {
           viewType: 'form'  // Use form view for eTag retrieval
         });
@@ -156,7 +164,7 @@ export class NavigateAssignmentPreviousTool extends BaseTool {
         
         finalETag = response.eTag;
         autoFetchedETag = true;
-          console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no finalETag.trim() was returned from getAssignment. This may indicate a server issue.';
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractValidationErrors,
   formatValidationErrors,
@@ -8,6 +8,16 @@ import {
   extractFieldsForCurrentView,
   formatCurrentStepFields
 } from '../../utils/field-extractor.js';
+import {
+  createOutputSchema,
+  NEXT_ASSIGNMENT_SCHEMA,
+  buildSuccessContent,
+  buildErrorContent
+} from '../../utils/output-schema.js';
+import { normalizeActionResult } from '../../api/response-normalizer.js';
+import { CONFLICT_STRATEGIES } from '../../api/conflict-resolver.js';
+import { formatConflictResolution, formatMergeConflict } from '../../utils/conflict-report.js';
+import { logger } from '../../utils/logger.js';
 
 export class PerformAssignmentActionTool extends BaseTool {
   /**
@@ -26,12 +36,18 @@ export class PerformAssignmentActionTool extends BaseTool {
     return {
       name: 'perform_assignment_action',
       description: 'Perform an assignment action to submit completed work and progress workflow. This is the FINAL step after all required fields are filled. Auto-fetches eTag if not provided. Returns updated case with either nextAssignmentInfo (more work) or confirmationNote (workflow complete). Local actions stay at current assignment; connector actions progress to next assignment.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           assignmentID: {
             type: 'string',
-            description: 'Assignment ID. Format: ASSIGN-WORKLIST {caseID}!{processID}. Example: "ASSIGN-WORKLIST MYORG-APP-WORK C-1001!PROCESS""ASSIGN-WORKLIST O1UGTM-TESTAPP13-WORK T-35005!APPROVAL_FLOW". This is the complete assignment identifier that uniquely identifies the specific assignment instance.'
+            description: 'Assignment ID. Format: ASSIGN-WORKLIST {caseID}!{processID}. Example: "ASSIGN-WORKLIST MYORG-APP-WORK C-1001!PROCESS""ASSIGN-WORKLIST O1UGTM-TESTAPP13-WORK T-35005!APPROVAL_FLOW". This is the complete assignment identifier that uniquely identifies the specific assignment instance. Defaults to the assignment this session worked on last.'
           },
           actionID: {
             type: 'string',
@@ -39,7 +55,7 @@ export class PerformAssignmentActionTool extends BaseTool {
           },
           eTag: {
             type: 'string',
-            description: 'Optional. Auto-fetched if omitted. For faster execution, use eTag from previous response.'
+            description: 'Optional. If omitted, the latest eTag this session has seen for the case is used, or it is auto-fetched.'
           },
           content: {
             type: 'object',
@@ -87,10 +103,26 @@ export class PerformAssignmentActionTool extends BaseTool {
             type: 'string',
             description: 'Optional origin channel identifier for this service request. Indicates the source of the request for tracking and audit purposes. Examples: "Web", "Mobile", "WebChat". Default value is "Web" if not specified.'
           },
+          conflictStrategy: {
+            type: 'string',
+            enum: CONFLICT_STRATEGIES,
+            description: 'What to do when the eTag is stale because someone else updated the case (HTTP 409/412). "fail" returns the error. "merge" reads the case again and resubmits with the current eTag when the other update changed none of the submitted fields, or returns a conflict report listing the overlapping fields. Default: PEGA_CONFLICT_STRATEGY setting, or "fail"'
+          },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['assignmentID', 'actionID']
-      }
+        required: ['actionID']
+      },
+      outputSchema: createOutputSchema({
+        assignmentID: { type: 'string' },
+        actionID: { type: 'string' },
+        caseID: { type: 'string' },
+        eTag: { type: 'string', description: 'New eTag for the next operation on the case' },
+        status: { type: 'string' },
+        stage: { type: 'string' },
+        nextAssignmentInfo: NEXT_ASSIGNMENT_SCHEMA,
+        confirmationNote: { type: 'string', description: 'Returned when the flow completed without a next assignment' }
+      })
     };
   }
 
@@ -98,15 +130,19 @@ export class PerformAssignmentActionTool extends BaseTool {
    * Execute the assignment action operation
    */
   async execute(params) {
-    const { assignmentID, actionID, eTag, content, pageInstructions, attachments, viewType, originChannel } = params;
+    const { actionID, eTag, content, pageInstructions, attachments, viewType, originChannel, conflictStrategy } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
+      // Default the assignment from the session context
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['assignmentID']);
+      const { assignmentID } = resolvedParams;
+
       // Basic parameter validation using base class
-    const requiredValidation = this.validateRequiredParams(params, ['assignmentID', 'actionID']);
+    const requiredValidation = this.validateRequiredParams(resolvedParams, ['assignmentID', 'actionID']);
     if (requiredValidation) {
       return requiredValidation;
     }
@@ -122,64 +158,82 @@ export class PerformAssignmentActionTool extends BaseTool {
     // Validate optional complex parameters
     if (content && typeof content !== 'object') {
       return {
-        error: 'content must be an object when provided'
+        error: 'content must be an object when provided',
+        isError: true
       };
     }
 
     if (pageInstructions && !Array.isArray(pageInstructions)) {
       return {
-        error: 'pageInstructions must be an array when provided'
+        error: 'pageInstructions must be an array when provided',
+        isError: true
       };
     }
 
     if (attachments && !Array.isArray(attachments)) {
       return {
-        error: 'attachments must be an array when provided'
+        error: 'attachments must be an array when provided',
+        isError: true
       };
     }
 
-    // Auto-fetch eTag if not provided
+    // The Traditional DX API (V1) submits assignments without an eTag
     let finalETag = eTag;
     let autoFetchedETag = false;
-    
-    if (!finalETag) {
-      try {
-        console.error(`Auto-fetching latest eTag for assignment action on ${assignmentID}...`);
-        const assignmentResponse = await this.pegaClient.getAssignment(assignmentID.trim(), {
-          viewType: 'form'  // Use form view for eTag retrieval
-        });
+    await this.pegaClient.resolveApiVersion();
+
+    if (this.pegaClient.isFeatureAvailable('eTagSupport')) {
+      // Use the latest eTag of this session if not provided
+      if (!finalETag) {
+        const fromContext = this.resolveContextParams(resolvedParams, ['eTag']);
+        finalETag = fromContext.params.eTag;
+        contextSources.push(...fromContext.contextSources);
+      }
+
+      // Auto-fetch eTag if still missing
+      if (!finalETag) {
+        try {
+          logger.debug(`Auto-fetching latest eTag for assignment action on ${assignmentID}...`);
+          const assignmentResponse = await this.pegaClient.getAssignment(assignmentID.trim(), {
+            viewType: 'form'  // Use form view for eTag retrieval
+          });
         
-        if (!assignmentResponse || !assignmentResponse.success) {
-          const errorMsg = `Failed to auto-fetch eTag: ${assignmentResponse?.error?.message || 'Unknown error'}`;
-          return {
-            error: errorMsg
-          };
-        }
+          if (!assignmentResponse || !assignmentResponse.success) {
+            const errorMsg = `Failed to auto-fetch eTag: ${assignmentResponse?.error?.message || 'Unknown error'}`;
+            return {
+              error: errorMsg,
+              isError: true
+            };
+          }
         
-        finalETag = assignmentResponse.eTag;
-        autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          finalETag = assignmentResponse.eTag;
+          autoFetchedETag = true;
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
-        if (!finalETag) {
-          const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_assignment. This may indicate a server issue.';
+          if (!finalETag) {
+            const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_assignment. This may indicate a server issue.';
+            return {
+              error: errorMsg,
+              isError: true
+            };
+          }
+        } catch (error) {
+          const errorMsg = `Failed to auto-fetch eTag: ${error.message}`;
           return {
-            error: errorMsg
+            error: errorMsg,
+            isError: true
           };
         }
-      } catch (error) {
-        const errorMsg = `Failed to auto-fetch eTag: ${error.message}`;
+      }
+    
+      // Validate eTag format (should be a timestamp-like string)
+      if (typeof finalETag !== 'string' || finalETag.trim().length === 0) {
         return {
-          error: errorMsg
+          error: 'Invalid eTag parameter. a non-empty string representing case save date time.',
+          isError: true
         };
       }
     }
-    
-    // Validate eTag format (should be a timestamp-like string)
-    if (typeof finalETag !== 'string' || finalETag.trim().length === 0) {
-      return {
-        error: 'Invalid eTag parameter. a non-empty string representing case save date time.'
-      };
-    }
 
     // Prepare request options
     const options = {};
@@ -189,13 +243,14 @@ export class PerformAssignmentActionTool extends BaseTool {
     if (attachments) options.attachments = attachments;
     if (viewType) options.viewType = viewType;
     if (originChannel) options.originChannel = originChannel;
+    if (conflictStrategy) options.conflictStrategy = conflictStrategy;
 
     try {
       // Execute assignment action via API client
       const result = await this.pegaClient.performAssignmentAction(
         assignmentID,
         actionID,
-        finalETag.trim(),
+        finalETag?.trim(),
         options
       );
 
@@ -207,7 +262,7 @@ export class PerformAssignmentActionTool extends BaseTool {
 
         if (result.data?.nextAssignmentInfo?.ID) {
           try {
-            console.error(`Auto-fetching next assignment fields for ${result.data.nextAssignmentInfo.ID}...`);
+            logger.debug(`Auto-fetching next assignment fields for ${result.data.nextAssignmentInfo.ID}...`);
             const nextAssignmentResponse = await this.pegaClient.getAssignment(
               result.data.nextAssignmentInfo.ID,
               { viewType: 'form' }
@@ -217,10 +272,10 @@ export class PerformAssignmentActionTool extends BaseTool {
               const uiResources = nextAssignmentResponse.data.uiResources;
               nextAssignmentFields = extractFieldsForCurrentView(uiResources);
               nextAssignmentNavigation = uiResources.navigation;
-              console.error(`Found ${nextAssignmentFields.length} fields for next step`);
+              logger.debug(`Found ${nextAssignmentFields.length} fields for next step`);
             }
           } catch (fetchError) {
-            console.error(`Could not auto-fetch next assignment: ${fetchError.message}`);
+            logger.warn(`Could not auto-fetch next assignment: ${fetchError.message}`);
             // Continue without next assignment fields - not a critical error
           }
         }
@@ -228,10 +283,15 @@ export class PerformAssignmentActionTool extends BaseTool {
         // Format and return successful response with next assignment fields
         return this.formatSuccessResponse(result.data, {
           ...params,
+          assignmentID,
+          eTag: finalETag,
+          contextSources,
           sessionInfo,
           nextAssignmentFields,
           nextAssignmentNavigation,
-          newETag: result.eTag
+          newETag: result.eTag,
+          normalized: result.normalized,
+          conflictResolution: result.conflictResolution
         });
       } else {
         // Check if this is an invalid action ID error (can be NOT_FOUND or CONFLICT)
@@ -255,7 +315,8 @@ export class PerformAssignmentActionTool extends BaseTool {
         content: [{
           type: 'text',
           text: `## Error: Perform Assignment Action\n\n**Unexpected Error**: ${error.message}\n\n${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode} mode)\n` : ''}*Error occurred at: ${new Date().toISOString()}*`
-        }]
+        }],
+        isError: true
       };
     }
   }
@@ -270,10 +331,29 @@ export class PerformAssignmentActionTool extends BaseTool {
           type: 'text',
           text: this.buildSuccessMarkdown(data, params)
         }
-      ]
+      ],
+      structuredContent: this.buildStructuredContent(data, params)
     };
   }
 
+  /**
+   * Build structuredContent for an executed assignment action from the normalized action result
+   */
+  buildStructuredContent(data, params) {
+    const result = params.normalized || normalizeActionResult(data);
+
+    return buildSuccessContent({
+      assignmentID: params.assignmentID,
+      actionID: params.actionID,
+      caseID: result.caseID,
+      eTag: params.newETag,
+      status: result.case?.status,
+      stage: result.case?.stage,
+      nextAssignmentInfo: result.nextAssignment,
+      confirmationNote: result.confirmationNote
+    }, params.sessionInfo);
+  }
+
   /**
    * Build success response markdown
    */
@@ -291,6 +371,10 @@ export class PerformAssignmentActionTool extends BaseTool {
       markdown += `**Tip:** Provide this eTag in your next operation to skip auto-fetch (faster).\n\n`;
     }
 
+    if (params.conflictResolution) {
+      markdown += `${formatConflictResolution(params.conflictResolution)}\n`;
+    }
+
     // Session Information (if applicable)
     if (sessionInfo) {
       markdown += `## Session Information\n\n`;
@@ -299,6 +383,11 @@ export class PerformAssignmentActionTool extends BaseTool {
       markdown += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
 
+    const fromContext = this.formatContextSources(params, params.contextSources);
+    if (fromContext) {
+      markdown += `${fromContext}\n`;
+    }
+
     // Case Information
     if (data.data && data.data.caseInfo) {
       const caseInfo = data.data.caseInfo;
@@ -631,11 +720,13 @@ export class PerformAssignmentActionTool extends BaseTool {
 
       response += `*Action discovery completed at ${new Date().toISOString()}*`;
 
+      // The guidance is a normal response; the structured result reports the rejected action
       return {
         content: [{
           type: 'text',
           text: response
-        }]
+        }],
+        structuredContent: buildErrorContent(originalError)
       };
 
     } catch (discoveryError) {
@@ -657,7 +748,9 @@ export class PerformAssignmentActionTool extends BaseTool {
           type: 'text',
           text: this.buildErrorMarkdown(error)
         }
-      ]
+      ],
+      structuredContent: buildErrorContent(error),
+      isError: true
     };
   }
 
@@ -768,6 +861,13 @@ export class PerformAssignmentActionTool extends BaseTool {
         markdown += `- Use \`get_assignment\` to get the current assignment state\n`;
         markdown += `- Use \`get_assignment_action\` to get a fresh eTag value\n`;
         markdown += `- Retry the operation with the updated eTag\n`;
+        markdown += `- Or retry with conflictStrategy "merge" to resubmit automatically when the changes do not overlap\n`;
+        break;
+
+      case 'MERGE_CONFLICT':
+        markdown += `## Conflicting Update\n\n`;
+        markdown += `${error.message}.\n\n`;
+        markdown += formatMergeConflict(error);
         break;
 
       case 'PRECONDITION_FAILED':
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class RecalculateAssignmentFieldsTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class RecalculateAssignmentFieldsTool extends BaseTool {
     return {
       name: 'recalculate_assignment_fields',
       description: 'Recalculate calculated fields & whens for the current assignment action form. If no eTag is provided, automatically fetches the latest eTag from the assignment for seamless operation. Executes field calculations and when conditions based on current form state and user input. Supports recalculating specific fields and when conditions, merging content updates, and applying page instructions during the calculation process. The API validates assignment and action IDs, processes calculation requests, and returns updated field values and states.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -104,6 +111,7 @@ export class RecalculateAssignmentFieldsTool extends BaseTool {
             },
             description: 'Optional list of page-related operations for embedded pages, page lists, or page groups. Required for setting embedded page references. Only pages included in the assignment\'s view can be modified.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['assignmentID', 'actionID', 'calculations']
@@ -204,7 +212,7 @@ export class RecalculateAssignmentFieldsTool extends BaseTool {
 
       if (!finalETag) {
         try {
-          console.error(`Auto-fetching latest eTag for assignment field recalculation on ${assignmentID}...`);
+          logger.debug(`Auto-fetching latest eTag for assignment field recalculation on ${assignmentID}...`);
           const response = await this.pegaClient.getAssignment(assignmentID.trim(), {
             viewType: 'form'  // Use form view for eTag retrieval
           });
@@ -216,7 +224,7 @@ export class RecalculateAssignmentFieldsTool extends BaseTool {
 
           finalETag = response.eTag;
           autoFetchedETag = true;
-          console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
 
           if (!finalETag) {
             const errorMsg = 'Auto-fetch succeeded but no eTag was returned from getAssignment. This may indicate a server issue.';
@@ -579,7 +587,7 @@ export class RecalculateAssignmentFieldsTool extends BaseTool {
         response += '\n**Suggestion**: Check if you have the necessary permissions to recalculate fields for this assignment action. The assignment might be restricted to specific users or roles, or the fields/whens requested might not be accessible to your user context.\n';
         break;
       case 'UNAUTHORIZED':
-        response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
         break;
       case 'BAD_REQUEST':
         response += '\n**Suggestion**: Check the assignment ID format, action ID, and calculations structure. Assignment IDs should follow the pattern: ASSIGN-WORKLIST MYORG-SERVICES-WORK S-293001!APPROVAL_FLOW. Verify that:\n';
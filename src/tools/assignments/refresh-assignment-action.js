@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractFieldsFromViews,
   extractValidationErrors,
@@ -8,6 +8,7 @@ import {
   extractFieldMetadata,
   formatFieldMetadata
 } from '../../utils/field-extractor.js';
+import { logger } from '../../utils/logger.js';
 
 export class RefreshAssignmentActionTool extends BaseTool {
   /**
@@ -24,6 +25,12 @@ export class RefreshAssignmentActionTool extends BaseTool {
     return {
       name: 'refresh_assignment_action',
       description: 'Refresh assignment action form data with updated values after property changes, execute Data Transforms, and handle table row operations in modals. Supports form refresh settings configured in Flow Action rules, generative AI form filling, and embedded list operations with comprehensive validation and preprocessing execution. The API validates assignment and action IDs, retrieves view data, and returns information about fields affected by the refresh action. Supports Pega Infinity \'25 features including table row operations in modals. OPTIONAL tool for progressive filling (multiple calls OK). Use refresh for partial updates with validation; use perform_assignment_action for final submission. Same eTag across refresh calls; NEW eTag after perform.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -84,6 +91,7 @@ export class RefreshAssignmentActionTool extends BaseTool {
             },
             description: 'Optional list of page-related operations for embedded pages, page lists, or page groups. Required for setting embedded page references. Only pages included in the assignment action\'s view can be modified.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['assignmentID', 'actionID']
@@ -175,45 +183,48 @@ export class RefreshAssignmentActionTool extends BaseTool {
       };
     }
 
-    // Auto-fetch eTag if not provided (required for refresh operations)
+    // Auto-fetch eTag if not provided (required for V2 refresh operations; V1 has no eTags)
     let finalETag = undefined; // refresh_assignment_action doesn't accept eTag parameter yet
     let autoFetchedETag = false;
-    
-    try {
-      console.error(`Auto-fetching latest eTag for assignment refresh on ${assignmentID}...`);
-      const assignmentResponse = await this.pegaClient.getAssignment(assignmentID.trim(), {
-        viewType: 'form'  // Use form view for eTag retrieval
-      });
+    await this.pegaClient.resolveApiVersion();
+
+    if (this.pegaClient.isFeatureAvailable('eTagSupport')) {
+      try {
+        logger.debug(`Auto-fetching latest eTag for assignment refresh on ${assignmentID}...`);
+        const assignmentResponse = await this.pegaClient.getAssignment(assignmentID.trim(), {
+          viewType: 'form'  // Use form view for eTag retrieval
+        });
       
-      if (!assignmentResponse || !assignmentResponse.success) {
-        const errorMsg = `Failed to auto-fetch eTag: ${assignmentResponse?.error?.message || 'Unknown error'}`;
-        return {
-          error: errorMsg
-        };
-      }
+        if (!assignmentResponse || !assignmentResponse.success) {
+          const errorMsg = `Failed to auto-fetch eTag: ${assignmentResponse?.error?.message || 'Unknown error'}`;
+          return {
+            error: errorMsg
+          };
+        }
       
-      finalETag = assignmentResponse.eTag;
-      autoFetchedETag = true;
-      console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        finalETag = assignmentResponse.eTag;
+        autoFetchedETag = true;
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
       
-      if (!finalETag) {
-        const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_assignment. This may indicate a server issue.';
+        if (!finalETag) {
+          const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_assignment. This may indicate a server issue.';
+          return {
+            error: errorMsg
+          };
+        }
+      } catch (error) {
+        const errorMsg = `Failed to auto-fetch eTag: ${error.message}`;
         return {
           error: errorMsg
         };
       }
-    } catch (error) {
-      const errorMsg = `Failed to auto-fetch eTag: ${error.message}`;
-      return {
-        error: errorMsg
-      };
-    }
     
-    // Validate eTag format (should be a timestamp-like string)
-    if (typeof finalETag !== 'string' || finalETag.trim().length === 0) {
-      return {
-        error: 'Invalid eTag parameter. a non-empty string representing case save date time.'
-      };
+      // Validate eTag format (should be a timestamp-like string)
+      if (typeof finalETag !== 'string' || finalETag.trim().length === 0) {
+        return {
+          error: 'Invalid eTag parameter. a non-empty string representing case save date time.'
+        };
+      }
     }
 
     try {
@@ -361,6 +372,16 @@ export class RefreshAssignmentActionTool extends BaseTool {
         }
       }
 
+      // Display form fields of a refreshed Traditional DX API (V1) view (V1 has no uiResources)
+      if (data.data.fields && data.data.fields.length > 0) {
+        response += '\n### Form Fields\n';
+        response += '| Field | Label | Value | Required | Read Only |\n';
+        response += '|-------|-------|-------|----------|-----------|\n';
+        data.data.fields.forEach(field => {
+          response += `| \`${field.name}\` | ${field.label || ''} | ${field.value ?? ''} | ${field.required ? 'Yes' : 'No'} | ${field.readOnly ? 'Yes' : 'No'} |\n`;
+        });
+      }
+
       // Display refresh-specific results
       if (data.data.refreshResults) {
         response += '\n### Form Refresh Results\n';
@@ -594,7 +615,7 @@ export class RefreshAssignmentActionTool extends BaseTool {
         response += '\n**Suggestion**: Check if you have the necessary permissions to refresh this assignment action. The assignment might be restricted to specific users or roles, or form refresh settings might not be configured for this Flow Action rule. For generative AI operations, verify the EnableGenerativeAI toggle is enabled.\n';
         break;
       case 'UNAUTHORIZED':
-        response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
         break;
       case 'BAD_REQUEST':
         response += '\n**Suggestion**: Check the assignment ID format and action ID. Assignment IDs should follow the pattern: ASSIGN-WORKLIST MYORG-SERVICES-WORK S-293001!APPROVAL_FLOW. Verify form refresh settings are properly configured in the Flow Action rule. For table operations, ensure interestPage format is correct (Example: ".OrderItems(1)").\n';
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class SaveAssignmentActionTool extends BaseTool {
   /**
@@ -18,6 +19,12 @@ export class SaveAssignmentActionTool extends BaseTool {
     return {
       name: 'save_assignment_action',
       description: 'Save assignment action form data without executing the action. Implements "Save for later" functionality that preserves form data in progress so changes will not be lost when returned to the assignment. If no eTag is provided, automatically fetches the latest eTag from the assignment for seamless operation. Available for Connector actions like Collect info steps, screen flow assignments and customized approval steps. Required field validations are ignored - only server-side validations (dictionary validations) are performed. The saved form data can be retrieved later when the assignment is reopened for continued editing or action execution.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -87,6 +94,7 @@ export class SaveAssignmentActionTool extends BaseTool {
             type: 'string',
             description: 'Optional origin channel identifier for this service request. Indicates the source of the save request for tracking and audit purposes. Examples: "Web", "Mobile", "WebChat". Default value is "Web" if not specified.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['assignmentID', 'actionID']
@@ -136,7 +144,7 @@ export class SaveAssignmentActionTool extends BaseTool {
     
     if (!finalETag) {
       try {
-        console.error(`Auto-fetching latest eTag for assignment save on ${assignmentID}...`);
+        logger.debug(`Auto-fetching latest eTag for assignment save on ${assignmentID}...`);
         const assignmentResponse = await this.pegaClient.getAssignment(assignmentID.trim(), {
           viewType: 'form'  // Use form view for eTag retrieval
         });
@@ -150,7 +158,7 @@ export class SaveAssignmentActionTool extends BaseTool {
         
         finalETag = assignmentResponse.eTag;
         autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_assignment. This may indicate a server issue.';
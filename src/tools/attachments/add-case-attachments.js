@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class AddCaseAttachmentsTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class AddCaseAttachmentsTool extends BaseTool {
     return {
       name: 'add_case_attachments',
       description: 'Attach files and/or URLs to a Pega case regardless of the context or stage of the case lifecycle. Can attach temporary uploaded files using their IDs (from upload_attachment tool), or add URL/link attachments directly. Supports multiple attachments in a single atomic operation - if any attachment fails, no attachments are added to the case.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -57,6 +63,7 @@ export class AddCaseAttachmentsTool extends BaseTool {
             minItems: 1,
             maxItems: 50
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'attachments']
@@ -358,7 +365,7 @@ export class AddCaseAttachmentsTool extends BaseTool {
         break;
 
       case 'UNAUTHORIZED':
-        response += '\n**Solution**: Authentication token may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Solution**: ${this.getUnauthorizedGuidance()}\n`;
         break;
 
       case 'FORBIDDEN':
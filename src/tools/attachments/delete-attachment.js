@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class DeleteAttachmentTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class DeleteAttachmentTool extends BaseTool {
     return {
       name: 'delete_attachment',
       description: 'Remove the specified attachment from a case. The API validates user authentication and privileges to delete the attachment based on attachment category configuration. Users can delete attachments they uploaded or any attachment of categories they have delete privileges for. After successful deletion, the case history is updated. If an attachment is linked to multiple Link-Attachment objects, only the specific link is removed.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -23,6 +29,7 @@ export class DeleteAttachmentTool extends BaseTool {
             type: 'string',
             description: 'Full ID of the attachment to delete. Format example: "LINK-ATTACHMENT ONNS8O-TESTAPP-WORK B-2001!20211115T061748.900 GMT". This is the complete Link-Attachment instance pzInsKey that uniquely identifies the attachment in the Pega system. The attachment must exist and the user must have delete privileges for the attachment category.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['attachmentID']
@@ -171,7 +178,7 @@ export class DeleteAttachmentTool extends BaseTool {
     switch (error.type) {
       case 'UNAUTHORIZED':
         response += '\n**Solutions**:\n';
-        response += '- Authentication token may have expired - the system will attempt to refresh the token automatically\n';
+        response += `- ${this.getUnauthorizedGuidance()}\n`;
         response += '- Verify your credentials are correctly configured in the MCP server\n';
         response += '- Check if your OAuth2 client has the necessary permissions for attachment operations\n';
         response += '- Ensure your user account has access to the Pega system\n';
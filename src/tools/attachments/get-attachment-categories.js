@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetAttachmentCategoriesTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetAttachmentCategoriesTool extends BaseTool {
     return {
       name: 'get_attachment_categories',
       description: 'Retrieve the list of attachment categories available for a specific Pega case, filtered by attachment type (File or URL). Returns category metadata including user permissions (view, create, edit, delete) for each attachment category associated with the case type. The API uses the class name from the caseID to get attachment categories and filters them based on the type parameter. Only attachment categories configured in the Attachment Category rule are returned. Useful for understanding what attachment categories are available and what operations the current user can perform on each category.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -29,6 +35,7 @@ export class GetAttachmentCategoriesTool extends BaseTool {
             description: 'Filter for the attachment type to retrieve categories for. Case insensitive. "File" or "file" returns all attachment categories of type File. "URL" or "url" returns attachment categories of type URL. Default value is "File". The API returns attachment categories of either type File or type URL during a particular API call, not both simultaneously.',
             default: 'File'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID']
@@ -247,7 +254,7 @@ export class GetAttachmentCategoriesTool extends BaseTool {
         break;
 
       case 'UNAUTHORIZED':
-        response += '\n**Solution**: Authentication token may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Solution**: ${this.getUnauthorizedGuidance()}\n`;
         break;
 
       case 'FORBIDDEN':
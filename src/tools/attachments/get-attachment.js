@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetAttachmentTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetAttachmentTool extends BaseTool {
     return {
       name: 'get_attachment',
       description: 'Get the attachment content based on the attachmentID. Returns different content types: Base64 data for file type attachments, URL for URL type attachments, and HTML data for correspondence type attachments. The API validates the attachmentID and checks if the user has access to view the attachment before returning the content.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -23,6 +29,7 @@ export class GetAttachmentTool extends BaseTool {
             type: 'string',
             description: 'Link-Attachment instance pzInsKey (attachment ID) to retrieve content for. Format example: "LINK-ATTACHMENT MYCO-PAC-WORK E-47009!20231016T062800.275 GMT". This is the complete instance handle key that uniquely identifies the attachment in the Pega system. The attachment must exist and be accessible to the current user.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['attachmentID']
@@ -262,7 +269,7 @@ export class GetAttachmentTool extends BaseTool {
     switch (error.type) {
       case 'UNAUTHORIZED':
         response += '\n**Solutions**:\n';
-        response += '- Authentication token may have expired - the system will attempt to refresh the token automatically\n';
+        response += `- ${this.getUnauthorizedGuidance()}\n`;
         response += '- Verify your credentials are correctly configured in the MCP server\n';
         response += '- Check if your OAuth2 client has the necessary permissions for attachment access\n';
         break;
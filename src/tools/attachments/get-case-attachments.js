@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetCaseAttachmentsTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetCaseAttachmentsTool extends BaseTool {
     return {
       name: 'get_case_attachments',
       description: 'Get a comprehensive list of all attachments associated with a specific Pega case. Retrieves attachment metadata including file details, URLs, creation information, and available actions (download, edit, delete) for each attachment. Only attachments from categories selected in the Attachment Category rule are returned. Supports optional thumbnail retrieval for image attachments (gif, jpg, jpeg, png, and others) as base64 encoded strings.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -28,6 +34,7 @@ export class GetCaseAttachmentsTool extends BaseTool {
             description: 'Whether to include thumbnails as base64 strings. For images: gif, jpg, jpeg, png. Default: false',
             default: false
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID']
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class UpdateAttachmentTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class UpdateAttachmentTool extends BaseTool {
     return {
       name: 'update_attachment',
       description: 'Updates the name and category of an existing attachment for a given attachmentID. The API only updates the title and category of an existing attachment. It does not update the filename and URL. The system verifies user access to the attachment category before allowing the update.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -31,6 +37,7 @@ export class UpdateAttachmentTool extends BaseTool {
             type: 'string',
             description: 'New attachment category. a valid attachment category that exists in the system and that the user has edit permissions for. The category determines the attachment type and associated permissions.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['attachmentID', 'name', 'category']
@@ -204,7 +211,7 @@ export class UpdateAttachmentTool extends BaseTool {
     switch (error.type) {
       case 'UNAUTHORIZED':
         response += '\n**Solutions**:\n';
-        response += '- Authentication token may have expired - the system will attempt to refresh the token automatically\n';
+        response += `- ${this.getUnauthorizedGuidance()}\n`;
         response += '- Verify your credentials are correctly configured in the MCP server\n';
         response += '- Check if your OAuth2 client has the necessary permissions for attachment modification\n';
         break;
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import fs from 'fs';
 import path from 'path';
 import { lookup as lookupMimeType } from 'mime-types';
@@ -19,6 +19,12 @@ export class UploadAttachmentTool extends BaseTool {
     return {
       name: 'upload_attachment',
       description: 'Upload a file to Pega as a temporary attachment that can later be linked to cases. Creates a temporary attachment instance that auto-expires after 2 hours if not linked. Supports multiple input methods for cross-client compatibility.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -51,6 +57,7 @@ export class UploadAttachmentTool extends BaseTool {
             type: 'string',
             description: 'Case ID to associate the upload with at storage level. Example: "MYORG-APP-WORK C-1001". Recommended when uploading a file that will be linked to a specific case via perform_assignment_action.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         }
       }
@@ -420,7 +427,7 @@ export class UploadAttachmentTool extends BaseTool {
         response += '- Verify all required parameters are provided\n';
         break;
       case 'UNAUTHORIZED':
-        response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
         break;
       case 'CONNECTION_ERROR':
         response += '\n**Suggestion**: Verify the Pega instance URL and network connectivity.\n';
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class ChangeToNextStageTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class ChangeToNextStageTool extends BaseTool {
     return {
       name: 'change_to_next_stage',
       description: 'Navigate a Pega case to its next stage in the primary stage sequence. Cannot be used when case is in alternate stage or already in final stage. If no eTag is provided, automatically fetches the latest eTag from the case action for seamless operation.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -38,6 +45,7 @@ export class ChangeToNextStageTool extends BaseTool {
             description: 'Whether to clean up the processes, including assignments, of the stage being switched away from. Default is true. Set to false to opt out of this cleanup feature.',
             default: true
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID']
@@ -76,7 +84,7 @@ export class ChangeToNextStageTool extends BaseTool {
     
     if (!finalETag) {
       try {
-        console.error(`Auto-fetching latest eTag for next stage change on case ${caseID}...`);
+        logger.debug(`Auto-fetching latest eTag for next stage change on case ${caseID}...`);
         const caseActionResponse = await this.pegaClient.getCaseAction(caseID.trim(), 'pyChangeStage', {
           viewType: 'form',  // getCaseAction only accepts 'form' or 'page', not 'none'
           excludeAdditionalActions: true
@@ -91,7 +99,7 @@ export class ChangeToNextStageTool extends BaseTool {
         
         finalETag = caseActionResponse.eTag;
         autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case_action. This may indicate a server issue.';
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class ChangeToStageTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class ChangeToStageTool extends BaseTool {
     return {
       name: 'change_to_stage',
       description: 'Change to a specified stage of a case based on stageID passed. Allows navigation to any valid stage (primary, alternate) within a case workflow. If no eTag is provided, automatically fetches the latest eTag from the case action for seamless operation.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -42,6 +49,7 @@ export class ChangeToStageTool extends BaseTool {
             description: 'Whether to clean up the processes, including assignments, of the stage being switched away from. Default is true. Set to false to opt out of this cleanup feature.',
             default: true
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'stageID']
@@ -53,7 +61,6 @@ export class ChangeToStageTool extends BaseTool {
    * Execute the change to stage operation
    */
   async execute(params) {
-    console.error(`[DEBUG] change_to_stage execute called with params:`, JSON.stringify(params, null, 2));
     const { caseID, stageID, eTag, viewType, cleanupProcesses } = params;
     let sessionInfo = null;
 
@@ -80,19 +87,19 @@ export class ChangeToStageTool extends BaseTool {
     let autoFetchedETag = false;
     
     if (!finalETag) {
-      console.error(`[DEBUG] Starting auto-fetch for case ${caseID}`);
+      logger.debug(`Starting auto-fetch for case ${caseID}`);
       try {
-        console.error(`Auto-fetching latest eTag for stage change on case ${caseID}...`);
+        logger.debug(`Auto-fetching latest eTag for stage change on case ${caseID}...`);
         const caseActionResponse = await this.pegaClient.getCaseAction(caseID.trim(), 'pyChangeStage', {
           viewType: 'form',  // getCaseAction only accepts 'form' or 'page', not 'none'
           excludeAdditionalActions: true
         });
         
-        console.error(`[DEBUG] getCaseAction response:`, JSON.stringify(caseActionResponse, null, 2));
+        logger.debug(`getCaseAction response:`, JSON.stringify(caseActionResponse, null, 2));
         
         if (!caseActionResponse || !caseActionResponse.success) {
           const errorMsg = `Failed to auto-fetch eTag: ${caseActionResponse?.error?.message || 'Unknown error'}`;
-          console.error(`[DEBUG] Auto-fetch failed: ${errorMsg}`);
+          logger.debug(`Auto-fetch failed: ${errorMsg}`);
           return {
             error: errorMsg
           };
@@ -100,19 +107,19 @@ export class ChangeToStageTool extends BaseTool {
         
         finalETag = caseActionResponse.eTag;
         autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case_action. This may indicate a server issue.';
-          console.error(`[DEBUG] ${errorMsg}`);
+          logger.debug(`${errorMsg}`);
           return {
             error: errorMsg
           };
         }
       } catch (error) {
         const errorMsg = `Failed to auto-fetch eTag: ${error.message}`;
-        console.error(`[DEBUG] Exception during auto-fetch: ${errorMsg}`);
-        console.error(`[DEBUG] Stack trace:`, error.stack);
+        logger.debug(`Exception during auto-fetch: ${errorMsg}`);
+        logger.debug(`Stack trace:`, error.stack);
         return {
           error: errorMsg
         };
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractFieldsFromViews,
   extractValidationErrors,
@@ -8,6 +8,13 @@ import {
   extractDataPages,
   formatDataPagesInfo
 } from '../../utils/field-extractor.js';
+import {
+  createOutputSchema,
+  NEXT_ASSIGNMENT_SCHEMA,
+  buildSuccessContent,
+  buildErrorContent
+} from '../../utils/output-schema.js';
+import { normalizeActionResult } from '../../api/response-normalizer.js';
 
 export class CreateCaseTool extends BaseTool {
   /**
@@ -24,6 +31,12 @@ export class CreateCaseTool extends BaseTool {
     return {
       name: 'create_case',
       description: 'Create a new Pega case. This is the FIRST step in case workflows. Automatically creates the initial assignment (returned in nextAssignmentInfo). Many case types accept empty content {}. If fields required, automatic field discovery provides guidance. Returns: caseID, assignmentID (in nextAssignmentInfo.ID), eTag. Next steps: use get_assignment with assignmentID to view form fields.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -99,10 +112,20 @@ export class CreateCaseTool extends BaseTool {
             type: 'string',
             description: 'If provided, view metadata for specific page name will be returned (only used when viewType is "page")'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseTypeID']
-      }
+      },
+      outputSchema: createOutputSchema({
+        caseID: { type: 'string', description: 'ID of the created case' },
+        caseTypeID: { type: 'string' },
+        eTag: { type: 'string', description: 'eTag for the next update of the case' },
+        status: { type: 'string' },
+        stage: { type: 'string' },
+        nextAssignmentInfo: NEXT_ASSIGNMENT_SCHEMA,
+        confirmationNote: { type: 'string', description: 'Returned when no assignment follows case creation' }
+      })
     };
   }
 
@@ -134,22 +157,22 @@ export class CreateCaseTool extends BaseTool {
     // Validate pageName usage
     if (pageName && viewType !== 'page') {
       return {
-        error: 'pageName parameter can only be used when viewType is set to "page".'
+        error: 'pageName parameter can only be used when viewType is set to "page".',
+        isError: true
       };
     }
 
     // Validate parentCaseID format if provided
     if (parentCaseID && (typeof parentCaseID !== 'string' || parentCaseID.trim() === '')) {
       return {
-        error: 'Invalid parentCaseID parameter. Parent case ID must be a non-empty string if provided.'
+        error: 'Invalid parentCaseID parameter. Parent case ID must be a non-empty string if provided.',
+        isError: true
       };
     }
 
     // PROACTIVE: Auto-discover when no content provided
     // Try creation with empty content first for both V1 and V2 (many case types accept empty content)
     if (!content || Object.keys(content).length === 0) {
-      const apiVersion = this.pegaClient.getApiVersion();
-
       // Try creation with empty content first (works for many case types)
       const emptyResult = await this.executeWithErrorHandling(
         `Case Creation: ${caseTypeID}`,
@@ -167,12 +190,12 @@ export class CreateCaseTool extends BaseTool {
       );
 
       // If empty content worked, return success
-      if (emptyResult.content && emptyResult.content[0].text.includes('✅')) {
+      if (emptyResult.structuredContent?.success) {
         return emptyResult;
       }
 
-      // If it failed, provide version-specific guidance
-      if (apiVersion === 'v1') {
+      // If it failed, provide guidance; field discovery needs the UI metadata of the V2 API
+      if (!this.pegaClient.isFeatureAvailable('uiMetadata')) {
         // V1: Field discovery not supported, provide manual guidance
         return {
           content: [{
@@ -198,13 +221,18 @@ Provide the content object with your case fields directly:
 \`\`\`
 
 **Tip**: Consult your Pega application's case type configuration to determine which fields are required.`
-          }]
+          }],
+          structuredContent: emptyResult.structuredContent,
+          isError: emptyResult.isError
         };
       }
 
       // V2: Check if error is truly field-related before doing field discovery
       if (this.isFieldRelatedErrorInResult(emptyResult)) {
-        return await this.discoverFieldsAndGuide(caseTypeID, { message: this.extractErrorMessage(emptyResult) });
+        return await this.discoverFieldsAndGuide(caseTypeID, {
+          message: this.extractErrorMessage(emptyResult),
+          structuredContent: emptyResult.structuredContent
+        });
       }
 
       // Not field-related, return the actual error
@@ -229,7 +257,10 @@ Provide the content object with your case fields directly:
 
       // REACTIVE: If the result contains a field-related error, auto-discover and guide
       if (this.isFieldRelatedErrorInResult(result)) {
-        return await this.discoverFieldsAndGuide(caseTypeID, { message: this.extractErrorMessage(result) }, content);
+        return await this.discoverFieldsAndGuide(caseTypeID, {
+          message: this.extractErrorMessage(result),
+          structuredContent: result.structuredContent
+        }, content);
       }
 
       return result;
@@ -242,7 +273,8 @@ Provide the content object with your case fields directly:
 **Unexpected Error**: ${error.message}
 
 ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode} mode)\n` : ''}*Error occurred at: ${new Date().toISOString()}*`
-        }]
+        }],
+        isError: true
       };
     }
   }
@@ -264,14 +296,19 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       // Extract fields from UI resources
       const processedFields = this.processCaseTypeActionFields(actionResponse.data);
 
-      // Format and return field discovery guidance
+      // Format and return field discovery guidance; the guidance is a normal response, the
+      // structured result reports the failed creation
       return {
         content: [
           {
             type: "text",
             text: this.formatFieldDiscoveryGuidanceFromCaseTypeAction(caseTypeID, processedFields, originalError, attemptedContent)
           }
-        ]
+        ],
+        structuredContent: originalError?.structuredContent || buildErrorContent({
+          type: 'VALIDATION_FAIL',
+          message: originalError?.message || 'Case creation requires field values'
+        })
       };
     } catch (discoveryError) {
       // If field discovery fails, return a helpful fallback message
@@ -285,7 +322,8 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       errorMessage += `\n\nPlease verify the case type ID is correct and accessible.`;
 
       return {
-        error: errorMessage
+        error: errorMessage,
+        isError: true
       };
     }
   }
@@ -950,6 +988,23 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
     return response;
   }
 
+  /**
+   * Build structuredContent for a created case from the normalized action result
+   */
+  buildStructuredContent(data, options = {}) {
+    const result = options.normalized || normalizeActionResult(data);
+
+    return buildSuccessContent({
+      caseID: result.caseID,
+      caseTypeID: result.case?.caseTypeID || options.caseTypeID,
+      eTag: options.newETag,
+      status: result.case?.status,
+      stage: result.case?.stage,
+      nextAssignmentInfo: result.nextAssignment,
+      confirmationNote: result.confirmationNote
+    }, options.sessionInfo);
+  }
+
   /**
    * Format field discovery guidance from Case Type Action response
    * More concise format with only creation-relevant fields (28 vs 500+)
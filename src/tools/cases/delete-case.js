@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class DeleteCaseTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class DeleteCaseTool extends BaseTool {
     return {
       name: 'delete_case',
       description: 'Delete a case that is currently in the create stage',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -23,6 +29,7 @@ export class DeleteCaseTool extends BaseTool {
             type: 'string',
             description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID']
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractFieldsFromViews,
   extractValidationErrors,
@@ -22,12 +22,18 @@ export class GetCaseActionTool extends BaseTool {
     return {
       name: 'get_case_action',
       description: 'Get detailed information about a case action, including view metadata and available actions',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           caseID: {
             type: 'string',
-            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces.'
+            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces. Defaults to the case this session worked on last.'
           },
           actionID: {
             type: 'string',
@@ -44,9 +50,10 @@ export class GetCaseActionTool extends BaseTool {
             description: 'When true, excludes information on all actions performable on the case. Set to true if action information was already retrieved in a previous call',
             default: false
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['caseID', 'actionID']
+        required: ['actionID']
       }
     };
   }
@@ -55,15 +62,19 @@ export class GetCaseActionTool extends BaseTool {
    * Execute the get case action operation
    */
   async execute(params) {
-    const { caseID, actionID, viewType, excludeAdditionalActions } = params;
+    const { actionID, viewType, excludeAdditionalActions } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
+      // Default to the current case of the session
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['caseID']);
+      const { caseID } = resolvedParams;
+
       // Validate required parameters using base class
-    const requiredValidation = this.validateRequiredParams(params, ['caseID', 'actionID']);
+    const requiredValidation = this.validateRequiredParams(resolvedParams, ['caseID', 'actionID']);
     if (requiredValidation) {
       return requiredValidation;
     }
@@ -93,7 +104,7 @@ export class GetCaseActionTool extends BaseTool {
           viewType: apiViewType,
           excludeAdditionalActions
         }),
-        { caseID, actionID, viewType, excludeAdditionalActions, sessionInfo }
+        { caseID, actionID, viewType, excludeAdditionalActions, contextSources, sessionInfo }
       );
     } catch (error) {
       return {
@@ -113,7 +124,7 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
    * Override formatSuccessResponse to add case action specific formatting
    */
   formatSuccessResponse(operation, data, options = {}) {
-    const { caseID, viewType, excludeAdditionalActions, sessionInfo } = options;
+    const { caseID, viewType, excludeAdditionalActions, contextSources, sessionInfo } = options;
     
     // Extract eTag from the top-level response if available
     const responseETag = data.eTag;
@@ -129,6 +140,11 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       response += `- **Authentication Mode**: ${sessionInfo.authMode.toUpperCase()}\n`;
       response += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
+
+    const fromContext = this.formatContextSources(options, contextSources);
+    if (fromContext) {
+      response += `${fromContext}\n`;
+    }
     
     if (data.data) {
       // Display case information
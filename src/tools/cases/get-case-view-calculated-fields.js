@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetCaseViewCalculatedFieldsTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetCaseViewCalculatedFieldsTool extends BaseTool {
     return {
       name: 'get_case_view_calculated_fields',
       description: 'Get calculated fields for a given case view. Retrieves only the requested calculated fields from the case view. All requested calculated fields in the request body must be included in the view. Any requested fields that are not part of the view will be filtered out.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -75,6 +81,7 @@ export class GetCaseViewCalculatedFieldsTool extends BaseTool {
             required: ['fields'],
             additionalProperties: false
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'viewID', 'calculations']
@@ -1,5 +1,12 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import {
+  createOutputSchema,
+  REFERENCE_SCHEMA,
+  toReferences,
+  buildSuccessContent
+} from '../../utils/output-schema.js';
+import { normalizeCase } from '../../api/response-normalizer.js';
 
 export class GetCaseTool extends BaseTool {
   /**
@@ -16,12 +23,18 @@ export class GetCaseTool extends BaseTool {
     return {
       name: 'get_case',
       description: 'Get comprehensive case information including status, stage, assignments, and available actions. Use AFTER workflow completion or for case overview. Not recommended immediately after create_case (redundant). For working on assignments, use get_assignment instead.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           caseID: {
             type: 'string',
-            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces.'
+            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces. Defaults to the case this session worked on last.'
           },
           viewType: {
             type: 'string',
@@ -37,10 +50,22 @@ export class GetCaseTool extends BaseTool {
             type: 'string',
             description: 'Origin of this service. E.g. - Web, Mobile etc.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['caseID']
-      }
+        required: []
+      },
+      outputSchema: createOutputSchema({
+        caseID: { type: 'string' },
+        caseTypeID: { type: 'string' },
+        eTag: { type: 'string', description: 'eTag for update operations on this case' },
+        status: { type: 'string' },
+        stage: { type: 'string' },
+        urgency: { type: 'string' },
+        assignments: { type: 'array', items: REFERENCE_SCHEMA, description: 'Open assignments' },
+        availableActions: { type: 'array', items: REFERENCE_SCHEMA, description: 'Case actions for get_case_action / perform_case_action' },
+        content: { type: 'object', description: 'Case data' }
+      })
     };
   }
 
@@ -48,15 +73,19 @@ export class GetCaseTool extends BaseTool {
    * Execute the get case operation
    */
   async execute(params) {
-    const { caseID, viewType, pageName, originChannel } = params;
+    const { viewType, pageName, originChannel } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
+      // Default to the current case of the session
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['caseID']);
+      const { caseID } = resolvedParams;
+
       // Validate required parameters using base class
-    const requiredValidation = this.validateRequiredParams(params, ['caseID']);
+    const requiredValidation = this.validateRequiredParams(resolvedParams, ['caseID']);
     if (requiredValidation) {
       return requiredValidation;
     }
@@ -72,7 +101,8 @@ export class GetCaseTool extends BaseTool {
     // Validate pageName usage
     if (pageName && viewType !== 'page') {
       return {
-        error: 'pageName parameter can only be used when viewType is set to "page".'
+        error: 'pageName parameter can only be used when viewType is set to "page".',
+        isError: true
       };
     }
 
@@ -80,7 +110,7 @@ export class GetCaseTool extends BaseTool {
       return await this.executeWithErrorHandling(
         `Case Details: ${caseID}`,
         async () => await this.pegaClient.getCase(caseID.trim(), { viewType, pageName, originChannel }),
-        { caseID, viewType, pageName, originChannel, sessionInfo }
+        { caseID, viewType, pageName, originChannel, contextSources, sessionInfo }
       );
     } catch (error) {
       return {
@@ -91,16 +121,36 @@ export class GetCaseTool extends BaseTool {
 **Unexpected Error**: ${error.message}
 
 ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode} mode)\n` : ''}*Error occurred at: ${new Date().toISOString()}*`
-        }]
+        }],
+        isError: true
       };
     }
   }
 
+  /**
+   * Build structuredContent for case details from the normalized case
+   */
+  buildStructuredContent(data, options = {}) {
+    const caseModel = options.normalized || normalizeCase(data) || {};
+
+    return buildSuccessContent({
+      caseID: caseModel.ID || options.caseID,
+      caseTypeID: caseModel.caseTypeID,
+      eTag: options.newETag,
+      status: caseModel.status,
+      stage: caseModel.stage,
+      urgency: caseModel.urgency !== undefined ? String(caseModel.urgency) : undefined,
+      assignments: toReferences(caseModel.assignments),
+      availableActions: toReferences(caseModel.availableActions),
+      content: caseModel.content
+    }, options.sessionInfo);
+  }
+
   /**
    * Override formatSuccessResponse to display eTag information
    */
   formatSuccessResponse(operation, data, options = {}) {
-    const { caseID, sessionInfo } = options;
+    const { caseID, contextSources, sessionInfo } = options;
 
     let response = `## ${operation}\n\n`;
     response += `*Operation completed at: ${new Date().toISOString()}*\n\n`;
@@ -112,6 +162,11 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       response += `- **Authentication Mode**: ${sessionInfo.authMode.toUpperCase()}\n`;
       response += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
+
+    const fromContext = this.formatContextSources(options, contextSources);
+    if (fromContext) {
+      response += `${fromContext}\n`;
+    }
     
     // Display eTag information prominently if available
     if (data.eTag) {
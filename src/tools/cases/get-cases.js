@@ -1,21 +1,16 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { CASE_SORT_FIELDS, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE, parsePegaDateTime } from '../../api/case-list.js';
 
 /**
  * Get Cases Tool
  *
- * V1 EXCLUSIVE: Get all cases created by authenticated user in their default work pool.
- *
- * This endpoint is only available in Traditional DX API (V1). V2 uses Data Views instead.
- *
- * Limitations:
- * - Maximum 500 cases (controlled by pyMaxRecords DSS)
- * - Only returns cases from user's default work pool
- * - Returns cases in oldest-to-newest order
- * - No pagination support
- * - No filtering options
- *
- * Required Privilege: pxGetCases
+ * Lists cases with filters (case type, status, owner, created date range), sorting and pagination,
+ * with the same case shape on both API versions:
+ * - V1: GET /cases (cases created by the authenticated user, max 500 via pyMaxRecords DSS),
+ *   filtered, sorted and paged by the MCP server. Requires pxGetCases privilege.
+ * - V2: list data views - the case type's default list data view, every case type's when no
+ *   caseTypeID is given, or a data view passed as dataViewID.
  */
 export class GetCasesTool extends BaseTool {
   /**
@@ -31,10 +26,66 @@ export class GetCasesTool extends BaseTool {
   static getDefinition() {
     return {
       name: 'get_cases',
-      description: 'Get all cases created by authenticated user (V1 EXCLUSIVE - max 500 cases, oldest to newest). V2 users should use Data Views instead. Requires pxGetCases privilege.',
+      description: 'List cases with optional filters (case type, status, owner, created date range), sorting and pagination. Works on both API versions with the same result: V1 lists the cases created by the authenticated user (max 500, requires pxGetCases privilege); V2 queries the case list data views of the application\'s case types. Returns case IDs for get_case.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
+          caseTypeID: {
+            type: 'string',
+            description: 'Only cases of this case type (class name). Example: "ORG-APP-WORK-EXPENSE". On V2 this queries the case type\'s list data view, which is faster than listing all case types.'
+          },
+          status: {
+            type: 'string',
+            description: 'Only cases with this status (case-insensitive). Example: "New", "Open", "Resolved-Completed"'
+          },
+          owner: {
+            type: 'string',
+            description: 'Only cases created by this operator ID (case-insensitive)'
+          },
+          createdAfter: {
+            type: 'string',
+            description: 'Only cases created at or after this date or date-time (ISO 8601). Example: "2025-01-01"'
+          },
+          createdBefore: {
+            type: 'string',
+            description: 'Only cases created at or before this date or date-time (ISO 8601). Example: "2025-01-31T23:59:59Z"'
+          },
+          sortBy: {
+            type: 'string',
+            enum: Object.keys(CASE_SORT_FIELDS),
+            description: 'Case property to sort by. Default: createTime',
+            default: 'createTime'
+          },
+          sortOrder: {
+            type: 'string',
+            enum: ['ASC', 'DESC'],
+            description: 'Sort order. Default: ASC (oldest first when sorting by createTime)',
+            default: 'ASC'
+          },
+          pageNumber: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Page to return (1-based). Default: 1',
+            default: 1
+          },
+          pageSize: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_PAGE_SIZE,
+            description: `Cases per page. Default: ${DEFAULT_PAGE_SIZE}, maximum: ${MAX_PAGE_SIZE}`,
+            default: DEFAULT_PAGE_SIZE
+          },
+          dataViewID: {
+            type: 'string',
+            description: 'V2 only: case list data view to query instead of the case type data views. Must return standard case fields (pyID, pzInsKey, pyStatusWork, pxCreateDateTime, ...)'
+          },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: []
@@ -46,41 +97,51 @@ export class GetCasesTool extends BaseTool {
    * Execute the get cases operation
    */
   async execute(params) {
+    const { caseTypeID, status, owner, createdAfter, createdBefore, sortBy, sortOrder, pageNumber, pageSize, dataViewID } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
-      // Check API version
-      const apiVersion = this.pegaClient.getApiVersion();
-      if (apiVersion !== 'v1') {
-        return {
-          content: [{
-            type: 'text',
-            text: `## Error: Get Cases (V1 Exclusive)
-
-**Version Mismatch**: This endpoint is only available in Traditional DX API (V1).
-
-**Current API Version**: ${apiVersion.toUpperCase()}
-
-**Solution**: Set \`PEGA_API_VERSION=v1\` environment variable to use this endpoint.
-
-**V2 Alternative**: Use Data Views to query cases:
-- Tool: \`get_list_data_view\`
-- Data View: \`D_MyCaseList\` or similar case list data view
-- Filter by: \`pyCreatedBy\` = current user
+      // Validate date filters
+      for (const [name, value] of [['createdAfter', createdAfter], ['createdBefore', createdBefore]]) {
+        if (value !== undefined && parsePegaDateTime(value) === null) {
+          return {
+            error: `Invalid ${name} parameter. Use an ISO 8601 date or date-time, e.g. "2025-01-01" or "2025-01-31T23:59:59Z".`
+          };
+        }
+      }
 
-${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode} mode)\n` : ''}*Error occurred at: ${new Date().toISOString()}*`
-          }]
+      const apiVersion = await this.pegaClient.resolveApiVersion();
+      if (dataViewID && apiVersion === 'v1') {
+        return {
+          error: 'dataViewID parameter is only supported with the Constellation DX API (V2). Traditional DX API (V1) lists cases with GET /cases.'
         };
       }
 
+      const options = {
+        caseTypeID: caseTypeID?.trim() || undefined,
+        status: status?.trim() || undefined,
+        owner: owner?.trim() || undefined,
+        createdAfter,
+        createdBefore,
+        sortBy,
+        sortOrder,
+        pageNumber,
+        pageSize,
+        dataViewID: dataViewID?.trim() || undefined
+      };
+
       // Execute with standardized error handling
       return await this.executeWithErrorHandling(
-        'Get All Cases (V1)',
-        async () => await this.pegaClient.getAllCases(),
-        { sessionInfo }
+        `Get Cases (${apiVersion.toUpperCase()})`,
+        async () => {
+          const result = await this.pegaClient.getCases(options);
+          // formatSuccessResponse only receives data, so the paging metadata travels with the cases
+          return result.success ? { ...result, data: { ...result.data, metadata: result.metadata } } : result;
+        },
+        { ...options, sessionInfo }
       );
     } catch (error) {
       return {
@@ -101,6 +162,8 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
    */
   formatSuccessResponse(operation, data, options = {}) {
     const { sessionInfo } = options;
+    const metadata = data.metadata || {};
+    const cases = data.cases || [];
 
     let response = `## ${operation}\n\n`;
     response += `*Operation completed at: ${new Date().toISOString()}*\n\n`;
@@ -113,75 +176,89 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       response += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
 
+    // Filters applied
+    const filters = [
+      ['Case Type', options.caseTypeID],
+      ['Status', options.status],
+      ['Owner', options.owner],
+      ['Created After', options.createdAfter],
+      ['Created Before', options.createdBefore]
+    ].filter(([, value]) => value);
+
+    if (filters.length > 0) {
+      response += '### 🔍 Filters\n';
+      filters.forEach(([label, value]) => {
+        response += `- **${label}**: ${value}\n`;
+      });
+      response += '\n';
+    }
+
     // Display metadata prominently
-    if (data.metadata) {
-      response += '### 📊 Results Metadata\n';
-      response += `- **Total Cases Retrieved**: ${data.metadata.count}\n`;
-      response += `- **Maximum Records**: ${data.metadata.maxRecords} (pyMaxRecords DSS)\n`;
-      response += `- **API Version**: ${data.metadata.apiVersion.toUpperCase()}\n`;
-      response += `- **Order**: Oldest to Newest\n\n`;
-
-      if (data.metadata.count === data.metadata.maxRecords) {
-        response += `⚠️  **Warning**: Result set may be truncated at ${data.metadata.maxRecords} records.\n\n`;
-      }
+    response += '### 📊 Results Metadata\n';
+    response += `- **Cases on Page**: ${metadata.count ?? cases.length}\n`;
+    if (metadata.totalCount !== undefined) {
+      response += `- **Total Matching Cases**: ${metadata.totalCount}\n`;
+    }
+    response += `- **Page**: ${metadata.pageNumber} (page size ${metadata.pageSize})\n`;
+    response += `- **More Results**: ${metadata.hasMoreResults ? `Yes - use pageNumber ${metadata.pageNumber + 1} for the next page` : 'No'}\n`;
+    response += `- **Sorted By**: ${options.sortBy || 'createTime'} ${options.sortOrder || 'ASC'}\n`;
+    if (metadata.dataViews) {
+      response += `- **Data Views**: ${metadata.dataViews.length > 0 ? metadata.dataViews.join(', ') : 'None (no case types with a queryable list data view)'}\n`;
+    }
+    if (metadata.apiVersion) {
+      response += `- **API Version**: ${metadata.apiVersion.toUpperCase()}\n`;
+    }
+    response += '\n';
+
+    if (metadata.maxRecords && metadata.retrievedCount >= metadata.maxRecords) {
+      response += `⚠️  **Warning**: GET /cases returned ${metadata.retrievedCount} cases, the pyMaxRecords limit. Older cases beyond the limit are not listed.\n\n`;
+    }
+
+    if (metadata.skippedDataViews?.length > 0) {
+      response += '⚠️  **Skipped Data Views** (cases of these case types are not listed):\n';
+      metadata.skippedDataViews.forEach(skipped => {
+        response += `- ${skipped.dataViewID}: ${skipped.reason}\n`;
+      });
+      response += '\n';
     }
 
     // Cases section header
     response += '### 📋 Cases\n\n';
 
-    // Display cases summary
-    if (data.data && data.data.cases && data.data.cases.length > 0) {
-      response += `**Found ${data.data.cases.length} cases**\n\n`;
-
+    if (cases.length > 0) {
       // Group cases by status for better overview
       const casesByStatus = {};
-      data.data.cases.forEach(c => {
+      cases.forEach(c => {
         const status = c.status || 'Unknown';
-        if (!casesByStatus[status]) {
-          casesByStatus[status] = [];
-        }
-        casesByStatus[status].push(c);
+        casesByStatus[status] = (casesByStatus[status] || 0) + 1;
       });
 
       response += '#### Status Summary\n';
       Object.keys(casesByStatus).forEach(status => {
-        response += `- **${status}**: ${casesByStatus[status].length} cases\n`;
+        response += `- **${status}**: ${casesByStatus[status]} cases\n`;
       });
       response += '\n';
 
-      // Display first 10 cases in detail
-      response += '#### Case Details (First 10)\n\n';
-      const casesToShow = data.data.cases.slice(0, 10);
-      casesToShow.forEach((caseObj, index) => {
-        response += `##### ${index + 1}. ${caseObj.ID}\n`;
-        response += `- **Case Type**: ${caseObj.caseTypeID || 'N/A'}\n`;
-        response += `- **Name**: ${caseObj.name || 'N/A'}\n`;
-        response += `- **Status**: ${caseObj.status || 'N/A'}\n`;
-        response += `- **Stage**: ${caseObj.stage || 'N/A'}\n`;
-        response += `- **Urgency**: ${caseObj.urgency || 0}\n`;
-        response += `- **Created**: ${caseObj.createTime || 'N/A'} by ${caseObj.createdBy || 'N/A'}\n`;
-        response += `- **Last Updated**: ${caseObj.lastUpdateTime || 'N/A'} by ${caseObj.lastUpdatedBy || 'N/A'}\n`;
-        if (caseObj.parentCaseID) {
-          response += `- **Parent Case**: ${caseObj.parentCaseID}\n`;
-        }
-        response += '\n';
+      response += '| Case ID | Case Type | Name | Status | Stage | Urgency | Created | Created By |\n';
+      response += '|---------|-----------|------|--------|-------|---------|---------|------------|\n';
+      cases.forEach(caseObj => {
+        response += `| ${caseObj.ID} | ${caseObj.caseTypeID || 'N/A'} | ${caseObj.name || 'N/A'} | ${caseObj.status || 'N/A'} | ${caseObj.stage || 'N/A'} | ${caseObj.urgency || 0} | ${caseObj.createTime || 'N/A'} | ${caseObj.createdBy || 'N/A'} |\n`;
       });
-
-      if (data.data.cases.length > 10) {
-        response += `*... and ${data.data.cases.length - 10} more cases*\n\n`;
-      }
+      response += '\n';
     } else {
-      response += 'No cases found for the authenticated user.\n\n';
+      response += 'No cases match the filters.\n\n';
     }
 
-    // Add V1 notes
-    response += '### 📝 V1 API Notes\n';
-    response += '- This endpoint is V1 EXCLUSIVE (not available in V2)\n';
-    response += '- Returns cases from user\'s default work pool only\n';
-    response += '- Maximum 500 cases (controlled by pyMaxRecords DSS)\n';
-    response += '- No pagination or filtering options\n';
-    response += '- Cases ordered from oldest to newest\n';
-    response += '- Requires pxGetCases privilege\n\n';
+    response += '### 📝 Notes\n';
+    if (metadata.apiVersion === 'v1') {
+      response += '- Traditional DX API (V1) lists the cases created by the authenticated user in their default work pool\n';
+      response += '- GET /cases returns at most 500 cases (pyMaxRecords DSS); filters, sorting and pages apply to those\n';
+      response += '- Requires pxGetCases privilege\n';
+    } else {
+      response += '- Constellation DX API (V2) lists cases through list data views; the access group must be allowed to query them\n';
+      response += '- Use get_case with a case ID for details, assignments and available actions\n';
+    }
+    response += '\n';
 
     return response;
   }
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class PerformBulkActionTool extends BaseTool {
   /**
@@ -17,6 +17,12 @@ export class PerformBulkActionTool extends BaseTool {
     return {
       name: 'perform_bulk_action',
       description: 'Perform case action on multiple cases simultaneously (bulk operation). Executes the specified action on all cases provided in the request. In Infinity, actions are performed synchronously. In Launchpad, actions are performed asynchronously in the background. NOTE: Only supports case-wide actions that update cases directly - assignment-level actions like Transfer and Adjust Assignment SLA are not supported.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -32,6 +38,7 @@ export class PerformBulkActionTool extends BaseTool {
               properties: {
                 ID: {
                   type: 'string',
+                  minLength: 1,
                   description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces.'
                 }
               },
@@ -79,6 +86,7 @@ export class PerformBulkActionTool extends BaseTool {
               type: 'object'
             }
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['actionID', 'cases']
@@ -104,29 +112,10 @@ export class PerformBulkActionTool extends BaseTool {
       return requiredValidation;
     }
 
-    // 2. Validate cases array (complex custom validation)
-    if (!Array.isArray(cases) || cases.length === 0) {
-      return {
-        error: 'Invalid cases parameter. Cases must be a non-empty array of case objects.'
-      };
-    }
-
-    // Validate each case object
-    for (let i = 0; i < cases.length; i++) {
-      const caseObj = cases[i];
-      if (!caseObj || typeof caseObj !== 'object') {
-        return {
-          error: `Invalid case object at index ${i}. Each case must be an object with an ID property.`
-        };
-      }
-      if (!caseObj.ID || typeof caseObj.ID !== 'string' || caseObj.ID.trim() === '') {
-        return {
-          error: `Invalid case ID at index ${i}. Each case must have a non-empty ID property with the full case handle.`
-        };
-      }
-    }
+    // Array/object structure of cases, content, pageInstructions and attachments is
+    // validated against the inputSchema by the tool registry before execute() runs
 
-    // 3. Validate enum parameters using base class
+    // 2. Validate enum parameters using base class
     const enumValidation = this.validateEnumParams(params, {
       runningMode: ['async']
     });
@@ -134,26 +123,7 @@ export class PerformBulkActionTool extends BaseTool {
       return enumValidation;
     }
 
-    // 4. Validate optional complex parameters
-    if (content !== undefined && (typeof content !== 'object' || Array.isArray(content))) {
-      return {
-        error: 'Invalid content parameter. an object containing scalar properties and embedded page properties.'
-      };
-    }
-
-    if (pageInstructions !== undefined && !Array.isArray(pageInstructions)) {
-      return {
-        error: 'Invalid pageInstructions parameter. an array of page-related operations.'
-      };
-    }
-
-    if (attachments !== undefined && !Array.isArray(attachments)) {
-      return {
-        error: 'Invalid attachments parameter. an array of attachment objects.'
-      };
-    }
-
-      // 5. Execute with standardized error handling
+      // 3. Execute with standardized error handling
       return await this.executeWithErrorHandling(
         `Bulk Action: ${actionID} on ${cases.length} cases`,
         async () => await this.pegaClient.performBulkAction(actionID.trim(), {
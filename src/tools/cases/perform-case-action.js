@@ -1,5 +1,8 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
+import { CONFLICT_STRATEGIES } from '../../api/conflict-resolver.js';
+import { formatConflictResolution, formatMergeConflict } from '../../utils/conflict-report.js';
 
 export class PerformCaseActionTool extends BaseTool {
   /**
@@ -16,12 +19,18 @@ export class PerformCaseActionTool extends BaseTool {
     return {
       name: 'perform_case_action',
       description: 'Perform an action on a Pega case, updating case data and progressing the workflow. Takes the case ID and action ID as parameters, along with optional content, page instructions, and attachments. If no eTag is provided, automatically fetches the latest eTag from the case action. For manual eTag management, provide an eTag value from a previous get_case_action call. The API handles pre-processing logic, merges request data into the case, performs the action, and validates the results.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           caseID: {
             type: 'string',
-            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces."ON6E5R-DIYRecipe-Work-RecipeCollection R-1008". a complete case identifier including spaces and special characters.'
+            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces."ON6E5R-DIYRecipe-Work-RecipeCollection R-1008". a complete case identifier including spaces and special characters. Defaults to the case this session worked on last.'
           },
           actionID: {
             type: 'string',
@@ -29,7 +38,7 @@ export class PerformCaseActionTool extends BaseTool {
           },
           eTag: {
             type: 'string',
-            description: 'Optional. Auto-fetched if omitted. For faster execution, use eTag from previous response.'
+            description: 'Optional. If omitted, the latest eTag this session has seen for the case is used, or it is auto-fetched.'
           },
           content: {
             type: 'object',
@@ -81,9 +90,15 @@ export class PerformCaseActionTool extends BaseTool {
             type: 'string',
             description: 'Optional origin channel identifier for this service request. Indicates the source of the request for tracking and audit purposes. Examples: "Web", "Mobile", "WebChat". Default value is "Web" if not specified.'
           },
+          conflictStrategy: {
+            type: 'string',
+            enum: CONFLICT_STRATEGIES,
+            description: 'What to do when the eTag is stale because someone else updated the case (HTTP 409/412). "fail" returns the error. "merge" reads the case again and resubmits with the current eTag when the other update changed none of the submitted fields, or returns a conflict report listing the overlapping fields. Default: PEGA_CONFLICT_STRATEGY setting, or "fail"'
+          },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['caseID', 'actionID']
+        required: ['actionID']
       }
     };
   }
@@ -93,15 +108,14 @@ export class PerformCaseActionTool extends BaseTool {
    */
   async execute(params) {
     const {
-      caseID,
       actionID,
-      eTag,
       content,
       pageInstructions,
       attachments,
       viewType,
       skipRoboticAutomation,
-      originChannel
+      originChannel,
+      conflictStrategy
     } = params;
     let sessionInfo = null;
 
@@ -109,8 +123,12 @@ export class PerformCaseActionTool extends BaseTool {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
+      // Default to the current case of the session and its latest eTag
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['caseID', 'eTag']);
+      const { caseID, eTag } = resolvedParams;
+
       // Validate required parameters using base class
-    const requiredValidation = this.validateRequiredParams(params, ['caseID', 'actionID']);
+    const requiredValidation = this.validateRequiredParams(resolvedParams, ['caseID', 'actionID']);
     if (requiredValidation) {
       return requiredValidation;
     }
@@ -136,7 +154,7 @@ export class PerformCaseActionTool extends BaseTool {
     
     if (!finalETag) {
       try {
-        console.error(`Auto-fetching latest eTag for case action ${actionID} on case ${caseID}...`);
+        logger.debug(`Auto-fetching latest eTag for case action ${actionID} on case ${caseID}...`);
         const caseActionResponse = await this.pegaClient.getCaseAction(caseID.trim(), actionID.trim(), {
           viewType: 'form',  // getCaseAction only accepts 'form' or 'page', not 'none'
           excludeAdditionalActions: true
@@ -150,7 +168,7 @@ export class PerformCaseActionTool extends BaseTool {
         
         finalETag = caseActionResponse.eTag;
         autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           return {
@@ -184,11 +202,16 @@ export class PerformCaseActionTool extends BaseTool {
         if (viewType) options.viewType = viewType;
         if (skipRoboticAutomation !== undefined) options.skipRoboticAutomation = skipRoboticAutomation;
         if (originChannel) options.originChannel = originChannel;
+        if (conflictStrategy) options.conflictStrategy = conflictStrategy;
 
         // Add eTag to options
         options.eTag = finalETag.trim();
 
-          return await this.pegaClient.performCaseAction(caseID.trim(), actionID.trim(), options);
+          const result = await this.pegaClient.performCaseAction(caseID.trim(), actionID.trim(), options);
+          // formatSuccessResponse only receives data, so a resolved conflict travels with it
+          return result.conflictResolution
+            ? { ...result, data: { ...result.data, conflictResolution: result.conflictResolution } }
+            : result;
         },
         {
           caseID,
@@ -200,6 +223,7 @@ export class PerformCaseActionTool extends BaseTool {
           hasContent: !!content,
           hasPageInstructions: !!pageInstructions,
           hasAttachments: !!attachments,
+          contextSources,
           sessionInfo
         }
       );
@@ -231,6 +255,7 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       hasContent,
       hasPageInstructions,
       hasAttachments,
+      contextSources,
       sessionInfo
     } = options;
 
@@ -260,14 +285,23 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
     if (autoFetchedETag) {
       response += `- **eTag**: ${eTag} (🔄 auto-fetched)\n`;
       response += '- ✅ Latest eTag automatically retrieved\n';
+    } else if (contextSources?.includes('eTag')) {
+      response += `- **eTag**: ${eTag} (📌 latest eTag of this session)\n`;
     } else {
       response += `- **eTag**: ${eTag} (provided manually)\n`;
     }
+    if (contextSources?.includes('caseID')) {
+      response += '- 📌 Case ID taken from the session context (current case)\n';
+    }
     if (hasContent) response += '- ✅ Case content updated\n';
     if (hasPageInstructions) response += '- ✅ Page instructions processed\n';
     if (hasAttachments) response += '- ✅ Attachments processed\n';
     if (skipRoboticAutomation) response += '- ⚠️ Robotic automation skipped\n';
 
+    if (data.conflictResolution) {
+      response += formatConflictResolution(data.conflictResolution);
+    }
+
     if (data.data) {
       // Display updated case information
       if (data.data.caseInfo) {
@@ -366,7 +400,7 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
    * Override formatErrorResponse to add case action specific error context
    */
   formatErrorResponse(operation, error, options = {}) {
-    const { caseID, actionID, eTag } = options;
+    const { caseID, actionID, eTag, contextSources } = options;
     
     let response = `## ❌ ${operation} Failed\n\n`;
     response += `*Error occurred at: ${new Date().toISOString()}*\n\n`;
@@ -374,7 +408,7 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
     response += '### Operation Context\n';
     response += `- **Case ID**: ${caseID}\n`;
     response += `- **Action**: ${actionID}\n`;
-    response += `- **eTag Used**: ${eTag}\n\n`;
+    response += `- **eTag Used**: ${eTag}${contextSources?.includes('eTag') ? ' (latest eTag of this session)' : ''}\n\n`;
 
     response += `### Error Details\n`;
     response += `- **Type**: ${error.type}\n`;
@@ -394,6 +428,11 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
         response += '- The case has been modified by another user since your last read\n';
         response += '- **Solution**: Use get_case_action tool to retrieve the latest case state and eTag\n';
         response += '- Then retry the operation with the new eTag value\n';
+        response += '- Or retry with conflictStrategy "merge" to resubmit automatically when the changes do not overlap\n';
+        break;
+
+      case 'MERGE_CONFLICT':
+        response += formatMergeConflict(error);
         break;
         
       case 'PRECONDITION_FAILED':
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class RecalculateCaseActionFieldsTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class RecalculateCaseActionFieldsTool extends BaseTool {
     return {
       name: 'recalculate_case_action_fields',
       description: 'Recalculate calculated fields & whens for the current case action form. If no eTag is provided, automatically fetches the latest eTag from the case action for seamless operation. Executes field calculations and when conditions based on current form state and user input. Supports recalculating specific fields and when conditions, merging content updates, and applying page instructions during the calculation process. The API validates case and action IDs, processes calculation requests, and returns updated field values and states.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -108,6 +115,7 @@ export class RecalculateCaseActionFieldsTool extends BaseTool {
             type: 'string',
             description: 'Optional origin channel identifier for this service request. Indicates the source of the request for tracking and audit purposes. Examples: "Web", "Mobile", "WebChat". Default value is "Web" if not specified.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'actionID', 'calculations']
@@ -216,7 +224,7 @@ export class RecalculateCaseActionFieldsTool extends BaseTool {
     
     if (!finalETag) {
       try {
-        console.error(`Auto-fetching latest eTag for case action field recalculation on ${caseID}...`);
+        logger.debug(`Auto-fetching latest eTag for case action field recalculation on ${caseID}...`);
         const caseActionResponse = await this.pegaClient.getCaseAction(caseID.trim(), actionID.trim(), {
           viewType: 'form',  // Use form view for eTag retrieval
           excludeAdditionalActions: true
@@ -231,7 +239,7 @@ export class RecalculateCaseActionFieldsTool extends BaseTool {
         
         finalETag = caseActionResponse.eTag;
         autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case_action. This may indicate a server issue.';
@@ -630,7 +638,7 @@ export class RecalculateCaseActionFieldsTool extends BaseTool {
         response += '\n**Suggestion**: Check if you have the necessary permissions to recalculate fields for this case action. The case might be restricted to specific users or roles, or the fields/whens requested might not be accessible to your user context.\n';
         break;
       case 'UNAUTHORIZED':
-        response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
         break;
       case 'BAD_REQUEST':
         response += '\n**Suggestion**: Check the case ID format, action ID, and calculations structure. Case IDs should follow the pattern: {OrgID}-{AppName}-{CaseType} {CaseNumber}. Verify that:\n';
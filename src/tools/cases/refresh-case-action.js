@@ -1,11 +1,12 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 import {
   extractFieldsFromViews,
   extractValidationErrors,
   groupFieldsByRequired,
   formatValidationErrors
 } from '../../utils/field-extractor.js';
+import { logger } from '../../utils/logger.js';
 
 export class RefreshCaseActionTool extends BaseTool {
   /**
@@ -22,6 +23,12 @@ export class RefreshCaseActionTool extends BaseTool {
     return {
       name: 'refresh_case_action',
       description: 'Refresh case action form data with updated values after property changes, execute Data Transforms, and handle table row operations in modals. If no eTag is provided, automatically fetches the latest eTag from the case action for seamless operation. Supports form refresh settings configured in Flow Action rules, generative AI form filling, and embedded list operations with comprehensive validation and preprocessing execution. The API validates case and action IDs, retrieves view data, and returns information about fields affected by the refresh action. Supports Pega Infinity \'25 features including table row operations in modals.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -94,6 +101,7 @@ export class RefreshCaseActionTool extends BaseTool {
             type: 'string',
             description: 'Optional origin channel identifier for this service request. Indicates the source of the request for tracking and audit purposes. Examples: "Web", "Mobile", "WebChat". Default value is "Web" if not specified.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'actionID']
@@ -179,7 +187,7 @@ export class RefreshCaseActionTool extends BaseTool {
     
     if (!finalETag) {
       try {
-        console.error(`Auto-fetching latest eTag for case action refresh on ${caseID}...`);
+        logger.debug(`Auto-fetching latest eTag for case action refresh on ${caseID}...`);
         const caseActionResponse = await this.pegaClient.getCaseAction(caseID.trim(), actionID.trim(), {
           viewType: 'form',  // Use form view for eTag retrieval
           excludeAdditionalActions: true
@@ -194,7 +202,7 @@ export class RefreshCaseActionTool extends BaseTool {
         
         finalETag = caseActionResponse.eTag;
         autoFetchedETag = true;
-        console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+        logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case_action. This may indicate a server issue.';
@@ -638,7 +646,7 @@ export class RefreshCaseActionTool extends BaseTool {
         response += '\n**Suggestion**: Check if you have the necessary permissions to refresh this case action. The case might be restricted to specific users or roles, or form refresh settings might not be configured for this Flow Action rule. For generative AI operations, verify the EnableGenerativeAI toggle is enabled.\n';
         break;
       case 'UNAUTHORIZED':
-        response += '\n**Suggestion**: Authentication may have expired. The system will attempt to refresh the token on the next request.\n';
+        response += `\n**Suggestion**: ${this.getUnauthorizedGuidance()}\n`;
         break;
       case 'BAD_REQUEST':
         response += '\n**Suggestion**: Check the case ID format and action ID. Case IDs should follow the pattern: {OrgID}-{AppName}-{CaseType} {CaseNumber}. Verify form refresh settings are properly configured in the Flow Action rule. For table operations, ensure interestPage format is correct (Example: ".OrderItems(1)").\n';
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class ReleaseCaseLockTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class ReleaseCaseLockTool extends BaseTool {
     return {
       name: 'release_case_lock',
       description: 'Release pessimistic lock on a Pega case and clean up any cached or pending updates. Used when canceling case operations that require locking.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -29,6 +35,7 @@ export class ReleaseCaseLockTool extends BaseTool {
             description: 'UI resources to return. "none" returns no view metadata or fields (default), "page" returns the full page UI metadata.',
             default: 'none'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID']
@@ -1,6 +1,15 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
-
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+
+/**
+ * Update Case Tool
+ *
+ * Updates case properties through a case-wide edit action (default: PEGA_CASE_EDIT_ACTION or
+ * pyUpdateCaseDetails):
+ * - V1: PUT /cases/{ID}
+ * - V2: the edit action's form is loaded for the eTag and its editable fields, and content
+ *   for fields that are read-only or not on the form is rejected before the action is submitted
+ */
 export class UpdateCaseTool extends BaseTool {
   /**
    * Get the category this tool belongs to
@@ -15,25 +24,31 @@ export class UpdateCaseTool extends BaseTool {
   static getDefinition() {
     return {
       name: 'update_case',
-      description: 'Update a Pega case by directly modifying case properties. V1 EXCLUSIVE - only available in Traditional DX API. V2 uses perform_case_action instead. If eTag is not provided, automatically fetches the latest eTag from the case for seamless operation. Performs case-wide or stage-wide local action (defaults to pyUpdateCaseDetails if actionID not specified).',
+      description: 'Update a Pega case by modifying case properties. Performs a case-wide or stage-wide local action (defaults to pyUpdateCaseDetails, or the PEGA_CASE_EDIT_ACTION setting, if actionID not specified). Works on both API versions: V1 uses PUT /cases/{ID}; V2 submits the action with only the content fields its form lets the user edit and reports the rejected ones. If eTag is not provided, automatically fetches the latest eTag for seamless operation.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
           caseID: {
             type: 'string',
-            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces.'
+            description: 'Case ID. Example: "MYORG-APP-WORK C-1001". Complete identifier including spaces. Defaults to the case this session worked on last.'
           },
           content: {
             type: 'object',
-            description: 'Map of case properties to update. Only valid case properties can be set. Example: {"Status": "Approved", "Priority": "High"}. Empty object is valid for action-only updates.'
+            description: 'Map of case properties to update. Only valid case properties can be set. Example: {"Status": "Approved", "Priority": "High"}. Empty object is valid for action-only updates on V1. On V2, properties that are read-only or not on the action\'s form are rejected and reported.'
           },
           actionID: {
             type: 'string',
-            description: 'Action ID to perform. Default: pyUpdateCaseDetails. Example: "ApproveCase"'
+            description: 'Action ID to perform. Default: PEGA_CASE_EDIT_ACTION, or pyUpdateCaseDetails if not configured. Example: "ApproveCase"'
           },
           eTag: {
             type: 'string',
-            description: 'Optional. Auto-fetched if omitted. For faster execution, use eTag from previous response.'
+            description: 'Optional. If omitted, the latest eTag this session has seen for the case is used, or it is auto-fetched.'
           },
           pageInstructions: {
             type: 'array',
@@ -66,9 +81,10 @@ export class UpdateCaseTool extends BaseTool {
               type: 'object'
             }
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
-        required: ['caseID', 'content']
+        required: ['content']
       }
     };
   }
@@ -77,22 +93,19 @@ export class UpdateCaseTool extends BaseTool {
    * Execute the update case operation
    */
   async execute(params) {
-    const { caseID, content, actionID, eTag, pageInstructions, attachments } = params;
+    const { content, actionID, pageInstructions, attachments } = params;
     let sessionInfo = null;
 
     try {
       // Initialize session configuration if provided
       sessionInfo = this.initializeSessionConfig(params);
 
-      // Check if V1 API
-      if (this.pegaClient.getApiVersion() !== 'v1') {
-        return {
-          error: 'update_case is only available in Traditional DX API (V1). For V2, use perform_case_action tool instead with actionID "pyUpdateCaseDetails".'
-        };
-      }
+      // Default the case and its eTag from the session context
+      const { params: resolvedParams, contextSources } = this.resolveContextParams(params, ['caseID', 'eTag']);
+      const { caseID, eTag } = resolvedParams;
 
       // Validate required parameters
-      const requiredValidation = this.validateRequiredParams(params, ['caseID', 'content']);
+      const requiredValidation = this.validateRequiredParams(resolvedParams, ['caseID', 'content']);
       if (requiredValidation) {
         return requiredValidation;
       }
@@ -107,9 +120,11 @@ export class UpdateCaseTool extends BaseTool {
           if (pageInstructions) options.pageInstructions = pageInstructions;
           if (attachments) options.attachments = attachments;
 
-          return await this.pegaClient.updateCase(caseID.trim(), options);
+          const result = await this.pegaClient.updateCase(caseID.trim(), options);
+          // formatSuccessResponse only receives data, so the update metadata travels with it
+          return result.success ? { ...result, data: { ...result.data, metadata: result.metadata } } : result;
         },
-        { caseID, actionID, eTag, hasContent: !!content, sessionInfo }
+        { caseID, actionID, eTag, hasContent: !!content, sessionInfo, contextSources }
       );
     } catch (error) {
       return {
@@ -129,7 +144,8 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
    * Override formatSuccessResponse for update case specific formatting
    */
   formatSuccessResponse(operation, data, options = {}) {
-    const { caseID, actionID, eTag, hasContent, sessionInfo } = options;
+    const { caseID, actionID, eTag, hasContent, newETag, sessionInfo, contextSources } = options;
+    const metadata = data.metadata || {};
 
     let response = `## ${operation}\n\n`;
     response += `*Operation completed at: ${new Date().toISOString()}*\n\n`;
@@ -142,18 +158,26 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       response += `- **Configuration Source**: ${sessionInfo.configSource}\n\n`;
     }
 
+    const fromContext = this.formatContextSources(options, contextSources);
+    if (fromContext) {
+      response += `${fromContext}\n`;
+    }
+
     // Display update summary
     response += '### Update Summary\n';
     response += `- **Case ID**: ${caseID}\n`;
-    response += `- **Action**: ${actionID || 'pyUpdateCaseDetails (default)'}\n`;
-    response += `- **HTTP Status**: ${data.metadata?.statusCode || 'N/A'}\n`;
-    response += `- **API Version**: ${data.metadata?.apiVersion || 'v1'}\n`;
+    response += `- **Action**: ${metadata.actionID || actionID || 'pyUpdateCaseDetails (default)'}\n`;
+    response += `- **HTTP Status**: ${metadata.statusCode || 'N/A'}\n`;
+    response += `- **API Version**: ${metadata.apiVersion || 'v1'}\n`;
 
-    if (data.metadata?.autoFetchedETag) {
+    if (metadata.autoFetchedETag) {
       response += '\n### 🔄 Automatic eTag Management\n';
       response += '- ✅ Latest eTag automatically fetched before update\n';
       response += '- No manual GET operation needed\n';
       response += '- Optimistic locking ensured\n';
+    } else if (contextSources?.includes('eTag')) {
+      response += '\n### 📌 Session eTag Used\n';
+      response += `- eTag used: \`${eTag}\` (latest eTag of this session)\n`;
     } else if (eTag) {
       response += '\n### 🔑 Manual eTag Provided\n';
       response += `- eTag used: \`${eTag}\`\n`;
@@ -161,14 +185,17 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
     }
 
     // Display new eTag for future operations
-    if (data.eTag) {
+    if (newETag) {
       response += '\n### 🔑 New eTag\n';
-      response += `- **eTag**: \`${data.eTag}\`\n`;
+      response += `- **eTag**: \`${newETag}\`\n`;
       response += '- Use this eTag for subsequent operations\n';
       response += '- Case state has been updated\n';
     }
 
-    if (hasContent) {
+    if (metadata.acceptedFields?.length > 0) {
+      response += '\n### 📝 Content Update\n';
+      response += `- ✅ Case properties updated: ${metadata.acceptedFields.join(', ')}\n`;
+    } else if (hasContent && !metadata.rejectedFields) {
       response += '\n### 📝 Content Update\n';
       response += '- ✅ Case properties updated\n';
     } else {
@@ -177,14 +204,26 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
       response += '- Action performed on case\n';
     }
 
+    if (metadata.rejectedFields?.length > 0) {
+      response += '\n### ⚠️  Rejected Fields (not updated)\n';
+      metadata.rejectedFields.forEach(rejected => {
+        response += `- **${rejected.field}**: ${rejected.reason}\n`;
+      });
+      response += '- Use get_case_action to see the fields of the action, or pass an actionID whose form includes them\n';
+    }
+
     response += '\n### ✅ Operation Status\n';
-    response += `- ${data.data?.message || 'Case updated successfully'}\n`;
+    response += `- ${data.message || 'Case updated successfully'}\n`;
     response += '- Case committed to database\n';
     response += '- Use get_case to view updated case details\n';
 
     response += '\n### 📌 V1 vs V2\n';
-    response += '- **V1**: Direct case update with PUT /cases/{ID}\n';
-    response += '- **V2**: Use perform_case_action with pyUpdateCaseDetails instead\n';
+    if (metadata.apiVersion === 'v2') {
+      response += '- **V2**: Case-wide action submitted with PATCH /cases/{ID}/actions/{actionID}\n';
+      response += '- Only fields on the action\'s form that are not read-only are submitted\n';
+    } else {
+      response += '- **V1**: Direct case update with PUT /cases/{ID}\n';
+    }
     response += '- **Auto-fetch**: Available in both V1 and V2 ✅\n';
 
     return response;
@@ -194,7 +233,7 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
    * Override formatErrorResponse for update case specific error context
    */
   formatErrorResponse(operation, error, options = {}) {
-    const { caseID, actionID, eTag } = options;
+    const { caseID, actionID, eTag, contextSources } = options;
 
     let response = `## ❌ ${operation} Failed\n\n`;
     response += `*Error occurred at: ${new Date().toISOString()}*\n\n`;
@@ -202,7 +241,7 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
     response += '### Operation Context\n';
     response += `- **Case ID**: ${caseID}\n`;
     response += `- **Action**: ${actionID || 'pyUpdateCaseDetails (default)'}\n`;
-    response += `- **eTag Used**: ${eTag || '(auto-fetch)'}\n\n`;
+    response += `- **eTag Used**: ${eTag || '(auto-fetch)'}${contextSources?.includes('eTag') ? ' (latest eTag of this session)' : ''}\n\n`;
 
     response += `### Error Details\n`;
     response += `- **Type**: ${error.type}\n`;
@@ -250,6 +289,15 @@ ${sessionInfo ? `**Session**: ${sessionInfo.sessionId} (${sessionInfo.authMode}
         response += '- Use get_case tool to confirm case exists\n';
         break;
 
+      case 'FIELDS_REJECTED':
+        response += '**No Updatable Fields**:\n';
+        (error.rejectedFields || []).forEach(rejected => {
+          response += `- **${rejected.field}**: ${rejected.reason}\n`;
+        });
+        response += `- **Editable Fields**: ${error.editableFields?.length > 0 ? error.editableFields.join(', ') : 'None'}\n`;
+        response += '- **Solution**: Update editable fields only, or pass an actionID whose form includes the fields (see get_case for available actions)\n';
+        break;
+
       case 'FORBIDDEN':
         response += '**Access Denied (403)**:\n';
         response += '- User lacks permission to update this case\n';
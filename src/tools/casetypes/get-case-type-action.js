@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetCaseTypeActionTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetCaseTypeActionTool extends BaseTool {
     return {
       name: 'get_case_type_action',
       description: 'Get detailed information about a case action, including view metadata and available actions',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -27,6 +33,7 @@ export class GetCaseTypeActionTool extends BaseTool {
             type: 'string',
             description: 'Action ID for case type action (Example: "pyUpdateCaseDetails", "pyApproval"). CRITICAL: Action IDs are CASE-SENSITIVE and have no spaces even if display names do ("Edit details" → "pyUpdateCaseDetails"). Use get_case_types to discover available case types and their supported actions.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseTypeID', 'actionID']
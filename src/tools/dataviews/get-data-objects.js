@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetDataObjectsTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetDataObjectsTool extends BaseTool {
     return {
       name: 'get_data_objects',
       description: 'Retrieve list of available data objects with metadata and HATEOAS links. Can optionally filter by data object type (data or case).',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -24,6 +30,7 @@ export class GetDataObjectsTool extends BaseTool {
             enum: ['data', 'case'],
             description: 'Filter for data object type. Returns "data" or "case" type objects.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: []
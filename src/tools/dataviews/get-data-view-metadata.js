@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetDataViewMetadataTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetDataViewMetadataTool extends BaseTool {
     return {
       name: 'get_data_view_metadata',
       description: 'Retrieve data view metadata which includes data view parameters and list of queryable fields. Supports both queryable and non-queryable data views.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -23,6 +29,7 @@ export class GetDataViewMetadataTool extends BaseTool {
             type: 'string',
             description: 'ID of the data view to retrieve metadata for. Example: "D_CaseList", "D_WorkBasket"'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['dataViewID']
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class UpdateDataRecordFullTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class UpdateDataRecordFullTool extends BaseTool {
     return {
       name: 'update_data_record_full',
       description: 'Fully update an existing data record based on conditional save plan configured for a savable Data Page. Overrides the entire data record with the provided data object.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -28,6 +34,7 @@ export class UpdateDataRecordFullTool extends BaseTool {
             description: 'Data object containing all properties to update in the data record. This will replace the entire existing record.',
             additionalProperties: true
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['dataViewID', 'data']
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class UpdateDataRecordPartialTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class UpdateDataRecordPartialTool extends BaseTool {
     return {
       name: 'update_data_record_partial',
       description: 'Partially update an existing data record based on conditional save plan configured for a savable Data Page. Only updates the provided fields, leaving other fields unchanged. Note: Not supported for PEGA System of records.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -56,6 +62,7 @@ export class UpdateDataRecordPartialTool extends BaseTool {
             },
             description: 'Optional list of page-related operations for embedded pages, page lists, or page groups. Required for setting embedded page references.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['dataViewID', 'data']
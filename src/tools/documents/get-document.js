@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetDocumentTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetDocumentTool extends BaseTool {
     return {
       name: 'get_document',
       description: 'Get contents of a document as base64 encoded string. Downloads document content based on the documentID parameter. The API validates the documentID and checks if the user has access to view the document before returning the base64 encoded content.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -23,6 +29,7 @@ export class GetDocumentTool extends BaseTool {
             type: 'string',
             description: 'Document ID to retrieve content for. This is the unique identifier that identifies the specific document in the Pega system. The document must exist and be accessible to the current user.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['documentID']
@@ -193,7 +200,7 @@ export class GetDocumentTool extends BaseTool {
     switch (error.type) {
       case 'UNAUTHORIZED':
         response += '\n**Solutions**:\n';
-        response += '- Authentication token may have expired - the system will attempt to refresh the token automatically\n';
+        response += `- ${this.getUnauthorizedGuidance()}\n`;
         response += '- Verify your credentials are correctly configured in the MCP server\n';
         response += '- Check if your OAuth2 client has the necessary permissions for document access\n';
         break;
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class RemoveCaseDocumentTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class RemoveCaseDocumentTool extends BaseTool {
     return {
       name: 'remove_case_document',
       description: 'Remove a document that is linked to a specific Pega case. This operation permanently removes the link between the document and the case. The document ID and case ID must both be valid and the user must have appropriate permissions to remove documents from the case.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -27,6 +33,7 @@ export class RemoveCaseDocumentTool extends BaseTool {
             type: 'string',
             description: 'Document ID. Unique identifier in Pega system.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'documentID']
@@ -181,7 +188,7 @@ export class RemoveCaseDocumentTool extends BaseTool {
     switch (error.type) {
       case 'UNAUTHORIZED':
         response += '\n**Solutions**:\n';
-        response += '- Authentication token may have expired - the system will attempt to refresh the token automatically\n';
+        response += `- ${this.getUnauthorizedGuidance()}\n`;
         response += '- Verify your credentials are correctly configured in the MCP server\n';
         response += '- Check if your OAuth2 client has the necessary permissions for document operations\n';
         break;
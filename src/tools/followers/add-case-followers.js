@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class AddCaseFollowersTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class AddCaseFollowersTool extends BaseTool {
     return {
       name: 'add_case_followers',
       description: 'Add multiple followers to a work object. Allows users to follow a case to receive notifications and updates about case progress.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -38,6 +44,7 @@ export class AddCaseFollowersTool extends BaseTool {
             },
             minItems: 1
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'users']
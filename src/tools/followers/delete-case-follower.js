@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class DeleteCaseFollowerTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class DeleteCaseFollowerTool extends BaseTool {
     return {
       name: 'delete_case_follower',
       description: 'Remove a follower from a case, ending their subscription to case notifications and updates. Removes the follower association between case and user.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -27,6 +33,7 @@ export class DeleteCaseFollowerTool extends BaseTool {
             type: 'string',
             description: 'User ID of the follower to remove from the case. This is the unique identifier for the user in the Pega system who will no longer follow the case.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'followerID']
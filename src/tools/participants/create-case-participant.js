@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class CreateCaseParticipantTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class CreateCaseParticipantTool extends BaseTool {
     return {
       name: 'create_case_participant',
       description: 'Create a new participant in a Pega case with specified role and participant information. If no eTag is provided, automatically fetches the latest eTag from the case for seamless operation. Adds users to case access control with appropriate permissions and role assignments.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -74,6 +81,7 @@ export class CreateCaseParticipantTool extends BaseTool {
             },
             description: 'Optional list of page-related operations for embedded pages, page lists, or page groups. Required for setting embedded page references.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'content', 'participantRoleID']
@@ -111,7 +119,7 @@ export class CreateCaseParticipantTool extends BaseTool {
 
       if (!finalETag) {
         try {
-          console.error(`Auto-fetching latest eTag for participant operation on ${caseID}...`);
+          logger.debug(`Auto-fetching latest eTag for participant operation on ${caseID}...`);
           const caseResponse = await this.pegaClient.getCase(caseID.trim());
 
           if (!caseResponse || !caseResponse.success) {
@@ -123,7 +131,7 @@ export class CreateCaseParticipantTool extends BaseTool {
 
           finalETag = caseResponse.eTag;
           autoFetchedETag = true;
-          console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
 
           if (!finalETag) {
             const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case. This may indicate a server issue.';
@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class DeleteParticipantTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class DeleteParticipantTool extends BaseTool {
     return {
       name: 'delete_participant',
       description: 'Delete a participant from a Pega case by case ID and participant ID. If no eTag is provided, automatically fetches the latest eTag from the case for seamless operation. Requires an eTag value for optimistic locking to ensure data consistency. Returns success confirmation or detailed error information.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -31,6 +38,7 @@ export class DeleteParticipantTool extends BaseTool {
             type: 'string',
             description: 'Optional. Auto-fetched if omitted. For faster execution, use eTag from previous response.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'participantID']
@@ -61,7 +69,7 @@ export class DeleteParticipantTool extends BaseTool {
     
     if (!finalETag) {
       try {
-          console.error(`Auto-fetching latest eTag for participant operation on ${caseID}...`);
+          logger.debug(`Auto-fetching latest eTag for participant operation on ${caseID}...`);
         const caseResponse = await this.pegaClient.getCase(caseID.trim());
         
         if (!caseResponse || !caseResponse.success) {
@@ -73,7 +81,7 @@ export class DeleteParticipantTool extends BaseTool {
         
         finalETag = caseResponse.eTag;
         autoFetchedETag = true;
-          console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
         
         if (!finalETag) {
           const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case. This may indicate a server issue.';
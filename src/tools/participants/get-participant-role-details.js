@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class GetParticipantRoleDetailsTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class GetParticipantRoleDetailsTool extends BaseTool {
     return {
       name: 'get_participant_role_details',
       description: 'Get detailed information about a specific participant role in a Pega case, including role configuration, permissions, and user details. Returns participant role metadata with optional UI resources.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -33,6 +39,7 @@ export class GetParticipantRoleDetailsTool extends BaseTool {
             description: 'UI resources to return. "form" returns form UI metadata in uiResources object, "none" returns no UI resources. Default: "form".',
             default: 'form'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'participantRoleID']
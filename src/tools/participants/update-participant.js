@@ -1,5 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { logger } from '../../utils/logger.js';
 
 export class UpdateParticipantTool extends BaseTool {
   /**
@@ -16,6 +17,12 @@ export class UpdateParticipantTool extends BaseTool {
     return {
       name: 'update_participant',
       description: 'Update participant details in a Pega case by case ID and participant ID. If no eTag is provided, automatically fetches the latest eTag from the case for seamless operation. Allows updating participant information such as contact details, personal information, and other properties. Requires an eTag value for optimistic locking and returns updated participant details with optional UI resources.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -91,6 +98,7 @@ export class UpdateParticipantTool extends BaseTool {
             description: 'Type of view data to return after update. "form" returns form UI metadata in uiResources object for display purposes, "none" returns no UI resources. Default: "form".',
             default: 'form'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'participantID']
@@ -140,7 +148,7 @@ export class UpdateParticipantTool extends BaseTool {
 
       if (!finalETag) {
         try {
-          console.error(`Auto-fetching latest eTag for participant operation on ${caseID}...`);
+          logger.debug(`Auto-fetching latest eTag for participant operation on ${caseID}...`);
           const caseResponse = await this.pegaClient.getCase(caseID.trim());
 
           if (!caseResponse || !caseResponse.success) {
@@ -152,7 +160,7 @@ export class UpdateParticipantTool extends BaseTool {
 
           finalETag = caseResponse.eTag;
           autoFetchedETag = true;
-          console.error(`Successfully auto-fetched eTag: ${finalETag}`);
+          logger.debug(`Successfully auto-fetched eTag: ${finalETag}`);
 
           if (!finalETag) {
             const errorMsg = 'Auto-fetch succeeded but no eTag was returned from get_case. This may indicate a server issue.';
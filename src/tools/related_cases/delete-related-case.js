@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class DeleteRelatedCaseTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class DeleteRelatedCaseTool extends BaseTool {
     return {
       name: 'delete_related_case',
       description: 'Remove related work association between two cases by deleting a specific relationship',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -27,6 +33,7 @@ export class DeleteRelatedCaseTool extends BaseTool {
             type: 'string',
             description: 'Related case ID to be removed from the primary case. Example: "ON6E5R-DIYRecipe-Work-RecipeCollection R-1009". a complete case identifier including spaces and special characters.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'related_caseID']
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class RelateCasesTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class RelateCasesTool extends BaseTool {
     return {
       name: 'relate_cases',
       description: 'Create relationships between cases by relating a set of case instances to a primary case',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -40,6 +46,7 @@ export class RelateCasesTool extends BaseTool {
             minItems: 1,
             maxItems: 50
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'cases']
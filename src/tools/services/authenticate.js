@@ -1,5 +1,11 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { authorizationCodeFlow } from '../../auth/authorization-code-flow.js';
+import { config } from '../../config.js';
+import { environmentProfiles } from '../../config/environment-profiles.js';
+import { getRequestContext } from '../../utils/request-context.js';
+
+const DEFAULT_LOGIN_WAIT_SECONDS = 60;
 
 export class AuthenticateTool extends BaseTool {
   /**
@@ -15,10 +21,38 @@ export class AuthenticateTool extends BaseTool {
   static getDefinition() {
     return {
       name: 'authenticate_pega',
-      description: 'Authenticate with Pega Infinity server using OAuth2 client credentials or direct access token. Stores the authentication token in session for use by other tools. This tool should be used before making API calls when you want to explicitly manage authentication.',
+      description: 'Authenticate with Pega Infinity server using OAuth2 (client credentials, password, JWT bearer or refresh token grant) or a direct access token. Stores the authentication token in session for use by other tools. This tool should be used before making API calls when you want to explicitly manage authentication. With loginFlow "authorization_code" the user signs in through the browser (Authorization Code + PKCE, no client secret needed): the first call returns a sign-in URL and loginId, a second call with the loginId waits for the sign-in and returns the sessionId to use in sessionCredentials of later calls.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
+          loginFlow: {
+            type: 'string',
+            enum: ['credentials', 'authorization_code'],
+            description: 'credentials (default): authenticate with the configured or session credentials. authorization_code: browser sign-in as the user; baseUrl, clientId, apiVersion and scope are taken from the environment profile, sessionCredentials or the environment variables.',
+            default: 'credentials'
+          },
+          loginId: {
+            type: 'string',
+            description: 'Authorization code flow only: loginId returned by the first call. Waits for the browser sign-in to finish and returns the sessionId.'
+          },
+          waitSeconds: {
+            type: 'number',
+            minimum: 0,
+            maximum: 300,
+            description: `Authorization code flow only: how long to wait for the sign-in when loginId is given (default: ${DEFAULT_LOGIN_WAIT_SECONDS})`
+          },
+          openBrowser: {
+            type: 'boolean',
+            description: 'Authorization code flow only: try to open the sign-in URL in the system browser (default: true)',
+            default: true
+          },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: []
@@ -30,6 +64,10 @@ export class AuthenticateTool extends BaseTool {
    * Execute the authentication operation
    */
   async execute(params) {
+    if (params.loginFlow === 'authorization_code') {
+      return await this.executeAuthorizationCodeFlow(params);
+    }
+
     let sessionInfo = null;
 
     try {
@@ -63,6 +101,140 @@ export class AuthenticateTool extends BaseTool {
     }
   }
 
+  /**
+   * Start or complete an Authorization Code + PKCE browser sign-in
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async executeAuthorizationCodeFlow(params) {
+    try {
+      if (params.loginId) {
+        const waitSeconds = params.waitSeconds ?? DEFAULT_LOGIN_WAIT_SECONDS;
+        const result = await authorizationCodeFlow.wait(params.loginId, waitSeconds * 1000);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: this.formatLoginResult(params.loginId, result)
+            }
+          ],
+          ...(result.status === 'failed' || result.status === 'unknown' ? { isError: true } : {})
+        };
+      }
+
+      const credentials = this.getLoginCredentials(params.sessionCredentials, params.environment);
+      // The callback runs outside this call, so the connection is recorded on the login
+      const login = await authorizationCodeFlow.start({
+        ...credentials,
+        openBrowser: params.openBrowser !== false,
+        owner: getRequestContext().sessionId
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatLoginStarted(login)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `## Error: Authenticate Pega\n\n**Browser Sign-in Failed**: ${error.message}\n\n*Error occurred at: ${new Date().toISOString()}*`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Resolve the OAuth client for a browser sign-in from an environment profile, sessionCredentials
+   * or the environment variables
+   * @param {Object|string} [sessionCredentials] - Session credentials (baseUrl, clientId, ...)
+   * @param {string} [environment] - Environment profile name
+   * @returns {Object} { baseUrl, clientId, clientSecret, apiVersion, scope }
+   */
+  getLoginCredentials(sessionCredentials, environment) {
+    const credentials = environment
+      ? environmentProfiles.resolveCredentials(environment)
+      : typeof sessionCredentials === 'string'
+        ? JSON.parse(sessionCredentials)
+        : (sessionCredentials || {});
+
+    if (credentials.baseUrl || credentials.clientId) {
+      return {
+        baseUrl: credentials.baseUrl,
+        clientId: credentials.clientId,
+        clientSecret: credentials.clientSecret,
+        apiVersion: credentials.apiVersion,
+        scope: credentials.scope
+      };
+    }
+
+    const { pega } = config;
+    return {
+      baseUrl: pega.baseUrl,
+      clientId: pega.clientId,
+      clientSecret: pega.clientSecret || undefined,
+      apiVersion: pega.apiVersion,
+      scope: pega.scope || undefined
+    };
+  }
+
+  /**
+   * Format the response for a started browser sign-in
+   * @param {Object} login - Result of authorizationCodeFlow.start()
+   * @returns {string} Formatted response
+   */
+  formatLoginStarted(login) {
+    let response = `## Authenticate Pega - Browser Sign-in\n\n`;
+    response += `🌐 **Sign-in Started**\n\n`;
+    response += `Ask the user to sign in to Pega in their browser${login.browserOpened ? ' (a browser window was opened)' : ''}:\n\n`;
+    response += `${login.authorizationUrl}\n\n`;
+    response += `### Login Details\n`;
+    response += `- **Login ID**: ${login.loginId}\n`;
+    response += `- **Redirect URI**: ${login.redirectUri}\n`;
+    response += `- **Expires At**: ${login.expiresAt}\n\n`;
+    response += `### Next Steps\n`;
+    response += `After the user has signed in, call \`authenticate_pega\` with \`loginFlow: "authorization_code"\` and \`loginId: "${login.loginId}"\` to receive the sessionId.\n`;
+    return response;
+  }
+
+  /**
+   * Format the result of waiting for a browser sign-in
+   * @param {string} loginId - Login ID
+   * @param {Object} result - Result of authorizationCodeFlow.wait()
+   * @returns {string} Formatted response
+   */
+  formatLoginResult(loginId, result) {
+    let response = `## Authenticate Pega - Browser Sign-in\n\n`;
+
+    switch (result.status) {
+      case 'completed':
+        response += `✅ **Signed In**\n\n`;
+        response += `- **Session ID**: ${result.sessionId}\n`;
+        response += `- **Token Refresh**: ${result.refreshable ? 'Automatic (refresh token)' : 'Not available - sign in again when the access token expires'}\n\n`;
+        response += `### Next Steps\n`;
+        response += `Pass \`sessionCredentials: { "sessionId": "${result.sessionId}" }\` to later tool calls so they run as the signed-in user.\n`;
+        break;
+      case 'pending':
+        response += `⏳ **Waiting for Sign-in**\n\n`;
+        response += `The user has not completed the sign-in yet (login expires at ${result.expiresAt}).\n`;
+        response += `Call \`authenticate_pega\` again with \`loginId: "${loginId}"\` once the user has signed in.\n`;
+        break;
+      default:
+        response += `❌ **Sign-in Failed**\n\n`;
+        response += `${result.error}\n\n`;
+        response += `Start a new sign-in with \`loginFlow: "authorization_code"\`.\n`;
+    }
+
+    return response;
+  }
+
   /**
    * Authenticate and store token in OAuth2Client
    * @returns {Promise<Object>} Authentication result
@@ -77,6 +249,9 @@ export class AuthenticateTool extends BaseTool {
       // Attempt to get or fetch access token
       const token = await oauth2Client.getAccessToken();
 
+      // With apiVersion "auto", probe the instance now so the session starts on the right API
+      const apiVersion = await this.pegaClient.resolveApiVersion();
+
       const duration = Date.now() - startTime;
 
       // Get token info (without exposing actual token)
@@ -94,6 +269,7 @@ export class AuthenticateTool extends BaseTool {
           duration: `${duration}ms`,
           sessionId: oauth2Client.cacheKey,
           authMode: oauth2Client.authMode,
+          grantType: tokenInfo.grantType,
           tokenInfo: {
             type: 'Bearer',
             length: token ? token.length : 0,
@@ -105,7 +281,8 @@ export class AuthenticateTool extends BaseTool {
           },
           configuration: {
             baseUrl: this.pegaClient.client.config.pega.baseUrl,
-            apiVersion: this.pegaClient.getApiVersion(),
+            apiVersion,
+            apiVersionDetection: this.pegaClient.getApiVersionDetection(),
             tokenUrl: oauth2Client.authMode === 'oauth'
               ? this.pegaClient.client.config.pega.tokenUrl
               : 'Direct Token',
@@ -159,13 +336,20 @@ export class AuthenticateTool extends BaseTool {
     response += `### Session Information\n`;
     response += `- **Session ID**: ${data.sessionId}\n`;
     response += `- **Authentication Mode**: ${data.authMode.toUpperCase()}\n`;
+    if (data.grantType) {
+      response += `- **Grant Type**: ${data.grantType}\n`;
+    }
     response += `- **Configuration Source**: ${data.configuration.configSource}\n`;
     response += '\n';
 
     // Configuration Section
     response += `### Configuration\n`;
     response += `- **Base URL**: ${data.configuration.baseUrl}\n`;
-    response += `- **API Version**: ${data.configuration.apiVersion}\n`;
+    response += `- **API Version**: ${data.configuration.apiVersion}`;
+    if (data.configuration.apiVersionDetection) {
+      response += ` (auto-detected: ${data.configuration.apiVersionDetection.reason})`;
+    }
+    response += `\n`;
     response += `- **Token URL**: ${data.configuration.tokenUrl}\n`;
     response += '\n';
 
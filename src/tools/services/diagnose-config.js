@@ -1,4 +1,6 @@
 import { BaseTool } from '../../registry/base-tool.js';
+import { getMissingGrantFields } from '../../auth/grant-types.js';
+import { environmentProfiles } from '../../config/environment-profiles.js';
 
 export class DiagnoseConfigTool extends BaseTool {
   /**
@@ -14,7 +16,13 @@ export class DiagnoseConfigTool extends BaseTool {
   static getDefinition() {
     return {
       name: 'diagnose_pega_config',
-      description: 'Diagnose Pega configuration and environment variables to troubleshoot connection issues. Shows what configuration the MCP server is using (without exposing secrets).',
+      description: 'Diagnose Pega configuration and environment variables to troubleshoot connection issues. Shows what configuration the MCP server is using and checks every environment profile (without exposing secrets).',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {},
@@ -47,6 +55,8 @@ export class DiagnoseConfigTool extends BaseTool {
       response += `- **PEGA_API_VERSION**: ${process.env.PEGA_API_VERSION || '❌ NOT SET (defaults to v2)'}\n`;
       response += `- **PEGA_CLIENT_ID**: ${maskValue(process.env.PEGA_CLIENT_ID)}\n`;
       response += `- **PEGA_CLIENT_SECRET**: ${maskValue(process.env.PEGA_CLIENT_SECRET)}\n`;
+      response += `- **PEGA_GRANT_TYPE**: ${process.env.PEGA_GRANT_TYPE || 'NOT SET (defaults to client_credentials)'}\n`;
+      response += `- **PEGA_SCOPE**: ${process.env.PEGA_SCOPE || 'NOT SET'}\n`;
       response += `\n`;
 
       // Loaded Configuration
@@ -55,6 +65,11 @@ export class DiagnoseConfigTool extends BaseTool {
       response += `- **API Version**: ${config.apiVersion}\n`;
       response += `- **Client ID**: ${maskValue(config.clientId)}\n`;
       response += `- **Client Secret**: ${maskValue(config.clientSecret)}\n`;
+      response += `- **Grant Type**: ${oauth2Client.getGrantType()}\n`;
+      if (config.username) {
+        response += `- **Operator**: ${config.username}\n`;
+      }
+      response += `- **Scope**: ${config.scope || 'NOT SET'}\n`;
       response += `- **Token URL**: ${config.tokenUrl || '❌ NOT SET'}\n`;
       response += `- **API Base URL**: ${config.apiBaseUrl || '❌ NOT SET'}\n`;
       response += `\n`;
@@ -74,6 +89,8 @@ export class DiagnoseConfigTool extends BaseTool {
 
       // Validation Checks
       response += `### Validation Checks\n`;
+      const grantType = oauth2Client.getGrantType();
+      const missingGrantFields = getMissingGrantFields(grantType, config);
       const checks = [
         {
           name: 'Base URL set',
@@ -90,6 +107,13 @@ export class DiagnoseConfigTool extends BaseTool {
           passed: !!config.clientSecret,
           message: config.clientSecret ? '✅ Pass' : '❌ Fail - PEGA_CLIENT_SECRET not set'
         },
+        {
+          name: 'Grant credentials set',
+          passed: missingGrantFields.length === 0,
+          message: missingGrantFields.length === 0
+            ? '✅ Pass'
+            : `❌ Fail - ${grantType} grant requires ${missingGrantFields.join(', ')}`
+        },
         {
           name: 'Base URL format',
           passed: config.baseUrl && config.baseUrl.startsWith('http'),
@@ -126,6 +150,8 @@ export class DiagnoseConfigTool extends BaseTool {
         response += `- Set PEGA_BASE_URL, PEGA_CLIENT_ID, PEGA_CLIENT_SECRET\n`;
       }
 
+      response += `\n${this.formatEnvironmentProfiles()}`;
+
       return {
         content: [
           {
@@ -140,10 +166,53 @@ export class DiagnoseConfigTool extends BaseTool {
         content: [
           {
             type: 'text',
-            text: `## Error: Diagnose Configuration\n\n**Error**: ${error.message}\n\n*Error occurred at: ${new Date().toISOString()}*`
+            text: `## Error: Diagnose Configuration\n\n**Error**: ${error.message}\n\n${this.formatEnvironmentProfiles()}\n*Error occurred at: ${new Date().toISOString()}*`
           }
         ]
       };
     }
   }
+
+  /**
+   * Format the environment profile report
+   * Secret references are checked for presence only; their values are never shown.
+   * @returns {string} Formatted section
+   */
+  formatEnvironmentProfiles() {
+    let section = `### Environment Profiles\n`;
+
+    let report;
+    try {
+      report = environmentProfiles.describe();
+    } catch (error) {
+      return section + `- ❌ Could not check environment profiles: ${error.message}\n`;
+    }
+
+    section += `- **PEGA_ENVIRONMENTS_FILE**: ${report.path}${process.env.PEGA_ENVIRONMENTS_FILE ? '' : ' (default)'}\n`;
+
+    if (!report.exists) {
+      section += `- **Status**: Not configured (file not found). Tools use environment variables or sessionCredentials.\n`;
+      return section;
+    }
+
+    if (report.error) {
+      section += `- **Status**: ❌ ${report.error}\n`;
+      return section;
+    }
+
+    section += `- **Environments**: ${report.environments.length}\n\n`;
+    for (const profile of report.environments) {
+      const status = profile.problems.length === 0 ? '✅ Ready' : '❌ Issues';
+      section += `#### ${profile.name} - ${status}\n`;
+      section += `- **Base URL**: ${profile.baseUrl || '❌ NOT SET'}\n`;
+      section += `- **API Version**: ${profile.apiVersion}\n`;
+      section += `- **Auth**: ${profile.authMode === 'token' ? 'Direct access token' : `OAuth (${profile.grantType})`}\n`;
+      for (const problem of profile.problems) {
+        section += `- ❌ ${problem}\n`;
+      }
+      section += `\n`;
+    }
+
+    return section;
+  }
 }
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class PingServiceTool extends BaseTool {
   /**
@@ -16,9 +16,16 @@ export class PingServiceTool extends BaseTool {
     return {
       name: 'ping_pega_service',
       description: 'Test connectivity and system availability of Pega Infinity server using existing authentication. Makes a lightweight API call to verify the server is responding. Use authenticate_pega tool first if you need to establish authentication.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: []
@@ -187,10 +194,11 @@ export class PingServiceTool extends BaseTool {
         configuration: {
           baseUrl: this.pegaClient.client.config.pega.baseUrl,
           apiVersion: this.pegaClient.client.config.pega.apiVersion,
-          apiBaseUrl: this.pegaClient.client.config.pega.apiBaseUrl,
+          apiBaseUrl: this.pegaClient.client.getApiBaseUrl(),
           authMode: oauth2Client.authMode,
           configSource: tokenInfo.configSource
         },
+        apiVersionDetection: this.pegaClient.getApiVersionDetection(),
         tests
       };
 
@@ -260,13 +268,19 @@ export class PingServiceTool extends BaseTool {
     response += `### Configuration\n`;
     response += `- **Base URL**: ${data.configuration.baseUrl}\n`;
     response += `- **API Base URL**: ${data.configuration.apiBaseUrl}\n`;
-    if (data.configuration.apiVersion) {
+    if (data.configuration.apiVersion === 'auto') {
+      response += `- **API Version**: auto (using ${data.apiVersion.toUpperCase()})\n`;
+    } else if (data.configuration.apiVersion) {
       response += `- **API Version**: ${data.configuration.apiVersion}\n`;
     }
     response += `- **Authentication Mode**: ${data.configuration.authMode.toUpperCase()}\n`;
     response += `- **Configuration Source**: ${data.configuration.configSource}\n`;
     response += '\n';
 
+    if (data.apiVersionDetection) {
+      response += this.formatApiVersionDetection(data.apiVersionDetection);
+    }
+
     // Test Results Section
     response += `### Test Results\n`;
     for (const test of data.tests) {
@@ -319,4 +333,35 @@ export class PingServiceTool extends BaseTool {
 
     return response;
   }
+
+  /**
+   * Format the API version detection section (PEGA_API_VERSION=auto)
+   * @param {Object} detection - Result of ApiVersionDetector.detect()
+   * @returns {string} Formatted section
+   */
+  formatApiVersionDetection(detection) {
+    const icons = {
+      available: '✅',
+      forbidden: '🔒',
+      not_found: '❌',
+      unauthorized: '⚠️',
+      error: '⚠️'
+    };
+    const names = {
+      v2: 'Constellation DX API (V2)',
+      v1: 'Traditional DX API (V1)'
+    };
+
+    let section = `### API Version Detection\n`;
+    section += `- **Selected**: ${detection.apiVersion.toUpperCase()} - ${detection.reason}\n`;
+    section += `- **Detected At**: ${detection.detectedAt}\n`;
+    for (const [apiVersion, api] of Object.entries(detection.apis)) {
+      section += `- **${names[apiVersion]}**: ${icons[api.status] || '⚠️'} ${api.message}${api.httpStatus ? ` (HTTP ${api.httpStatus})` : ''}\n`;
+    }
+    if (!detection.conclusive) {
+      section += `- **Note**: Detection was inconclusive and is retried on a later request\n`;
+    }
+    section += '\n';
+    return section;
+  }
 }
@@ -0,0 +1,133 @@
+import { BaseTool } from '../../registry/base-tool.js';
+import { OAuth2Client } from '../../auth/oauth2-client.js';
+import { getSessionConfig } from '../../config/session-config.js';
+import { sessionManager } from '../../session/session-manager.js';
+import { maskBaseUrl } from '../../utils/session-params.js';
+
+export class EndSessionTool extends BaseTool {
+  /**
+   * Get the category this tool belongs to
+   */
+  static getCategory() {
+    return 'sessions';
+  }
+
+  /**
+   * Get tool definition for MCP protocol
+   */
+  static getDefinition() {
+    return {
+      name: 'end_session',
+      description: 'End an authentication session of this MCP server (administration). Revokes the session\'s OAuth refresh and access tokens at the Pega revocation endpoint when the server supports it, then deletes the session and its cached tokens. Tool calls using the session ID fail afterwards. Use list_sessions to find session IDs.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: {
+            type: 'string',
+            description: 'ID of the session to end, as shown by list_sessions (e.g. "session_1a2b...")'
+          },
+          revokeTokens: {
+            type: 'boolean',
+            description: 'Revoke the session\'s OAuth tokens at Pega before ending the session (default: true)',
+            default: true
+          }
+        },
+        required: ['sessionId']
+      }
+    };
+  }
+
+  /**
+   * Execute the end session operation
+   */
+  async execute(params) {
+    const { sessionId, revokeTokens = true } = params;
+
+    try {
+      const session = sessionManager.getSession(sessionId);
+      if (!session) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `## Error: End Session\n\n**Session Not Found**: ${sessionId} does not exist or has already expired.\n\nUse \`list_sessions\` to see the active sessions.\n\n*Error occurred at: ${new Date().toISOString()}*`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      // Revocation failures are reported, but never keep the session alive
+      const revocation = revokeTokens
+        ? await new OAuth2Client(getSessionConfig(sessionId)).revokeTokens()
+        : null;
+
+      sessionManager.deleteSession(sessionId);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatEndSessionResponse(session, revocation)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `## Error: End Session\n\n**Unexpected Error**: ${error.message}\n\n**Session**: ${sessionId}\n\n*Error occurred at: ${new Date().toISOString()}*`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Format the end session response
+   * @param {Object} session - Ended session
+   * @param {Object|null} revocation - Result of OAuth2Client.revokeTokens(), null when skipped by request
+   * @returns {string} Formatted response
+   */
+  formatEndSessionResponse(session, revocation) {
+    let response = `## Session Ended\n\n`;
+    response += `✅ **${session.sessionId}** has been deleted together with its cached tokens.\n\n`;
+    response += `- **Base URL**: ${maskBaseUrl(session.credentials.baseUrl)}\n`;
+    response += `- **Auth Mode**: ${session.authMode}\n`;
+    response += `- **Token Revocation**: ${this.formatRevocation(revocation)}\n`;
+    response += `\n*Ended at: ${new Date().toISOString()}*`;
+    return response;
+  }
+
+  /**
+   * Describe the token revocation outcome
+   * @param {Object|null} revocation - Result of OAuth2Client.revokeTokens()
+   * @returns {string} Description
+   */
+  formatRevocation(revocation) {
+    if (!revocation) {
+      return 'Not requested';
+    }
+
+    switch (revocation.status) {
+      case 'revoked':
+        return `Revoked (${revocation.revoked.join(', ')})`;
+      case 'no_tokens':
+        return 'No cached tokens to revoke';
+      case 'unsupported':
+        return 'Not supported by the Pega server; tokens stay valid until they expire';
+      case 'skipped':
+        return `Skipped - ${revocation.error}; the access token stays valid until it expires`;
+      default:
+        return `⚠️ Failed${revocation.revoked.length > 0 ? ` after revoking ${revocation.revoked.join(', ')}` : ''} - ${revocation.error}`;
+    }
+  }
+}
@@ -0,0 +1,98 @@
+import { BaseTool } from '../../registry/base-tool.js';
+import { sessionManager } from '../../session/session-manager.js';
+
+const MAX_TTL_MINUTES = 24 * 60;
+
+export class ExtendSessionTool extends BaseTool {
+  /**
+   * Get the category this tool belongs to
+   */
+  static getCategory() {
+    return 'sessions';
+  }
+
+  /**
+   * Get tool definition for MCP protocol
+   */
+  static getDefinition() {
+    return {
+      name: 'extend_session',
+      description: 'Extend the lifetime of an authentication session of this MCP server (administration). The session then expires the given number of minutes from now instead of at its current expiry. Sessions created from a direct access token still end when that token expires. Use list_sessions to find session IDs.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sessionId: {
+            type: 'string',
+            description: 'ID of the session to extend, as shown by list_sessions (e.g. "session_1a2b...")'
+          },
+          ttlMinutes: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_TTL_MINUTES,
+            description: `New lifetime in minutes, counted from now (default: the session default of ${Math.round(sessionManager.defaultTTL / 60000)} minutes)`
+          }
+        },
+        required: ['sessionId']
+      }
+    };
+  }
+
+  /**
+   * Execute the extend session operation
+   */
+  async execute(params) {
+    const { sessionId, ttlMinutes } = params;
+
+    try {
+      const ttl = ttlMinutes ? ttlMinutes * 60 * 1000 : sessionManager.defaultTTL;
+      const expiresAt = sessionManager.extendSession(sessionId, ttl);
+
+      if (!expiresAt) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `## Error: Extend Session\n\n**Session Not Found**: ${sessionId} does not exist or has already expired.\n\nUse \`list_sessions\` to see the active sessions.\n\n*Error occurred at: ${new Date().toISOString()}*`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      const session = sessionManager.getSession(sessionId);
+      const tokenExpiry = session?.authMode === 'token' ? session.credentials.tokenExpiry : null;
+
+      let response = `## Session Extended\n\n`;
+      response += `✅ **${sessionId}** now expires at ${new Date(expiresAt).toISOString()} (in ${Math.round(ttl / 60000)} minutes).\n`;
+      if (tokenExpiry && tokenExpiry < expiresAt) {
+        response += `\n⚠️ The session uses a direct access token that expires at ${new Date(tokenExpiry).toISOString()}; the session ends then.\n`;
+      }
+      response += `\n*Extended at: ${new Date().toISOString()}*`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `## Error: Extend Session\n\n**Unexpected Error**: ${error.message}\n\n**Session**: ${sessionId}\n\n*Error occurred at: ${new Date().toISOString()}*`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import { BaseTool } from '../../registry/base-tool.js';
+import { sessionManager } from '../../session/session-manager.js';
+import { maskBaseUrl } from '../../utils/session-params.js';
+
+export class ListSessionsTool extends BaseTool {
+  /**
+   * Get the category this tool belongs to
+   */
+  static getCategory() {
+    return 'sessions';
+  }
+
+  /**
+   * Get tool definition for MCP protocol
+   */
+  static getDefinition() {
+    return {
+      name: 'list_sessions',
+      description: 'List the active authentication sessions of this MCP server (administration). Shows each session ID with a masked Pega base URL, authentication mode, age, last access and remaining lifetime. Use end_session or extend_session with a session ID from this list. No credentials or tokens are returned.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    };
+  }
+
+  /**
+   * Execute the list sessions operation
+   */
+  async execute() {
+    try {
+      const sessions = sessionManager.listSessions();
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatSessionList(sessions)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `## Error: List Sessions\n\n**Unexpected Error**: ${error.message}\n\n*Error occurred at: ${new Date().toISOString()}*`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Format the session list
+   * @param {Array<Object>} sessions - Sessions from sessionManager.listSessions()
+   * @returns {string} Formatted response
+   */
+  formatSessionList(sessions) {
+    const now = Date.now();
+    const oauthCount = sessions.filter(s => s.authMode === 'oauth').length;
+
+    let response = `## Sessions\n\n`;
+    response += `**Active Sessions**: ${sessions.length} (${oauthCount} OAuth, ${sessions.length - oauthCount} token)\n\n`;
+
+    if (sessions.length === 0) {
+      response += `No active sessions.\n`;
+      return response;
+    }
+
+    response += `| Session ID | Base URL | Auth Mode | Age | Last Access | Expires In |\n`;
+    response += `|------------|----------|-----------|-----|-------------|------------|\n`;
+    for (const session of sessions) {
+      const authMode = session.authMode === 'oauth'
+        ? `oauth (${session.credentials.grantType || 'client_credentials'})`
+        : 'token';
+      const expiresAt = session.authMode === 'token' && session.credentials.tokenExpiry
+        ? Math.min(session.expiresAt, session.credentials.tokenExpiry)
+        : session.expiresAt;
+
+      response += `| ${session.sessionId} | ${maskBaseUrl(session.credentials.baseUrl)} | ${authMode} | ${this.formatDuration(now - session.createdAt)} | ${this.formatDuration(now - session.lastAccessed)} ago | ${this.formatDuration(expiresAt - now)} |\n`;
+    }
+
+    response += `\n*Listed at: ${new Date(now).toISOString()}*`;
+    return response;
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Duration such as "1h 5m" or "42s"
+   */
+  formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) {
+      return `${seconds}s`;
+    }
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+      return `${minutes}m`;
+    }
+
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+}
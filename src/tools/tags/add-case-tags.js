@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class AddCaseTagsTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class AddCaseTagsTool extends BaseTool {
     return {
       name: 'add_case_tags',
       description: 'Add multiple tags to a case',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -40,6 +46,7 @@ export class AddCaseTagsTool extends BaseTool {
             minItems: 1,
             maxItems: 50
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'tags']
@@ -1,5 +1,5 @@
 import { BaseTool } from '../../registry/base-tool.js';
-import { getSessionCredentialsSchema } from '../../utils/tool-schema.js';
+import { getEnvironmentSchema, getSessionCredentialsSchema } from '../../utils/tool-schema.js';
 
 export class DeleteCaseTagTool extends BaseTool {
   /**
@@ -16,6 +16,12 @@ export class DeleteCaseTagTool extends BaseTool {
     return {
       name: 'delete_case_tag', 
       description: 'Delete a specific tag from a case by case ID and tag ID',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -27,6 +33,7 @@ export class DeleteCaseTagTool extends BaseTool {
             type: 'string',
             description: 'Tag ID to be deleted from the case. This is the unique identifier of the specific tag to remove.'
           },
+          environment: getEnvironmentSchema(),
           sessionCredentials: getSessionCredentialsSchema()
         },
         required: ['caseID', 'tagID']
@@ -0,0 +1,247 @@
+import http from 'http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { sessionManager } from '../session/session-manager.js';
+import { sessionContextStore } from '../session/context-store.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Streamable HTTP transport host
+ *
+ * Runs a long-lived HTTP endpoint that several MCP clients can connect to at once.
+ * Every client gets its own MCP session (and its own Server instance); the MCP session ID
+ * doubles as the SessionManager session ID, so Pega credentials supplied once through
+ * sessionCredentials stay bound to that connection for all later tool calls.
+ */
+export class StreamableHttpHost {
+  /**
+   * @param {Function} createServer - Factory returning a new, unconnected MCP Server
+   * @param {Object} options - HTTP options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Bind address
+   * @param {string} options.path - Endpoint path (e.g. /mcp)
+   */
+  constructor(createServer, options) {
+    this.createServer = createServer;
+    this.port = options.port;
+    this.host = options.host;
+    this.path = options.path;
+    this.transports = new Map();
+    this.httpServer = null;
+  }
+
+  /**
+   * Start listening for HTTP connections
+   * @returns {Promise<Object>} Actual listen address { host, port, path }
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error('❌ HTTP transport error:', error);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = this.httpServer.address();
+    return { host: address.address, port: address.port, path: this.path };
+  }
+
+  /**
+   * Route an HTTP request to the MCP session it belongs to
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this.path) {
+      return this.sendJsonRpcError(res, 404, -32000, `Not found. MCP endpoint is ${this.path}`);
+    }
+
+    let body;
+    if (req.method === 'POST') {
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        return this.sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+      }
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? this.transports.get(sessionId) : null;
+
+    if (!transport) {
+      if (sessionId) {
+        return this.sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+      }
+
+      const isInitialize = Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+      if (req.method !== 'POST' || !isInitialize) {
+        return this.sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      }
+
+      transport = await this.createTransport();
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Create a transport and MCP server for a new client connection
+   * @returns {Promise<StreamableHTTPServerTransport>} Connected transport
+   */
+  async createTransport() {
+    const server = this.createServer();
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => sessionManager.generateSessionId(),
+      onsessioninitialized: (sessionId) => {
+        this.transports.set(sessionId, transport);
+        logger.info(`🔌 HTTP session opened: ${sessionId} (${this.transports.size} active)`);
+      }
+    });
+
+    transport.onclose = () => {
+      const { sessionId } = transport;
+      if (sessionId && this.transports.delete(sessionId)) {
+        sessionManager.deleteSession(sessionId);
+        sessionContextStore.clear(sessionId);
+        logger.info(`🔌 HTTP session closed: ${sessionId} (${this.transports.size} active)`);
+      }
+    };
+
+    await server.connect(transport);
+    return transport;
+  }
+
+  /**
+   * Send a JSON-RPC error without involving a transport
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {number} status - HTTP status code
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   */
+  sendJsonRpcError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  /**
+   * Close every open session and stop listening
+   */
+  async close() {
+    for (const transport of this.transports.values()) {
+      await transport.close();
+    }
+    this.transports.clear();
+
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+}
+
+/**
+ * Bind tool arguments to the Pega session of the HTTP connection they arrived on
+ *
+ * - No sessionCredentials: reuse the connection's session if credentials were stored earlier
+ * - Full credentials without sessionId: store them under the connection's session ID
+ * - Explicit sessionId: allowed for the connection's own session and sessions created on the
+ *   connection (e.g. by authenticate_pega); another connection's session is rejected, as the
+ *   transport itself does not authenticate clients
+ * - environment, or loginFlow "authorization_code": left untouched (the environment profile has
+ *   its own session; a browser sign-in creates its session when the user has signed in)
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [transportSessionId] - MCP session ID (undefined for stdio)
+ * @returns {Object} { args } with sessionCredentials bound to the connection, or { error } with
+ *   the tool result to return when the credentials are rejected
+ */
+export function bindTransportSession(args = {}, transportSessionId) {
+  if (!transportSessionId || args.environment || args.loginFlow === 'authorization_code') {
+    return { args };
+  }
+
+  let credentials = args.sessionCredentials;
+  if (typeof credentials === 'string') {
+    try {
+      credentials = JSON.parse(credentials);
+    } catch (error) {
+      // Leave malformed credentials for the tool to report
+      return { args };
+    }
+  }
+
+  if (!credentials) {
+    if (sessionManager.getSession(transportSessionId)) {
+      return { args: { ...args, sessionCredentials: { sessionId: transportSessionId } } };
+    }
+    return { args };
+  }
+
+  if (credentials.sessionId) {
+    const session = sessionManager.getSession(credentials.sessionId);
+    if (session && credentials.sessionId !== transportSessionId && session.owner !== transportSessionId) {
+      logger.warn(`⚠️ Rejected session ${credentials.sessionId}: it belongs to another HTTP connection`);
+      return { error: formatBindingError(`Session ${credentials.sessionId} belongs to another connection. Use the credentials or sessions of this connection.`) };
+    }
+    return { args };
+  }
+
+  if (!credentials.baseUrl) {
+    return { args };
+  }
+
+  if (!sessionManager.getSession(transportSessionId)) {
+    try {
+      sessionManager.createSession(credentials, undefined, transportSessionId, transportSessionId);
+    } catch (error) {
+      logger.warn(`⚠️ Rejected sessionCredentials of HTTP connection ${transportSessionId}: ${error.message}`);
+      return { error: formatBindingError(`Invalid sessionCredentials: ${error.message}`) };
+    }
+  }
+
+  return { args: { ...args, sessionCredentials: { ...credentials, sessionId: transportSessionId } } };
+}
+
+/**
+ * Build the tool result for sessionCredentials that cannot be bound to the connection
+ * @param {string} message - Error message
+ * @returns {Object} MCP tool result flagged with isError
+ */
+function formatBindingError(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `## Session Configuration Error\n\n**Error**: ${message}\n\n*Error occurred at: ${new Date().toISOString()}*`
+      }
+    ],
+    isError: true
+  };
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Promise<Object|undefined>} Parsed body, undefined when empty
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : undefined;
+}
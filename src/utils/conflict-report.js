@@ -0,0 +1,59 @@
+/**
+ * Conflict Report Formatting
+ *
+ * Markdown for the `merge` conflict strategy of perform_case_action and
+ * perform_assignment_action (see api/conflict-resolver.js).
+ */
+
+/**
+ * Format a property value for a report table
+ * @param {*} value - Property value
+ * @returns {string} Display value
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return '_(empty)_';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `\`${text.length > 60 ? `${text.slice(0, 57)}...` : text}\``;
+}
+
+/**
+ * Format the result of a merged resubmission
+ * @param {Object} resolution - conflictResolution of the action result
+ * @returns {string} Markdown section
+ */
+export function formatConflictResolution(resolution) {
+  let output = '\n### 🔀 eTag Conflict Resolved\n';
+  output += `- The case was updated by someone else after eTag \`${resolution.originalETag}\`\n`;
+  output += `- None of your changes overlapped, so the action was resubmitted with eTag \`${resolution.mergedETag}\`\n`;
+  if (resolution.submittedFields?.length > 0) {
+    output += `- **Your Fields**: ${resolution.submittedFields.join(', ')}\n`;
+  }
+  if (resolution.changedByOthers?.length > 0) {
+    output += `- **Changed by the Other Update (kept)**: ${resolution.changedByOthers.join(', ')}\n`;
+  }
+  return output;
+}
+
+/**
+ * Format a MERGE_CONFLICT error
+ * @param {Object} error - MERGE_CONFLICT error
+ * @returns {string} Markdown section
+ */
+export function formatMergeConflict(error) {
+  let output = '**Overlapping Changes**:\n';
+  output += `- Your eTag \`${error.originalETag}\` is stale; the current eTag is \`${error.currentETag}\`\n`;
+
+  if (error.conflicts?.length > 0) {
+    output += '\n| Field | When You Read It | Now | You Submitted |\n';
+    output += '|-------|------------------|-----|---------------|\n';
+    error.conflicts.forEach(conflict => {
+      output += `| ${conflict.field} | ${formatValue(conflict.original)} | ${formatValue(conflict.current)} | ${formatValue(conflict.submitted)} |\n`;
+    });
+    output += '\n';
+  }
+
+  output += '- **Solution**: Decide which values to keep, then resubmit with the current eTag\n';
+  return output;
+}
@@ -356,12 +356,14 @@ export function extractFieldMetadata(uiResources) {
 /**
  * Extract fields only from the current view hierarchy (starting from root)
  * This ensures we only return fields that are actually editable in the current step
+ * Fields the view only displays (readOnly or DISPLAY_ONLY everywhere) are flagged with readOnly.
  * @param {Object} uiResources - UI resources from API response
  * @returns {Array} Array of field objects for the current view only
  */
 export function extractFieldsForCurrentView(uiResources) {
   const fields = [];
   const fieldNamesInView = new Set();
+  const editableFieldNames = new Set();
 
   if (!uiResources?.root || !uiResources?.resources?.views) {
     return fields;
@@ -391,6 +393,10 @@ export function extractFieldsForCurrentView(uiResources) {
         const fieldName = extractFieldNameFromRef(child.config.value);
         if (fieldName) {
           fieldNamesInView.add(fieldName);
+          // A field is editable when at least one occurrence in the view is not read-only
+          if (child.config.readOnly !== true && child.config.readOnly !== 'true' && child.config.displayMode !== 'DISPLAY_ONLY') {
+            editableFieldNames.add(fieldName);
+          }
         }
       }
 
@@ -446,6 +452,10 @@ export function extractFieldsForCurrentView(uiResources) {
       displayAs: fieldDef.displayAs || 'pxTextInput'
     };
 
+    if (!editableFieldNames.has(fieldName)) {
+      fieldInfo.readOnly = true;
+    }
+
     // Extract dropdown options from datasource.records (PromptList)
     if (fieldDef.datasource) {
       const ds = fieldDef.datasource;
@@ -0,0 +1,216 @@
+import util from 'util';
+
+/**
+ * Central server logger
+ *
+ * All server logs go through this logger. It writes to stderr (stdout carries the stdio MCP
+ * transport) and masks credentials before anything is written:
+ * - values of secret keys (clientSecret, password, accessToken, refreshToken, assertion, ...)
+ *   in logged objects, JSON, form bodies and inspected output
+ * - Bearer and Basic authorization values
+ *
+ * Configuration (environment variables, read on every call so .env values apply):
+ * - LOG_LEVEL   debug, info (default), warn, error or silent
+ * - LOG_FORMAT  text (default) or json - one JSON object per line with timestamp, level
+ *               and message
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+export const LOG_FORMATS = ['text', 'json'];
+
+const DEFAULT_LOG_LEVEL = 'info';
+const DEFAULT_LOG_FORMAT = 'text';
+const REDACTED = '[REDACTED]';
+
+/**
+ * Object keys whose values are always masked
+ */
+const SECRET_KEY_PATTERN = /^(client_?secret|password|passwd|secret|access_?token|refresh_?token|id_?token|token|assertion|authorization|code_?verifier|api_?key|session_?store_?key)$/i;
+
+/**
+ * Secret key/value pairs inside strings: JSON ("clientSecret":"x"), inspected objects
+ * (clientSecret: 'x') and form or query parameters (client_secret=x)
+ */
+const SECRET_VALUE_PATTERN = /((?:["']|\b)(?:client_?secret|password|passwd|access_?token|refresh_?token|id_?token|assertion|code_?verifier|api_?key)["']?\s*[:=]\s*)(["']?)[^"'&\s,;}]+/gi;
+
+/**
+ * Authorization header values
+ */
+const AUTHORIZATION_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi;
+
+/**
+ * Mask credentials in a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+export function redactString(text) {
+  return text
+    .replace(AUTHORIZATION_PATTERN, `$1 ${REDACTED}`)
+    .replace(SECRET_VALUE_PATTERN, `$1$2${REDACTED}`);
+}
+
+/**
+ * Mask credentials in a value before it is logged
+ * Objects are copied with the values of secret keys replaced; the original is not changed.
+ * @param {*} value - Value to redact
+ * @param {WeakSet} [seen] - Objects already visited (circular references)
+ * @returns {*} Redacted copy
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    const error = new Error(redactString(value.message));
+    error.name = value.name;
+    error.stack = value.stack && redactString(value.stack);
+    return error;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && item ? REDACTED : redact(item, seen);
+  }
+  return copy;
+}
+
+export class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {Object} [options.stream] - Output stream (default: process.stderr)
+   * @param {Object} [options.env] - Environment variables (default: process.env)
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stderr;
+    this.env = options.env || process.env;
+    this.warnedValues = new Set();
+  }
+
+  /**
+   * Get the active log level
+   * @returns {string} Log level (debug, info, warn, error or silent)
+   */
+  getLevel() {
+    return this.getSetting('LOG_LEVEL', LOG_LEVELS, DEFAULT_LOG_LEVEL);
+  }
+
+  /**
+   * Get the output format
+   * @returns {string} Output format (text or json)
+   */
+  getFormat() {
+    return this.getSetting('LOG_FORMAT', LOG_FORMATS, DEFAULT_LOG_FORMAT);
+  }
+
+  /**
+   * Read a logger setting, warning once about invalid values
+   * @param {string} name - Environment variable
+   * @param {Array<string>} allowed - Allowed values
+   * @param {string} defaultValue - Default value
+   * @returns {string} Setting value
+   */
+  getSetting(name, allowed, defaultValue) {
+    const value = this.env[name];
+    if (!value) {
+      return defaultValue;
+    }
+
+    const normalized = value.trim().toLowerCase();
+    if (allowed.includes(normalized)) {
+      return normalized;
+    }
+
+    if (!this.warnedValues.has(`${name}=${value}`)) {
+      this.warnedValues.add(`${name}=${value}`);
+      this.write('warn', [`⚠️  WARNING: Invalid ${name} "${value}". Must be one of: ${allowed.join(', ')}. Defaulting to "${defaultValue}".`]);
+    }
+    return defaultValue;
+  }
+
+  /**
+   * Check whether messages of a level are written
+   * @param {string} level - Message level (debug, info, warn or error)
+   * @returns {boolean} True if the level is at or above LOG_LEVEL
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.getLevel());
+  }
+
+  /**
+   * Log detail useful when troubleshooting
+   * @param {...*} args - Message parts, formatted like console.error
+   */
+  debug(...args) {
+    this.log('debug', args);
+  }
+
+  /**
+   * Log normal operation
+   * @param {...*} args - Message parts, formatted like console.error
+   */
+  info(...args) {
+    this.log('info', args);
+  }
+
+  /**
+   * Log a recoverable problem
+   * @param {...*} args - Message parts, formatted like console.error
+   */
+  warn(...args) {
+    this.log('warn', args);
+  }
+
+  /**
+   * Log a failure
+   * @param {...*} args - Message parts, formatted like console.error
+   */
+  error(...args) {
+    this.log('error', args);
+  }
+
+  /**
+   * Log a message if its level is enabled
+   * @param {string} level - Message level
+   * @param {Array} args - Message parts
+   */
+  log(level, args) {
+    if (this.isLevelEnabled(level)) {
+      this.write(level, args);
+    }
+  }
+
+  /**
+   * Redact, format and write one log entry
+   * @param {string} level - Message level
+   * @param {Array} args - Message parts
+   */
+  write(level, args) {
+    const message = redactString(util.format(...args.map(arg => redact(arg))));
+
+    const line = this.getFormat() === 'json'
+      ? JSON.stringify({ timestamp: new Date().toISOString(), level, message })
+      : message;
+
+    this.stream.write(`${line}\n`);
+  }
+}
+
+/**
+ * Singleton instance for global use
+ */
+export const logger = new Logger();
@@ -0,0 +1,154 @@
+/**
+ * Output schema utilities for structured tool results
+ * Tools that declare an outputSchema return structuredContent next to their markdown text,
+ * so programmatic clients can read caseID, eTag, nextAssignmentInfo etc. without parsing text.
+ */
+
+import { extractValidationErrors } from './field-extractor.js';
+
+/**
+ * Schema for a Pega validation error (from errorDetails)
+ */
+const VALIDATION_ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    field: { type: 'string', description: 'Field name without leading dot (empty when not field-specific)' },
+    message: { type: 'string', description: 'Message key or raw message' },
+    localizedValue: { type: 'string', description: 'Human readable message' },
+    errorClassification: { type: 'string' }
+  }
+};
+
+/**
+ * Schema for the error object of a failed operation
+ */
+const ERROR_SCHEMA = {
+  type: 'object',
+  description: 'Present when success is false',
+  properties: {
+    type: { type: 'string', description: 'Error type (e.g. NOT_FOUND, BAD_REQUEST, VALIDATION_FAIL)' },
+    message: { type: 'string' },
+    details: { type: 'string' },
+    status: { type: 'number', description: 'HTTP status code' },
+    validationErrors: { type: 'array', items: VALIDATION_ERROR_SCHEMA }
+  },
+  required: ['type', 'message']
+};
+
+/**
+ * Schema for an ID/name reference (assignments, actions)
+ */
+export const REFERENCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ID: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string' }
+  },
+  required: ['ID']
+};
+
+/**
+ * Schema for nextAssignmentInfo returned by create/perform operations
+ */
+export const NEXT_ASSIGNMENT_SCHEMA = {
+  type: 'object',
+  description: 'Next assignment to work on, when the workflow continues',
+  properties: {
+    ID: { type: 'string', description: 'Assignment ID to pass to get_assignment / perform_assignment_action' },
+    name: { type: 'string' },
+    type: { type: 'string' },
+    actions: { type: 'array', description: 'Action IDs or action references' }
+  },
+  required: ['ID']
+};
+
+/**
+ * Build an output schema with the common success/error/sessionId envelope
+ * Tool-specific properties are only present on success.
+ * @param {Object} properties - Tool-specific properties
+ * @returns {Object} JSON schema for structuredContent
+ */
+export function createOutputSchema(properties) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', description: 'Whether the operation succeeded' },
+      ...properties,
+      sessionId: { type: 'string', description: 'Session ID used for the call (session credentials only)' },
+      error: ERROR_SCHEMA
+    },
+    required: ['success']
+  };
+}
+
+/**
+ * Get caseInfo from V2 ({ data: { caseInfo } }) or V1-transformed ({ caseInfo }) response data
+ * @param {Object} data - Response data
+ * @returns {Object|null} caseInfo object
+ */
+export function getCaseInfo(data) {
+  return data?.data?.caseInfo || data?.caseInfo || null;
+}
+
+/**
+ * Map a list of actions/assignments to ID/name references
+ * @param {Array} items - Items with ID and name
+ * @returns {Array|undefined} References, undefined when there are none
+ */
+export function toReferences(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return undefined;
+  }
+
+  return items
+    .filter(item => item && item.ID)
+    .map(item => compact({ ID: String(item.ID), name: item.name, type: item.type }));
+}
+
+/**
+ * Build structuredContent for a successful operation
+ * @param {Object} properties - Tool-specific properties
+ * @param {Object} [sessionInfo] - Session info from initializeSessionConfig
+ * @returns {Object} structuredContent
+ */
+export function buildSuccessContent(properties, sessionInfo) {
+  return compact({
+    success: true,
+    ...properties,
+    sessionId: sessionInfo?.sessionId
+  });
+}
+
+/**
+ * Build structuredContent for a failed operation
+ * @param {Object} error - API client error object
+ * @param {Object} [sessionInfo] - Session info from initializeSessionConfig
+ * @returns {Object} structuredContent
+ */
+export function buildErrorContent(error = {}, sessionInfo) {
+  const validationErrors = extractValidationErrors(error);
+
+  return compact({
+    success: false,
+    sessionId: sessionInfo?.sessionId,
+    error: compact({
+      type: error.type || 'UNKNOWN_ERROR',
+      message: error.message || 'Unknown error',
+      details: typeof error.details === 'string' ? error.details : undefined,
+      status: typeof error.status === 'number' ? error.status : undefined,
+      validationErrors: validationErrors.length > 0 ? validationErrors : undefined
+    })
+  });
+}
+
+/**
+ * Remove null/undefined properties so optional schema properties stay absent instead of null
+ * @param {Object} obj - Object to compact
+ * @returns {Object} Object without null/undefined values
+ */
+export function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== null && value !== undefined)
+  );
+}
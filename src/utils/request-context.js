@@ -0,0 +1,46 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per tool call request context
+ *
+ * ToolRegistry.executeTool runs each tool inside a context that carries the MCP cancellation
+ * signal and the request timeout of the tool's category. BaseApiClient reads the context for
+ * every fetch, so cancellation and timeouts reach in-flight requests without threading them
+ * through each API client method. The MCP session ID of HTTP connections scopes the
+ * session context store; lookups made on the tool's behalf run without recording into it.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - Request context
+ * @param {AbortSignal} [context.signal] - Cancellation signal of the MCP request
+ * @param {number} [context.timeout] - Request timeout in milliseconds
+ * @param {string} [context.sessionId] - MCP session ID (HTTP transport only)
+ * @param {boolean} [context.recordContext] - false to keep responses out of the session context
+ * @param {Array} [context.rejectedRequests] - Collects { url, method, status } of the requests Pega rejected
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run a function whose Pega responses are not recorded in the session context
+ * Used for lookups (e.g. expanding a short case ID) that must not change the current case,
+ * assignment or remembered eTags.
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithoutContextRecording(fn) {
+  return storage.run({ ...getRequestContext(), recordContext: false }, fn);
+}
+
+/**
+ * Get the current request context
+ * @returns {Object} Request context (empty outside tool calls)
+ */
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
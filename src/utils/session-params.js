@@ -1,3 +1,5 @@
+import { logger } from './logger.js';
+
 /**
  * Session parameter utilities for MCP tool integration
  * Provides standardized session parameter extraction and validation
@@ -19,12 +21,9 @@ export function extractSessionParams(params) {
 
     // If it's a string, try to parse it as JSON
     if (typeof sessionCredentials === 'string') {
-      console.error(`🔧 Parsing session credentials from string: ${sessionCredentials.substring(0, 100)}...`);
       sessionCredentials = JSON.parse(sessionCredentials);
     }
 
-    console.error(`🔧 Session credentials type: ${typeof sessionCredentials}`, sessionCredentials);
-
     // Validate the structure
     if (!sessionCredentials || typeof sessionCredentials !== 'object') {
       throw new Error('Session credentials must be an object');
@@ -33,7 +32,7 @@ export function extractSessionParams(params) {
     return sessionCredentials;
 
   } catch (error) {
-    console.error('❌ Failed to extract session parameters:', error.message);
+    logger.error('❌ Failed to extract session parameters:', error.message);
     throw new Error(`Session parameter extraction error: ${error.message}`);
   }
 }
@@ -126,4 +125,21 @@ export function createSessionInfo(sessionId, sessionCredentials) {
     authMode: getAuthMode(sessionCredentials),
     configSource: 'session'
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Mask a session base URL for listings
+ * Keeps the scheme, the start of the host name and its top-level domain.
+ * @param {string} baseUrl - Pega base URL
+ * @returns {string} Masked URL, e.g. https://my***.com
+ */
+export function maskBaseUrl(baseUrl) {
+  try {
+    const { protocol, hostname } = new URL(baseUrl);
+    const labels = hostname.split('.');
+    const suffix = labels.length > 1 ? `.${labels[labels.length - 1]}` : '';
+    return `${protocol}//${hostname.substring(0, 2)}***${suffix}`;
+  } catch (error) {
+    return '***';
+  }
+}
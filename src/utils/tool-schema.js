@@ -1,3 +1,5 @@
+import { GRANT_TYPES } from '../auth/grant-types.js';
+
 /**
  * Tool schema utilities for consistent session credential parameter definitions
  * Provides standardized schema generation for MCP tools
@@ -10,7 +12,7 @@
 export function getSessionCredentialsSchema() {
   return {
     type: 'object',
-    description: 'Optional session-specific credentials. If not provided, uses environment variables. Supports two authentication modes: (1) OAuth mode - provide baseUrl, clientId, and clientSecret, or (2) Token mode - provide baseUrl and accessToken.',
+    description: 'Optional session-specific credentials. If not provided, uses environment variables. Supports two authentication modes: (1) OAuth mode - provide baseUrl, clientId, and clientSecret, plus username/password, assertion or refreshToken for grants acting as a named operator, or (2) Token mode - provide baseUrl and accessToken.',
     properties: {
       sessionId: {
         type: 'string',
@@ -22,7 +24,7 @@ export function getSessionCredentialsSchema() {
       },
       apiVersion: {
         type: 'string',
-        description: 'API version (optional, defaults to v2)',
+        description: 'API version: v1, v2 or auto to detect it from the instance (optional, defaults to v2)',
         default: 'v2'
       },
       clientId: {
@@ -33,6 +35,31 @@ export function getSessionCredentialsSchema() {
         type: 'string',
         description: 'OAuth2 client secret (required for OAuth mode)'
       },
+      grantType: {
+        type: 'string',
+        enum: GRANT_TYPES,
+        description: 'OAuth2 grant type (OAuth mode, default client_credentials). password, jwt_bearer and refresh_token act as a named operator, so Pega audits work under that user.'
+      },
+      username: {
+        type: 'string',
+        description: 'Operator ID (required for password grant)'
+      },
+      password: {
+        type: 'string',
+        description: 'Operator password (required for password grant)'
+      },
+      assertion: {
+        type: 'string',
+        description: 'Signed JWT identifying the operator (required for jwt_bearer grant)'
+      },
+      refreshToken: {
+        type: 'string',
+        description: 'Refresh token (required for refresh_token grant). Rotated refresh tokens are used automatically.'
+      },
+      scope: {
+        type: 'string',
+        description: 'OAuth2 scope to request (optional)'
+      },
       accessToken: {
         type: 'string',
         description: 'Direct access token (required for token mode)'
@@ -45,6 +72,50 @@ export function getSessionCredentialsSchema() {
   };
 }
 
+/**
+ * Generate environment parameter schema
+ * @returns {Object} Environment parameter schema
+ */
+export function getEnvironmentSchema() {
+  return {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]+$',
+    description: 'Optional name of an environment profile (e.g. "dev", "test", "prod") defined in the environment profile file (PEGA_ENVIRONMENTS_FILE). Runs the call against that Pega instance with its configured credentials. Cannot be combined with sessionCredentials. If neither is provided, uses environment variables.'
+  };
+}
+
+/**
+ * Generate schema for a single data view filter condition (value of query.filter.filterConditions)
+ * @returns {Object} Filter condition schema
+ */
+export function getFilterConditionSchema() {
+  return {
+    type: 'object',
+    properties: {
+      lhs: {
+        type: 'object',
+        description: 'Left-hand side, e.g. {"field": "Department"}'
+      },
+      comparator: {
+        type: 'string',
+        enum: [
+          'EQ', 'NEQ', 'IN', 'NOT_IN', 'GT', 'GTE', 'LT', 'LTE',
+          'IS_TRUE', 'IS_FALSE', 'IS_NULL', 'IS_NOT_NULL', 'ISNULL', 'ISNOTNULL',
+          'STARTS_WITH', 'NOT_STARTS_WITH', 'ENDS_WITH', 'NOT_ENDS_WITH', 'CONTAINS', 'NOT_CONTAINS'
+        ]
+      },
+      rhs: {
+        type: 'object',
+        description: 'Right-hand side, e.g. {"value": "IT"} (omit for IS_TRUE, IS_NULL etc.)'
+      },
+      ignoreCase: {
+        type: 'boolean'
+      }
+    },
+    required: ['lhs', 'comparator']
+  };
+}
+
 /**
  * Add session credentials parameter to existing tool schema
  * @param {Object} existingSchema - Existing tool input schema
@@ -59,6 +130,7 @@ export function addSessionCredentialsToSchema(existingSchema) {
     updatedSchema.properties = {};
   }
 
+  updatedSchema.properties.environment = getEnvironmentSchema();
   updatedSchema.properties.sessionCredentials = getSessionCredentialsSchema();
 
   return updatedSchema;
@@ -74,6 +146,7 @@ export function createToolSchema(baseSchema) {
     type: 'object',
     properties: {
       ...baseSchema.properties,
+      environment: getEnvironmentSchema(),
       sessionCredentials: getSessionCredentialsSchema()
     },
     required: baseSchema.required || []
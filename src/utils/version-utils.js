@@ -4,6 +4,7 @@
  */
 
 import { config } from '../config.js';
+import { logger } from './logger.js';
 
 /**
  * API Version Constants
@@ -209,15 +210,15 @@ export function logVersionInfo(sessionConfig = null) {
   const versionName = getVersionName(sessionConfig);
   const unavailableFeatures = getUnavailableFeatures(sessionConfig);
 
-  console.error(`\n🔧 Pega API Version: ${versionName}`);
-  console.error(`📊 API Base Path: ${version === API_VERSION.V1 ? '/prweb/api/v1' : '/prweb/api/application/v2'}`);
+  logger.info(`\n🔧 Pega API Version: ${versionName}`);
+  logger.info(`📊 API Base Path: ${version === API_VERSION.V1 ? '/prweb/api/v1' : '/prweb/api/application/v2'}`);
 
   if (unavailableFeatures.length > 0) {
-    console.error(`⚠️  Unavailable Features (${unavailableFeatures.length}):`);
+    logger.warn(`⚠️  Unavailable Features (${unavailableFeatures.length}):`);
     unavailableFeatures.forEach(feature => {
-      console.error(`   - ${feature}`);
+      logger.info(`   - ${feature}`);
     });
   }
 
-  console.error('');
+  logger.info('');
 }
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeChanges, recordContentSnapshot, resubmitOnConflict } from '../src/api/conflict-resolver.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+const conflict = { success: false, error: { type: 'CONFLICT', status: 409, message: 'Conflict error' } };
+
+/**
+ * Build a submission whose refetch returns the case at a new eTag
+ * @param {Object} options - { scope, eTag, content, current, currentETag }
+ * @returns {Object} Submission with `resubmitted` recording the eTags of resubmissions
+ */
+function createSubmission({ scope = 'https://pega|user-a', eTag = '"E1"', content, current, currentETag = '"E2"' }) {
+  const submission = {
+    scope,
+    eTag,
+    content,
+    resubmitted: [],
+    refetch: async () => ({ success: true, eTag: currentETag, normalized: { ID: 'C-1', content: current } }),
+    resubmit: async freshETag => {
+      submission.resubmitted.push(freshETag);
+      return { success: true, eTag: '"E3"' };
+    }
+  };
+  return submission;
+}
+
+test('mergeChanges keeps changes of others to fields that were not submitted', () => {
+  const result = mergeChanges({ Amount: '5', Note: 'a' }, { Amount: '5', Note: 'b' }, { Amount: '7' });
+  assert.deepEqual(result, { conflicts: [], changedByOthers: ['Note'] });
+});
+
+test('mergeChanges reports a field changed by others to another value', () => {
+  const result = mergeChanges({ Amount: '5' }, { Amount: '8' }, { Amount: '6' });
+  assert.deepEqual(result.conflicts, [{ field: 'Amount', original: '5', current: '8', submitted: '6' }]);
+});
+
+test('mergeChanges accepts the same value submitted by both and compares scalars as strings', () => {
+  assert.deepEqual(mergeChanges({ Amount: '5' }, { Amount: '6' }, { Amount: 6 }), { conflicts: [], changedByOthers: ['Amount'] });
+  assert.deepEqual(mergeChanges({ Amount: 5 }, { Amount: '5' }, { Amount: '7' }).conflicts, []);
+});
+
+test('mergeChanges compares embedded pages field by field', () => {
+  const original = { Address: { City: 'Oslo', Zip: '1' } };
+  const current = { Address: { City: 'Oslo', Zip: '2' } };
+
+  assert.deepEqual(mergeChanges(original, current, { Address: { City: 'Rome' } }).conflicts, []);
+  assert.deepEqual(
+    mergeChanges(original, current, { Address: { Zip: '3' } }).conflicts,
+    [{ field: 'Address.Zip', original: '1', current: '2', submitted: '3' }]
+  );
+});
+
+test('resubmitOnConflict resubmits with the current eTag when the changes do not overlap', async () => {
+  recordContentSnapshot('https://pega|user-a', 'C-1', '"E1"', { Amount: '5', Note: 'a' });
+  const submission = createSubmission({ content: { Amount: '7' }, current: { Amount: '5', Note: 'b', Other: 'x' } });
+
+  const result = await resubmitOnConflict(conflict, submission);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(submission.resubmitted, ['"E2"']);
+  assert.deepEqual(result.conflictResolution, {
+    originalETag: '"E1"',
+    mergedETag: '"E2"',
+    submittedFields: ['Amount'],
+    changedByOthers: ['Note']
+  });
+});
+
+test('resubmitOnConflict reports overlapping changes without resubmitting', async () => {
+  recordContentSnapshot('https://pega|user-a', 'C-1', '"E4"', { Amount: '5' });
+  const submission = createSubmission({ eTag: '"E4"', content: { Amount: '6' }, current: { Amount: '8' }, currentETag: '"E5"' });
+
+  const result = await resubmitOnConflict(conflict, submission);
+
+  assert.equal(result.error.type, 'MERGE_CONFLICT');
+  assert.equal(result.error.currentETag, '"E5"');
+  assert.deepEqual(result.error.conflicts.map(item => item.field), ['Amount']);
+  assert.deepEqual(submission.resubmitted, []);
+});
+
+test('resubmitOnConflict does not use snapshots recorded with other credentials', async () => {
+  recordContentSnapshot('https://pega|user-a', 'C-1', '"E6"', { Amount: '5' });
+  const submission = createSubmission({ scope: 'https://pega|user-b', eTag: '"E6"', content: { Amount: '7' }, current: { Amount: '5' } });
+
+  const result = await resubmitOnConflict(conflict, submission);
+
+  assert.equal(result.error.type, 'MERGE_CONFLICT');
+  assert.deepEqual(result.error.conflicts, []);
+  assert.deepEqual(submission.resubmitted, []);
+});
+
+test('resubmitOnConflict keeps the original error when the eTag did not change', async () => {
+  const submission = createSubmission({ eTag: '"E2"', content: { Amount: '7' }, current: {} });
+  assert.equal(await resubmitOnConflict(conflict, submission), conflict);
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { sessionContextStore, getCaseIDFromAssignmentID } from '../src/session/context-store.js';
+import { sessionManager } from '../src/session/session-manager.js';
+import { getSessionConfig } from '../src/config/session-config.js';
+import { PegaClient } from '../src/api/pega-client.js';
+import { resourceRegistry } from '../src/resources/resource-registry.js';
+import { subscriptionManager } from '../src/resources/subscription-manager.js';
+import { runWithoutContextRecording } from '../src/utils/request-context.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Answers every case read with the case of the URL and its open assignment
+  server = http.createServer((req, res) => {
+    const caseID = decodeURIComponent(req.url).match(/\/cases\/([^/?]+)/)?.[1];
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"E1"' });
+    res.end(JSON.stringify({ data: { caseInfo: { ID: caseID, assignments: [{ ID: `ASSIGN-WORKLIST ${caseID}!FLOW` }] } } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Create a session with a direct access token on the mock server
+ * @returns {string} Session ID
+ */
+function createSession() {
+  return sessionManager.createSession({ baseUrl, apiVersion: 'v2', accessToken: 'token' });
+}
+
+test('getCaseIDFromAssignmentID takes the case ID up to the first flow separator', () => {
+  assert.equal(getCaseIDFromAssignmentID('ASSIGN-WORKLIST MYORG-APP-WORK C-1001!APPROVAL_FLOW'), 'MYORG-APP-WORK C-1001');
+  assert.equal(getCaseIDFromAssignmentID('ASSIGN-WORKBASKET MYORG-APP-WORK C-1001!FLOW!SUBFLOW'), 'MYORG-APP-WORK C-1001');
+  assert.equal(getCaseIDFromAssignmentID('MYORG-APP-WORK C-1001'), undefined);
+  assert.equal(getCaseIDFromAssignmentID(undefined), undefined);
+});
+
+test('records the case and assignment of a case read', async () => {
+  const sessionId = createSession();
+  const config = getSessionConfig(sessionId);
+
+  await new PegaClient(config).getCase('MYORG-APP-WORK C-1');
+
+  assert.equal(sessionContextStore.getCurrentCaseID(config), 'MYORG-APP-WORK C-1');
+  assert.equal(sessionContextStore.getCurrentAssignmentID(config), 'ASSIGN-WORKLIST MYORG-APP-WORK C-1!FLOW');
+  assert.equal(sessionContextStore.getETag(config, { caseID: 'MYORG-APP-WORK C-1' }), '"E1"');
+});
+
+test('skips responses read with runWithoutContextRecording', async () => {
+  const sessionId = createSession();
+  const config = getSessionConfig(sessionId);
+
+  await runWithoutContextRecording(() => new PegaClient(config).getCase('MYORG-APP-WORK C-2'));
+
+  assert.equal(sessionContextStore.getCurrentCaseID(config), null);
+  assert.equal(sessionContextStore.getETag(config, { caseID: 'MYORG-APP-WORK C-2' }), null);
+});
+
+test('resource reads and subscription polls keep the current case and assignment', async () => {
+  const sessionId = createSession();
+  const config = getSessionConfig(sessionId);
+  await new PegaClient(config).getCase('MYORG-APP-WORK C-3');
+
+  await resourceRegistry.readResource(`pega://cases/${encodeURIComponent('MYORG-APP-WORK C-4')}`, sessionId);
+  const poll = await subscriptionManager.fetchCase({ sessionId, caseID: 'MYORG-APP-WORK C-5' });
+
+  assert.equal(poll.success, true);
+  assert.equal(sessionContextStore.getCurrentCaseID(config), 'MYORG-APP-WORK C-3');
+  assert.equal(sessionContextStore.getCurrentAssignmentID(config), 'ASSIGN-WORKLIST MYORG-APP-WORK C-3!FLOW');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchName, similarity, suggestNames } from '../src/api/name-resolver.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+const actions = [
+  { ID: 'pyUpdateCaseDetails', name: 'Edit details' },
+  { ID: 'pyChangeStage', name: 'Change stage' },
+  { ID: 'ApproveClaim', name: 'Approve claim' },
+  { ID: 'ApproveOrder', name: 'Approve order' }
+];
+
+test('similarity is 1 for equal values and 0 for empty ones', () => {
+  assert.equal(similarity('approveclaim', 'approveclaim'), 1);
+  assert.equal(similarity('', 'approveclaim'), 0);
+  assert.equal(similarity('approveclaim', undefined), 0);
+});
+
+test('similarity scores close values above unrelated ones', () => {
+  assert.ok(similarity('approveclaims', 'approveclaim') > 0.9);
+  assert.ok(similarity('approveclaim', 'changestage') < 0.4);
+});
+
+test('similarity boosts a value contained in the other', () => {
+  assert.ok(similarity('approve', 'approveclaim') >= 0.75);
+});
+
+test('matchName uses an exact ID as is', () => {
+  assert.deepEqual(matchName('pyChangeStage', actions), { status: 'exact', ID: 'pyChangeStage' });
+});
+
+test('matchName resolves an ID in other letter case and a display name', () => {
+  assert.deepEqual(matchName('approveclaim', actions), { status: 'resolved', ID: 'ApproveClaim', match: 'ID' });
+  assert.deepEqual(matchName(' edit DETAILS ', actions), { status: 'resolved', ID: 'pyUpdateCaseDetails', match: 'name' });
+});
+
+test('matchName never resolves a close but different value', () => {
+  assert.deepEqual(matchName('ApproveClaims', actions), { status: 'unknown' });
+  assert.deepEqual(matchName('Approve', actions), { status: 'unknown' });
+  assert.deepEqual(matchName('HiddenAction', []), { status: 'unknown' });
+});
+
+test('matchName leaves a value matching several options by name unresolved', () => {
+  const duplicates = [{ ID: 'EditA', name: 'Edit' }, { ID: 'EditB', name: 'Edit' }];
+  assert.deepEqual(matchName('Edit', duplicates), { status: 'unknown' });
+});
+
+test('suggestNames lists the closest options, best first', () => {
+  assert.deepEqual(suggestNames('ApproveClaims', actions).map(option => option.ID), ['ApproveClaim', 'ApproveOrder']);
+  assert.equal(suggestNames('UpdateCaseDetail', actions)[0].ID, 'pyUpdateCaseDetails');
+  assert.deepEqual(suggestNames('Zzz', actions), []);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, redactString } from '../src/utils/logger.js';
+
+test('masks the values of secret keys at any depth', () => {
+  const credentials = {
+    baseUrl: 'https://pega.example.com',
+    clientId: 'my-client',
+    clientSecret: 'top-secret',
+    nested: { accessToken: 'abc', list: [{ password: 'pw' }] }
+  };
+
+  assert.deepEqual(redact(credentials), {
+    baseUrl: 'https://pega.example.com',
+    clientId: 'my-client',
+    clientSecret: '[REDACTED]',
+    nested: { accessToken: '[REDACTED]', list: [{ password: '[REDACTED]' }] }
+  });
+});
+
+test('leaves the original object unchanged', () => {
+  const credentials = { refresh_token: 'r' };
+  redact(credentials);
+  assert.equal(credentials.refresh_token, 'r');
+});
+
+test('masks secrets inside JSON, inspected objects and form bodies', () => {
+  assert.equal(redactString('{"clientSecret":"s3cr3t","clientId":"c"}'), '{"clientSecret":"[REDACTED]","clientId":"c"}');
+  assert.equal(redactString("{ password: 'pw', user: 'u' }"), "{ password: '[REDACTED]', user: 'u' }");
+  assert.equal(redactString('grant_type=password&client_secret=abc&username=u'), 'grant_type=password&client_secret=[REDACTED]&username=u');
+});
+
+test('masks authorization header values', () => {
+  assert.equal(redactString('Authorization: Bearer eyJ.abc-def'), 'Authorization: Bearer [REDACTED]');
+  assert.equal(redactString('Basic dXNlcjpwYXNz'), 'Basic [REDACTED]');
+});
+
+test('redacts error messages and handles circular references', () => {
+  const error = redact(new Error('token request failed: access_token=abc'));
+  assert.ok(error instanceof Error);
+  assert.equal(error.message, 'token request failed: access_token=[REDACTED]');
+
+  const value = { clientSecret: 'x' };
+  value.self = value;
+  assert.deepEqual(redact(value), { clientSecret: '[REDACTED]', self: '[Circular]' });
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EncryptedFileSessionStore } from '../src/session/session-store.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pega-session-store-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const hour = 60 * 60 * 1000;
+
+/**
+ * Create a store with a fresh file
+ * @param {string} name - File name
+ * @param {string} [key] - Secret
+ * @returns {EncryptedFileSessionStore} Store
+ */
+function createStore(name, key = 'store-secret') {
+  return new EncryptedFileSessionStore({ path: path.join(dir, name), key });
+}
+
+test('restores saved sessions and tokens', () => {
+  const store = createStore('roundtrip.json');
+  store.sessions.set('abc', { sessionId: 'abc', authMode: 'oauth', expiresAt: Date.now() + hour, credentials: { clientId: 'c' } });
+  store.tokens.set('session_abc:fp', { accessToken: 'token', tokenExpiry: Date.now() + hour, refreshToken: 'refresh' });
+  store.save();
+
+  const restored = createStore('roundtrip.json');
+  assert.deepEqual(restored.load(), { sessions: 1, tokens: 1 });
+  assert.equal(restored.sessions.get('abc').credentials.clientId, 'c');
+  assert.equal(restored.tokens.get('session_abc:fp').accessToken, 'token');
+});
+
+test('encrypts the file with an owner-only mode', () => {
+  const store = createStore('encrypted.json');
+  store.sessions.set('abc', { sessionId: 'abc', expiresAt: Date.now() + hour, credentials: { clientSecret: 'top-secret' } });
+  store.save();
+
+  const file = path.join(dir, 'encrypted.json');
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('top-secret'));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('drops expired sessions, their tokens and expired access tokens', () => {
+  const store = createStore('expiry.json');
+  store.sessions.set('live', { sessionId: 'live', authMode: 'oauth', expiresAt: Date.now() + hour });
+  store.sessions.set('gone', { sessionId: 'gone', authMode: 'oauth', expiresAt: Date.now() - 1 });
+  store.sessions.set('stale', { sessionId: 'stale', authMode: 'token', expiresAt: Date.now() + hour, credentials: { tokenExpiry: Date.now() - 1 } });
+  store.tokens.set('session_gone:fp', { accessToken: 'a', tokenExpiry: Date.now() + hour });
+  store.tokens.set('session_live:fp', { accessToken: 'b', tokenExpiry: Date.now() - 1, refreshToken: 'r' });
+  store.tokens.set('global:fp', { accessToken: 'c', tokenExpiry: Date.now() - 1 });
+  store.save();
+
+  const restored = createStore('expiry.json');
+  restored.load();
+  assert.deepEqual([...restored.sessions.keys()], ['live']);
+  assert.deepEqual([...restored.tokens.entries()], [['session_live:fp', { refreshToken: 'r' }]]);
+});
+
+test('starts empty when the file is missing or the key is wrong', () => {
+  assert.deepEqual(createStore('missing.json').load(), { sessions: 0, tokens: 0 });
+
+  const store = createStore('wrong-key.json');
+  store.sessions.set('abc', { sessionId: 'abc', expiresAt: Date.now() + hour });
+  store.save();
+
+  const other = createStore('wrong-key.json', 'other-secret');
+  assert.deepEqual(other.load(), { sessions: 0, tokens: 0 });
+  assert.equal(other.sessions.size, 0);
+});